@@ -0,0 +1,195 @@
+/**
+ * Account Manager
+ * Models family accounts and derives balances from the transaction ledger
+ * Balances are never stored: opening balance + signed ledger entries
+ */
+
+class AccountManager {
+    constructor() {
+        this.storeName = 'accounts';
+        this.accountTypes = {
+            checking: { label: 'Checking', icon: '🏦', liability: false },
+            savings: { label: 'Savings', icon: '🐖', liability: false },
+            credit: { label: 'Credit Card', icon: '💳', liability: true },
+            cash: { label: 'Cash', icon: '💵', liability: false },
+            loan: { label: 'Loan', icon: '📋', liability: true },
+            mortgage: { label: 'Mortgage', icon: '🏠', liability: true }
+        };
+    }
+    
+    /**
+     * Check if an account type holds money owed rather than owned
+     * @param {Object|string} account - Account or account type
+     * @returns {boolean} True for credit cards, loans and mortgages
+     */
+    isLiability(account) {
+        const type = typeof account === 'string' ? account : account?.type;
+        return !!this.accountTypes[type]?.liability;
+    }
+    
+    /**
+     * Build an account with defaults filled in
+     * Liabilities are entered as the amount owed and stored as a negative balance
+     * @param {Object} account - Account fields
+     * @returns {Object} Normalized account
+     */
+    createAccount(account) {
+        const type = this.accountTypes[account.type] ? account.type : 'checking';
+        const entered = parseFloat(account.openingBalance) || 0;
+        
+        return {
+            id: account.id || window.SecurityManager.generateUUID(),
+            name: (account.name || '').trim() || this.accountTypes[type].label,
+            type,
+            openingBalance: this.isLiability(type) ? -Math.abs(entered) : entered,
+            openingDate: account.openingDate || new Date().toISOString().split('T')[0],
+            institution: account.institution || '',
+            // Empty means the family's base currency
+            currency: account.currency || null,
+            // Restricted accounts are only shown to roles that can see them
+            restricted: !!account.restricted,
+            archived: !!account.archived,
+            createdAt: account.createdAt
+        };
+    }
+    
+    /**
+     * Get the effect of a transaction on its account balance
+     * @param {Object} transaction - Ledger entry
+     * @returns {number} Signed amount
+     */
+    getSignedAmount(transaction) {
+        const amount = transaction.amount || 0;
+        
+        switch (transaction.type) {
+            case 'income':
+                return amount;
+            
+            case 'expense':
+                return -amount;
+            
+            case 'transfer':
+                return transaction.direction === 'in' ? amount : -amount;
+            
+            default:
+                return 0;
+        }
+    }
+    
+    /**
+     * Get an account's ledger with a running balance after each entry
+     * @param {Object} account - Account
+     * @param {Array} transactions - All ledger entries
+     * @returns {Array} Entries newest first, each with runningBalance
+     */
+    getLedger(account, transactions) {
+        const entries = transactions
+            .filter(t => t.accountId === account.id)
+            .sort((a, b) => {
+                const byDate = String(a.date).localeCompare(String(b.date));
+                return byDate !== 0 ? byDate : String(a.createdAt).localeCompare(String(b.createdAt));
+            });
+        
+        let balance = account.openingBalance || 0;
+        
+        return entries
+            .map(entry => {
+                balance += this.getSignedAmount(entry);
+                return { ...entry, runningBalance: balance };
+            })
+            .reverse();
+    }
+    
+    /**
+     * Build the two legs of a transfer between accounts
+     * Transfers are neither income nor expense, so they don't touch monthly statistics
+     * @param {Object} transfer - { fromAccountId, toAccountId, amount, date, description }
+     * @returns {Array} [outgoing leg, incoming leg]
+     */
+    createTransfer(transfer) {
+        if (!transfer.fromAccountId || !transfer.toAccountId) {
+            throw new Error('A transfer needs both a source and a destination account');
+        }
+        
+        if (transfer.fromAccountId === transfer.toAccountId) {
+            throw new Error('Cannot transfer to the same account');
+        }
+        
+        const amount = Math.abs(parseFloat(transfer.amount) || 0);
+        if (amount === 0) {
+            throw new Error('Transfer amount must be greater than zero');
+        }
+        
+        // Between accounts in different currencies the destination receives its own amount
+        const receivedAmount = Math.abs(parseFloat(transfer.receivedAmount) || 0) || amount;
+        
+        const transferId = window.SecurityManager.generateUUID();
+        const base = {
+            type: 'transfer',
+            category: 'transfer',
+            transferId,
+            amount,
+            date: transfer.date,
+            description: transfer.description || 'Transfer',
+            memberCode: transfer.memberCode
+        };
+        
+        return [
+            {
+                ...base,
+                id: `${transferId}_out`,
+                direction: 'out',
+                accountId: transfer.fromAccountId,
+                counterAccountId: transfer.toAccountId
+            },
+            {
+                ...base,
+                id: `${transferId}_in`,
+                amount: receivedAmount,
+                direction: 'in',
+                accountId: transfer.toAccountId,
+                counterAccountId: transfer.fromAccountId
+            }
+        ];
+    }
+    
+    /**
+     * Apply an edit to both legs of an existing transfer
+     * @param {Array} legs - Current legs sharing a transferId
+     * @param {Object} changes - { fromAccountId, toAccountId, amount, date, description }
+     * @returns {Array} Updated legs, keeping their IDs
+     */
+    updateTransfer(legs, changes) {
+        const outgoing = legs.find(leg => leg.direction === 'out');
+        const incoming = legs.find(leg => leg.direction === 'in');
+        if (!outgoing || !incoming) {
+            throw new Error('Transfer is missing one of its legs');
+        }
+        
+        // Validate through the same rules as a new transfer
+        const [newOut, newIn] = this.createTransfer({
+            fromAccountId: outgoing.accountId,
+            toAccountId: incoming.accountId,
+            amount: outgoing.amount,
+            receivedAmount: incoming.amount,
+            date: outgoing.date,
+            description: outgoing.description,
+            ...changes
+        });
+        
+        const pick = ({ amount, date, description, accountId, counterAccountId }) => ({
+            amount, date, description, accountId, counterAccountId
+        });
+        
+        return [
+            { ...outgoing, ...pick(newOut) },
+            { ...incoming, ...pick(newIn) }
+        ];
+    }
+}
+
+// Initialize global account manager
+window.accountManager = new AccountManager();
+
+// Export for use in other modules
+window.AccountManager = AccountManager;
@@ -0,0 +1,114 @@
+/**
+ * Activity Feed
+ * Family-wide events such as completed goals, shared through sync like any other store
+ * Each device keeps a log of the events it has already shown, so new ones from others pop up once
+ */
+
+class ActivityFeed {
+    constructor() {
+        this.storeName = 'activityFeed';
+        this.seenKey = 'ffh_activitySeen';
+        this.pageSize = 20;
+        this.types = {
+            'goal-completed': { type: 'success' }
+        };
+    }
+    
+    /**
+     * Build a feed entry
+     * @param {Object} entry - { id, type, message, memberCode, memberName, data }
+     * @returns {Object} Normalized entry
+     */
+    createEntry(entry) {
+        return {
+            id: entry.id || window.SecurityManager.generateUUID(),
+            type: entry.type,
+            message: entry.message,
+            memberCode: entry.memberCode || null,
+            memberName: entry.memberName || '',
+            data: entry.data || {},
+            timestamp: entry.timestamp || new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Get the most recent entries
+     * @param {number} limit - Entries to return
+     * @returns {Array} Entries newest first
+     */
+    async getRecent(limit = this.pageSize) {
+        const page = await window.dbManager.getPage(this.storeName, 'timestamp', { limit });
+        return page.items.filter(entry => !entry.deleted);
+    }
+    
+    /**
+     * Save an entry and show it on this device
+     * @param {Object} entry - Entry fields
+     * @returns {Object} Saved entry
+     */
+    async post(entry) {
+        const saved = this.createEntry(entry);
+        await window.dbManager.save(this.storeName, saved);
+        
+        this.markSeen([saved]);
+        this.notify(saved);
+        
+        return saved;
+    }
+    
+    /**
+     * Get the IDs of entries already shown on this device
+     * @returns {Array|null} IDs, or null before the feed has been read here
+     */
+    getSeen() {
+        try {
+            const seen = JSON.parse(localStorage.getItem(this.seenKey));
+            return Array.isArray(seen) ? seen : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Record entries as shown, keeping the log to a recent window
+     * @param {Array} entries - Entries shown
+     */
+    markSeen(entries) {
+        const seen = [...entries.map(entry => entry.id), ...(this.getSeen() || [])];
+        localStorage.setItem(this.seenKey, JSON.stringify([...new Set(seen)].slice(0, this.pageSize * 5)));
+    }
+    
+    /**
+     * Show entries this device hasn't seen yet, e.g. ones that just arrived by sync
+     * On the first read everything already in the feed counts as seen
+     * @param {Array} entries - Recent entries
+     * @returns {Array} Entries shown
+     */
+    announce(entries) {
+        const seen = this.getSeen();
+        const fresh = seen ? entries.filter(entry => !seen.includes(entry.id)) : [];
+        
+        this.markSeen(entries);
+        fresh.forEach(entry => this.notify(entry));
+        
+        return fresh;
+    }
+    
+    /**
+     * Show an entry in-app (and as a browser notification when the page is hidden)
+     * @param {Object} entry - Feed entry
+     */
+    notify(entry) {
+        const type = this.types[entry.type]?.type || 'info';
+        
+        window.notificationManager.add(entry.message, type, 10000, {
+            tag: `activity-${entry.id}`
+        });
+    }
+}
+
+// Initialize global activity feed
+window.activityFeed = new ActivityFeed();
+
+// Export for use in other modules
+window.ActivityFeed = ActivityFeed;
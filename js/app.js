@@ -6,7 +6,7 @@
  */
 
 // React hooks
-const { useState, useEffect, useContext, createContext, useCallback, useMemo, useRef } = React;
+const { useState, useEffect, useLayoutEffect, useContext, createContext, useCallback, useMemo, useRef } = React;
 
 // =====================================================
 // DEFAULT DATA & CONSTANTS
@@ -14,6 +14,17 @@ const { useState, useEffect, useContext, createContext, useCallback, useMemo, us
 
 const STORAGE_PREFIX = 'ffh_';
 const APP_VERSION = '2.0.0';
+const TRANSACTION_PAGE_SIZE = 50;
+
+/**
+ * Format an amount for display; every view goes through this, so amounts follow the family's base currency and locale
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code (base currency when omitted)
+ * @returns {string} Formatted amount
+ */
+function formatCurrency(amount, currency = null) {
+    return window.currencyManager.format(amount, currency);
+}
 
 function getDefaultCategories() {
     return {
@@ -55,6 +66,10 @@ function AppProvider({ children }) {
         memberCode: null,
         memberName: null,
         encryptionKey: null,
+        joinKey: null,
+        keyId: null,
+        keyPair: null,
+        keyring: null,
         syncEnabled: true,
         gistId: null,
         members: []
@@ -65,18 +80,58 @@ function AppProvider({ children }) {
     const [activeView, setActiveView] = useState('overview');
     
     // Financial Data State
+    // transactions holds the pages loaded so far, newest first; totals come from ledgerAggregates
     const [transactions, setTransactions] = useState([]);
-    const [budget, setBudget] = useState({});
-    const [savingsGoals, setSavingsGoals] = useState([]);
-    const [categories] = useState(getDefaultCategories());
+    const [transactionCursor, setTransactionCursor] = useState(null);
+    const [ledgerVersion, setLedgerVersion] = useState(0);
+    const loadingPageRef = useRef(false);
+    const [budgetLines, setBudgetLines] = useState([]);
+    const [budgetMode, setBudgetModeState] = useState('caps');
+    const [goalRecords, setGoalRecords] = useState([]);
+    const [goalEntries, setGoalEntries] = useState([]);
+    const [activity, setActivity] = useState([]);
+    const [shoppingLists, setShoppingLists] = useState([]);
+    const [shoppingItems, setShoppingItems] = useState([]);
+    const [familyTasks, setFamilyTasks] = useState([]);
+    const [notes, setNotes] = useState([]);
+    const [lockedNotes, setLockedNotes] = useState(0);
+    const [holdings, setHoldings] = useState([]);
+    const [investmentTrades, setInvestmentTrades] = useState([]);
+    const [investmentPrices, setInvestmentPrices] = useState([]);
+    const [netWorthSnapshots, setNetWorthSnapshots] = useState([]);
+    const [invites, setInvites] = useState([]);
+    const [baseCurrency, setBaseCurrencyState] = useState(window.currencyManager.baseCurrency);
+    const [fxRates, setFxRates] = useState([]);
+    const [categoryRecords, setCategoryRecords] = useState([]);
     const [billReminders, setBillReminders] = useState([]);
     const [accounts, setAccounts] = useState([]);
+    const [recurringRules, setRecurringRules] = useState([]);
+    const [categoryRules, setCategoryRules] = useState([]);
+    
+    // Defaults show until the family's own categories have loaded
+    const categories = useMemo(() => categoryRecords.length
+        ? window.categoryManager.group(categoryRecords)
+        : getDefaultCategories(), [categoryRecords]);
+    
+    // Goal balances are derived from the contribution ledger
+    const savingsGoals = useMemo(
+        () => window.savingsManager.withBalances(goalRecords, goalEntries),
+        [goalRecords, goalEntries]
+    );
+    
+    // This month's budget as { category: amount }; other months are read from budgetLines
+    const budget = useMemo(() => window.budgetManager.getBudgetMap(
+        budgetLines,
+        window.budgetManager.getPeriodKey()
+    ), [budgetLines]);
     
     // UI State
     const [loading, setLoading] = useState(false);
+    const [dataLoaded, setDataLoaded] = useState(false);
     const [syncStatus, setSyncStatus] = useState('idle');
     const [theme, setTheme] = useState('system');
     const [showAddTransaction, setShowAddTransaction] = useState(false);
+    const [editingTransaction, setEditingTransaction] = useState(null);
     
     // Initialize app on mount
     useEffect(() => {
@@ -99,8 +154,14 @@ function AppProvider({ children }) {
                     setIsLoggedIn(true);
                     setCurrentUser(authData.user);
                     setFamilyConfig(authData.familyConfig || {});
+                    window.dbManager.setMember(authData.familyConfig?.memberCode);
                     
                     // Initialize sync
+                    window.enhancedSyncManager.setFamilyKey(
+                        authData.familyConfig?.encryptionKey,
+                        window.keyManager.getKeyId(authData.familyConfig || {}),
+                        authData.familyConfig?.keyring || null
+                    );
                     if (authData.familyConfig?.gistId) {
                         window.enhancedSyncManager.init(
                             authData.familyConfig.familyCode,
@@ -109,8 +170,11 @@ function AppProvider({ children }) {
                         );
                     }
                     
+                    // Post recurring transactions that fell due since last visit
+                    await window.recurringManager.postDueOccurrences();
+                    
                     // Load saved data
-                    await loadSavedData();
+                    await loadSavedData(authData.familyConfig || {});
                 }
             }
             
@@ -124,30 +188,149 @@ function AppProvider({ children }) {
         }
     };
     
-    const loadSavedData = async () => {
+    const loadCurrency = async () => {
+        const currency = await window.currencyManager.load();
+        setBaseCurrencyState(currency.baseCurrency);
+        setFxRates(currency.rates);
+    };
+    
+    const loadGoals = async () => {
+        const saved = await window.savingsManager.loadGoals();
+        setGoalRecords(saved.goals);
+        setGoalEntries(saved.entries);
+    };
+    
+    const loadShopping = async () => {
+        const saved = await window.shoppingManager.loadLists();
+        setShoppingLists(saved.lists);
+        setShoppingItems(saved.items);
+    };
+    
+    const loadInvestments = async () => {
+        const saved = await window.investmentManager.loadInvestments();
+        setHoldings(saved.holdings);
+        setInvestmentTrades(saved.trades);
+        setInvestmentPrices(saved.prices);
+    };
+    
+    // What each synced store feeds, so a sync only reloads the stores it changed; transactions are paged separately
+    const storeLoaders = {
+        accounts: async () => {
+            const saved = await window.dbManager.getAll('accounts');
+            if (saved.length) setAccounts(saved.filter(a => !a.deleted));
+        },
+        billReminders: async () => {
+            const liveBills = (await window.dbManager.getAll('billReminders')).filter(b => !b.deleted);
+            setBillReminders(liveBills);
+            window.billManager.scheduleReminders(liveBills, formatCurrency).catch(error => {
+                console.error('Failed to schedule bill reminders:', error);
+            });
+        },
+        savingsGoals: loadGoals,
+        goalContributions: loadGoals,
+        recurringRules: async () => {
+            const saved = await window.dbManager.getAll('recurringRules');
+            if (saved.length) setRecurringRules(saved.filter(r => !r.deleted));
+        },
+        categoryRules: async () => {
+            const saved = await window.categoryRuleManager.getRules();
+            if (saved.length) setCategoryRules(saved);
+        },
+        categories: async () => {
+            const saved = await window.categoryManager.loadCategories(getDefaultCategories());
+            if (saved.length) setCategoryRecords(saved);
+        },
+        budgets: async () => setBudgetLines(await window.budgetManager.loadBudgets()),
+        activityFeed: async () => {
+            const recentActivity = await window.activityFeed.getRecent();
+            setActivity(recentActivity);
+            window.activityFeed.announce(recentActivity);
+        },
+        shoppingLists: loadShopping,
+        shoppingItems: loadShopping,
+        familyTasks: async () => setFamilyTasks(await window.choreManager.loadTasks()),
+        sharedNotes: async (config) => {
+            const saved = await window.notesManager.loadNotes(config.encryptionKey);
+            setNotes(saved.notes);
+            setLockedNotes(saved.locked);
+        },
+        investments: loadInvestments,
+        investmentTrades: loadInvestments,
+        investmentPrices: loadInvestments,
+        netWorthSnapshots: async () => setNetWorthSnapshots(await window.netWorthManager.loadSnapshots())
+    };
+    
+    // Settings hold the budget mode, the roster and the invites
+    const loadSettings = async (config) => {
+        const [savedBudgetMode, savedMembers, savedInvites] = await Promise.all([
+            window.budgetManager.getMode(),
+            window.permissionManager.loadMembers(),
+            window.inviteManager.loadInvites()
+        ]);
+        
+        setBudgetModeState(savedBudgetMode);
+        const members = await ensureKeyPair(config, await ensureMember(config, savedMembers));
+        const family = savedInvites.family || await ensureFamily(config, members);
+        setFamilyConfig(prev => ({ ...prev, members, familyName: family?.name || prev.familyName }));
+        setInvites(savedInvites.invites);
+    };
+    
+    // Takes the config explicitly on startup, before familyConfig state has updated
+    const loadSavedData = async (config = familyConfig) => {
         try {
-            const [
-                savedTransactions,
-                savedAccounts,
-                savedBillReminders,
-                savedSavingsGoals
-            ] = await Promise.all([
-                window.dbManager.getAll('transactions'),
-                window.dbManager.getAll('accounts'),
-                window.dbManager.getAll('billReminders'),
-                window.dbManager.getAll('savingsGoals')
-            ]);
+            // Rates and account currencies first, since the aggregates convert with them
+            await loadCurrency();
             
-            if (savedTransactions.length) setTransactions(savedTransactions);
-            if (savedAccounts.length) setAccounts(savedAccounts);
-            if (savedBillReminders.length) setBillReminders(savedBillReminders);
-            if (savedSavingsGoals.length) setSavingsGoals(savedSavingsGoals);
+            const [firstPage] = await Promise.all([
+                window.dbManager.getPage('transactions', 'date', { limit: TRANSACTION_PAGE_SIZE }),
+                window.ledgerAggregates.rebuild(),
+                ...[...new Set(Object.values(storeLoaders))].map(load => load(config))
+            ]);
             
+            setTransactions(firstPage.items.filter(t => !t.deleted));
+            setTransactionCursor(firstPage.cursor);
+            setLedgerVersion(version => version + 1);
+            await loadSettings(config);
+            setDataLoaded(true);
+        
         } catch (error) {
             console.error('Failed to load saved data:', error);
         }
     };
     
+    // Take in what a sync changed without starting the transaction pages or the aggregates over
+    const applySyncChanges = async (changes) => {
+        const types = Object.keys(changes);
+        if (types.length === 0) return;
+        
+        try {
+            // Every converted total depends on the rates, base currency and account currencies
+            const currencyChanged = types.includes('fxRates') || types.includes('accounts') ||
+                (changes.settings?.added || []).some(record => record.id === window.currencyManager.settingsId);
+            
+            if (currencyChanged) {
+                await loadCurrency();
+                await window.ledgerAggregates.rebuild();
+                setLedgerVersion(version => version + 1);
+            } else if (changes.transactions) {
+                applyLedgerChange(changes.transactions.removed, changes.transactions.added);
+            }
+            
+            if (changes.transactions) {
+                placeSynced(changes.transactions.added);
+            }
+            
+            const loaders = new Set(types.map(type => storeLoaders[type]).filter(Boolean));
+            await Promise.all([...loaders].map(load => load(familyConfig)));
+            
+            if (changes.settings) {
+                await loadSettings(familyConfig);
+            }
+        } catch (error) {
+            console.error('Failed to apply synced changes:', error);
+        }
+    };
+    
     const applyTheme = (themeMode) => {
         let isDark = false;
         
@@ -166,1258 +349,8263 @@ function AppProvider({ children }) {
         }
     };
     
-    const addTransaction = async (transaction) => {
-        const newTransaction = {
-            ...transaction,
-            id: window.SecurityManager.generateUUID(),
-            createdAt: new Date().toISOString(),
-            memberCode: familyConfig.memberCode
-        };
+    // Roles
+    const currentRole = useMemo(
+        () => window.permissionManager.getMemberRole(familyConfig.members || [], familyConfig.memberCode),
+        [familyConfig.members, familyConfig.memberCode]
+    );
+    
+    const can = (permission) => window.permissionManager.can(currentRole, permission);
+    
+    // Mutations start with this, so a refused change never reaches the store or the sync queue
+    const denied = (permission) => {
+        if (can(permission)) return false;
         
-        setTransactions(prev => [newTransaction, ...prev]);
+        showNotification(window.permissionManager.getDenial(currentRole, permission), 'error');
+        return true;
+    };
+    
+    // Put this device's member on the roster; families set up before roles existed seed it from the saved config
+    const ensureMember = async (config, members) => {
+        if (!config.memberCode || members.some(m => m.code === config.memberCode)) return members;
         
-        // Save to IndexedDB
-        await window.dbManager.save('transactions', newTransaction);
+        const known = (config.members || []).find(m => m.code === config.memberCode);
+        const member = await window.permissionManager.saveMember(window.permissionManager.createMember(
+            known || { code: config.memberCode, name: config.memberName }
+        ));
         
-        // Queue for sync
-        if (familyConfig.syncEnabled) {
+        if (config.syncEnabled) {
             window.enhancedSyncManager.queueOperation({
                 type: 'CREATE',
-                entity: 'transactions',
-                data: newTransaction
+                entity: 'settings',
+                data: member
             });
         }
         
-        showNotification('Transaction added successfully!', 'success');
+        return [...members, member];
     };
     
-    // Calculate statistics
-    const statistics = useMemo(() => {
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
+    // Publish the family's name and key check for joining devices; only an admin can
+    const ensureFamily = async (config, members) => {
+        const role = window.permissionManager.getMemberRole(members, config.memberCode);
+        if (!window.permissionManager.can(role, 'manageMembers') || !config.encryptionKey) return null;
         
-        const monthlyTransactions = transactions.filter(t => {
-            const date = new Date(t.date);
-            return date.getMonth() === currentMonth && 
-                   date.getFullYear() === currentYear;
+        const family = window.inviteManager.createFamilyRecord({
+            name: config.familyName,
+            encryptionKey: config.encryptionKey
         });
+        await window.dbManager.save('settings', family);
+        
+        if (config.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'CREATE',
+                entity: 'settings',
+                data: family
+            });
+        }
         
-        const income = monthlyTransactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        return family;
+    };
+    
+    // Give this device a key pair and put its public half on the roster, so a rotated family key can be sealed to it
+    const ensureKeyPair = async (config, members) => {
+        const member = members.find(m => m.code === config.memberCode);
+        if (!member) return members;
         
-        const expenses = monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        let keyPair = config.keyPair;
+        if (!keyPair) {
+            keyPair = await window.keyManager.createKeyPair();
+            if (!keyPair) return members;
+            updateFamilyConfig({ keyPair });
+        }
+        if (member.publicKey?.x === keyPair.publicKey.x) return members;
         
-        const balance = income - expenses;
+        const saved = await window.permissionManager.saveMember({ ...member, publicKey: keyPair.publicKey });
         
-        const categoryBreakdown = {};
-        monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .forEach(t => {
-                categoryBreakdown[t.category] = 
-                    (categoryBreakdown[t.category] || 0) + (t.amount || 0);
+        if (config.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
             });
+        }
         
-        const totalBalance = accounts.reduce((sum, acc) => sum + (acc.balance || 0), 0);
-        const totalSavings = savingsGoals.reduce((sum, goal) => sum + (goal.current || 0), 0);
+        return members.map(m => m.code === saved.code ? saved : m);
+    };
+    
+    // Change the config for this session and for the next start
+    const updateFamilyConfig = (changes) => {
+        setFamilyConfig(prev => ({ ...prev, ...changes }));
         
-        return {
-            monthlyIncome: income,
-            monthlyExpenses: expenses,
-            monthlyBalance: balance,
-            categoryBreakdown,
-            totalBalance,
-            totalSavings,
-            netWorth: totalBalance + totalSavings
-        };
-    }, [transactions, accounts, savingsGoals]);
+        const savedAuth = localStorage.getItem(`${STORAGE_PREFIX}auth`);
+        if (savedAuth) {
+            const authData = JSON.parse(savedAuth);
+            authData.familyConfig = { ...authData.familyConfig, ...changes };
+            localStorage.setItem(`${STORAGE_PREFIX}auth`, JSON.stringify(authData));
+        }
+    };
     
-    const contextValue = {
-        // State
-        isLoggedIn,
-        currentUser,
-        familyConfig,
-        activeTab,
-        activeView,
-        transactions,
-        budget,
-        savingsGoals,
-        categories,
-        billReminders,
-        accounts,
-        loading,
-        syncStatus,
-        theme,
-        showAddTransaction,
+    const createInvite = async () => {
+        if (denied('manageMembers')) return null;
         
-        // Computed
-        statistics,
+        const sync = window.enhancedSyncManager;
+        let gistId = familyConfig.gistId;
         
-        // Methods
-        setIsLoggedIn,
-        setCurrentUser,
-        setFamilyConfig,
-        setActiveTab,
-        setActiveView,
-        setTransactions,
-        setBudget,
-        setSavingsGoals,
-        setBillReminders,
-        setAccounts,
-        setLoading,
-        setSyncStatus,
-        setTheme,
-        setShowAddTransaction,
-        showNotification,
-        addTransaction,
-        applyTheme,
-        loadSavedData
+        if (!window.keyManager.getJoinKey(familyConfig)) {
+            showNotification("This device doesn't have the key invites are sealed with; ask another admin to create the invite", 'error');
+            return null;
+        }
+        
+        // The invite tells the new device where the family syncs, so there has to be somewhere
+        if (!gistId && !sync.gistToken) {
+            showNotification("Set up sync first; invites tell the new device where your family's data is", 'error');
+            return null;
+        }
+        if (!gistId) {
+            try {
+                if (!sync.familyCode) {
+                    sync.init(familyConfig.familyCode, familyConfig.memberCode);
+                }
+                gistId = (await sync.createGist()).id;
+            } catch (error) {
+                showNotification(`Couldn't set up sync for invites: ${error.message}`, 'error');
+                return null;
+            }
+            updateFamilyConfig({ gistId });
+        }
+        
+        const { family: savedFamily } = await window.inviteManager.loadInvites();
+        const family = savedFamily || await ensureFamily(familyConfig, familyConfig.members || []);
+        const { invite, secret } = await window.inviteManager.createInvite(familyConfig);
+        
+        await window.dbManager.save('settings', invite);
+        setInvites(prev => [invite, ...prev]);
+        
+        if (familyConfig.syncEnabled) {
+            sync.queueOperation({
+                type: 'CREATE',
+                entity: 'settings',
+                data: invite
+            });
+        }
+        
+        // The joining device checks the invite against the synced data, so publish it now
+        await sync.syncNow({ quiet: true });
+        
+        const token = window.inviteManager.encodeToken(invite, secret, { ...familyConfig, gistId }, family);
+        return { invite, token, link: window.inviteManager.getLink(token) };
     };
     
-    // Make context available globally
-    useEffect(() => {
-        window.appContext = contextValue;
-    }, [contextValue]);
-    
-    return (
-        <AppContext.Provider value={contextValue}>
-            {children}
-        </AppContext.Provider>
-    );
-}
-
-// =====================================================
-// LOGIN COMPONENT
-// =====================================================
-
-function LoginScreen() {
-    const context = useContext(AppContext);
-    const [step, setStep] = useState('welcome'); // welcome, setup, join
-    const [familyCode, setFamilyCode] = useState('');
-    const [familyName, setFamilyName] = useState('');
-    const [memberName, setMemberName] = useState('');
-    const [pin, setPin] = useState('');
-    const [error, setError] = useState('');
-    
-    const handleSetup = async (e) => {
-        e.preventDefault();
-        setError('');
+    const revokeInvite = async (inviteId) => {
+        if (denied('manageMembers')) return null;
         
-        // Validate inputs
-        if (!familyName || !memberName || !pin) {
-            setError('Please fill in all fields');
-            return;
-        }
+        const invite = invites.find(i => i.inviteId === inviteId);
+        if (!invite) return null;
         
-        const pinValidation = window.SecurityManager.validatePin(pin);
-        if (!pinValidation.valid) {
-            setError(pinValidation.message);
-            return;
+        let saved;
+        try {
+            saved = window.inviteManager.planRevoke(invite, familyConfig.memberCode);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
         }
         
-        // Generate family code
-        const generatedFamilyCode = window.SecurityManager.generateRandomString(8).toUpperCase();
-        const memberCode = window.SecurityManager.generateUUID();
-        const encryptionKey = window.SecurityManager.generateFamilyKey(generatedFamilyCode, pin);
+        await window.dbManager.save('settings', saved);
+        setInvites(prev => prev.map(i => i.id === saved.id ? saved : i));
         
-        // Set up family config
-        const config = {
-            familyCode: generatedFamilyCode,
-            familyName,
-            memberCode,
-            memberName,
-            encryptionKey,
-            syncEnabled: true,
-            gistId: null,
-            members: [{
-                code: memberCode,
-                name: memberName,
-                role: 'admin',
-                joinedAt: new Date().toISOString()
-            }]
-        };
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
+            });
+        }
+        window.enhancedSyncManager.requestSync();
         
-        // Save auth data
-        const authData = {
-            user: { id: memberCode, name: memberName },
-            familyConfig: config,
-            expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-        };
+        showNotification('Invite revoked', 'success');
+        return saved;
+    };
+    
+    const setMemberRole = async (memberCode, role) => {
+        if (denied('manageMembers')) return null;
         
-        localStorage.setItem(`${STORAGE_PREFIX}auth`, JSON.stringify(authData));
+        let saved;
+        try {
+            saved = window.permissionManager.planRoleChange(familyConfig.members || [], memberCode, role);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
         
-        // Update context
-        context.setCurrentUser(authData.user);
-        context.setFamilyConfig(config);
-        context.setIsLoggedIn(true);
+        await window.permissionManager.saveMember(saved);
+        setFamilyConfig(prev => ({
+            ...prev,
+            members: prev.members.map(m => m.code === memberCode ? saved : m)
+        }));
         
-        // Initialize sync
-        window.enhancedSyncManager.init(generatedFamilyCode, memberCode);
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
+            });
+        }
         
-        // Show success message
-        context.showNotification(`Welcome ${memberName}! Your family code is: ${generatedFamilyCode}`, 'success');
+        showNotification(`${saved.name} is now ${window.permissionManager.roles[role].label.toLowerCase()}`, 'success');
+        return saved;
     };
     
-    const handleJoin = async (e) => {
-        e.preventDefault();
-        setError('');
+    // Move this device onto a new family key; notes are re-encrypted so they still open
+    const switchFamilyKey = async ({ encryptionKey, keyId, keyring }) => {
+        // Older families' PIN-derived key was the family key itself, so keep it for invites before it's replaced
+        const joinKey = window.keyManager.getJoinKey(familyConfig);
         
-        // Validate inputs
-        if (!familyCode || !memberName || !pin) {
-            setError('Please fill in all fields');
+        await window.dbManager.reencrypt('sharedNotes', familyConfig.encryptionKey, encryptionKey);
+        window.enhancedSyncManager.setFamilyKey(encryptionKey, keyId, keyring);
+        updateFamilyConfig({ encryptionKey, keyId, keyring, joinKey });
+    };
+    
+    // Sync found a newer keyring; open this device's copy of the key in it, or null when there's none
+    const openKeyring = (keyring) => window.keyManager.openKeyring(
+        keyring,
+        familyConfig.memberCode,
+        familyConfig.keyPair?.privateKey
+    );
+    
+    // Sync checked a keyring against the family's data; take its key, or just the keyring when the key is the current one
+    const adoptFamilyKey = async ({ encryptionKey, keyId, keyring }) => {
+        if (keyId === window.keyManager.getKeyId(familyConfig)) {
+            window.enhancedSyncManager.setFamilyKey(familyConfig.encryptionKey, keyId, keyring);
+            updateFamilyConfig({ keyring });
             return;
         }
         
-        const memberCode = window.SecurityManager.generateUUID();
-        const encryptionKey = window.SecurityManager.generateFamilyKey(familyCode.toUpperCase(), pin);
+        await switchFamilyKey({ encryptionKey, keyId, keyring });
+    };
+    
+    // Removing a member rotates the family key, so their device can't open anything synced afterwards
+    const removeMember = async (memberCode) => {
+        if (denied('manageMembers')) return null;
         
-        // Set up family config
-        const config = {
-            familyCode: familyCode.toUpperCase(),
-            familyName: 'Family', // Will be updated from sync
-            memberCode,
-            memberName,
-            encryptionKey,
-            syncEnabled: true,
-            gistId: null,
-            members: []
-        };
+        const members = familyConfig.members || [];
+        let tombstone;
+        try {
+            tombstone = window.permissionManager.planRemoval(members, memberCode, familyConfig.memberCode);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
         
-        // Save auth data
-        const authData = {
-            user: { id: memberCode, name: memberName },
-            familyConfig: config,
-            expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-        };
+        if (familyConfig.gistId && !navigator.onLine) {
+            showNotification("You're offline; removing a member needs a connection so the new key reaches everyone", 'error');
+            return null;
+        }
         
-        localStorage.setItem(`${STORAGE_PREFIX}auth`, JSON.stringify(authData));
+        const removed = members.find(m => m.code === memberCode);
+        const remaining = members.filter(m => m.code !== memberCode);
+        const familyKey = window.keyManager.createFamilyKey();
+        let rotation;
+        try {
+            rotation = await window.keyManager.createKeyring(familyKey, remaining, familyConfig.memberCode);
+        } catch (error) {
+            showNotification(`Couldn't change the family key: ${error.message}`, 'error');
+            return null;
+        }
         
-        // Update context
-        context.setCurrentUser(authData.user);
-        context.setFamilyConfig(config);
-        context.setIsLoggedIn(true);
+        // The family record's key check moves to the new key, and open invites carry the old one
+        const { family: savedFamily } = await window.inviteManager.loadInvites();
+        const family = window.inviteManager.createFamilyRecord({
+            name: savedFamily?.name || familyConfig.familyName,
+            encryptionKey: familyKey.encryptionKey
+        });
+        const revoked = invites
+            .filter(invite => window.inviteManager.getStatus(invite) === 'active')
+            .map(invite => window.inviteManager.planRevoke(invite, familyConfig.memberCode));
+        const records = [tombstone, family, ...revoked];
         
-        // Initialize sync
-        window.enhancedSyncManager.init(familyCode.toUpperCase(), memberCode);
+        await window.dbManager.saveBatch('settings', records);
+        await switchFamilyKey({ ...familyKey, keyring: rotation.keyring });
+        setFamilyConfig(prev => ({ ...prev, members: remaining }));
+        setInvites(prev => prev.map(i => revoked.find(r => r.id === i.id) || i));
         
-        // Show success message
-        context.showNotification(`Welcome ${memberName}!`, 'success');
+        if (familyConfig.syncEnabled) {
+            records.forEach(record => {
+                window.enhancedSyncManager.queueOperation({
+                    type: record.deleted ? 'DELETE' : 'UPDATE',
+                    entity: 'settings',
+                    data: record
+                });
+            });
+        }
+        
+        // Publish the keyring now, so the remaining members move to the new key on their next sync
+        if (familyConfig.gistId) {
+            await window.enhancedSyncManager.syncNow({ quiet: true });
+        }
+        
+        showNotification(`${removed.name} was removed and the family key was changed`, 'success');
+        if (rotation.missing.length > 0) {
+            showNotification(
+                `${rotation.missing.map(m => m.name).join(', ')} had no device key to send the new one to, so they'll need a new invite to rejoin`,
+                'warning'
+            );
+        }
+        return tombstone;
     };
     
-    if (step === 'welcome') {
+    const loadMoreTransactions = async () => {
+        if (loadingPageRef.current || !transactionCursor) return;
+        
+        loadingPageRef.current = true;
+        try {
+            const page = await window.dbManager.getPage('transactions', 'date', {
+                limit: TRANSACTION_PAGE_SIZE,
+                after: transactionCursor
+            });
+            
+            // Entries added this session may already be loaded
+            setTransactions(prev => {
+                const loadedIds = new Set(prev.map(t => t.id));
+                return [...prev, ...page.items.filter(t => !t.deleted && !loadedIds.has(t.id))];
+            });
+            setTransactionCursor(page.cursor);
+        } finally {
+            loadingPageRef.current = false;
+        }
+    };
+    
+    const newestFirst = (a, b) => {
+        const byDate = String(b.date).localeCompare(String(a.date));
+        return byDate !== 0 ? byDate : String(b.createdAt).localeCompare(String(a.createdAt));
+    };
+    
+    // Put new or changed transactions into the loaded pages
+    const upsertLoaded = (items) => {
+        const itemIds = new Set(items.map(t => t.id));
+        setTransactions(prev => [...items, ...prev.filter(t => !itemIds.has(t.id))].sort(newestFirst));
+    };
+    
+    // Put synced transactions into the loaded pages; ones older than those loaded arrive with their page
+    const placeSynced = (items) => {
+        const oldestLoaded = transactionCursor?.key;
+        const itemIds = new Set(items.map(t => t.id));
+        const inRange = items.filter(t => !t.deleted && (!oldestLoaded || String(t.date) >= String(oldestLoaded)));
+        setTransactions(prev => [...inRange, ...prev.filter(t => !itemIds.has(t.id))].sort(newestFirst));
+    };
+    
+    const applyLedgerChange = (removed, added) => {
+        window.ledgerAggregates.replace(removed, added);
+        setLedgerVersion(version => version + 1);
+    };
+    
+    const getAllTransactions = async () => {
+        const all = await window.dbManager.getAll('transactions');
+        return all.filter(t => !t.deleted);
+    };
+    
+    const categorizeTransaction = (transaction) => {
+        return window.categoryRuleManager.categorize(transaction, categoryRules);
+    };
+    
+    const addTransaction = async (transaction) => {
+        if (denied('addTransactions')) return;
+        
+        const newTransaction = {
+            ...transaction,
+            category: transaction.category || categorizeTransaction(transaction) ||
+                (transaction.type === 'income' ? 'other_income' : 'other_expense'),
+            tags: transaction.tags || [],
+            id: window.SecurityManager.generateUUID(),
+            createdAt: new Date().toISOString(),
+            familyMember: transaction.familyMember || familyConfig.memberCode,
+            memberCode: familyConfig.memberCode
+        };
+        
+        upsertLoaded([newTransaction]);
+        
+        // Save to IndexedDB
+        await window.dbManager.save('transactions', newTransaction);
+        applyLedgerChange([], [newTransaction]);
+        
+        // Queue for sync
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'CREATE',
+                entity: 'transactions',
+                data: newTransaction
+            });
+        }
+        
+        showNotification('Transaction added successfully!', 'success');
+        checkBudgetAlerts();
+    };
+    
+    const importTransactions = async (rows, accountId = null) => {
+        if (denied('addTransactions')) return null;
+        
+        const importedAt = new Date().toISOString();
+        const imported = rows.map(row => ({
+            id: window.SecurityManager.generateUUID(),
+            type: row.type,
+            amount: row.amount,
+            description: row.description,
+            notes: row.notes || '',
+            category: row.category || categorizeTransaction({ ...row, accountId }) ||
+                (row.type === 'income' ? 'other_income' : 'other_expense'),
+            date: row.date,
+            accountId,
+            externalId: row.externalId || null,
+            importedAt,
+            createdAt: importedAt,
+            familyMember: familyConfig.memberCode,
+            memberCode: familyConfig.memberCode
+        }));
+        
+        upsertLoaded(imported);
+        
+        // Bulk insert in a single IndexedDB transaction
+        await window.dbManager.saveBatch('transactions', imported);
+        applyLedgerChange([], imported);
+        
+        if (familyConfig.syncEnabled) {
+            for (const transaction of imported) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: 'CREATE',
+                    entity: 'transactions',
+                    data: transaction
+                });
+            }
+        }
+        
+        showNotification(`Imported ${imported.length} transactions`, 'success');
+        checkBudgetAlerts();
+        return imported;
+    };
+    
+    const addTransfer = async (transfer) => {
+        if (denied('addTransactions')) return null;
+        
+        const legs = window.accountManager.createTransfer({
+            ...transfer,
+            memberCode: familyConfig.memberCode
+        }).map(leg => ({ ...leg, familyMember: familyConfig.memberCode }));
+        
+        upsertLoaded(legs);
+        
+        // Save both legs together
+        await window.dbManager.saveBatch('transactions', legs);
+        applyLedgerChange([], legs);
+        
+        if (familyConfig.syncEnabled) {
+            for (const leg of legs) {
+                window.enhancedSyncManager.queueOperation({
+                    type: 'CREATE',
+                    entity: 'transactions',
+                    data: leg
+                });
+            }
+        }
+        
+        showNotification('Transfer recorded', 'success');
+        return legs;
+    };
+    
+    // Both legs of a transfer are edited and deleted together
+    // Read from the store, since the other leg may not be in a loaded page
+    const getTransactionGroup = async (transactionId) => {
+        const transaction = await window.dbManager.get('transactions', transactionId);
+        if (!transaction || transaction.deleted) return [];
+        if (!transaction.transferId) return [transaction];
+        
+        const legs = await Promise.all(
+            ['out', 'in'].map(direction => window.dbManager.get('transactions', `${transaction.transferId}_${direction}`))
+        );
+        return legs.filter(leg => leg && !leg.deleted);
+    };
+    
+    const persistTransactions = async (items, operationType) => {
+        await window.dbManager.saveBatch('transactions', items);
+        
+        if (familyConfig.syncEnabled) {
+            for (const item of items) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: operationType,
+                    entity: 'transactions',
+                    data: item
+                });
+            }
+        }
+    };
+    
+    const restoreTransactions = async (originals) => {
+        if (denied(window.permissionManager.getTransactionPermission(originals[0], null, familyConfig.memberCode))) return;
+        
+        const restored = originals.map(t => ({ ...t }));
+        const current = await Promise.all(restored.map(t => window.dbManager.get('transactions', t.id)));
+        
+        upsertLoaded(restored);
+        await persistTransactions(restored, 'UPDATE');
+        applyLedgerChange(current.filter(t => t && !t.deleted), restored);
+        showNotification('Change undone', 'info');
+    };
+    
+    const editTransaction = (transaction) => {
+        setEditingTransaction(transaction);
+        setShowAddTransaction(true);
+    };
+    
+    const updateTransaction = async (transactionId, changes) => {
+        const originals = await getTransactionGroup(transactionId);
+        if (originals.length === 0) return;
+        if (denied(window.permissionManager.getTransactionPermission(originals[0], null, familyConfig.memberCode))) return;
+        
+        const updated = originals[0].type === 'transfer'
+            ? window.accountManager.updateTransfer(originals, changes)
+            : [{ ...originals[0], ...changes, id: transactionId }];
+        upsertLoaded(updated);
+        await persistTransactions(updated, 'UPDATE');
+        applyLedgerChange(originals, updated);
+        
+        window.notificationManager.undo('Transaction updated', () => restoreTransactions(originals));
+        checkBudgetAlerts();
+    };
+    
+    const deleteTransaction = async (transactionId) => {
+        if (denied('deleteTransactions')) return;
+        
+        const originals = await getTransactionGroup(transactionId);
+        if (originals.length === 0) return;
+        
+        // Tombstones stop the remote copy from bringing the transaction back
+        const deletedAt = new Date().toISOString();
+        const tombstones = originals.map(t => ({
+            id: t.id,
+            deleted: true,
+            deletedAt,
+            createdAt: t.createdAt
+        }));
+        const deletedIds = new Set(tombstones.map(t => t.id));
+        
+        setTransactions(prev => prev.filter(t => !deletedIds.has(t.id)));
+        await persistTransactions(tombstones, 'DELETE');
+        applyLedgerChange(originals, []);
+        
+        window.notificationManager.undo(
+            originals.length > 1 ? 'Transfer deleted' : 'Transaction deleted',
+            () => restoreTransactions(originals)
+        );
+    };
+    
+    // Accounts
+    const saveAccount = async (account) => {
+        if (denied('manageAccounts')) return null;
+        
+        const saved = window.accountManager.createAccount(account);
+        const previous = accounts.find(a => a.id === saved.id);
+        const nextAccounts = account.id
+            ? accounts.map(a => a.id === saved.id ? { ...a, ...saved } : a)
+            : [...accounts, saved];
+        
+        setAccounts(nextAccounts);
+        
+        await window.dbManager.save('accounts', saved);
+        
+        // The account's entries are now read in its new currency
+        window.currencyManager.setAccountCurrencies(nextAccounts);
+        if (previous && (previous.currency || null) !== saved.currency) {
+            await rebuildLedger();
+        }
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: account.id ? 'UPDATE' : 'CREATE',
+                entity: 'accounts',
+                data: saved
+            });
+        }
+        
+        showNotification(account.id ? 'Account updated' : 'Account added', 'success');
+        return saved;
+    };
+    
+    const deleteAccount = async (accountId) => {
+        if (denied('manageAccounts')) return;
+        
+        const hasLedger = window.ledgerAggregates.hasEntries(accountId);
+        
+        if (hasLedger) {
+            // Keep the ledger intact, just hide the account
+            const account = accounts.find(a => a.id === accountId);
+            const archived = { ...account, archived: true };
+            setAccounts(prev => prev.map(a => a.id === accountId ? archived : a));
+            await window.dbManager.save('accounts', archived);
+            
+            if (familyConfig.syncEnabled) {
+                window.enhancedSyncManager.queueOperation({
+                    type: 'UPDATE',
+                    entity: 'accounts',
+                    data: archived
+                });
+            }
+            
+            showNotification('Account has transactions, so it was archived', 'info');
+            return;
+        }
+        
+        const tombstone = { id: accountId, deleted: true, deletedAt: new Date().toISOString() };
+        setAccounts(prev => prev.filter(a => a.id !== accountId));
+        await window.dbManager.save('accounts', tombstone);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'accounts',
+                data: tombstone
+            });
+        }
+        
+        showNotification('Account deleted', 'success');
+    };
+    
+    // Category rules
+    const saveCategoryRule = async (rule) => {
+        if (denied('changeSettings')) return null;
+        
+        const priority = rule.id
+            ? rule.priority
+            : Math.max(0, ...categoryRules.map(r => r.priority || 0)) + 1;
+        const saved = await window.categoryRuleManager.saveRule({ ...rule, priority });
+        
+        setCategoryRules(prev => window.categoryRuleManager.sortRules(
+            rule.id ? prev.map(r => r.id === saved.id ? saved : r) : [...prev, saved]
+        ));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: rule.id ? 'UPDATE' : 'CREATE',
+                entity: 'categoryRules',
+                data: saved
+            });
+        }
+        
+        showNotification('Rule saved', 'success');
+        return saved;
+    };
+    
+    const deleteCategoryRule = async (ruleId) => {
+        if (denied('changeSettings')) return;
+        
+        await window.categoryRuleManager.deleteRule(ruleId);
+        setCategoryRules(prev => prev.filter(r => r.id !== ruleId));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'categoryRules',
+                data: { id: ruleId }
+            });
+        }
+        
+        showNotification('Rule deleted', 'success');
+    };
+    
+    const rerunCategoryRules = async (overwrite = false) => {
+        if (denied('changeSettings')) return 0;
+        
+        const allTransactions = await getAllTransactions();
+        const changed = window.categoryRuleManager.recategorize(allTransactions, categoryRules, overwrite);
+        
+        if (changed.length === 0) {
+            showNotification('No transactions needed recategorizing', 'info');
+            return 0;
+        }
+        
+        const changedById = new Map(changed.map(t => [t.id, t]));
+        setTransactions(prev => prev.map(t => changedById.get(t.id) || t));
+        
+        await window.dbManager.saveBatch('transactions', changed);
+        applyLedgerChange(allTransactions.filter(t => changedById.has(t.id)), changed);
+        
+        if (familyConfig.syncEnabled) {
+            for (const transaction of changed) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: 'UPDATE',
+                    entity: 'transactions',
+                    data: transaction
+                });
+            }
+        }
+        
+        showNotification(`Recategorized ${changed.length} transactions`, 'success');
+        return changed.length;
+    };
+    
+    // Categories
+    const saveCategory = async (category) => {
+        if (denied('changeSettings')) return null;
+        
+        const existing = categoryRecords.find(c => c.id === category.id);
+        const saved = window.categoryManager.createCategory({ ...existing, ...category }, categoryRecords);
+        
+        if (!saved.name) {
+            showNotification('Category needs a name', 'error');
+            return null;
+        }
+        
+        setCategoryRecords(prev => existing
+            ? prev.map(c => c.id === saved.id ? saved : c)
+            : [...prev, saved]);
+        
+        await window.dbManager.save('categories', saved);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: existing ? 'UPDATE' : 'CREATE',
+                entity: 'categories',
+                data: saved
+            });
+        }
+        
+        showNotification(existing ? 'Category updated' : 'Category added', 'success');
+        return saved;
+    };
+    
+    const mergeCategory = async (fromId, toId) => {
+        if (denied('changeSettings')) return false;
+        
+        const allTransactions = await getAllTransactions();
+        
+        let plan;
+        try {
+            plan = window.categoryManager.planMerge(fromId, toId, {
+                categories: categoryRecords,
+                transactions: allTransactions,
+                budgets: budgetLines,
+                categoryRules,
+                recurringRules
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return false;
+        }
+        
+        const replaceById = (changed) => {
+            const byId = new Map(changed.map(item => [item.id, item]));
+            return (prev) => prev.map(item => byId.get(item.id) || item);
+        };
+        
+        setCategoryRecords(replaceById(plan.categories));
+        setTransactions(replaceById(plan.transactions));
+        setCategoryRules(replaceById(plan.categoryRules));
+        setRecurringRules(replaceById(plan.recurringRules));
+        setBudgetLines(prev => mergeBudgetLines(prev, plan.budgets));
+        
+        const changes = {
+            categories: plan.categories,
+            transactions: plan.transactions,
+            categoryRules: plan.categoryRules,
+            recurringRules: plan.recurringRules,
+            budgets: plan.budgets
+        };
+        
+        const movedIds = new Set(plan.transactions.map(t => t.id));
+        applyLedgerChange(allTransactions.filter(t => movedIds.has(t.id)), plan.transactions);
+        
+        for (const [storeName, items] of Object.entries(changes)) {
+            if (items.length === 0) continue;
+            
+            await window.dbManager.saveBatch(storeName, items);
+            
+            if (familyConfig.syncEnabled) {
+                for (const item of items) {
+                    await window.enhancedSyncManager.queueOperation({
+                        type: 'UPDATE',
+                        entity: storeName,
+                        data: item
+                    });
+                }
+            }
+        }
+        
+        const target = categoryRecords.find(c => c.id === toId);
+        showNotification(
+            `Moved ${plan.transactions.length} transactions to ${target.name}`,
+            'success'
+        );
+        return true;
+    };
+    
+    // Budgets
+    const mergeBudgetLines = (lines, changed) => {
+        const byId = new Map(lines.map(line => [line.id, line]));
+        changed.forEach(line => byId.set(line.id, line));
+        return [...byId.values()].filter(line => !line.deleted);
+    };
+    
+    const persistBudgetLines = async (lines) => {
+        if (lines.length === 0) return;
+        
+        await window.dbManager.saveBatch('budgets', lines);
+        setBudgetLines(prev => mergeBudgetLines(prev, lines));
+        
+        if (familyConfig.syncEnabled) {
+            for (const line of lines) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: 'UPDATE',
+                    entity: 'budgets',
+                    data: line
+                });
+            }
+        }
+    };
+    
+    const saveBudget = async (period, entries) => {
+        if (denied('editBudgets')) return;
+        
+        // entries: { [category]: { amount, rollover } }; emptied lines are removed
+        const current = window.budgetManager.getLines(budgetLines, period);
+        const lines = Object.entries(entries)
+            .map(([category, entry]) => {
+                const existing = current.find(line => line.category === category);
+                const line = window.budgetManager.createLine({ ...existing, ...entry, period, category });
+                
+                if (!line.amount && !line.rollover && !line.moved) {
+                    return existing ? { ...existing, amount: 0, deleted: true } : null;
+                }
+                return line;
+            })
+            .filter(Boolean);
+        
+        await persistBudgetLines(lines);
+        showNotification('Budget updated successfully!', 'success');
+        checkBudgetAlerts();
+    };
+    
+    const setBudgetMode = async (mode) => {
+        if (denied('editBudgets')) return;
+        
+        const saved = await window.budgetManager.setMode(mode);
+        setBudgetModeState(mode);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
+            });
+        }
+        
+        showNotification(`Budgeting with ${window.budgetManager.modes[mode].label.toLowerCase()}`, 'success');
+    };
+    
+    const moveBudgetMoney = async (period, fromId, toId, amount) => {
+        if (denied('editBudgets')) return false;
+        
+        let lines;
+        try {
+            lines = window.budgetManager.planMove(budgetLines, period, fromId, toId, amount);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return false;
+        }
+        
+        await persistBudgetLines(lines);
+        showNotification('Money moved between envelopes', 'success');
+        return true;
+    };
+    
+    const checkBudgetAlerts = async () => {
+        try {
+            await window.budgetAlerts.check(categories);
+        } catch (error) {
+            console.error('Failed to check budget alerts:', error);
+        }
+    };
+    
+    const saveBudgetAlertThresholds = async (categoryId, thresholds) => {
+        if (denied('editBudgets')) return null;
+        
+        const saved = await window.budgetAlerts.saveThresholds(categoryId, thresholds);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
+            });
+        }
+        
+        checkBudgetAlerts();
+        return saved;
+    };
+    
+    const copyBudgetForward = async (period) => {
+        if (denied('editBudgets')) return;
+        
+        const lines = window.budgetManager.planCopyForward(budgetLines, period);
+        if (lines.length === 0) {
+            showNotification('No earlier budget to copy', 'info');
+            return;
+        }
+        
+        await persistBudgetLines(lines);
+        showNotification(`Copied ${lines.length} budget lines`, 'success');
+    };
+    
+    // Currencies
+    const rebuildLedger = async () => {
+        await window.ledgerAggregates.rebuild();
+        setLedgerVersion(version => version + 1);
+    };
+    
+    const setBaseCurrency = async (code) => {
+        if (denied('changeSettings')) return;
+        
+        const saved = await window.currencyManager.setBaseCurrency(code);
+        setBaseCurrencyState(code);
+        await rebuildLedger();
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'UPDATE',
+                entity: 'settings',
+                data: saved
+            });
+        }
+        
+        showNotification(`Reports are now in ${window.currencyManager.getName(code)}`, 'success');
+    };
+    
+    const persistFxRates = async (changed, type) => {
+        await window.dbManager.saveBatch('fxRates', changed);
+        
+        const changedIds = new Set(changed.map(rate => rate.id));
+        const next = [...fxRates.filter(rate => !changedIds.has(rate.id)), ...changed.filter(rate => !rate.deleted)];
+        window.currencyManager.setRates(next);
+        setFxRates(window.currencyManager.rates);
+        await rebuildLedger();
+        
+        if (familyConfig.syncEnabled) {
+            changed.forEach(data => {
+                window.enhancedSyncManager.queueOperation({ type, entity: 'fxRates', data });
+            });
+        }
+    };
+    
+    const saveFxRate = async (rate) => {
+        if (denied('changeSettings')) return null;
+        
+        let saved;
+        try {
+            saved = window.currencyManager.createRate(rate);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        await persistFxRates([saved], fxRates.some(r => r.id === saved.id) ? 'UPDATE' : 'CREATE');
+        showNotification(`${saved.currency} rate saved`, 'success');
+        return saved;
+    };
+    
+    const deleteFxRate = async (rateId) => {
+        if (denied('changeSettings')) return;
+        
+        await persistFxRates([{ id: rateId, deleted: true, deletedAt: new Date().toISOString() }], 'DELETE');
+        showNotification('Rate removed', 'success');
+    };
+    
+    const importFxRates = async (text) => {
+        if (denied('changeSettings')) return null;
+        
+        let parsed;
+        try {
+            parsed = window.currencyManager.parseRates(text);
+        } catch (error) {
+            showNotification(`Couldn't read the rate file: ${error.message}`, 'error');
+            return null;
+        }
+        
+        if (parsed.rates.length > 0) {
+            await persistFxRates(parsed.rates, 'UPDATE');
+        }
+        
+        showNotification(
+            parsed.errors.length
+                ? `Imported ${parsed.rates.length} rates, skipped ${parsed.errors.length}: ${parsed.errors[0]}`
+                : `Imported ${parsed.rates.length} rates`,
+            parsed.rates.length ? 'success' : 'error'
+        );
+        return parsed;
+    };
+    
+    // Bills
+    const persistBills = async (changed) => {
+        await window.dbManager.saveBatch('billReminders', changed);
+        
+        const byId = new Map(billReminders.map(bill => [bill.id, bill]));
+        changed.forEach(bill => byId.set(bill.id, bill));
+        const bills = [...byId.values()].filter(bill => !bill.deleted);
+        setBillReminders(bills);
+        
+        if (familyConfig.syncEnabled) {
+            for (const bill of changed) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: 'UPDATE',
+                    entity: 'billReminders',
+                    data: bill
+                });
+            }
+        }
+        
+        window.billManager.scheduleReminders(bills, formatCurrency).catch(error => {
+            console.error('Failed to schedule bill reminders:', error);
+        });
+    };
+    
+    const saveBill = async (bill) => {
+        if (denied('manageAccounts')) return null;
+        
+        const existing = billReminders.find(b => b.id === bill.id);
+        const saved = window.billManager.createBill({ ...existing, ...bill });
+        
+        await persistBills([saved]);
+        showNotification(existing ? 'Bill updated' : 'Bill added', 'success');
+        return saved;
+    };
+    
+    const deleteBill = async (billId) => {
+        if (denied('manageAccounts')) return;
+        
+        await persistBills([{ id: billId, deleted: true, deletedAt: new Date().toISOString() }]);
+        showNotification('Bill removed', 'success');
+    };
+    
+    const payBill = async (billId, payment = {}) => {
+        if (denied('manageAccounts')) return null;
+        
+        const bill = billReminders.find(b => b.id === billId);
+        if (!bill) return null;
+        
+        let plan;
+        try {
+            plan = window.billManager.planPayment(bill, payment);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        const transaction = {
+            ...plan.transaction,
+            createdAt: new Date().toISOString(),
+            familyMember: familyConfig.memberCode,
+            memberCode: familyConfig.memberCode
+        };
+        
+        // Paying the same due date twice replaces the earlier payment
+        const previous = await window.dbManager.get('transactions', transaction.id);
+        
+        upsertLoaded([transaction]);
+        await persistTransactions([transaction], previous ? 'UPDATE' : 'CREATE');
+        applyLedgerChange(previous && !previous.deleted ? [previous] : [], [transaction]);
+        await persistBills([plan.bill]);
+        
+        showNotification(`${bill.name} paid`, 'success');
+        checkBudgetAlerts();
+        return transaction;
+    };
+    
+    // Savings goals
+    const persistGoal = async (saved, type) => {
+        await window.dbManager.save('savingsGoals', saved);
+        setGoalRecords(prev => prev.some(g => g.id === saved.id)
+            ? prev.map(g => g.id === saved.id ? saved : g)
+            : [...prev, saved]);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type,
+                entity: 'savingsGoals',
+                data: saved
+            });
+        }
+    };
+    
+    // Tell the whole family through the activity feed; once per goal and target
+    const celebrateGoal = async (goal) => {
+        const id = `goal-completed:${goal.id}:${goal.targetAmount}`;
+        if (await window.dbManager.get('activityFeed', id)) return;
+        
+        const memberName = familyConfig.memberName || currentUser?.name || 'Someone';
+        const entry = await window.activityFeed.post({
+            id,
+            type: 'goal-completed',
+            message: `🎉 ${memberName} completed the "${goal.name}" savings goal: ${formatCurrency(goal.targetAmount)} saved!`,
+            memberCode: familyConfig.memberCode,
+            memberName,
+            data: { goalId: goal.id, targetAmount: goal.targetAmount }
+        });
+        setActivity(prev => [entry, ...prev.filter(a => a.id !== entry.id)]);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'CREATE',
+                entity: 'activityFeed',
+                data: entry
+            });
+        }
+    };
+    
+    // Complete or reopen a goal after its balance or target changes
+    const reconcileGoal = async (goal, entries) => {
+        const change = window.savingsManager.reconcileStatus(goal, entries);
+        if (!change) return goal;
+        
+        await persistGoal(change.goal, 'UPDATE');
+        if (change.completed) await celebrateGoal(change.goal);
+        return change.goal;
+    };
+    
+    const saveGoal = async (goal) => {
+        if (denied('manageAccounts')) return null;
+        
+        const existing = goalRecords.find(g => g.id === goal.id);
+        const saved = window.savingsManager.createGoal({ ...existing, ...goal });
+        
+        await persistGoal(saved, existing ? 'UPDATE' : 'CREATE');
+        showNotification(existing ? 'Savings goal updated' : 'Savings goal added!', 'success');
+        
+        return reconcileGoal(saved, goalEntries);
+    };
+    
+    const setGoalStatus = async (goalId, status) => {
+        if (denied('manageAccounts')) return null;
+        
+        const goal = goalRecords.find(g => g.id === goalId);
+        if (!goal) return null;
+        
+        const saved = window.savingsManager.planStatusChange(goal, status);
+        await persistGoal(saved, 'UPDATE');
+        showNotification(`${goal.name} ${window.savingsManager.statuses[status].label.toLowerCase()}`, 'success');
+        
+        return reconcileGoal(saved, goalEntries);
+    };
+    
+    const deleteGoal = async (goalId) => {
+        if (denied('manageAccounts')) return;
+        
+        const goal = goalRecords.find(g => g.id === goalId);
+        if (!goal) return;
+        
+        const tombstones = window.savingsManager.planDelete(goal, goalEntries);
+        await window.dbManager.save('savingsGoals', tombstones.goal);
+        if (tombstones.entries.length) {
+            await window.dbManager.saveBatch('goalContributions', tombstones.entries);
+        }
+        
+        const removedIds = new Set(tombstones.entries.map(entry => entry.id));
+        setGoalRecords(prev => prev.filter(g => g.id !== goalId));
+        setGoalEntries(prev => prev.filter(entry => !removedIds.has(entry.id)));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'savingsGoals',
+                data: tombstones.goal
+            });
+            tombstones.entries.forEach(tombstone => {
+                window.enhancedSyncManager.queueOperation({
+                    type: 'DELETE',
+                    entity: 'goalContributions',
+                    data: tombstone
+                });
+            });
+        }
+        
+        showNotification('Savings goal deleted', 'success');
+    };
+    
+    const addGoalEntry = async (goalId, entry) => {
+        if (denied('manageAccounts')) return null;
+        
+        const goal = savingsGoals.find(g => g.id === goalId);
+        if (!goal) return null;
+        
+        let saved;
+        try {
+            saved = window.savingsManager.createEntry({
+                ...entry,
+                goalId,
+                familyMember: entry.familyMember || familyConfig.memberCode
+            });
+            const blocked = window.savingsManager.getEntryBlock(goal, saved.type);
+            if (blocked) {
+                throw new Error(blocked);
+            }
+            if (saved.type === 'withdrawal' && saved.amount > goal.current + 0.005) {
+                throw new Error(`Only ${goal.current.toFixed(2)} is saved in ${goal.name}`);
+            }
+            
+            // Move the money between real accounts too when the goal is held in one
+            if (entry.accountId && goal.accountId && entry.accountId !== goal.accountId) {
+                const withdrawal = saved.type === 'withdrawal';
+                const legs = await addTransfer({
+                    fromAccountId: withdrawal ? goal.accountId : entry.accountId,
+                    toAccountId: withdrawal ? entry.accountId : goal.accountId,
+                    amount: saved.amount,
+                    date: saved.date,
+                    description: `${withdrawal ? 'Withdrawal from' : 'Saving for'} ${goal.name}`
+                });
+                saved.transferId = legs[0].transferId;
+            }
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        await window.dbManager.save('goalContributions', saved);
+        setGoalEntries(prev => [...prev, saved]);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'CREATE',
+                entity: 'goalContributions',
+                data: saved
+            });
+        }
+        
+        showNotification(saved.type === 'withdrawal' ? 'Withdrawal recorded' : 'Contribution added!', 'success');
+        await reconcileGoal(goalRecords.find(g => g.id === goalId), [...goalEntries, saved]);
+        return saved;
+    };
+    
+    const deleteGoalEntry = async (entryId) => {
+        if (denied('manageAccounts')) return;
+        
+        const entry = goalEntries.find(e => e.id === entryId);
+        const tombstone = { id: entryId, deleted: true, deletedAt: new Date().toISOString() };
+        
+        await window.dbManager.save('goalContributions', tombstone);
+        setGoalEntries(prev => prev.filter(e => e.id !== entryId));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'goalContributions',
+                data: tombstone
+            });
+        }
+        
+        showNotification('Entry removed', 'success');
+        
+        const goal = goalRecords.find(g => g.id === entry?.goalId);
+        if (goal) {
+            await reconcileGoal(goal, goalEntries.filter(e => e.id !== entryId));
+        }
+    };
+    
+    // Shopping lists
+    const shareShoppingChange = (entity, type, records) => {
+        if (!familyConfig.syncEnabled) return;
+        
+        records.forEach(data => {
+            window.enhancedSyncManager.queueOperation({ type, entity, data });
+        });
+        
+        // Someone else may be in the shop with the same list open
+        window.enhancedSyncManager.requestSync();
+    };
+    
+    const saveShoppingList = async (list) => {
+        if (denied('contribute')) return null;
+        
+        const existing = shoppingLists.find(l => l.id === list.id);
+        const saved = window.shoppingManager.createList({
+            ...existing,
+            ...list,
+            createdBy: existing?.createdBy || familyConfig.memberCode
+        });
+        
+        await window.dbManager.save('shoppingLists', saved);
+        setShoppingLists(prev => existing
+            ? prev.map(l => l.id === saved.id ? saved : l)
+            : [...prev, saved]);
+        shareShoppingChange('shoppingLists', existing ? 'UPDATE' : 'CREATE', [saved]);
+        
+        return saved;
+    };
+    
+    const deleteShoppingList = async (listId) => {
+        if (denied('contribute')) return;
+        
+        const list = shoppingLists.find(l => l.id === listId);
+        if (!list) return;
+        
+        const tombstones = window.shoppingManager.planDelete(list, shoppingItems);
+        await window.dbManager.save('shoppingLists', tombstones.list);
+        if (tombstones.items.length) {
+            await window.dbManager.saveBatch('shoppingItems', tombstones.items);
+        }
+        
+        const removedIds = new Set(tombstones.items.map(item => item.id));
+        setShoppingLists(prev => prev.filter(l => l.id !== listId));
+        setShoppingItems(prev => prev.filter(item => !removedIds.has(item.id)));
+        shareShoppingChange('shoppingLists', 'DELETE', [tombstones.list]);
+        shareShoppingChange('shoppingItems', 'DELETE', tombstones.items);
+        
+        showNotification(`${list.name} deleted`, 'success');
+    };
+    
+    const saveShoppingItem = async (item) => {
+        if (denied('contribute')) return null;
+        
+        const existing = shoppingItems.find(i => i.id === item.id);
+        
+        let saved;
+        try {
+            saved = window.shoppingManager.createItem({
+                addedBy: familyConfig.memberCode,
+                ...existing,
+                ...item
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        await window.dbManager.save('shoppingItems', saved);
+        setShoppingItems(prev => existing
+            ? prev.map(i => i.id === saved.id ? saved : i)
+            : [...prev, saved]);
+        shareShoppingChange('shoppingItems', existing ? 'UPDATE' : 'CREATE', [saved]);
+        
+        return saved;
+    };
+    
+    const toggleShoppingItem = (itemId) => {
+        const item = shoppingItems.find(i => i.id === itemId);
+        if (!item) return null;
+        
+        return saveShoppingItem({ ...item, checked: !item.checked, checkedBy: familyConfig.memberCode });
+    };
+    
+    const deleteShoppingItem = async (itemId) => {
+        if (denied('contribute')) return;
+        
+        const tombstone = { id: itemId, deleted: true, deletedAt: new Date().toISOString() };
+        
+        await window.dbManager.save('shoppingItems', tombstone);
+        setShoppingItems(prev => prev.filter(i => i.id !== itemId));
+        shareShoppingChange('shoppingItems', 'DELETE', [tombstone]);
+    };
+    
+    const checkoutShoppingList = async (listId, checkout = {}) => {
+        if (denied('addTransactions')) return null;
+        
+        const list = shoppingLists.find(l => l.id === listId);
+        if (!list) return null;
+        
+        let plan;
+        try {
+            plan = window.shoppingManager.planCheckout(list, shoppingItems, checkout);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        const transaction = {
+            ...plan.transaction,
+            id: window.SecurityManager.generateUUID(),
+            createdAt: new Date().toISOString(),
+            familyMember: familyConfig.memberCode,
+            memberCode: familyConfig.memberCode
+        };
+        
+        upsertLoaded([transaction]);
+        await persistTransactions([transaction], 'CREATE');
+        applyLedgerChange([], [transaction]);
+        
+        // Bought items come off the list
+        const removedIds = new Set(plan.removed.map(item => item.id));
+        await window.dbManager.saveBatch('shoppingItems', plan.removed);
+        setShoppingItems(prev => prev.filter(item => !removedIds.has(item.id)));
+        shareShoppingChange('shoppingItems', 'DELETE', plan.removed);
+        
+        showNotification(`${list.name}: ${formatCurrency(transaction.amount)} added as an expense`, 'success');
+        checkBudgetAlerts();
+        return transaction;
+    };
+    
+    // Chores
+    const persistTask = async (saved, type) => {
+        await window.dbManager.save('familyTasks', saved);
+        setFamilyTasks(prev => prev.some(t => t.id === saved.id)
+            ? prev.map(t => t.id === saved.id ? saved : t)
+            : [...prev, saved]);
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type,
+                entity: 'familyTasks',
+                data: saved
+            });
+        }
+    };
+    
+    const saveTask = async (task) => {
+        if (denied('approveChores')) return null;
+        
+        const existing = familyTasks.find(t => t.id === task.id);
+        const saved = window.choreManager.createTask({
+            ...existing,
+            ...task,
+            createdBy: existing?.createdBy || familyConfig.memberCode
+        });
+        
+        await persistTask(saved, existing ? 'UPDATE' : 'CREATE');
+        showNotification(existing ? 'Chore updated' : 'Chore added!', 'success');
+        return saved;
+    };
+    
+    const deleteTask = async (taskId) => {
+        if (denied('approveChores')) return;
+        
+        const tombstone = { id: taskId, deleted: true, deletedAt: new Date().toISOString() };
+        
+        await window.dbManager.save('familyTasks', tombstone);
+        setFamilyTasks(prev => prev.filter(t => t.id !== taskId));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'familyTasks',
+                data: tombstone
+            });
+        }
+        
+        showNotification('Chore deleted', 'success');
+    };
+    
+    const completeTask = async (taskId) => {
+        if (denied('contribute')) return null;
+        
+        const task = familyTasks.find(t => t.id === taskId);
+        if (!task) return null;
+        
+        try {
+            const saved = window.choreManager.planCompletion(task, familyConfig.memberCode);
+            await persistTask(saved, 'UPDATE');
+            showNotification(`${task.title} done, waiting for approval`, 'success');
+            return saved;
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+    };
+    
+    const reopenTask = async (taskId) => {
+        if (denied('contribute')) return null;
+        
+        const task = familyTasks.find(t => t.id === taskId);
+        if (!task) return null;
+        
+        const saved = window.choreManager.planReopen(task);
+        await persistTask(saved, 'UPDATE');
+        return saved;
+    };
+    
+    const approveTask = async (taskId) => {
+        if (denied('approveChores')) return null;
+        
+        const task = familyTasks.find(t => t.id === taskId);
+        if (!task) return null;
+        
+        let plan;
+        try {
+            plan = window.choreManager.planApproval(task, familyConfig.memberCode);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        if (plan.payout.length > 0) {
+            const payout = plan.payout.map(entry => ({
+                ...entry,
+                createdAt: new Date().toISOString(),
+                familyMember: task.assignedTo || familyConfig.memberCode,
+                memberCode: familyConfig.memberCode
+            }));
+            
+            // Approving the same due date twice replaces the earlier payout
+            const previous = (await Promise.all(payout.map(entry => window.dbManager.get('transactions', entry.id))))
+                .filter(entry => entry && !entry.deleted);
+            
+            upsertLoaded(payout);
+            await persistTransactions(payout, previous.length ? 'UPDATE' : 'CREATE');
+            applyLedgerChange(previous, payout);
+        }
+        
+        await persistTask(plan.task, 'UPDATE');
+        
+        showNotification(task.reward > 0 && plan.payout.length
+            ? `${task.title} approved: ${formatCurrency(task.reward)} paid`
+            : `${task.title} approved`, 'success');
+        return plan.task;
+    };
+    
+    // Shared notes
+    const saveNote = async (note) => {
+        if (denied('contribute')) return null;
+        
+        const existing = notes.find(n => n.id === note.id);
+        
+        let saved;
+        try {
+            const normalized = window.notesManager.createNote({
+                ...existing,
+                ...note,
+                createdBy: existing?.createdBy || familyConfig.memberCode,
+                updatedBy: familyConfig.memberCode
+            });
+            saved = await window.notesManager.saveNote(normalized, familyConfig.encryptionKey);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        setNotes(prev => existing
+            ? prev.map(n => n.id === saved.note.id ? saved.note : n)
+            : [...prev, saved.note]);
+        
+        // Only the encrypted record leaves this device
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: existing ? 'UPDATE' : 'CREATE',
+                entity: 'sharedNotes',
+                data: saved.sealed
+            });
+        }
+        
+        return saved.note;
+    };
+    
+    const toggleNotePin = (noteId) => {
+        const note = notes.find(n => n.id === noteId);
+        return note ? saveNote({ ...note, pinned: !note.pinned }) : null;
+    };
+    
+    const deleteNote = async (noteId) => {
+        if (denied('contribute')) return;
+        
+        const tombstone = { id: noteId, deleted: true, deletedAt: new Date().toISOString() };
+        
+        await window.dbManager.save('sharedNotes', tombstone);
+        setNotes(prev => prev.filter(n => n.id !== noteId));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'sharedNotes',
+                data: tombstone
+            });
+        }
+        
+        showNotification('Note deleted', 'success');
+    };
+    
+    // Investments
+    const shareInvestmentChange = (entity, type, records) => {
+        if (!familyConfig.syncEnabled) return;
+        
+        records.forEach(data => {
+            window.enhancedSyncManager.queueOperation({ type, entity, data });
+        });
+    };
+    
+    const saveHolding = async (holding) => {
+        if (denied('manageAccounts')) return null;
+        
+        const existing = holdings.find(h => h.id === holding.id);
+        
+        let saved;
+        try {
+            saved = window.investmentManager.createHolding({ ...existing, ...holding });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        await window.dbManager.save('investments', saved);
+        setHoldings(prev => existing
+            ? prev.map(h => h.id === saved.id ? saved : h)
+            : [...prev, saved]);
+        shareInvestmentChange('investments', existing ? 'UPDATE' : 'CREATE', [saved]);
+        
+        showNotification(existing ? 'Holding updated' : 'Holding added!', 'success');
+        return saved;
+    };
+    
+    const deleteHolding = async (holdingId) => {
+        if (denied('manageAccounts')) return;
+        
+        const holding = holdings.find(h => h.id === holdingId);
+        if (!holding) return;
+        
+        const plan = window.investmentManager.planDelete(holding, investmentTrades, investmentPrices);
+        const tradeIds = new Set(plan.trades.map(t => t.id));
+        const priceIds = new Set(plan.prices.map(p => p.id));
+        
+        await window.dbManager.save('investments', plan.holding);
+        await window.dbManager.saveBatch('investmentTrades', plan.trades);
+        await window.dbManager.saveBatch('investmentPrices', plan.prices);
+        setHoldings(prev => prev.filter(h => h.id !== holdingId));
+        setInvestmentTrades(prev => prev.filter(t => !tradeIds.has(t.id)));
+        setInvestmentPrices(prev => prev.filter(p => !priceIds.has(p.id)));
+        
+        shareInvestmentChange('investments', 'DELETE', [plan.holding]);
+        shareInvestmentChange('investmentTrades', 'DELETE', plan.trades);
+        shareInvestmentChange('investmentPrices', 'DELETE', plan.prices);
+        
+        showNotification(`${holding.symbol || holding.name} removed`, 'success');
+    };
+    
+    // Buys and sells only move the holding; a dividend can also land in its account as income
+    const addInvestmentTrade = async (holdingId, trade, { postIncome = false } = {}) => {
+        if (denied('manageAccounts')) return null;
+        
+        const holding = holdings.find(h => h.id === holdingId);
+        if (!holding) return null;
+        
+        let saved;
+        try {
+            saved = window.investmentManager.createTrade({ ...trade, holdingId });
+            window.investmentManager.validateTrade(holding, investmentTrades, saved);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        const income = postIncome ? window.investmentManager.planDividendIncome(holding, saved) : null;
+        if (income) {
+            const transaction = {
+                ...income,
+                createdAt: new Date().toISOString(),
+                familyMember: familyConfig.memberCode,
+                memberCode: familyConfig.memberCode
+            };
+            upsertLoaded([transaction]);
+            await persistTransactions([transaction], 'CREATE');
+            applyLedgerChange([], [transaction]);
+            saved.transactionId = transaction.id;
+        }
+        
+        await window.dbManager.save('investmentTrades', saved);
+        setInvestmentTrades(prev => [...prev, saved]);
+        shareInvestmentChange('investmentTrades', 'CREATE', [saved]);
+        
+        const label = window.investmentManager.tradeTypes[saved.type].label;
+        showNotification(`${label} of ${holding.symbol || holding.name} recorded`, 'success');
+        return saved;
+    };
+    
+    const deleteInvestmentTrade = async (tradeId) => {
+        if (denied('manageAccounts')) return;
+        
+        const trade = investmentTrades.find(t => t.id === tradeId);
+        if (!trade) return;
+        
+        const tombstone = { id: tradeId, deleted: true, deletedAt: new Date().toISOString() };
+        await window.dbManager.save('investmentTrades', tombstone);
+        setInvestmentTrades(prev => prev.filter(t => t.id !== tradeId));
+        shareInvestmentChange('investmentTrades', 'DELETE', [tombstone]);
+        
+        // The dividend's income goes with it
+        if (trade.transactionId) {
+            await deleteTransaction(trade.transactionId);
+        } else {
+            showNotification('Trade removed', 'success');
+        }
+    };
+    
+    const recordInvestmentPrice = async (holdingId, snapshot) => {
+        if (denied('manageAccounts')) return null;
+        
+        const holding = holdings.find(h => h.id === holdingId);
+        if (!holding) return null;
+        
+        let saved;
+        try {
+            saved = window.investmentManager.createPrice({ ...snapshot, holdingId });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+        
+        const existing = investmentPrices.some(p => p.id === saved.id);
+        await window.dbManager.save('investmentPrices', saved);
+        setInvestmentPrices(prev => [...prev.filter(p => p.id !== saved.id), saved]);
+        shareInvestmentChange('investmentPrices', existing ? 'UPDATE' : 'CREATE', [saved]);
+        
+        showNotification(`${holding.symbol || holding.name} priced at ${formatCurrency(saved.price)}`, 'success');
+        return saved;
+    };
+    
+    // Recurring rules
+    const refreshRecurring = async () => {
+        const posted = await window.recurringManager.postDueOccurrences();
+        if (posted.length) {
+            upsertLoaded(posted);
+            applyLedgerChange([], posted);
+        }
+        
+        setRecurringRules(await window.recurringManager.getRules());
+        return posted;
+    };
+    
+    const saveRecurringRule = async (rule) => {
+        if (denied('manageAccounts')) return null;
+        
+        const saved = await window.recurringManager.saveRule({
+            ...rule,
+            memberCode: rule.memberCode || familyConfig.memberCode
+        });
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: rule.id ? 'UPDATE' : 'CREATE',
+                entity: 'recurringRules',
+                data: saved
+            });
+        }
+        
+        const posted = await refreshRecurring();
+        showNotification(
+            posted.length
+                ? `Recurring transaction saved, ${posted.length} posted`
+                : 'Recurring transaction saved',
+            'success'
+        );
+        return saved;
+    };
+    
+    const deleteRecurringRule = async (ruleId) => {
+        if (denied('manageAccounts')) return;
+        
+        await window.recurringManager.deleteRule(ruleId);
+        setRecurringRules(prev => prev.filter(r => r.id !== ruleId));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: 'DELETE',
+                entity: 'recurringRules',
+                data: { id: ruleId }
+            });
+        }
+        
+        showNotification('Recurring transaction removed', 'success');
+    };
+    
+    const skipRecurringOccurrence = async (ruleId) => {
+        if (denied('manageAccounts')) return;
+        
+        await window.recurringManager.skipNextOccurrence(ruleId);
+        await refreshRecurring();
+        showNotification('Next occurrence skipped', 'success');
+    };
+    
+    const setRecurringNextDate = async (ruleId, dateKey) => {
+        if (denied('manageAccounts')) return;
+        
+        await window.recurringManager.setNextOccurrence(ruleId, dateKey);
+        await refreshRecurring();
+        showNotification('Next occurrence updated', 'success');
+    };
+    
+    const toggleRecurringRule = async (ruleId, active) => {
+        if (denied('manageAccounts')) return;
+        
+        await window.recurringManager.setActive(ruleId, active);
+        await refreshRecurring();
+    };
+    
+    const portfolio = useMemo(
+        () => window.investmentManager.getPortfolio(holdings, investmentTrades, investmentPrices),
+        [holdings, investmentTrades, investmentPrices]
+    );
+    
+    // Net worth history
+    const recordNetWorthSnapshot = async (breakdown) => {
+        // Only members who see every account keep the family's history
+        if (!can('manageAccounts') || !can('viewRestrictedAccounts')) return null;
+        
+        const snapshot = window.netWorthManager.createSnapshot(breakdown);
+        const previous = netWorthSnapshots.find(s => s.id === snapshot.id);
+        if (!window.netWorthManager.hasChanged(previous, snapshot)) return previous;
+        
+        await window.dbManager.save('netWorthSnapshots', snapshot);
+        setNetWorthSnapshots(prev => window.netWorthManager.sort([
+            ...prev.filter(s => s.id !== snapshot.id),
+            snapshot
+        ]));
+        
+        if (familyConfig.syncEnabled) {
+            window.enhancedSyncManager.queueOperation({
+                type: previous ? 'UPDATE' : 'CREATE',
+                entity: 'netWorthSnapshots',
+                data: snapshot
+            });
+        }
+        
+        return snapshot;
+    };
+    
+    // Restricted accounts and their entries are left out for roles that can't see them
+    const visibleAccounts = useMemo(
+        () => accounts.filter(account => window.permissionManager.canSeeAccount(currentRole, account)),
+        [accounts, currentRole]
+    );
+    
+    const hiddenAccountIds = useMemo(
+        () => accounts.filter(a => !visibleAccounts.includes(a)).map(a => a.id),
+        [accounts, visibleAccounts]
+    );
+    
+    const hideRestricted = (items) => {
+        if (hiddenAccountIds.length === 0) return items;
+        
+        const hiddenIds = new Set(hiddenAccountIds);
+        return items.filter(t => !hiddenIds.has(t.accountId));
+    };
+    
+    const visibleTransactions = useMemo(() => hideRestricted(transactions), [transactions, visibleAccounts]);
+    
+    // Calculate statistics from the running aggregates, not a scan of the ledger
+    const statistics = useMemo(() => {
+        const now = new Date();
+        const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const month = window.ledgerAggregates.getMonth(monthKey, hiddenAccountIds);
+        
+        const accountBalances = window.ledgerAggregates.getAccountBalances(visibleAccounts);
+        const totalBalance = visibleAccounts
+            .filter(acc => !acc.archived)
+            .reduce((sum, acc) => sum + window.currencyManager.toBase(
+                accountBalances[acc.id] || 0,
+                window.currencyManager.getAccountCurrency(acc)
+            ), 0);
+        const totalSavings = savingsGoals.reduce((sum, goal) => sum + (goal.current || 0), 0);
+        const totalInvestments = portfolio.totals.marketValue;
+        const netWorth = window.netWorthManager.getBreakdown({
+            accounts: visibleAccounts,
+            accountBalances,
+            savingsGoals,
+            holdings,
+            portfolio
+        });
+        
+        return {
+            monthlyIncome: month.income,
+            monthlyExpenses: month.expenses,
+            monthlyBalance: month.income - month.expenses,
+            categoryBreakdown: month.categoryBreakdown,
+            memberBreakdown: month.memberBreakdown,
+            accountBalances,
+            totalBalance,
+            totalSavings,
+            totalInvestments,
+            totalAssets: netWorth.totalAssets,
+            totalLiabilities: netWorth.totalLiabilities,
+            netWorthBreakdown: netWorth,
+            netWorth: netWorth.netWorth
+        };
+    }, [ledgerVersion, visibleAccounts, hiddenAccountIds, savingsGoals, holdings, portfolio, baseCurrency, fxRates]);
+    
+    // Keep this month's snapshot in step with net worth, once everything has loaded
+    useEffect(() => {
+        if (!dataLoaded) return;
+        
+        recordNetWorthSnapshot(statistics.netWorthBreakdown).catch(error => {
+            console.error('Failed to record net worth snapshot:', error);
+        });
+    }, [dataLoaded, statistics]);
+    
+    const contextValue = {
+        // State
+        isLoggedIn,
+        currentUser,
+        familyConfig,
+        activeTab,
+        activeView,
+        currentRole,
+        transactions: visibleTransactions,
+        hasMoreTransactions: !!transactionCursor,
+        ledgerVersion,
+        budget,
+        budgetLines,
+        budgetMode,
+        savingsGoals,
+        goalEntries,
+        activity,
+        shoppingLists,
+        shoppingItems,
+        familyTasks,
+        notes,
+        lockedNotes,
+        holdings,
+        investmentTrades,
+        investmentPrices,
+        netWorthSnapshots,
+        invites,
+        baseCurrency,
+        fxRates,
+        categories,
+        categoryRecords,
+        billReminders,
+        accounts: visibleAccounts,
+        recurringRules,
+        categoryRules,
+        loading,
+        syncStatus,
+        theme,
+        showAddTransaction,
+        editingTransaction,
+        
+        // Computed
+        statistics,
+        portfolio,
+        
+        // Methods
+        setIsLoggedIn,
+        setCurrentUser,
+        setFamilyConfig,
+        setActiveTab,
+        setActiveView,
+        setTransactions,
+        setBillReminders,
+        setAccounts,
+        setLoading,
+        setSyncStatus,
+        setTheme,
+        setShowAddTransaction,
+        setEditingTransaction,
+        showNotification,
+        formatCurrency,
+        can,
+        hideRestricted,
+        hiddenAccountIds,
+        setMemberRole,
+        removeMember,
+        openKeyring,
+        adoptFamilyKey,
+        createInvite,
+        revokeInvite,
+        setBaseCurrency,
+        saveFxRate,
+        deleteFxRate,
+        importFxRates,
+        addTransaction,
+        loadMoreTransactions,
+        editTransaction,
+        updateTransaction,
+        deleteTransaction,
+        categorizeTransaction,
+        saveCategoryRule,
+        deleteCategoryRule,
+        rerunCategoryRules,
+        saveCategory,
+        mergeCategory,
+        saveBudget,
+        copyBudgetForward,
+        checkBudgetAlerts,
+        saveBudgetAlertThresholds,
+        setBudgetMode,
+        moveBudgetMoney,
+        saveBill,
+        deleteBill,
+        payBill,
+        saveGoal,
+        setGoalStatus,
+        deleteGoal,
+        addGoalEntry,
+        deleteGoalEntry,
+        saveShoppingList,
+        deleteShoppingList,
+        saveShoppingItem,
+        toggleShoppingItem,
+        deleteShoppingItem,
+        checkoutShoppingList,
+        saveTask,
+        deleteTask,
+        completeTask,
+        reopenTask,
+        approveTask,
+        saveNote,
+        toggleNotePin,
+        deleteNote,
+        saveHolding,
+        deleteHolding,
+        addInvestmentTrade,
+        deleteInvestmentTrade,
+        recordInvestmentPrice,
+        addTransfer,
+        importTransactions,
+        saveAccount,
+        deleteAccount,
+        saveRecurringRule,
+        deleteRecurringRule,
+        skipRecurringOccurrence,
+        setRecurringNextDate,
+        toggleRecurringRule,
+        applyTheme,
+        loadSavedData,
+        applySyncChanges
+    };
+    
+    // Make context available globally
+    useEffect(() => {
+        window.appContext = contextValue;
+    }, [contextValue]);
+    
+    return (
+        <AppContext.Provider value={contextValue}>
+            {children}
+        </AppContext.Provider>
+    );
+}
+
+// =====================================================
+// LOGIN COMPONENT
+// =====================================================
+
+function LoginScreen() {
+    const context = useContext(AppContext);
+    const [step, setStep] = useState('welcome'); // welcome, setup, join
+    const [inviteCode, setInviteCode] = useState('');
+    const [familyName, setFamilyName] = useState('');
+    const [memberName, setMemberName] = useState('');
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState('');
+    const [joining, setJoining] = useState(false);
+    
+    // Invite links open straight on the join screen
+    useEffect(() => {
+        const token = new URLSearchParams(location.search).get(window.inviteManager.linkParam);
+        if (token) {
+            setInviteCode(token);
+            setStep('join');
+        }
+    }, []);
+    
+    const handleSetup = async (e) => {
+        e.preventDefault();
+        setError('');
+        
+        // Validate inputs
+        if (!familyName || !memberName || !pin) {
+            setError('Please fill in all fields');
+            return;
+        }
+        
+        const pinValidation = window.SecurityManager.validatePin(pin);
+        if (!pinValidation.valid) {
+            setError(pinValidation.message);
+            return;
+        }
+        
+        // Generate family code
+        const generatedFamilyCode = window.SecurityManager.generateRandomString(8).toUpperCase();
+        const memberCode = window.SecurityManager.generateUUID();
+        
+        // The family key is random; the PIN only derives the key invites are sealed under
+        let keys;
+        try {
+            keys = await window.keyManager.createFamilyKeys(generatedFamilyCode, pin);
+        } catch (err) {
+            setError("Couldn't create the family's keys; open the app over HTTPS and try again");
+            return;
+        }
+        const { encryptionKey } = keys;
+        const keyPair = await window.keyManager.createKeyPair();
+        
+        // Whoever creates the family is its first admin
+        window.dbManager.setMember(memberCode);
+        const member = await window.permissionManager.saveMember(window.permissionManager.createMember({
+            code: memberCode,
+            name: memberName,
+            role: 'admin',
+            publicKey: keyPair?.publicKey
+        }));
+        await window.dbManager.save('settings', window.inviteManager.createFamilyRecord({
+            name: familyName,
+            encryptionKey
+        }));
+        
+        // Set up family config
+        const config = {
+            familyCode: generatedFamilyCode,
+            familyName,
+            memberCode,
+            memberName,
+            encryptionKey,
+            joinKey: keys.joinKey,
+            joinKdf: keys.joinKdf,
+            keyId: keys.keyId,
+            keyPair,
+            syncEnabled: true,
+            gistId: null,
+            members: [member]
+        };
+        
+        // Save auth data
+        const authData = {
+            user: { id: memberCode, name: memberName },
+            familyConfig: config,
+            expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
+        };
+        
+        localStorage.setItem(`${STORAGE_PREFIX}auth`, JSON.stringify(authData));
+        
+        // Update context
+        context.setCurrentUser(authData.user);
+        context.setFamilyConfig(config);
+        context.setIsLoggedIn(true);
+        
+        // Initialize sync
+        window.enhancedSyncManager.init(generatedFamilyCode, memberCode);
+        window.enhancedSyncManager.setFamilyKey(encryptionKey, config.keyId);
+        
+        // Show success message
+        context.showNotification(`Welcome ${memberName}! Invite the rest of your family from Settings`, 'success');
+    };
+    
+    const handleJoin = async (e) => {
+        e.preventDefault();
+        setError('');
+        
+        // Validate inputs
+        if (!inviteCode || !memberName || !pin) {
+            setError('Please fill in all fields');
+            return;
+        }
+        
+        // The PIN is checked against the invite, then against the family's synced data
+        let invite;
+        let verified;
+        setJoining(true);
+        try {
+            invite = window.inviteManager.parseToken(inviteCode);
+            verified = await window.inviteManager.verifyJoin(invite, pin);
+        } catch (err) {
+            setError(err.message);
+            return;
+        } finally {
+            setJoining(false);
+        }
+        
+        const memberCode = window.SecurityManager.generateUUID();
+        const keyPair = await window.keyManager.createKeyPair();
+        window.dbManager.setMember(memberCode);
+        
+        // Keep the family's roster as synced, so this device knows the admins before its first full sync
+        await window.dbManager.saveBatch('settings', verified.settings, null, true);
+        
+        // Joining adds this member at the join role; an admin picks their real role in Settings
+        const member = await window.permissionManager.saveMember(window.permissionManager.createMember({
+            code: memberCode,
+            name: memberName,
+            publicKey: keyPair?.publicKey
+        }));
+        
+        // Set up family config
+        const config = {
+            familyCode: invite.familyCode,
+            familyName: verified.familyName,
+            memberCode,
+            memberName,
+            encryptionKey: verified.encryptionKey,
+            joinKey: verified.joinKey,
+            joinKdf: verified.joinKdf,
+            keyId: verified.keyId,
+            keyPair,
+            syncEnabled: true,
+            gistId: invite.gistId,
+            members: [...window.permissionManager.getMembers(verified.settings), member]
+        };
+        
+        // Save auth data
+        const authData = {
+            user: { id: memberCode, name: memberName },
+            familyConfig: config,
+            expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
+        };
+        
+        localStorage.setItem(`${STORAGE_PREFIX}auth`, JSON.stringify(authData));
+        history.replaceState(null, '', location.pathname);
+        
+        // Update context
+        context.setCurrentUser(authData.user);
+        context.setFamilyConfig(config);
+        context.setIsLoggedIn(true);
+        
+        // Initialize sync; the first sync brings in the rest of the family's data
+        window.enhancedSyncManager.init(invite.familyCode, memberCode, invite.gistId);
+        window.enhancedSyncManager.setFamilyKey(verified.encryptionKey, verified.keyId);
+        await context.loadSavedData(config);
+        
+        // Show success message
+        context.showNotification(`Welcome to ${verified.familyName}, ${memberName}! An admin can give you a role in Settings`, 'success');
+    };
+    
+    if (step === 'welcome') {
+        return (
+            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
+                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full fade-in">
+                    <div className="text-center mb-8">
+                        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2">
+                            Family Finance Hub
+                        </h1>
+                        <p className="text-gray-600 dark:text-gray-400">
+                            Manage your family's finances together
+                        </p>
+                    </div>
+                    
+                    <div className="space-y-4">
+                        <button
+                            onClick={() => setStep('setup')}
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200"
+                        >
+                            Create New Family
+                        </button>
+                        
+                        <button
+                            onClick={() => setStep('join')}
+                            className="w-full bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-3 px-4 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition duration-200"
+                        >
+                            Join Existing Family
+                        </button>
+                    </div>
+                    
+                    <div className="mt-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                        <p>Version {APP_VERSION}</p>
+                        <p className="mt-2">Your data is encrypted and stored locally</p>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+    
+    if (step === 'setup') {
+        return (
+            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
+                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full slide-in">
+                    <button
+                        onClick={() => setStep('welcome')}
+                        className="mb-6 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                    >
+                        ← Back
+                    </button>
+                    
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
+                        Create New Family
+                    </h2>
+                    
+                    {error && (
+                        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-200 rounded-lg">
+                            {error}
+                        </div>
+                    )}
+                    
+                    <form onSubmit={handleSetup} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Family Name
+                            </label>
+                            <input
+                                type="text"
+                                value={familyName}
+                                onChange={(e) => setFamilyName(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="The Smiths"
+                                required
+                            />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Your Name
+                            </label>
+                            <input
+                                type="text"
+                                value={memberName}
+                                onChange={(e) => setMemberName(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="John"
+                                required
+                            />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Family PIN (4-8 digits)
+                            </label>
+                            <input
+                                type="password"
+                                inputMode="numeric"
+                                pattern="[0-9]*"
+                                value={pin}
+                                onChange={(e) => setPin(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="••••"
+                                required
+                            />
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                This PIN will be shared with family members
+                            </p>
+                        </div>
+                        
+                        <button
+                            type="submit"
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200"
+                        >
+                            Create Family
+                        </button>
+                    </form>
+                </div>
+            </div>
+        );
+    }
+    
+    if (step === 'join') {
+        return (
+            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
+                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full slide-in">
+                    <button
+                        onClick={() => setStep('welcome')}
+                        className="mb-6 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                    >
+                        ← Back
+                    </button>
+                    
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
+                        Join Existing Family
+                    </h2>
+                    
+                    {error && (
+                        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-200 rounded-lg">
+                            {error}
+                        </div>
+                    )}
+                    
+                    <form onSubmit={handleJoin} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Invite Code
+                            </label>
+                            <textarea
+                                value={inviteCode}
+                                onChange={(e) => setInviteCode(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white font-mono text-xs"
+                                rows="3"
+                                placeholder="Paste the invite code or link an admin sent you"
+                                required
+                            />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Your Name
+                            </label>
+                            <input
+                                type="text"
+                                value={memberName}
+                                onChange={(e) => setMemberName(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="Jane"
+                                required
+                            />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Family PIN
+                            </label>
+                            <input
+                                type="password"
+                                inputMode="numeric"
+                                pattern="[0-9]*"
+                                value={pin}
+                                onChange={(e) => setPin(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="••••"
+                                required
+                            />
+                        </div>
+                        
+                        <button
+                            type="submit"
+                            disabled={joining}
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200 disabled:opacity-50"
+                        >
+                            {joining ? 'Checking invite...' : 'Join Family'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        );
+    }
+}
+
+// =====================================================
+// MAIN APP COMPONENT
+// =====================================================
+
+function MainApp() {
+    const context = useContext(AppContext);
+    const { activeTab, showAddTransaction } = context;
+    
+    return (
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+            {/* Header */}
+            <header className="bg-white dark:bg-gray-800 shadow-sm safe-top">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex justify-between items-center h-16">
+                        <div className="flex items-center">
+                            <h1 className="text-xl font-semibold text-gray-900 dark:text-white">
+                                {context.familyConfig.familyName}
+                            </h1>
+                        </div>
+                        
+                        <div className="flex items-center space-x-4">
+                            <span className="text-sm text-gray-500 dark:text-gray-400">
+                                {context.currentUser?.name}
+                            </span>
+                            
+                            {context.syncStatus === 'syncing' && (
+                                <div className="spinner w-4 h-4"></div>
+                            )}
+                            
+                            <button
+                                onClick={() => {
+                                    localStorage.removeItem(`${STORAGE_PREFIX}auth`);
+                                    context.setIsLoggedIn(false);
+                                }}
+                                className="text-sm text-red-600 hover:text-red-700"
+                            >
+                                Logout
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </header>
+            
+            {/* Main Content */}
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {activeTab === 'dashboard' && <DashboardView />}
+                {activeTab === 'transactions' && <TransactionsView />}
+                {activeTab === 'accounts' && <AccountsView />}
+                {activeTab === 'budget' && <BudgetView />}
+                {activeTab === 'bills' && <BillsView />}
+                {activeTab === 'chores' && <ChoresView />}
+                {activeTab === 'notes' && <NotesView />}
+                {activeTab === 'investments' && <InvestmentsView />}
+                {activeTab === 'savings' && <SavingsView />}
+                {activeTab === 'shopping' && <ShoppingView />}
+                {activeTab === 'settings' && <SettingsView />}
+            </main>
+            
+            {/* Bottom Navigation */}
+            <nav className="fixed bottom-0 left-0 right-0 bg-white dark:bg-gray-800 shadow-lg safe-bottom">
+                <div className="flex justify-around">
+                    {[
+                        { id: 'dashboard', icon: '🏠', label: 'Home' },
+                        { id: 'transactions', icon: '💸', label: 'Transactions' },
+                        { id: 'budget', icon: '📊', label: 'Budget' },
+                        { id: 'savings', icon: '🎯', label: 'Savings' },
+                        { id: 'shopping', icon: '🛒', label: 'Shopping' },
+                        { id: 'settings', icon: '⚙️', label: 'Settings' }
+                    ].map(tab => (
+                        <button
+                            key={tab.id}
+                            onClick={() => context.setActiveTab(tab.id)}
+                            className={`flex-1 py-2 px-2 flex flex-col items-center ${
+                                activeTab === tab.id
+                                    ? 'text-indigo-600 dark:text-indigo-400'
+                                    : 'text-gray-500 dark:text-gray-400'
+                            }`}
+                        >
+                            <span className="text-xl">{tab.icon}</span>
+                            <span className="text-xs mt-1">{tab.label}</span>
+                        </button>
+                    ))}
+                </div>
+            </nav>
+            
+            {/* Floating Action Button */}
+            <button
+                onClick={() => context.setShowAddTransaction(true)}
+                className="fab"
+            >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                </svg>
+            </button>
+            
+            {/* Add Transaction Modal */}
+            {showAddTransaction && <AddTransactionModal />}
+        </div>
+    );
+}
+
+// =====================================================
+// DASHBOARD VIEW
+// =====================================================
+
+function DashboardView() {
+    const context = useContext(AppContext);
+    const { statistics, transactions } = context;
+    
+    const recentTransactions = transactions.slice(0, 5);
+    
+    // Overdue bills plus anything due within the week
+    const billGroups = window.billManager.group(context.billReminders);
+    const dueBills = [
+        ...billGroups.overdue,
+        ...billGroups.upcoming.filter(bill => window.billManager.getStatus(bill) === 'due-soon')
+    ];
+    
+    // This member's chores due by the end of today, plus the family's waiting for approval
+    const choreGroups = window.choreManager.group(context.familyTasks);
+    const todayKey = window.recurringManager.toDateKey(new Date());
+    const myChores = choreGroups.todo.filter(task =>
+        task.dueDate <= todayKey && (!task.assignedTo || task.assignedTo === context.familyConfig.memberCode));
+    
+    const pinnedNotes = window.notesManager.sort(context.notes).filter(note => note.pinned).slice(0, 5);
+    
+    const netWorthTrend = window.netWorthManager.getTrend(context.netWorthSnapshots);
+    const Recharts = window.Recharts;
+    const formatCompact = (amount) => window.currencyManager.format(amount, null, { notation: 'compact' });
+    
+    return (
+        <div className="space-y-6 pb-20">
+            {/* Stats Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Monthly Income
+                    </h3>
+                    <p className="text-2xl font-bold text-green-600 dark:text-green-400 mt-2">
+                        {formatCurrency(statistics.monthlyIncome)}
+                    </p>
+                </div>
+                
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Monthly Expenses
+                    </h3>
+                    <p className="text-2xl font-bold text-red-600 dark:text-red-400 mt-2">
+                        {formatCurrency(statistics.monthlyExpenses)}
+                    </p>
+                </div>
+                
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Net Worth
+                    </h3>
+                    <p className="text-2xl font-bold text-indigo-600 dark:text-indigo-400 mt-2">
+                        {formatCurrency(statistics.netWorth)}
+                    </p>
+                </div>
+            </div>
+            
+            {/* Net Worth Trend */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                    Net Worth Over Time
+                </h2>
+                
+                <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Assets</p>
+                        <p className="text-lg font-semibold text-green-600 dark:text-green-400">
+                            {formatCurrency(statistics.totalAssets)}
+                        </p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Liabilities</p>
+                        <p className="text-lg font-semibold text-red-600 dark:text-red-400">
+                            {formatCurrency(statistics.totalLiabilities)}
+                        </p>
+                    </div>
+                </div>
+                
+                {netWorthTrend.length < 2 || !window.Recharts ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        A snapshot is kept each month; the trend appears once there are two
+                    </p>
+                ) : (
+                    <div className="h-56">
+                        <Recharts.ResponsiveContainer width="100%" height="100%">
+                            <Recharts.LineChart data={netWorthTrend} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+                                <Recharts.XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                                <Recharts.YAxis
+                                    tick={{ fontSize: 12 }}
+                                    width={70}
+                                    tickFormatter={(value) => formatCompact(value)}
+                                />
+                                <Recharts.Tooltip formatter={(value) => formatCurrency(value)} />
+                                <Recharts.Line type="monotone" dataKey="netWorth" name="Net worth" stroke="#4F46E5" strokeWidth={2} />
+                                <Recharts.Line type="monotone" dataKey="assets" name="Assets" stroke="#16a34a" dot={false} />
+                                <Recharts.Line type="monotone" dataKey="liabilities" name="Liabilities" stroke="#dc2626" dot={false} />
+                            </Recharts.LineChart>
+                        </Recharts.ResponsiveContainer>
+                    </div>
+                )}
+                
+                {statistics.netWorthBreakdown.liabilities.length > 0 && (
+                    <div className="mt-4 space-y-2">
+                        {statistics.netWorthBreakdown.liabilities.map(item => (
+                            <div key={item.id} className="flex justify-between text-sm">
+                                <span className="text-gray-700 dark:text-gray-300">
+                                    {item.icon} {item.name}
+                                </span>
+                                <span className="font-medium text-red-600 dark:text-red-400">
+                                    {formatCurrency(item.amount)} owed
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
+            {/* Accounts */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Accounts
+                    </h2>
+                    <button
+                        onClick={() => context.setActiveTab('accounts')}
+                        className="text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        Manage →
+                    </button>
+                </div>
+                
+                {context.accounts.filter(a => !a.archived).length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Add an account to track balances
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {context.accounts.filter(a => !a.archived).map(account => (
+                            <div key={account.id} className="flex justify-between text-sm">
+                                <span className="text-gray-700 dark:text-gray-300">
+                                    {window.accountManager.accountTypes[account.type]?.icon} {account.name}
+                                </span>
+                                <span className="font-medium">
+                                    {formatCurrency(statistics.accountBalances[account.id], account.currency)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
+            {/* Investments */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Investments
+                    </h2>
+                    <button
+                        onClick={() => context.setActiveTab('investments')}
+                        className="text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        Manage →
+                    </button>
+                </div>
+                
+                {context.holdings.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Track stocks, funds and other holdings
+                    </p>
+                ) : (
+                    <div className="flex justify-between items-baseline">
+                        <span className="text-2xl font-bold text-gray-900 dark:text-white">
+                            {formatCurrency(statistics.totalInvestments)}
+                        </span>
+                        <span className={`text-sm ${context.portfolio.totals.unrealizedGain >= 0
+                            ? 'text-green-600 dark:text-green-400'
+                            : 'text-red-600 dark:text-red-400'}`}>
+                            {context.portfolio.totals.unrealizedGain >= 0 ? '+' : ''}
+                            {formatCurrency(context.portfolio.totals.unrealizedGain)} unrealized
+                        </span>
+                    </div>
+                )}
+            </div>
+            
+            {/* Upcoming Bills */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Upcoming Bills
+                    </h2>
+                    <button
+                        onClick={() => context.setActiveTab('bills')}
+                        className="text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        Manage →
+                    </button>
+                </div>
+                
+                {dueBills.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Nothing due in the next week
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {dueBills.map(bill => (
+                            <div key={bill.id} className="flex justify-between text-sm">
+                                <span className={window.billManager.getStatus(bill) === 'overdue'
+                                    ? 'text-red-600 dark:text-red-400'
+                                    : 'text-gray-700 dark:text-gray-300'}>
+                                    🧾 {bill.name} · {new Date(`${bill.dueDate}T00:00`).toLocaleDateString()}
+                                </span>
+                                <span className="font-medium">{formatCurrency(bill.amount)}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
+            {/* Chores */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Chores
+                    </h2>
+                    <button
+                        onClick={() => context.setActiveTab('chores')}
+                        className="text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        Manage →
+                    </button>
+                </div>
+                
+                {myChores.length === 0 && choreGroups.awaiting.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        No chores due
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {myChores.map(task => (
+                            <div key={task.id} className="flex justify-between text-sm">
+                                <span className={window.choreManager.getStatus(task) === 'overdue'
+                                    ? 'text-red-600 dark:text-red-400'
+                                    : 'text-gray-700 dark:text-gray-300'}>
+                                    🧹 {task.title} · {new Date(`${task.dueDate}T00:00`).toLocaleDateString()}
+                                </span>
+                                {task.reward > 0 && (
+                                    <span className="font-medium">{formatCurrency(task.reward)}</span>
+                                )}
+                            </div>
+                        ))}
+                        {choreGroups.awaiting.length > 0 && (
+                            <p className="text-sm text-indigo-600 dark:text-indigo-400">
+                                {choreGroups.awaiting.length} waiting for approval
+                            </p>
+                        )}
+                    </div>
+                )}
+            </div>
+            
+            {/* Family Notes */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Family Notes
+                    </h2>
+                    <button
+                        onClick={() => context.setActiveTab('notes')}
+                        className="text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        Manage →
+                    </button>
+                </div>
+                
+                {pinnedNotes.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {context.notes.length === 0
+                            ? 'Keep insurance numbers and renewal dates here, encrypted'
+                            : `${context.notes.length} ${context.notes.length === 1 ? 'note' : 'notes'}, none pinned`}
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {pinnedNotes.map(note => (
+                            <p key={note.id} className="text-sm text-gray-700 dark:text-gray-300">
+                                📌 {note.title}
+                            </p>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
+            {/* Spending by Member */}
+            {Object.keys(statistics.memberBreakdown).length > 1 && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                        Spending by Member
+                    </h2>
+                    <div className="space-y-2">
+                        {Object.entries(statistics.memberBreakdown)
+                            .sort(([, a], [, b]) => b - a)
+                            .map(([memberCode, amount]) => (
+                                <div key={memberCode} className="flex justify-between text-sm">
+                                    <span className="text-gray-700 dark:text-gray-300">
+                                        {context.familyConfig.members?.find(m => m.code === memberCode)?.name || memberCode}
+                                    </span>
+                                    <span className="font-medium">{formatCurrency(amount)}</span>
+                                </div>
+                            ))}
+                    </div>
+                </div>
+            )}
+            
+            {/* Family Activity */}
+            {context.activity.length > 0 && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                        Family Activity
+                    </h2>
+                    <div className="space-y-3">
+                        {context.activity.slice(0, 5).map(entry => (
+                            <div key={entry.id} className="text-sm">
+                                <p className="text-gray-900 dark:text-white">{entry.message}</p>
+                                <p className="text-gray-500 dark:text-gray-400">
+                                    {new Date(entry.timestamp).toLocaleString()}
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            
+            {/* Recent Transactions */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                    Recent Transactions
+                </h2>
+                
+                {recentTransactions.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+                        <p>No transactions yet</p>
+                        <button
+                            onClick={() => context.setShowAddTransaction(true)}
+                            className="mt-4 text-indigo-600 hover:text-indigo-700"
+                        >
+                            Add your first transaction
+                        </button>
+                    </div>
+                ) : (
+                    <div className="space-y-3">
+                        {recentTransactions.map(transaction => (
+                            <div
+                                key={transaction.id}
+                                className="flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                            >
+                                <div className="flex items-center space-x-3">
+                                    <span className="text-2xl">
+                                        {context.categories[transaction.type]
+                                            ?.find(c => c.id === transaction.category)?.icon ||
+                                            (transaction.type === 'transfer' ? '🔄' : '💰')}
+                                    </span>
+                                    <div>
+                                        <p className="font-medium text-gray-900 dark:text-white">
+                                            {transaction.description}
+                                        </p>
+                                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                                            {new Date(transaction.date).toLocaleDateString()}
+                                        </p>
+                                    </div>
+                                </div>
+                                <p className={`font-semibold ${
+                                    transaction.type === 'transfer'
+                                        ? 'text-indigo-600 dark:text-indigo-400'
+                                        : transaction.type === 'income' 
+                                            ? 'text-green-600 dark:text-green-400' 
+                                            : 'text-red-600 dark:text-red-400'
+                                }`}>
+                                    {window.accountManager.getSignedAmount(transaction) >= 0 ? '+' : '-'}
+                                    {formatCurrency(transaction.amount, window.currencyManager.getTransactionCurrency(transaction))}
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                
+                {transactions.length > 5 && (
+                    <button
+                        onClick={() => context.setActiveTab('transactions')}
+                        className="mt-4 text-indigo-600 hover:text-indigo-700 text-sm"
+                    >
+                        View all transactions →
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// =====================================================
+// WINDOWED LIST
+// =====================================================
+
+/**
+ * Renders only the items near the viewport, padding the rest with spacers
+ * Heights start from estimateSize and are replaced by measured heights once rendered
+ */
+function WindowedList({ items, getKey, estimateSize, renderItem, onEndReached, overscan = 600 }) {
+    const containerRef = useRef(null);
+    const heightsRef = useRef({});
+    const endReachedRef = useRef(onEndReached);
+    const [range, setRange] = useState({ start: 0, end: Math.min(items.length, 20) });
+    const [, setMeasureVersion] = useState(0);
+    
+    endReachedRef.current = onEndReached;
+    
+    const getHeight = (item) => heightsRef.current[getKey(item)] ?? estimateSize(item);
+    
+    const updateRange = useCallback(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        
+        // The page scrolls, so the list's own offset tells us what is visible
+        const top = container.getBoundingClientRect().top;
+        const visibleStart = -top - overscan;
+        const visibleEnd = -top + window.innerHeight + overscan;
+        
+        let start = 0;
+        let offset = 0;
+        while (start < items.length && offset + getHeight(items[start]) < visibleStart) {
+            offset += getHeight(items[start]);
+            start++;
+        }
+        
+        let end = start;
+        while (end < items.length && offset < visibleEnd) {
+            offset += getHeight(items[end]);
+            end++;
+        }
+        
+        setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+        
+        if (end >= items.length && endReachedRef.current) {
+            endReachedRef.current();
+        }
+    }, [items, overscan]);
+    
+    useEffect(() => {
+        updateRange();
+        window.addEventListener('scroll', updateRange, { passive: true });
+        window.addEventListener('resize', updateRange);
+        
+        return () => {
+            window.removeEventListener('scroll', updateRange);
+            window.removeEventListener('resize', updateRange);
+        };
+    }, [updateRange]);
+    
+    // Record real heights so the spacers stay accurate
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        
+        let changed = false;
+        container.querySelectorAll(':scope > [data-window-key]').forEach(element => {
+            const key = element.dataset.windowKey;
+            if (heightsRef.current[key] !== element.offsetHeight) {
+                heightsRef.current[key] = element.offsetHeight;
+                changed = true;
+            }
+        });
+        
+        if (changed) {
+            setMeasureVersion(v => v + 1);
+            updateRange();
+        }
+    });
+    
+    const start = Math.min(range.start, items.length);
+    const end = Math.min(range.end, items.length);
+    const sumHeights = (list) => list.reduce((sum, item) => sum + getHeight(item), 0);
+    
+    return (
+        <div ref={containerRef}>
+            <div style={{ height: sumHeights(items.slice(0, start)) }} />
+            {items.slice(start, end).map(item => (
+                <div key={getKey(item)} data-window-key={getKey(item)}>
+                    {renderItem(item)}
+                </div>
+            ))}
+            <div style={{ height: sumHeights(items.slice(end)) }} />
+        </div>
+    );
+}
+
+// =====================================================
+// TRANSACTIONS VIEW
+// =====================================================
+
+function TransactionsView() {
+    const context = useContext(AppContext);
+    const { transactions, categories, accounts, familyConfig, ledgerVersion } = context;
+    const search = window.transactionSearch;
+    const [filters, setFilters] = useState(search.getEmptyFilters());
+    const [showFilters, setShowFilters] = useState(false);
+    const [searchResults, setSearchResults] = useState(null);
+    const [presets, setPresets] = useState([]);
+    const [presetName, setPresetName] = useState('');
+    const [showRecurring, setShowRecurring] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    
+    const activeFilterCount = search.countActive(filters);
+    const panelFilterCount = activeFilterCount - (filters.text.trim() ? 1 : 0);
+    
+    useEffect(() => {
+        search.getPresets().then(setPresets);
+    }, []);
+    
+    // Advanced filters go through the IndexedDB indexes; re-run when the ledger changes
+    useEffect(() => {
+        if (activeFilterCount === 0) {
+            setSearchResults(null);
+            return;
+        }
+        
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const results = await search.search(filters, categories);
+            if (!cancelled) setSearchResults(context.hideRestricted(results));
+        }, 250);
+        
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [filters, ledgerVersion, categories]);
+    
+    const updateFilters = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+    
+    const handleSavePreset = async () => {
+        if (!presetName.trim()) return;
+        
+        await search.savePreset(presetName, filters);
+        setPresets(await search.getPresets());
+        setPresetName('');
+        context.showNotification('Filter preset saved', 'success');
+    };
+    
+    const handleDeletePreset = async (presetId) => {
+        await search.deletePreset(presetId);
+        setPresets(await search.getPresets());
+    };
+    
+    const filterInputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const filteredTransactions = useMemo(() => searchResults || transactions.filter(t => {
+        if (filters.type === 'all') return true;
+        return t.type === filters.type;
+    }), [searchResults, transactions, filters.type]);
+    
+    // Flatten into day headers and rows so the list can be windowed
+    const listItems = useMemo(() => {
+        const items = [];
+        let currentDate = null;
+        
+        filteredTransactions.forEach(transaction => {
+            const date = new Date(transaction.date).toDateString();
+            if (date !== currentDate) {
+                currentDate = date;
+                items.push({ key: `day:${date}`, date });
+            }
+            items.push({ key: transaction.id, transaction });
+        });
+        
+        return items;
+    }, [filteredTransactions]);
+    
+    // Search results are complete; the plain history is paged in as the user scrolls
+    const handleEndReached = () => {
+        if (!searchResults && context.hasMoreTransactions) {
+            context.loadMoreTransactions();
+        }
+    };
+    
+    const renderTransaction = (transaction) => (
+        <div
+            onClick={() => context.editTransaction(transaction)}
+            className="flex items-center justify-between p-3 mb-2 bg-white dark:bg-gray-800 shadow-sm hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors transaction-item cursor-pointer"
+        >
+            <div className="flex items-center space-x-3">
+                <span className="text-2xl">
+                    {categories[transaction.type]
+                        ?.find(c => c.id === transaction.category)?.icon ||
+                        (transaction.type === 'transfer' ? '🔄' : '💰')}
+                </span>
+                <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                        {transaction.description}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {transaction.type === 'transfer'
+                            ? `Transfer ${transaction.direction === 'in' ? 'from' : 'to'} ${
+                                context.accounts.find(a => a.id === transaction.counterAccountId)?.name || 'account'
+                            }`
+                            : window.splitManager.isSplit(transaction)
+                                ? `✂️ ${transaction.splits.map(split => categories[transaction.type]
+                                    ?.find(c => c.id === split.category)?.name || 'Other').join(', ')}`
+                                : categories[transaction.type]
+                                    ?.find(c => c.id === transaction.category)?.name || 'Other'}
+                    </p>
+                    {transaction.tags?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {transaction.tags.map(tag => (
+                                <span
+                                    key={tag}
+                                    className="text-xs px-2 py-0.5 rounded-full bg-indigo-50 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300"
+                                >
+                                    #{tag}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+            <p className={`font-semibold ${
+                transaction.type === 'transfer'
+                    ? 'text-indigo-600 dark:text-indigo-400'
+                    : transaction.type === 'income' 
+                        ? 'text-green-600 dark:text-green-400' 
+                        : 'text-red-600 dark:text-red-400'
+            }`}>
+                {window.accountManager.getSignedAmount(transaction) >= 0 ? '+' : '-'}
+                {formatCurrency(transaction.amount, window.currencyManager.getTransactionCurrency(transaction))}
+            </p>
+        </div>
+    );
+    
+    return (
+        <div className="space-y-4 pb-20">
+            {/* Search */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-2 flex space-x-2">
+                <input
+                    type="search"
+                    value={filters.text}
+                    onChange={(e) => updateFilters({ text: e.target.value })}
+                    className={filterInputClass}
+                    placeholder="Search description, notes and tags"
+                />
+                <button
+                    onClick={() => setShowFilters(!showFilters)}
+                    className={`px-4 rounded-lg font-medium whitespace-nowrap transition-colors ${
+                        showFilters || panelFilterCount > 0
+                            ? 'bg-indigo-600 text-white'
+                            : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                    }`}
+                >
+                    Filters{panelFilterCount > 0 ? ` (${panelFilterCount})` : ''}
+                </button>
+            </div>
+            
+            {showFilters && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 space-y-3 slide-in">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">From</label>
+                            <input
+                                type="date"
+                                value={filters.dateFrom}
+                                onChange={(e) => updateFilters({ dateFrom: e.target.value })}
+                                className={filterInputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">To</label>
+                            <input
+                                type="date"
+                                value={filters.dateTo}
+                                min={filters.dateFrom || undefined}
+                                onChange={(e) => updateFilters({ dateTo: e.target.value })}
+                                className={filterInputClass}
+                            />
+                        </div>
+                    </div>
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                        <select
+                            value={filters.category}
+                            onChange={(e) => updateFilters({ category: e.target.value })}
+                            className={filterInputClass}
+                        >
+                            <option value="">Any category</option>
+                            {['expense', 'income'].map(type => (
+                                <optgroup key={type} label={type === 'expense' ? 'Expense' : 'Income'}>
+                                    {categories[type].map(cat => (
+                                        <option key={cat.id} value={cat.id}>
+                                            {cat.depth ? '\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.name}
+                                        </option>
+                                    ))}
+                                </optgroup>
+                            ))}
+                        </select>
+                        <select
+                            value={filters.accountId}
+                            onChange={(e) => updateFilters({ accountId: e.target.value })}
+                            className={filterInputClass}
+                        >
+                            <option value="">Any account</option>
+                            {accounts.map(account => (
+                                <option key={account.id} value={account.id}>{account.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                        <input
+                            type="number"
+                            step="0.01"
+                            value={filters.amountMin}
+                            onChange={(e) => updateFilters({ amountMin: e.target.value })}
+                            className={filterInputClass}
+                            placeholder="Min amount"
+                        />
+                        <input
+                            type="number"
+                            step="0.01"
+                            value={filters.amountMax}
+                            onChange={(e) => updateFilters({ amountMax: e.target.value })}
+                            className={filterInputClass}
+                            placeholder="Max amount"
+                        />
+                    </div>
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                        <select
+                            value={filters.familyMember}
+                            onChange={(e) => updateFilters({ familyMember: e.target.value })}
+                            className={filterInputClass}
+                        >
+                            <option value="">Any member</option>
+                            {(familyConfig.members || []).map(member => (
+                                <option key={member.code} value={member.code}>{member.name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={filters.tag}
+                            onChange={(e) => updateFilters({ tag: e.target.value })}
+                            className={filterInputClass}
+                            placeholder="Tags (e.g. holiday)"
+                        />
+                    </div>
+                    
+                    {/* Presets */}
+                    <div className="pt-3 border-t border-gray-200 dark:border-gray-700 space-y-2">
+                        {presets.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                                {presets.map(preset => (
+                                    <span
+                                        key={preset.id}
+                                        className="inline-flex items-center bg-gray-100 dark:bg-gray-700 rounded-full text-sm"
+                                    >
+                                        <button
+                                            onClick={() => setFilters({ ...search.getEmptyFilters(), ...preset.filters })}
+                                            className="pl-3 pr-1 py-1 text-gray-800 dark:text-gray-200"
+                                        >
+                                            {preset.name}
+                                        </button>
+                                        <button
+                                            onClick={() => handleDeletePreset(preset.id)}
+                                            className="pr-3 pl-1 py-1 text-gray-400 hover:text-red-600"
+                                            aria-label={`Delete preset ${preset.name}`}
+                                        >
+                                            ✕
+                                        </button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                value={presetName}
+                                onChange={(e) => setPresetName(e.target.value)}
+                                className={filterInputClass}
+                                placeholder="Preset name"
+                            />
+                            <button
+                                onClick={handleSavePreset}
+                                disabled={!presetName.trim() || activeFilterCount === 0}
+                                className="px-4 rounded-lg bg-indigo-600 text-white whitespace-nowrap disabled:opacity-50"
+                            >
+                                Save
+                            </button>
+                            <button
+                                onClick={() => setFilters({ ...search.getEmptyFilters(), type: filters.type })}
+                                className="px-4 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white whitespace-nowrap"
+                            >
+                                Clear
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            
+            {/* Filter Tabs */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-2 flex">
+                {['all', 'income', 'expense'].map(type => (
+                    <button
+                        key={type}
+                        onClick={() => updateFilters({ type })}
+                        className={`flex-1 py-2 px-4 rounded-lg font-medium transition-colors ${
+                            filters.type === type
+                                ? 'bg-indigo-600 text-white'
+                                : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+                        }`}
+                    >
+                        {type.charAt(0).toUpperCase() + type.slice(1)}
+                    </button>
+                ))}
+            </div>
+            
+            {/* Recurring Transactions */}
+            <button
+                onClick={() => setShowRecurring(!showRecurring)}
+                className="w-full text-left bg-white dark:bg-gray-800 rounded-xl shadow-sm px-4 py-3 flex justify-between items-center"
+            >
+                <span className="font-medium text-gray-900 dark:text-white">
+                    🔁 Recurring ({context.recurringRules.filter(r => r.active).length} active)
+                </span>
+                <span className="text-gray-400">{showRecurring ? '▲' : '▼'}</span>
+            </button>
+            
+            {showRecurring && <RecurringRulesPanel />}
+            
+            {/* Import */}
+            <button
+                onClick={() => setShowImport(true)}
+                className="w-full text-left bg-white dark:bg-gray-800 rounded-xl shadow-sm px-4 py-3 font-medium text-gray-900 dark:text-white"
+            >
+                📥 Import bank statement
+            </button>
+            
+            {showImport && <ImportWizard onClose={() => setShowImport(false)} />}
+            
+            {/* Transactions List */}
+            {listItems.length === 0 ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        No transactions found
+                    </p>
+                </div>
+            ) : (
+                <WindowedList
+                    items={listItems}
+                    getKey={item => item.key}
+                    estimateSize={item => (item.date ? 36 : 76)}
+                    onEndReached={handleEndReached}
+                    renderItem={item => item.date ? (
+                        <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 px-1 pt-3 pb-2">
+                            {item.date === new Date().toDateString() ? 'Today' : item.date}
+                        </h3>
+                    ) : renderTransaction(item.transaction)}
+                />
+            )}
+            
+            {!searchResults && context.hasMoreTransactions && (
+                <div className="flex justify-center py-4">
+                    <div className="spinner w-6 h-6"></div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// RECURRING RULES PANEL
+// =====================================================
+
+function RecurringRulesPanel() {
+    const context = useContext(AppContext);
+    const { recurringRules, categories } = context;
+    const [editingRuleId, setEditingRuleId] = useState(null);
+    const [nextDate, setNextDate] = useState('');
+    
+    const sortedRules = [...recurringRules].sort((a, b) => {
+        if (a.active !== b.active) return a.active ? -1 : 1;
+        return a.nextDate.localeCompare(b.nextDate);
+    });
+    
+    if (sortedRules.length === 0) {
+        return (
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                No recurring transactions. Choose a repeat option when adding a transaction.
+            </div>
+        );
+    }
+    
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 space-y-3">
+            {sortedRules.map(rule => {
+                const category = categories[rule.type]?.find(c => c.id === rule.category);
+                
+                return (
+                    <div
+                        key={rule.id}
+                        className={`p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${
+                            rule.active ? '' : 'opacity-60'
+                        }`}
+                    >
+                        <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-3">
+                                <span className="text-2xl">{category?.icon || '🔁'}</span>
+                                <div>
+                                    <p className="font-medium text-gray-900 dark:text-white">
+                                        {rule.description}
+                                    </p>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                                        {window.recurringManager.describe(rule)}
+                                        {rule.active && ` · next ${window.recurringManager.parseDate(rule.nextDate).toLocaleDateString()}`}
+                                    </p>
+                                </div>
+                            </div>
+                            <p className={`font-semibold ${
+                                rule.type === 'income'
+                                    ? 'text-green-600 dark:text-green-400'
+                                    : 'text-red-600 dark:text-red-400'
+                            }`}>
+                                {rule.type === 'income' ? '+' : '-'}
+                                {formatCurrency(rule.amount)}
+                            </p>
+                        </div>
+                        
+                        {editingRuleId === rule.id ? (
+                            <div className="flex items-center space-x-2 mt-3">
+                                <input
+                                    type="date"
+                                    value={nextDate}
+                                    onChange={(e) => setNextDate(e.target.value)}
+                                    className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                />
+                                <button
+                                    onClick={async () => {
+                                        if (nextDate) {
+                                            await context.setRecurringNextDate(rule.id, nextDate);
+                                        }
+                                        setEditingRuleId(null);
+                                    }}
+                                    className="text-sm text-indigo-600 hover:text-indigo-700"
+                                >
+                                    Save
+                                </button>
+                                <button
+                                    onClick={() => setEditingRuleId(null)}
+                                    className="text-sm text-gray-500 hover:text-gray-700"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        ) : (
+                            <div className="flex space-x-4 mt-3 text-sm">
+                                {rule.active && (
+                                    <button
+                                        onClick={() => context.skipRecurringOccurrence(rule.id)}
+                                        className="text-indigo-600 hover:text-indigo-700"
+                                    >
+                                        Skip next
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => {
+                                        setNextDate(rule.nextDate);
+                                        setEditingRuleId(rule.id);
+                                    }}
+                                    className="text-indigo-600 hover:text-indigo-700"
+                                >
+                                    Change next date
+                                </button>
+                                <button
+                                    onClick={() => context.toggleRecurringRule(rule.id, !rule.active)}
+                                    className="text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                                >
+                                    {rule.active ? 'Pause' : 'Resume'}
+                                </button>
+                                <button
+                                    onClick={() => {
+                                        if (confirm(`Stop repeating "${rule.description}"? Past transactions are kept.`)) {
+                                            context.deleteRecurringRule(rule.id);
+                                        }
+                                    }}
+                                    className="text-red-600 hover:text-red-700"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// =====================================================
+// IMPORT WIZARD
+// =====================================================
+
+function ImportWizard({ onClose }) {
+    const context = useContext(AppContext);
+    const importer = window.importManager;
+    const openAccounts = context.accounts.filter(a => !a.archived);
+    
+    const [step, setStep] = useState('file'); // file, mapping, preview
+    const [accountId, setAccountId] = useState(openAccounts[0]?.id || '');
+    const [csvRows, setCsvRows] = useState([]);
+    const [mapping, setMapping] = useState(null);
+    const [profiles, setProfiles] = useState([]);
+    const [profileName, setProfileName] = useState('');
+    const [previewRows, setPreviewRows] = useState([]);
+    const [errors, setErrors] = useState([]);
+    const [importing, setImporting] = useState(false);
+    
+    useEffect(() => {
+        importer.getProfiles().then(setProfiles);
+    }, []);
+    
+    const showPreview = async (result) => {
+        // Only the loaded page is in memory, so compare against the file's date range in the store
+        const dates = result.rows.map(row => String(row.date || '')).filter(Boolean).sort();
+        const existing = dates.length > 0
+            ? await window.dbManager.queryByIndex(
+                'transactions',
+                'date',
+                IDBKeyRange.bound(dates[0], `${dates[dates.length - 1]}\uffff`)
+            )
+            : [];
+        const rows = importer.markDuplicates(result.rows, existing.filter(t => !t.deleted), accountId || null);
+        setPreviewRows(rows.map(row => ({ ...row, include: !row.duplicate })));
+        setErrors(result.errors);
+        setStep('preview');
+    };
+    
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const text = await file.text();
+        const format = importer.detectFormat(file.name, text);
+        
+        if (format === 'ofx') {
+            showPreview(importer.parseOFX(text));
+        } else if (format === 'qif') {
+            showPreview(importer.parseQIF(text));
+        } else {
+            const rows = importer.parseCSV(text);
+            if (rows.length === 0) {
+                context.showNotification('That file has no rows to import', 'error');
+                return;
+            }
+            setCsvRows(rows);
+            setMapping(importer.guessMapping(rows[0]));
+            setStep('mapping');
+        }
+    };
+    
+    const handleApplyMapping = async () => {
+        if (mapping.date < 0 || (mapping.amount < 0 && (mapping.debit < 0 || mapping.credit < 0))) {
+            context.showNotification('Choose a date column and an amount (or debit and credit) column', 'error');
+            return;
+        }
+        
+        if (profileName.trim()) {
+            await importer.saveProfile(profileName, mapping);
+            context.showNotification(`Saved column mapping for ${profileName.trim()}`, 'success');
+        }
+        
+        showPreview(importer.applyMapping(csvRows, mapping));
+    };
+    
+    const handleImport = async () => {
+        const selected = previewRows.filter(row => row.include);
+        if (selected.length === 0) {
+            context.showNotification('Nothing selected to import', 'warning');
+            return;
+        }
+        
+        setImporting(true);
+        try {
+            await context.importTransactions(selected, accountId || null);
+            onClose();
+        } finally {
+            setImporting(false);
+        }
+    };
+    
+    const columnOptions = csvRows.length
+        ? csvRows[0].map((name, index) => ({
+            index,
+            label: mapping?.hasHeader ? name || `Column ${index + 1}` : `Column ${index + 1}`
+        }))
+        : [];
+    
+    const renderColumnSelect = (field, label, optional = false) => (
+        <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label}
+            </label>
+            <select
+                value={mapping[field]}
+                onChange={(e) => setMapping({ ...mapping, [field]: parseInt(e.target.value, 10) })}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+            >
+                <option value={-1}>{optional ? 'Not used' : 'Choose a column'}</option>
+                {columnOptions.map(col => (
+                    <option key={col.index} value={col.index}>{col.label}</option>
+                ))}
+            </select>
+        </div>
+    );
+    
+    const includedCount = previewRows.filter(row => row.include).length;
+    const duplicateCount = previewRows.filter(row => row.duplicate).length;
+    
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto slide-up">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                        Import Bank Statement
+                    </h2>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+                
+                {step === 'file' && (
+                    <div className="space-y-4">
+                        {openAccounts.length > 0 && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                    Import into account
+                                </label>
+                                <select
+                                    value={accountId}
+                                    onChange={(e) => setAccountId(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                >
+                                    <option value="">No account</option>
+                                    {openAccounts.map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Statement file (CSV, OFX, QFX or QIF)
+                            </label>
+                            <input
+                                type="file"
+                                accept=".csv,.txt,.ofx,.qfx,.qif"
+                                onChange={handleFile}
+                                className="w-full text-sm text-gray-700 dark:text-gray-300"
+                            />
+                        </div>
+                    </div>
+                )}
+                
+                {step === 'mapping' && mapping && (
+                    <div className="space-y-4">
+                        {profiles.length > 0 && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                    Saved bank profile
+                                </label>
+                                <select
+                                    defaultValue=""
+                                    onChange={(e) => {
+                                        const profile = profiles.find(p => p.id === e.target.value);
+                                        if (profile) {
+                                            setMapping(profile.mapping);
+                                            setProfileName(profile.name);
+                                        }
+                                    }}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                >
+                                    <option value="">Choose a profile</option>
+                                    {profiles.map(profile => (
+                                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={mapping.hasHeader}
+                                onChange={(e) => setMapping({ ...mapping, hasHeader: e.target.checked })}
+                            />
+                            <span>First row is a header</span>
+                        </label>
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            {renderColumnSelect('date', 'Date')}
+                            {renderColumnSelect('description', 'Description', true)}
+                            {renderColumnSelect('amount', 'Amount (signed)', true)}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                    Date format
+                                </label>
+                                <select
+                                    value={mapping.dateFormat}
+                                    onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                >
+                                    {Object.keys(importer.dateFormats).map(format => (
+                                        <option key={format} value={format}>{format}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {renderColumnSelect('debit', 'Money out', true)}
+                            {renderColumnSelect('credit', 'Money in', true)}
+                        </div>
+                        
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={mapping.invertAmounts}
+                                onChange={(e) => setMapping({ ...mapping, invertAmounts: e.target.checked })}
+                            />
+                            <span>Spending is shown as positive amounts</span>
+                        </label>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                Save mapping for this bank (optional)
+                            </label>
+                            <input
+                                type="text"
+                                value={profileName}
+                                onChange={(e) => setProfileName(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="My Bank"
+                            />
+                        </div>
+                        
+                        <div className="overflow-x-auto text-xs text-gray-600 dark:text-gray-400">
+                            <table className="min-w-full">
+                                <tbody>
+                                    {csvRows.slice(0, 4).map((row, i) => (
+                                        <tr key={i} className={i === 0 && mapping.hasHeader ? 'font-semibold' : ''}>
+                                            {row.map((cell, j) => (
+                                                <td key={j} className="pr-3 py-1 whitespace-nowrap">{cell}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        
+                        <button
+                            onClick={handleApplyMapping}
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                        >
+                            Preview
+                        </button>
+                    </div>
+                )}
+                
+                {step === 'preview' && (
+                    <div className="space-y-4">
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                            {previewRows.length} rows found, {duplicateCount} look like duplicates and are unticked.
+                        </p>
+                        
+                        {errors.length > 0 && (
+                            <div className="p-3 bg-yellow-50 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded-lg text-sm">
+                                <p className="font-medium">{errors.length} rows were skipped:</p>
+                                {errors.slice(0, 5).map((error, i) => <p key={i}>{error}</p>)}
+                            </div>
+                        )}
+                        
+                        <div className="space-y-1 max-h-96 overflow-y-auto">
+                            {previewRows.map((row, index) => (
+                                <label
+                                    key={index}
+                                    className={`flex items-center justify-between p-2 rounded-lg text-sm ${
+                                        row.duplicate ? 'bg-yellow-50 dark:bg-yellow-900' : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                                    }`}
+                                >
+                                    <div className="flex items-center space-x-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={row.include}
+                                            onChange={(e) => setPreviewRows(previewRows.map((r, i) =>
+                                                i === index ? { ...r, include: e.target.checked } : r
+                                            ))}
+                                        />
+                                        <div>
+                                            <p className="font-medium text-gray-900 dark:text-white">
+                                                {row.description}
+                                                {row.duplicate && <span className="ml-2 text-xs text-yellow-700 dark:text-yellow-300">Duplicate?</span>}
+                                                {row.repeated && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">Repeated in file</span>}
+                                            </p>
+                                            <p className="text-gray-500 dark:text-gray-400">{row.date}</p>
+                                        </div>
+                                    </div>
+                                    <span className={row.type === 'income' ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                                        {row.type === 'income' ? '+' : '-'}{formatCurrency(row.amount)}
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+                        
+                        <div className="flex space-x-3">
+                            <button
+                                onClick={() => setStep(csvRows.length ? 'mapping' : 'file')}
+                                className="flex-1 py-3 px-4 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                            >
+                                Back
+                            </button>
+                            <button
+                                onClick={handleImport}
+                                disabled={importing}
+                                className="flex-1 py-3 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                            >
+                                {importing ? 'Importing...' : `Import ${includedCount}`}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// =====================================================
+// ADD TRANSACTION MODAL
+// =====================================================
+
+function AddTransactionModal() {
+    const context = useContext(AppContext);
+    const editing = context.editingTransaction;
+    const editingIncoming = editing?.type === 'transfer' && editing.direction === 'in';
+    // Between currencies the two legs of a transfer carry different amounts
+    const editingCounterpart = editing?.transferId
+        ? context.transactions.find(t => t.transferId === editing.transferId && t.id !== editing.id)
+        : null;
+    const editingTransfer = editingCounterpart && {
+        outgoing: editingIncoming ? editingCounterpart : editing,
+        incoming: editingIncoming ? editing : editingCounterpart
+    };
+    const [type, setType] = useState(editing?.type || 'expense');
+    const [amount, setAmount] = useState(editing
+        ? String((editingTransfer?.outgoing || editing).amount)
+        : '');
+    const [description, setDescription] = useState(editing?.description || '');
+    const [category, setCategory] = useState(editing?.category || '');
+    const [date, setDate] = useState(editing?.date || new Date().toISOString().split('T')[0]);
+    const [tagsText, setTagsText] = useState((editing?.tags || []).join(', '));
+    const [frequency, setFrequency] = useState('none');
+    const [endType, setEndType] = useState('never'); // never, date, count
+    const [endDate, setEndDate] = useState('');
+    const [maxOccurrences, setMaxOccurrences] = useState('');
+    
+    // An edited transaction keeps its account even if that account was archived since
+    const openAccounts = context.accounts.filter(a => !a.archived ||
+        (editing && [editing.accountId, editing.counterAccountId].includes(a.id)));
+    const [accountId, setAccountId] = useState(editing
+        ? (editingIncoming ? editing.counterAccountId : editing.accountId) || ''
+        : openAccounts[0]?.id || '');
+    const [toAccountId, setToAccountId] = useState(editing
+        ? (editingIncoming ? editing.accountId : editing.counterAccountId) || ''
+        : openAccounts[1]?.id || '');
+    const getAccountCurrency = (id) =>
+        window.currencyManager.getAccountCurrency(context.accounts.find(a => a.id === id));
+    const [currency, setCurrency] = useState(editing
+        ? window.currencyManager.getTransactionCurrency(editing)
+        : context.baseCurrency);
+    const [receivedAmount, setReceivedAmount] = useState(editingTransfer
+        ? String(editingTransfer.incoming.amount)
+        : '');
+    const [categoryTouched, setCategoryTouched] = useState(!!editing);
+    const [splits, setSplits] = useState(editing?.splits?.length
+        ? editing.splits.map(split => ({ ...split, amount: String(split.amount), familyMember: split.familyMember || '' }))
+        : []);
+    const members = context.familyConfig.members || [];
+    const splitRemaining = window.splitManager.getRemaining(amount, splits);
+    
+    // Entries on an account are in the account's currency
+    const entryCurrency = accountId ? getAccountCurrency(accountId) : currency;
+    const toCurrency = getAccountCurrency(toAccountId);
+    const crossCurrency = type === 'transfer' && !!accountId && !!toAccountId && entryCurrency !== toCurrency;
+    
+    const emptySplit = { category: '', amount: '', memo: '', familyMember: '' };
+    
+    const toggleSplit = () => {
+        if (splits.length > 0) {
+            setCategory(splits.find(split => split.category)?.category || category);
+            setSplits([]);
+            return;
+        }
+        
+        // Start with the current category holding the whole amount
+        setSplits([{ ...emptySplit, category, amount }, { ...emptySplit }]);
+    };
+    
+    const updateSplit = (index, changes) => {
+        setSplits(prev => prev.map((split, i) => i === index ? { ...split, ...changes } : split));
+    };
+    
+    const closeModal = () => {
+        context.setShowAddTransaction(false);
+        context.setEditingTransaction(null);
+    };
+    
+    // Suggest a category from the family's rules until the user picks one
+    useEffect(() => {
+        if (categoryTouched || type === 'transfer') return;
+        
+        const suggested = context.categorizeTransaction({
+            type,
+            description,
+            amount: parseFloat(amount) || 0,
+            accountId: accountId || null,
+            memberCode: context.familyConfig.memberCode
+        });
+        setCategory(suggested || '');
+    }, [type, description, amount, accountId, categoryTouched]);
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        
+        if (type === 'transfer') {
+            if (!amount || !accountId || !toAccountId) {
+                context.showNotification('Please choose both accounts and an amount', 'error');
+                return;
+            }
+            
+            const transfer = {
+                amount: parseFloat(amount),
+                receivedAmount: crossCurrency ? parseFloat(receivedAmount) : null,
+                description: description || 'Transfer',
+                fromAccountId: accountId,
+                toAccountId,
+                date
+            };
+            
+            try {
+                if (editing) {
+                    await context.updateTransaction(editing.id, transfer);
+                } else {
+                    await context.addTransfer(transfer);
+                }
+                closeModal();
+            } catch (error) {
+                context.showNotification(error.message, 'error');
+            }
+            return;
+        }
+        
+        const splitLines = window.splitManager.normalizeSplits(splits);
+        if (splits.length > 0) {
+            const splitError = window.splitManager.validate(parseFloat(amount), splitLines);
+            if (splitError) {
+                context.showNotification(splitError, 'error');
+                return;
+            }
+        }
+        
+        const finalCategory = splitLines.length > 0
+            ? window.splitManager.getPrimaryCategory(splitLines)
+            : category;
+        
+        if (!amount || !description || !finalCategory) {
+            context.showNotification('Please fill in all fields', 'error');
+            return;
+        }
+        
+        if (editing) {
+            await context.updateTransaction(editing.id, {
+                type,
+                amount: parseFloat(amount),
+                description,
+                category: finalCategory,
+                splits: splitLines.length > 0 ? splitLines : undefined,
+                tags: window.transactionSearch.parseTags(tagsText),
+                accountId: accountId || null,
+                currency: entryCurrency,
+                date
+            });
+        } else if (frequency !== 'none' && splitLines.length === 0) {
+            // The first occurrence is posted by the recurring engine
+            await context.saveRecurringRule({
+                type,
+                amount: parseFloat(amount),
+                description,
+                category,
+                accountId: accountId || null,
+                currency: entryCurrency,
+                frequency,
+                startDate: date,
+                endDate: endType === 'date' ? endDate : null,
+                maxOccurrences: endType === 'count' ? parseInt(maxOccurrences, 10) : null
+            });
+        } else {
+            await context.addTransaction({
+                type,
+                amount: parseFloat(amount),
+                description,
+                category: finalCategory,
+                splits: splitLines.length > 0 ? splitLines : undefined,
+                tags: window.transactionSearch.parseTags(tagsText),
+                accountId: accountId || null,
+                currency: entryCurrency,
+                date
+            });
+        }
+        
+        closeModal();
+    };
+    
+    const handleDelete = async () => {
+        await context.deleteTransaction(editing.id);
+        closeModal();
+    };
+    
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto slide-up">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                        {editing ? 'Edit Transaction' : 'Add Transaction'}
+                    </h2>
+                    <button
+                        onClick={closeModal}
+                        className="text-gray-400 hover:text-gray-600"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+                
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {/* Type Toggle (a transfer can't become income or expense) */}
+                    {editing?.type !== 'transfer' && (
+                        <div className="flex bg-gray-100 dark:bg-gray-700 rounded-lg p-1">
+                            <button
+                                type="button"
+                                onClick={() => setType('expense')}
+                                className={`flex-1 py-2 px-4 rounded-md font-medium transition-colors ${
+                                    type === 'expense'
+                                        ? 'bg-white dark:bg-gray-600 text-red-600 dark:text-red-400 shadow-sm'
+                                        : 'text-gray-600 dark:text-gray-400'
+                                }`}
+                            >
+                                Expense
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setType('income')}
+                                className={`flex-1 py-2 px-4 rounded-md font-medium transition-colors ${
+                                    type === 'income'
+                                        ? 'bg-white dark:bg-gray-600 text-green-600 dark:text-green-400 shadow-sm'
+                                        : 'text-gray-600 dark:text-gray-400'
+                                }`}
+                            >
+                                Income
+                            </button>
+                            {openAccounts.length > 1 && !editing && (
+                                <button
+                                    type="button"
+                                    onClick={() => setType('transfer')}
+                                    className={`flex-1 py-2 px-4 rounded-md font-medium transition-colors ${
+                                        type === 'transfer'
+                                            ? 'bg-white dark:bg-gray-600 text-indigo-600 dark:text-indigo-400 shadow-sm'
+                                            : 'text-gray-600 dark:text-gray-400'
+                                    }`}
+                                >
+                                    Transfer
+                                </button>
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* Amount */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            {crossCurrency ? 'Amount Sent' : 'Amount'}
+                        </label>
+                        <div className="flex space-x-2">
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                                className="flex-1 min-w-0 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="0.00"
+                                required
+                            />
+                            <select
+                                value={entryCurrency}
+                                onChange={(e) => setCurrency(e.target.value)}
+                                disabled={!!accountId}
+                                title={accountId ? "Entries use their account's currency" : undefined}
+                                className="w-24 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white disabled:opacity-60"
+                            >
+                                {[...new Set([entryCurrency, context.baseCurrency, ...window.currencyManager.currencies])].map(code => (
+                                    <option key={code} value={code}>{code}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+                    
+                    {crossCurrency && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Amount Received ({toCurrency})
+                            </label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={receivedAmount}
+                                onChange={(e) => setReceivedAmount(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder={amount
+                                    ? String(Number(window.currencyManager.convert(parseFloat(amount) || 0, entryCurrency, toCurrency, date).toFixed(2)))
+                                    : '0.00'}
+                                required
+                            />
+                        </div>
+                    )}
+                    
+                    {/* Description */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Description
+                        </label>
+                        <input
+                            type="text"
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            placeholder={type === 'transfer' ? 'Transfer' : 'Coffee at Starbucks'}
+                            required={type !== 'transfer'}
+                        />
+                    </div>
+                    
+                    {/* Accounts */}
+                    {openAccounts.length > 0 && (
+                        <div className={type === 'transfer' ? 'grid grid-cols-2 gap-3' : ''}>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                    {type === 'transfer' ? 'From' : 'Account'}
+                                </label>
+                                <select
+                                    value={accountId}
+                                    onChange={(e) => setAccountId(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                >
+                                    {type !== 'transfer' && <option value="">No account</option>}
+                                    {openAccounts.map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            
+                            {type === 'transfer' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                        To
+                                    </label>
+                                    <select
+                                        value={toAccountId}
+                                        onChange={(e) => setToAccountId(e.target.value)}
+                                        className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                    >
+                                        {openAccounts.map(account => (
+                                            <option key={account.id} value={account.id}>{account.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* Category */}
+                    {type !== 'transfer' && (
+                        <div>
+                            <div className="flex justify-between items-center mb-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                    Category
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={toggleSplit}
+                                    className="text-sm text-indigo-600 hover:text-indigo-700"
+                                >
+                                    {splits.length > 0 ? "Don't split" : '✂️ Split'}
+                                </button>
+                            </div>
+                            {splits.length > 0 ? (
+                                <div className="space-y-3">
+                                    {splits.map((split, index) => (
+                                        <div key={index} className="p-3 rounded-lg border border-gray-200 dark:border-gray-600 space-y-2">
+                                            <div className="flex space-x-2">
+                                                <select
+                                                    value={split.category}
+                                                    onChange={(e) => updateSplit(index, { category: e.target.value })}
+                                                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                                >
+                                                    <option value="">Category…</option>
+                                                    {context.categories[type].filter(cat => !cat.archived).map(cat => (
+                                                        <option key={cat.id} value={cat.id}>
+                                                            {cat.depth ? '\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.name}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                                <input
+                                                    type="number"
+                                                    step="0.01"
+                                                    value={split.amount}
+                                                    onChange={(e) => updateSplit(index, { amount: e.target.value })}
+                                                    className="w-24 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white text-right"
+                                                    placeholder="0.00"
+                                                />
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setSplits(prev => prev.filter((_, i) => i !== index))}
+                                                    className="text-gray-400 hover:text-red-600"
+                                                    aria-label="Remove split line"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </div>
+                                            <div className="flex space-x-2">
+                                                <input
+                                                    type="text"
+                                                    value={split.memo}
+                                                    onChange={(e) => updateSplit(index, { memo: e.target.value })}
+                                                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                                    placeholder="Memo (optional)"
+                                                />
+                                                {members.length > 0 && (
+                                                    <select
+                                                        value={split.familyMember}
+                                                        onChange={(e) => updateSplit(index, { familyMember: e.target.value })}
+                                                        className="w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                                    >
+                                                        <option value="">For anyone</option>
+                                                        {members.map(member => (
+                                                            <option key={member.code} value={member.code}>{member.name}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                            </div>
+                                        </div>
+                                    ))}
+                                    <div className="flex justify-between items-center text-sm">
+                                        <button
+                                            type="button"
+                                            onClick={() => setSplits(prev => [...prev, { ...emptySplit, amount: splitRemaining > 0 ? String(splitRemaining) : '' }])}
+                                            className="text-indigo-600 hover:text-indigo-700"
+                                        >
+                                            + Add line
+                                        </button>
+                                        <span className={Math.abs(splitRemaining) <= window.splitManager.tolerance
+                                            ? 'text-green-600 dark:text-green-400'
+                                            : 'text-red-600 dark:text-red-400'}>
+                                            {Math.abs(splitRemaining) <= window.splitManager.tolerance
+                                                ? 'Fully allocated'
+                                                : `${splitRemaining > 0 ? 'Left to allocate' : 'Over by'} ${Math.abs(splitRemaining).toFixed(2)}`}
+                                        </span>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div className="grid grid-cols-3 gap-2">
+                                    {context.categories[type].filter(cat => !cat.archived).map(cat => (
+                                        <button
+                                            key={cat.id}
+                                            type="button"
+                                            onClick={() => {
+                                                setCategory(cat.id);
+                                                setCategoryTouched(true);
+                                            }}
+                                            className={`p-3 rounded-lg border-2 transition-colors ${
+                                                category === cat.id
+                                                    ? 'border-indigo-600 bg-indigo-50 dark:bg-indigo-900'
+                                                    : 'border-gray-200 dark:border-gray-600 hover:border-gray-300'
+                                            }`}
+                                        >
+                                            <span className="text-2xl">{cat.icon}</span>
+                                            <p className="text-xs mt-1">{cat.name}</p>
+                                            {cat.parentId && (
+                                                <p className="text-[10px] text-gray-400 truncate">
+                                                    {context.categories[type].find(p => p.id === cat.parentId)?.name}
+                                                </p>
+                                            )}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* Date */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Date
+                        </label>
+                        <input
+                            type="date"
+                            value={date}
+                            onChange={(e) => setDate(e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            required
+                        />
+                    </div>
+                    
+                    {/* Tags */}
+                    {type !== 'transfer' && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Tags
+                            </label>
+                            <input
+                                type="text"
+                                value={tagsText}
+                                onChange={(e) => setTagsText(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="holiday, birthday"
+                            />
+                        </div>
+                    )}
+                    
+                    {/* Repeat (split transactions are one-off) */}
+                    {type !== 'transfer' && !editing && splits.length === 0 && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Repeat
+                            </label>
+                            <select
+                                value={frequency}
+                                onChange={(e) => setFrequency(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            >
+                                <option value="none">Does not repeat</option>
+                                {Object.entries(window.recurringManager.frequencies).map(([id, freq]) => (
+                                    <option key={id} value={id}>{freq.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    
+                    {type !== 'transfer' && !editing && splits.length === 0 && frequency !== 'none' && (
+                        <div className="space-y-2">
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Ends
+                            </label>
+                            <select
+                                value={endType}
+                                onChange={(e) => setEndType(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            >
+                                <option value="never">Never</option>
+                                <option value="date">On a date</option>
+                                <option value="count">After a number of times</option>
+                            </select>
+                            
+                            {endType === 'date' && (
+                                <input
+                                    type="date"
+                                    value={endDate}
+                                    min={date}
+                                    onChange={(e) => setEndDate(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                    required
+                                />
+                            )}
+                            
+                            {endType === 'count' && (
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={maxOccurrences}
+                                    onChange={(e) => setMaxOccurrences(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                    placeholder="12"
+                                    required
+                                />
+                            )}
+                        </div>
+                    )}
+                    
+                    {/* Actions */}
+                    <div className="flex space-x-3 pt-4">
+                        {editing ? (
+                            <button
+                                type="button"
+                                onClick={handleDelete}
+                                className="flex-1 py-3 px-4 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                            >
+                                Delete
+                            </button>
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={closeModal}
+                                className="flex-1 py-3 px-4 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        )}
+                        <button
+                            type="submit"
+                            className="flex-1 py-3 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                        >
+                            {editing ? 'Save Changes' : 'Add Transaction'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// =====================================================
+// ACCOUNTS VIEW
+// =====================================================
+
+function AccountsView() {
+    const context = useContext(AppContext);
+    const { accounts, statistics, ledgerVersion } = context;
+    const [showForm, setShowForm] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [name, setName] = useState('');
+    const [accountType, setAccountType] = useState('checking');
+    const [openingBalance, setOpeningBalance] = useState('');
+    const [currency, setCurrency] = useState('');
+    const [restricted, setRestricted] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    const [accountEntries, setAccountEntries] = useState([]);
+    
+    const accountTypes = window.accountManager.accountTypes;
+    const canManage = context.can('manageAccounts');
+    
+    // The ledger needs every entry of the account, not just the loaded pages
+    useEffect(() => {
+        if (!selectedId) {
+            setAccountEntries([]);
+            return;
+        }
+        
+        window.dbManager
+            .queryByIndex('transactions', 'accountId', IDBKeyRange.only(selectedId))
+            .then(entries => setAccountEntries(entries.filter(t => !t.deleted)));
+    }, [selectedId, ledgerVersion]);
+    
+    const resetForm = () => {
+        setName('');
+        setAccountType('checking');
+        setOpeningBalance('');
+        setCurrency('');
+        setRestricted(false);
+        setEditingId(null);
+        setShowForm(false);
+    };
+    
+    const startEdit = (account) => {
+        setName(account.name);
+        setAccountType(account.type);
+        setOpeningBalance(String(window.accountManager.isLiability(account)
+            ? Math.abs(account.openingBalance || 0)
+            : account.openingBalance || 0));
+        setCurrency(account.currency || '');
+        setRestricted(!!account.restricted);
+        setEditingId(account.id);
+        setShowForm(true);
+    };
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        
+        const existing = accounts.find(a => a.id === editingId);
+        await context.saveAccount({
+            ...existing,
+            id: editingId || undefined,
+            name,
+            type: accountType,
+            openingBalance,
+            currency,
+            restricted
+        });
+        
+        resetForm();
+    };
+    
+    const visibleAccounts = accounts.filter(a => showArchived || !a.archived);
+    const selectedAccount = accounts.find(a => a.id === selectedId);
+    const ledger = selectedAccount
+        ? window.accountManager.getLedger(selectedAccount, accountEntries)
+        : [];
+    
+    const renderGroup = (title, groupAccounts) => {
+        if (groupAccounts.length === 0) return null;
+        
+        return (
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">{title}</h3>
+                <div className="space-y-2">
+                    {groupAccounts.map(account => {
+                        const balance = statistics.accountBalances[account.id] || 0;
+                        
+                        return (
+                            <div
+                                key={account.id}
+                                className={`p-3 rounded-lg transition-colors ${
+                                    selectedId === account.id
+                                        ? 'bg-indigo-50 dark:bg-indigo-900'
+                                        : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                                } ${account.archived ? 'opacity-60' : ''}`}
+                            >
+                                <div
+                                    className="flex items-center justify-between cursor-pointer"
+                                    onClick={() => setSelectedId(selectedId === account.id ? null : account.id)}
+                                >
+                                    <div className="flex items-center space-x-3">
+                                        <span className="text-2xl">{accountTypes[account.type]?.icon || '🏦'}</span>
+                                        <div>
+                                            <p className="font-medium text-gray-900 dark:text-white">
+                                                {account.name}
+                                            </p>
+                                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                                {accountTypes[account.type]?.label}
+                                                {account.restricted && ' · 🔒 Restricted'}
+                                                {account.archived && ' · Archived'}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    <p className={`font-semibold ${
+                                        balance >= 0
+                                            ? 'text-gray-900 dark:text-white'
+                                            : 'text-red-600 dark:text-red-400'
+                                    }`}>
+                                        {formatCurrency(balance, account.currency)}
+                                    </p>
+                                </div>
+                                
+                                {selectedId === account.id && canManage && (
+                                    <div className="flex space-x-4 mt-3 text-sm">
+                                        <button
+                                            onClick={() => startEdit(account)}
+                                            className="text-indigo-600 hover:text-indigo-700"
+                                        >
+                                            Edit
+                                        </button>
+                                        {account.archived ? (
+                                            <button
+                                                onClick={() => context.saveAccount({ ...account, archived: false })}
+                                                className="text-indigo-600 hover:text-indigo-700"
+                                            >
+                                                Restore
+                                            </button>
+                                        ) : (
+                                            <button
+                                                onClick={() => {
+                                                    if (confirm(`Remove ${account.name}?`)) {
+                                                        context.deleteAccount(account.id);
+                                                        setSelectedId(null);
+                                                    }
+                                                }}
+                                                className="text-red-600 hover:text-red-700"
+                                            >
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    };
+    
+    return (
+        <div className="space-y-4 pb-20">
+            {/* Totals */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                            Accounts
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Total balance {formatCurrency(statistics.totalBalance)}
+                        </p>
+                    </div>
+                    {canManage && (
+                        <button
+                            onClick={() => showForm ? resetForm() : setShowForm(true)}
+                            className="text-indigo-600 hover:text-indigo-700"
+                        >
+                            {showForm ? 'Cancel' : '+ Add'}
+                        </button>
+                    )}
+                </div>
+            </div>
+            
+            {/* Account Form */}
+            {showForm && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Account Name
+                            </label>
+                            <input
+                                type="text"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="Joint Checking"
+                                required
+                            />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Type
+                            </label>
+                            <select
+                                value={accountType}
+                                onChange={(e) => setAccountType(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            >
+                                {Object.entries(accountTypes).map(([id, type]) => (
+                                    <option key={id} value={id}>{type.icon} {type.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Currency
+                            </label>
+                            <select
+                                value={currency}
+                                onChange={(e) => setCurrency(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                            >
+                                <option value="">Family currency ({context.baseCurrency})</option>
+                                {window.currencyManager.currencies
+                                    .filter(code => code !== context.baseCurrency || code === currency)
+                                    .map(code => (
+                                        <option key={code} value={code}>{code} · {window.currencyManager.getName(code)}</option>
+                                    ))}
+                            </select>
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                {window.accountManager.isLiability(accountType) ? 'Opening Amount Owed' : 'Opening Balance'}
+                            </label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={openingBalance}
+                                onChange={(e) => setOpeningBalance(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
+                                placeholder="0.00"
+                            />
+                        </div>
+                        
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={restricted}
+                                onChange={(e) => setRestricted(e.target.checked)}
+                            />
+                            <span>Restricted: only admins and adults can see this account</span>
+                        </label>
+                        
+                        <button
+                            type="submit"
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                        >
+                            {editingId ? 'Save Account' : 'Add Account'}
+                        </button>
+                    </form>
+                </div>
+            )}
+            
+            {/* Account Lists */}
+            {visibleAccounts.length === 0 ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        No accounts yet
+                    </p>
+                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
+                        Add your bank accounts, cards and cash to track balances
+                    </p>
+                </div>
+            ) : (
+                <>
+                    {renderGroup('Assets', visibleAccounts.filter(a => !window.accountManager.isLiability(a)))}
+                    {renderGroup('Liabilities', visibleAccounts.filter(a => window.accountManager.isLiability(a)))}
+                </>
+            )}
+            
+            {accounts.some(a => a.archived) && (
+                <button
+                    onClick={() => setShowArchived(!showArchived)}
+                    className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700"
+                >
+                    {showArchived ? 'Hide archived accounts' : 'Show archived accounts'}
+                </button>
+            )}
+            
+            {/* Ledger */}
+            {selectedAccount && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                        {selectedAccount.name} Ledger
+                    </h3>
+                    
+                    {ledger.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            No transactions in this account yet
+                        </p>
+                    ) : (
+                        <div className="space-y-2">
+                            {ledger.map(entry => {
+                                const signed = window.accountManager.getSignedAmount(entry);
+                                
+                                return (
+                                    <div key={entry.id} className="flex items-center justify-between text-sm py-2 border-b border-gray-100 dark:border-gray-700">
+                                        <div>
+                                            <p className="font-medium text-gray-900 dark:text-white">
+                                                {entry.description}
+                                            </p>
+                                            <p className="text-gray-500 dark:text-gray-400">
+                                                {new Date(entry.date).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                        <div className="text-right">
+                                            <p className={signed >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                                                {signed >= 0 ? '+' : '-'}{formatCurrency(Math.abs(signed), selectedAccount.currency)}
+                                            </p>
+                                            <p className="text-gray-500 dark:text-gray-400">
+                                                {formatCurrency(entry.runningBalance, selectedAccount.currency)}
+                                            </p>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                            <div className="flex justify-between text-sm pt-2 text-gray-500 dark:text-gray-400">
+                                <span>Opening balance</span>
+                                <span>{formatCurrency(selectedAccount.openingBalance, selectedAccount.currency)}</span>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// BILLS VIEW
+// =====================================================
+
+function BillsView() {
+    const context = useContext(AppContext);
+    const { billReminders, categories, accounts } = context;
+    const bills = window.billManager;
+    const today = window.recurringManager.toDateKey(new Date());
+    const emptyForm = {
+        name: '',
+        amount: '',
+        dueDate: today,
+        frequency: 'monthly',
+        category: 'bills',
+        accountId: '',
+        remindDaysBefore: 3
+    };
+    const [showForm, setShowForm] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [payingId, setPayingId] = useState(null);
+    const [payment, setPayment] = useState({ amount: '', date: today, accountId: '' });
+    
+    const openAccounts = accounts.filter(a => !a.archived);
+    const groups = bills.group(billReminders);
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+    
+    const resetForm = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setShowForm(false);
+    };
+    
+    const startEdit = (bill) => {
+        setForm({ ...emptyForm, ...bill, accountId: bill.accountId || '' });
+        setEditingId(bill.id);
+        setShowForm(true);
+    };
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        // Moving the due date re-anchors monthly and yearly bills to the new day
+        const existing = billReminders.find(b => b.id === editingId);
+        await context.saveBill({
+            ...form,
+            id: editingId || undefined,
+            anchorDay: existing && existing.dueDate === form.dueDate ? existing.anchorDay : undefined
+        });
+        resetForm();
+    };
+    
+    const startPayment = (bill) => {
+        setPayingId(bill.id);
+        setPayment({ amount: String(bill.amount), date: today, accountId: bill.accountId || '' });
+    };
+    
+    const handlePay = async () => {
+        const paid = await context.payBill(payingId, {
+            ...payment,
+            accountId: payment.accountId || null
+        });
+        if (paid) setPayingId(null);
+    };
+    
+    const describeDue = (bill) => {
+        const days = bills.getDaysUntilDue(bill);
+        if (days < 0) return `${Math.abs(days)} day${days === -1 ? '' : 's'} overdue`;
+        if (days === 0) return 'Due today';
+        if (days === 1) return 'Due tomorrow';
+        return `Due in ${days} days`;
+    };
+    
+    const renderBill = (bill) => {
+        const status = bills.getStatus(bill);
+        const category = categories.expense.find(c => c.id === bill.category);
+        
+        return (
+            <div key={bill.id} className="p-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                        <span className="text-2xl">{category?.icon || '🧾'}</span>
+                        <div>
+                            <p className="font-medium text-gray-900 dark:text-white">{bill.name}</p>
+                            <p className={`text-sm ${
+                                status === 'overdue'
+                                    ? 'text-red-600 dark:text-red-400'
+                                    : status === 'due-soon'
+                                        ? 'text-yellow-600 dark:text-yellow-400'
+                                        : 'text-gray-500 dark:text-gray-400'
+                            }`}>
+                                {status === 'paid'
+                                    ? `Paid ${new Date(bill.lastPaidAt).toLocaleDateString()}`
+                                    : `${describeDue(bill)} · ${new Date(`${bill.dueDate}T00:00`).toLocaleDateString()}`}
+                                {' · '}{bills.frequencies[bill.frequency]?.label}
+                            </p>
+                        </div>
+                    </div>
+                    <p className="font-semibold text-gray-900 dark:text-white">
+                        {formatCurrency(bill.amount)}
+                    </p>
+                </div>
+                
+                {payingId === bill.id ? (
+                    <div className="mt-3 space-y-2 slide-in">
+                        <div className="grid grid-cols-2 gap-2">
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={payment.amount}
+                                onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                                className={inputClass}
+                                placeholder="Amount"
+                            />
+                            <input
+                                type="date"
+                                value={payment.date}
+                                onChange={(e) => setPayment({ ...payment, date: e.target.value })}
+                                className={inputClass}
+                            />
+                        </div>
+                        {openAccounts.length > 0 && (
+                            <select
+                                value={payment.accountId}
+                                onChange={(e) => setPayment({ ...payment, accountId: e.target.value })}
+                                className={inputClass}
+                            >
+                                <option value="">No account</option>
+                                {openAccounts.map(account => (
+                                    <option key={account.id} value={account.id}>{account.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <div className="flex space-x-2">
+                            <button
+                                onClick={handlePay}
+                                className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                            >
+                                Record Payment
+                            </button>
+                            <button
+                                onClick={() => setPayingId(null)}
+                                className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="flex space-x-4 mt-2 text-sm">
+                        {status !== 'paid' && (
+                            <button
+                                onClick={() => startPayment(bill)}
+                                className="text-green-600 hover:text-green-700 font-medium"
+                            >
+                                ✓ Mark paid
+                            </button>
+                        )}
+                        <button
+                            onClick={() => startEdit(bill)}
+                            className="text-indigo-600 hover:text-indigo-700"
+                        >
+                            Edit
+                        </button>
+                        <button
+                            onClick={() => {
+                                if (confirm(`Remove ${bill.name}?`)) {
+                                    context.deleteBill(bill.id);
+                                }
+                            }}
+                            className="text-red-600 hover:text-red-700"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                )}
+            </div>
+        );
+    };
+    
+    const renderGroup = (title, groupBills) => {
+        if (groupBills.length === 0) return null;
+        
+        return (
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">{title}</h3>
+                <div className="space-y-2">
+                    {groupBills.map(renderBill)}
+                </div>
+            </div>
+        );
+    };
+    
+    const dueTotal = [...groups.overdue, ...groups.upcoming]
+        .filter(bill => bills.getDaysUntilDue(bill) <= 30)
+        .reduce((sum, bill) => sum + bill.amount, 0);
+    
+    return (
+        <div className="space-y-4 pb-20">
+            {/* Summary */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                            Bills
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {formatCurrency(dueTotal)} due in the next 30 days
+                        </p>
+                    </div>
+                    <button
+                        onClick={() => showForm ? resetForm() : setShowForm(true)}
+                        className="text-indigo-600 hover:text-indigo-700"
+                    >
+                        {showForm ? 'Cancel' : '+ Add'}
+                    </button>
+                </div>
+            </div>
+            
+            {/* Bill Form */}
+            {showForm && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => updateForm({ name: e.target.value })}
+                            className={inputClass}
+                            placeholder="Electricity"
+                            required
+                        />
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={form.amount}
+                                onChange={(e) => updateForm({ amount: e.target.value })}
+                                className={inputClass}
+                                placeholder="Amount"
+                                required
+                            />
+                            <input
+                                type="date"
+                                value={form.dueDate}
+                                onChange={(e) => updateForm({ dueDate: e.target.value })}
+                                className={inputClass}
+                                required
+                            />
+                        </div>
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <select
+                                value={form.frequency}
+                                onChange={(e) => updateForm({ frequency: e.target.value })}
+                                className={inputClass}
+                            >
+                                {Object.entries(bills.frequencies).map(([id, frequency]) => (
+                                    <option key={id} value={id}>{frequency.label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={form.category}
+                                onChange={(e) => updateForm({ category: e.target.value })}
+                                className={inputClass}
+                            >
+                                {categories.expense.filter(cat => !cat.archived || cat.id === form.category).map(cat => (
+                                    <option key={cat.id} value={cat.id}>
+                                        {cat.depth ? '\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <select
+                                value={form.accountId}
+                                onChange={(e) => updateForm({ accountId: e.target.value })}
+                                className={inputClass}
+                            >
+                                <option value="">Pay from any account</option>
+                                {openAccounts.map(account => (
+                                    <option key={account.id} value={account.id}>{account.name}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={form.remindDaysBefore}
+                                onChange={(e) => updateForm({ remindDaysBefore: parseInt(e.target.value, 10) })}
+                                className={inputClass}
+                            >
+                                {[0, 1, 2, 3, 5, 7, 14].map(days => (
+                                    <option key={days} value={days}>
+                                        {days === 0 ? 'Remind on the day' : `Remind ${days} day${days === 1 ? '' : 's'} before`}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        <button
+                            type="submit"
+                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                        >
+                            {editingId ? 'Save Bill' : 'Add Bill'}
+                        </button>
+                    </form>
+                </div>
+            )}
+            
+            {billReminders.length === 0 ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        No bills yet
+                    </p>
+                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
+                        Add your regular bills to get reminders before they're due
+                    </p>
+                </div>
+            ) : (
+                <>
+                    {renderGroup('Overdue', groups.overdue)}
+                    {renderGroup('Upcoming', groups.upcoming)}
+                    {renderGroup('Paid', groups.paid)}
+                </>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// BUDGET VIEW
+// =====================================================
+
+function BudgetView() {
+    const context = useContext(AppContext);
+    const { budgetLines, budgetMode, categories, ledgerVersion } = context;
+    const budgets = window.budgetManager;
+    const currentPeriod = budgets.getPeriodKey();
+    const [period, setPeriod] = useState(currentPeriod);
+    const [isEditing, setIsEditing] = useState(false);
+    const [editLines, setEditLines] = useState({});
+    const [alertSettings, setAlertSettings] = useState(null);
+    const [alertInputs, setAlertInputs] = useState({});
+    
+    useEffect(() => {
+        window.budgetAlerts.getSettings().then(setAlertSettings);
+    }, []);
+    
+    const comparison = useMemo(
+        () => budgets.compare(budgetLines, period, categories.expense),
+        [budgetLines, period, categories, ledgerVersion]
+    );
+    
+    // Budget vs actual for the six months up to the one being viewed
+    const history = useMemo(() => [...Array(6)].map((_, index) => {
+        const month = budgets.shiftPeriod(period, -index);
+        return { period: month, ...budgets.compare(budgetLines, month, categories.expense).totals };
+    }), [budgetLines, period, categories, ledgerVersion]);
+    
+    const periodLines = budgets.getLines(budgetLines, period);
+    
+    useEffect(() => {
+        setEditLines(Object.fromEntries(periodLines.map(line => [
+            line.category,
+            { amount: line.amount, rollover: line.rollover }
+        ])));
+    }, [budgetLines, period]);
+    
+    const changePeriod = (months) => {
+        setIsEditing(false);
+        setPeriod(budgets.shiftPeriod(period, months));
+    };
+    
+    const updateLine = (categoryId, changes) => {
+        setEditLines(prev => ({
+            ...prev,
+            [categoryId]: { amount: 0, rollover: false, ...prev[categoryId], ...changes }
+        }));
+    };
+    
+    const handleSave = async () => {
+        await context.saveBudget(period, editLines);
+        setIsEditing(false);
+    };
+    
+    const handleSaveThresholds = async (categoryId) => {
+        const thresholds = window.budgetAlerts.parseThresholds(alertInputs[categoryId]);
+        setAlertSettings(await context.saveBudgetAlertThresholds(categoryId, thresholds));
+        setAlertInputs(prev => {
+            const next = { ...prev };
+            delete next[categoryId];
+            return next;
+        });
+    };
+    
+    const { rows, totals } = comparison;
+    const visibleCategories = categories.expense.filter(category =>
+        !category.archived || rows[category.id].budgeted || rows[category.id].spent
+    );
+    
+    return (
+        <div className="space-y-4 pb-20">
+            {/* Period */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-2 flex items-center justify-between">
+                <button
+                    onClick={() => changePeriod(-1)}
+                    className="px-4 py-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    aria-label="Previous month"
+                >
+                    ‹
+                </button>
+                <button
+                    onClick={() => setPeriod(currentPeriod)}
+                    className="font-medium text-gray-900 dark:text-white"
+                >
+                    {budgets.formatPeriod(period)}
+                </button>
+                <button
+                    onClick={() => changePeriod(1)}
+                    className="px-4 py-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    aria-label="Next month"
+                >
+                    ›
+                </button>
+            </div>
+            
+            {/* Mode */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-2 flex">
+                {Object.entries(budgets.modes).map(([mode, info]) => (
+                    <button
+                        key={mode}
+                        onClick={() => mode !== budgetMode && context.setBudgetMode(mode)}
+                        className={`flex-1 py-2 px-4 rounded-lg font-medium transition-colors ${
+                            budgetMode === mode
+                                ? 'bg-indigo-600 text-white'
+                                : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+                        }`}
+                    >
+                        {info.icon} {info.label}
+                    </button>
+                ))}
+            </div>
+            
+            {budgetMode === 'envelope' ? (
+                <EnvelopeBudget period={period} />
+            ) : (
+                <>
+                    {/* Budget Overview */}
+                    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                                Monthly Budget
+                            </h2>
+                            <button
+                                onClick={() => setIsEditing(!isEditing)}
+                                className="text-indigo-600 hover:text-indigo-700"
+                            >
+                                {isEditing ? 'Cancel' : 'Edit'}
+                            </button>
+                        </div>
+                        
+                        <div className="space-y-3">
+                            <div className="flex justify-between text-sm">
+                                <span className="text-gray-500 dark:text-gray-400">Total Budget</span>
+                                <span className="font-medium">{formatCurrency(totals.budgeted)}</span>
+                            </div>
+                            {totals.carryover !== 0 && (
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-gray-500 dark:text-gray-400">Carried Over</span>
+                                    <span className="font-medium">
+                                        {totals.carryover > 0 ? '+' : '-'}{formatCurrency(Math.abs(totals.carryover))}
+                                    </span>
+                                </div>
+                            )}
+                            <div className="flex justify-between text-sm">
+                                <span className="text-gray-500 dark:text-gray-400">Spent</span>
+                                <span className="font-medium text-red-600 dark:text-red-400">
+                                    {formatCurrency(totals.spent)}
+                                </span>
+                            </div>
+                            <div className="flex justify-between text-sm">
+                                <span className="text-gray-500 dark:text-gray-400">Remaining</span>
+                                <span className={`font-medium ${
+                                    totals.remaining >= 0
+                                        ? 'text-green-600 dark:text-green-400'
+                                        : 'text-red-600 dark:text-red-400'
+                                }`}>
+                                    {formatCurrency(totals.remaining)}
+                                </span>
+                            </div>
+                        </div>
+                        
+                        {periodLines.length === 0 && !isEditing && (
+                            <button
+                                onClick={() => context.copyBudgetForward(period)}
+                                className="mt-4 w-full bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                            >
+                                Copy last month's budget
+                            </button>
+                        )}
+                    </div>
+                    
+                    {/* Category Budgets */}
+                    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                            Category Budgets
+                        </h3>
+                        
+                        <div className="space-y-4">
+                            {visibleCategories.map(category => {
+                                const row = rows[category.id];
+                                // A parent's line covers spending in its subcategories too
+                                const percentage = row.available > 0 ? (row.spent / row.available) * 100 : 0;
+                                
+                                return (
+                                    <div key={category.id} className={`space-y-2 ${category.depth ? 'ml-6' : ''}`}>
+                                        <div className="flex items-center justify-between">
+                                            <div className="flex items-center space-x-2">
+                                                <span className="text-xl">{category.icon}</span>
+                                                <span className="font-medium text-gray-900 dark:text-white">
+                                                    {category.name}
+                                                </span>
+                                            </div>
+                                            {isEditing ? (
+                                                <div className="flex items-center space-x-2">
+                                                    <label className="flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={!!editLines[category.id]?.rollover}
+                                                            onChange={(e) => updateLine(category.id, { rollover: e.target.checked })}
+                                                            className="rounded text-indigo-600 focus:ring-indigo-500"
+                                                        />
+                                                        <span>Roll over</span>
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        value={editLines[category.id]?.amount || ''}
+                                                        onChange={(e) => updateLine(category.id, {
+                                                            amount: parseFloat(e.target.value) || 0
+                                                        })}
+                                                        className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white text-right"
+                                                        placeholder="0"
+                                                    />
+                                                </div>
+                                            ) : (
+                                                <div className="text-right">
+                                                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                                                        {formatCurrency(row.spent)} / {formatCurrency(row.available)}
+                                                    </p>
+                                                    {row.carryover !== 0 && (
+                                                        <p className="text-xs text-gray-400">
+                                                            ↻ {row.carryover > 0 ? '+' : '-'}{formatCurrency(Math.abs(row.carryover))} carried
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                        
+                                        {!isEditing && row.available > 0 && (
+                                            <div className="budget-progress">
+                                                <div
+                                                    className={`budget-progress-bar ${
+                                                        percentage > 100 ? 'danger' : percentage > 80 ? 'warning' : ''
+                                                    }`}
+                                                    style={{ width: `${Math.min(percentage, 100)}%` }}
+                                                />
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        
+                        {isEditing && (
+                            <button
+                                onClick={handleSave}
+                                className="mt-6 w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                            >
+                                Save Budget
+                            </button>
+                        )}
+                    </div>
+                    
+                    {/* Budget Alerts */}
+                    {alertSettings && periodLines.length > 0 && (
+                        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                                🔔 Budget Alerts
+                            </h3>
+                            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                                Get a notification when spending reaches these percentages of a category's budget.
+                                Leave blank for {window.budgetAlerts.defaultThresholds.join('% and ')}%.
+                            </p>
+                            
+                            <div className="space-y-3">
+                                {categories.expense.filter(category => rows[category.id].budgeted > 0).map(category => {
+                                    const saved = alertSettings.thresholds[category.id];
+                                    const value = alertInputs[category.id] ?? (saved ? saved.join(', ') : '');
+                                    
+                                    return (
+                                        <div key={category.id} className="flex items-center justify-between space-x-2">
+                                            <span className="text-sm text-gray-900 dark:text-white">
+                                                {category.icon} {category.name}
+                                            </span>
+                                            <div className="flex items-center space-x-2">
+                                                <input
+                                                    type="text"
+                                                    value={value}
+                                                    onChange={(e) => setAlertInputs({ ...alertInputs, [category.id]: e.target.value })}
+                                                    className="w-28 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white text-right"
+                                                    placeholder={window.budgetAlerts.defaultThresholds.join(', ')}
+                                                />
+                                                {alertInputs[category.id] !== undefined && (
+                                                    <button
+                                                        onClick={() => handleSaveThresholds(category.id)}
+                                                        className="text-sm text-indigo-600 hover:text-indigo-700"
+                                                    >
+                                                        Save
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+            
+            {/* Budget vs Actual */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                    Budget vs Actual
+                </h3>
+                
+                <div className="space-y-2">
+                    <div className="grid grid-cols-4 text-xs font-medium text-gray-500 dark:text-gray-400">
+                        <span>Month</span>
+                        <span className="text-right">Budget</span>
+                        <span className="text-right">Actual</span>
+                        <span className="text-right">Difference</span>
+                    </div>
+                    {history.map(month => (
+                        <button
+                            key={month.period}
+                            onClick={() => setPeriod(month.period)}
+                            className={`w-full grid grid-cols-4 text-sm py-1 rounded ${
+                                month.period === period ? 'font-semibold' : ''
+                            } text-gray-900 dark:text-white hover:bg-gray-50 dark:hover:bg-gray-700`}
+                        >
+                            <span className="text-left">{budgets.formatPeriod(month.period)}</span>
+                            <span className="text-right">{formatCurrency(month.available)}</span>
+                            <span className="text-right">{formatCurrency(month.spent)}</span>
+                            <span className={`text-right ${
+                                month.remaining >= 0
+                                    ? 'text-green-600 dark:text-green-400'
+                                    : 'text-red-600 dark:text-red-400'
+                            }`}>
+                                {formatCurrency(month.remaining)}
+                            </span>
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// =====================================================
+// ENVELOPE BUDGET
+// =====================================================
+
+function EnvelopeBudget({ period }) {
+    const context = useContext(AppContext);
+    const { budgetLines, categories, statistics, ledgerVersion } = context;
+    const budgets = window.budgetManager;
+    const isCurrentPeriod = period === budgets.getPeriodKey();
+    const [isAssigning, setIsAssigning] = useState(false);
+    const [assignments, setAssignments] = useState({});
+    const [move, setMove] = useState({ from: '', to: '', amount: '' });
+    
+    const envelopes = useMemo(
+        () => budgets.getEnvelopes(budgetLines, period, categories.expense),
+        [budgetLines, period, categories, ledgerVersion]
+    );
+    
+    useEffect(() => {
+        setAssignments(Object.fromEntries(budgets.getLines(budgetLines, period).map(line => [
+            line.category,
+            line.amount
+        ])));
+    }, [budgetLines, period]);
+    
+    const openCategories = categories.expense.filter(category => !category.archived);
+    const pendingTotal = Object.values(assignments).reduce((sum, amount) => sum + (amount || 0), 0);
+    const savedTotal = budgets.getLines(budgetLines, period).reduce((sum, line) => sum + line.amount, 0);
+    const availableToAssign = envelopes.availableToAssign - (isAssigning ? pendingTotal - savedTotal : 0);
+    
+    const handleSaveAssignments = async () => {
+        await context.saveBudget(period, Object.fromEntries(
+            Object.entries(assignments).map(([category, amount]) => [category, { amount }])
+        ));
+        setIsAssigning(false);
+    };
+    
+    const handleMove = async () => {
+        const moved = await context.moveBudgetMoney(period, move.from, move.to, move.amount);
+        if (moved) setMove({ from: '', to: '', amount: '' });
+    };
+    
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    return (
+        <>
+            {/* Available to Assign */}
+            <div className={`rounded-xl shadow-sm p-6 text-white ${
+                availableToAssign < 0
+                    ? 'bg-gradient-to-r from-red-500 to-orange-500'
+                    : 'bg-gradient-to-r from-indigo-500 to-purple-600'
+            }`}>
+                <p className="text-sm opacity-80">Available to assign</p>
+                <p className="text-3xl font-bold">{formatCurrency(availableToAssign)}</p>
+                <p className="text-sm opacity-80 mt-2">
+                    Income this month: {formatCurrency(isCurrentPeriod
+                        ? statistics.monthlyIncome
+                        : window.ledgerAggregates.getMonth(period, context.hiddenAccountIds).income)}
+                </p>
+                {availableToAssign < 0 && (
+                    <p className="text-sm mt-1">You've assigned more than you've earned. Take money back from an envelope.</p>
+                )}
+            </div>
+            
+            {/* Envelopes */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Envelopes
+                    </h3>
+                    <button
+                        onClick={() => setIsAssigning(!isAssigning)}
+                        className="text-indigo-600 hover:text-indigo-700"
+                    >
+                        {isAssigning ? 'Cancel' : 'Assign'}
+                    </button>
+                </div>
+                
+                <div className="space-y-4">
+                    {openCategories.map(category => {
+                        const row = envelopes.rows[category.id];
+                        const funded = row.spentThisMonth + row.balance;
+                        const percentage = funded > 0 ? (row.spentThisMonth / funded) * 100 : 0;
+                        
+                        return (
+                            <div key={category.id} className={`space-y-2 ${category.depth ? 'ml-6' : ''}`}>
+                                <div className="flex items-center justify-between">
+                                    <div className="flex items-center space-x-2">
+                                        <span className="text-xl">{category.icon}</span>
+                                        <span className="font-medium text-gray-900 dark:text-white">
+                                            {category.name}
+                                        </span>
+                                    </div>
+                                    {isAssigning ? (
+                                        <input
+                                            type="number"
+                                            value={assignments[category.id] || ''}
+                                            onChange={(e) => setAssignments({
+                                                ...assignments,
+                                                [category.id]: parseFloat(e.target.value) || 0
+                                            })}
+                                            className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white text-right"
+                                            placeholder="0"
+                                        />
+                                    ) : (
+                                        <div className="text-right">
+                                            <p className={`font-medium ${
+                                                row.balance < 0
+                                                    ? 'text-red-600 dark:text-red-400'
+                                                    : 'text-gray-900 dark:text-white'
+                                            }`}>
+                                                {formatCurrency(row.balance)}
+                                            </p>
+                                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                                {formatCurrency(row.assigned)} assigned
+                                                {row.moved !== 0 && ` · ${row.moved > 0 ? '+' : '-'}${formatCurrency(Math.abs(row.moved))} moved`}
+                                            </p>
+                                        </div>
+                                    )}
+                                </div>
+                                
+                                {!isAssigning && funded > 0 && (
+                                    <div className="budget-progress">
+                                        <div
+                                            className={`budget-progress-bar ${
+                                                percentage > 100 ? 'danger' : percentage > 80 ? 'warning' : ''
+                                            }`}
+                                            style={{ width: `${Math.min(percentage, 100)}%` }}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+                
+                {isAssigning && (
+                    <button
+                        onClick={handleSaveAssignments}
+                        className="mt-6 w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Save Assignments
+                    </button>
+                )}
+            </div>
+            
+            {/* Move Money */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 space-y-3">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Move Money
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                    {['from', 'to'].map(side => (
+                        <select
+                            key={side}
+                            value={move[side]}
+                            onChange={(e) => setMove({ ...move, [side]: e.target.value })}
+                            className={inputClass}
+                        >
+                            <option value="">{side === 'from' ? 'From envelope' : 'To envelope'}</option>
+                            {openCategories.map(category => (
+                                <option key={category.id} value={category.id}>
+                                    {category.depth ? '\u00a0\u00a0↳ ' : ''}{category.icon} {category.name} ({formatCurrency(envelopes.rows[category.id].balance)})
+                                </option>
+                            ))}
+                        </select>
+                    ))}
+                </div>
+                <div className="flex space-x-2">
+                    <input
+                        type="number"
+                        step="0.01"
+                        value={move.amount}
+                        onChange={(e) => setMove({ ...move, amount: e.target.value })}
+                        className={inputClass}
+                        placeholder="Amount"
+                    />
+                    <button
+                        onClick={handleMove}
+                        disabled={!move.from || !move.to || !move.amount}
+                        className="px-4 rounded-lg bg-indigo-600 text-white whitespace-nowrap disabled:opacity-50"
+                    >
+                        Move
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+}
+
+// =====================================================
+// SAVINGS VIEW
+// =====================================================
+
+function SavingsView() {
+    const context = useContext(AppContext);
+    const { savingsGoals, goalEntries, accounts, familyConfig } = context;
+    const savings = window.savingsManager;
+    const today = window.recurringManager.toDateKey(new Date());
+    const [showAddGoal, setShowAddGoal] = useState(false);
+    const [editingGoalId, setEditingGoalId] = useState(null);
+    const [goalName, setGoalName] = useState('');
+    const [targetAmount, setTargetAmount] = useState('');
+    const [targetDate, setTargetDate] = useState('');
+    const [goalAccountId, setGoalAccountId] = useState('');
+    const [entryForm, setEntryForm] = useState(null);
+    const [historyGoalId, setHistoryGoalId] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    
+    const openAccounts = accounts.filter(a => !a.archived);
+    const members = familyConfig.members || [];
+    const liveGoals = savingsGoals.filter(goal => goal.status !== 'archived');
+    const archivedGoals = savingsGoals.filter(goal => goal.status === 'archived');
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const formatDate = (dateKey) => new Date(`${dateKey}T00:00`).toLocaleDateString();
+    const getMemberName = (code) => members.find(m => m.code === code)?.name || code || 'Someone';
+    
+    const resetGoalForm = () => {
+        setGoalName('');
+        setTargetAmount('');
+        setTargetDate('');
+        setGoalAccountId('');
+        setEditingGoalId(null);
+        setShowAddGoal(false);
+    };
+    
+    const startEditGoal = (goal) => {
+        setGoalName(goal.name);
+        setTargetAmount(String(goal.targetAmount));
+        setTargetDate(goal.targetDate || '');
+        setGoalAccountId(goal.accountId || '');
+        setEditingGoalId(goal.id);
+        setShowAddGoal(true);
+    };
+    
+    const handleAddGoal = async (e) => {
+        e.preventDefault();
+        
+        await context.saveGoal({
+            id: editingGoalId || undefined,
+            name: goalName,
+            targetAmount,
+            targetDate,
+            accountId: goalAccountId
+        });
+        
+        resetGoalForm();
+    };
+    
+    const openEntryForm = (goal, type) => {
+        setEntryForm({
+            goalId: goal.id,
+            type,
+            amount: '',
+            date: today,
+            familyMember: familyConfig.memberCode || '',
+            accountId: '',
+            note: ''
+        });
+    };
+    
+    const handleAddEntry = async (e) => {
+        e.preventDefault();
+        
+        const saved = await context.addGoalEntry(entryForm.goalId, entryForm);
+        if (saved) setEntryForm(null);
+    };
+    
+    const renderEntryForm = (goal) => (
+        <form onSubmit={handleAddEntry} className="mt-4 space-y-3 slide-in">
+            <div className="grid grid-cols-2 gap-3">
+                <input
+                    type="number"
+                    step="0.01"
+                    value={entryForm.amount}
+                    onChange={(e) => setEntryForm({ ...entryForm, amount: e.target.value })}
+                    className={inputClass}
+                    placeholder={entryForm.type === 'withdrawal' ? 'Amount to withdraw' : 'Amount to add'}
+                    required
+                />
+                <input
+                    type="date"
+                    value={entryForm.date}
+                    onChange={(e) => setEntryForm({ ...entryForm, date: e.target.value })}
+                    className={inputClass}
+                    required
+                />
+            </div>
+            
+            <div className="grid grid-cols-2 gap-3">
+                {members.length > 0 && (
+                    <select
+                        value={entryForm.familyMember}
+                        onChange={(e) => setEntryForm({ ...entryForm, familyMember: e.target.value })}
+                        className={inputClass}
+                    >
+                        {members.map(member => (
+                            <option key={member.code} value={member.code}>{member.name}</option>
+                        ))}
+                    </select>
+                )}
+                {goal.accountId && (
+                    <select
+                        value={entryForm.accountId}
+                        onChange={(e) => setEntryForm({ ...entryForm, accountId: e.target.value })}
+                        className={inputClass}
+                    >
+                        <option value="">No transfer</option>
+                        {openAccounts.filter(a => a.id !== goal.accountId).map(account => (
+                            <option key={account.id} value={account.id}>
+                                {entryForm.type === 'withdrawal' ? 'Transfer to' : 'Transfer from'} {account.name}
+                            </option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            
+            <input
+                type="text"
+                value={entryForm.note}
+                onChange={(e) => setEntryForm({ ...entryForm, note: e.target.value })}
+                className={inputClass}
+                placeholder="Note (optional)"
+            />
+            
+            <div className="flex space-x-2">
+                <button
+                    type="submit"
+                    className={`flex-1 text-white py-2 px-4 rounded-lg transition-colors ${
+                        entryForm.type === 'withdrawal'
+                            ? 'bg-red-600 hover:bg-red-700'
+                            : 'bg-green-600 hover:bg-green-700'
+                    }`}
+                >
+                    {entryForm.type === 'withdrawal' ? 'Withdraw' : 'Add to Goal'}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => setEntryForm(null)}
+                    className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg"
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+    
+    const renderProjection = (goal) => {
+        const projection = savings.getProjection(goal, goalEntries);
+        if (projection.remaining === 0) {
+            return (
+                <p className="text-sm text-green-600 dark:text-green-400">🎉 Target reached</p>
+            );
+        }
+        
         return (
-            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
-                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full fade-in">
-                    <div className="text-center mb-8">
-                        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2">
-                            Family Finance Hub
-                        </h1>
-                        <p className="text-gray-600 dark:text-gray-400">
-                            Manage your family's finances together
+            <div className="text-sm space-y-1">
+                <p className="text-gray-500 dark:text-gray-400">
+                    {projection.monthlyRate > 0
+                        ? `Saving ${formatCurrency(projection.monthlyRate)}/month · done by ${formatDate(projection.projectedDate)}`
+                        : 'No recent contributions to project from'}
+                </p>
+                {goal.targetDate && (
+                    <p className={projection.onTrack
+                        ? 'text-green-600 dark:text-green-400'
+                        : 'text-yellow-600 dark:text-yellow-400'}>
+                        {projection.onTrack ? '✓ On track' : '⚠ Behind'}
+                        {' · '}{formatCurrency(projection.neededPerMonth)}/month needed by {formatDate(goal.targetDate)}
+                    </p>
+                )}
+            </div>
+        );
+    };
+    
+    const renderHistory = (goal) => {
+        const history = savings.getHistory(goal.id, goalEntries);
+        const memberTotals = savings.getMemberTotals(goal.id, goalEntries);
+        
+        return (
+            <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3 slide-in">
+                {Object.keys(memberTotals).length > 1 && (
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(memberTotals).map(([member, amount]) => (
+                            <span
+                                key={member}
+                                className="text-xs px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                            >
+                                {getMemberName(member)}: {formatCurrency(amount)}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                
+                {history.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No contributions yet</p>
+                ) : (
+                    history.map(entry => (
+                        <div key={entry.id} className="flex items-center justify-between text-sm">
+                            <div>
+                                <p className="text-gray-900 dark:text-white">
+                                    {getMemberName(entry.familyMember)}
+                                    {entry.note && <span className="text-gray-500 dark:text-gray-400"> · {entry.note}</span>}
+                                </p>
+                                <p className="text-gray-500 dark:text-gray-400">
+                                    {formatDate(entry.date)}{entry.transferId && ' · 🔄 transfer'}
+                                </p>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                                <span className={entry.type === 'withdrawal'
+                                    ? 'text-red-600 dark:text-red-400'
+                                    : 'text-green-600 dark:text-green-400'}>
+                                    {entry.type === 'withdrawal' ? '-' : '+'}{formatCurrency(entry.amount)}
+                                </span>
+                                <button
+                                    onClick={() => {
+                                        if (confirm('Remove this entry?')) {
+                                            context.deleteGoalEntry(entry.id);
+                                        }
+                                    }}
+                                    className="text-gray-400 hover:text-red-600"
+                                    aria-label="Remove entry"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        </div>
+                    ))
+                )}
+                
+                {goal.openingAmount > 0 && (
+                    <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
+                        <span>Saved before history was kept</span>
+                        <span>{formatCurrency(goal.openingAmount)}</span>
+                    </div>
+                )}
+            </div>
+        );
+    };
+    
+    const renderStatusActions = (goal) => {
+        const action = (label, onClick, className = 'text-gray-500 hover:text-gray-700 dark:text-gray-400') => (
+            <button key={label} onClick={onClick} className={className}>{label}</button>
+        );
+        
+        switch (goal.status) {
+            case 'archived':
+                return [
+                    action('Restore', () => context.setGoalStatus(goal.id, 'active')),
+                    action('Delete', () => {
+                        if (confirm(`Delete "${goal.name}" and its history? Transfers already made stay in your accounts.`)) {
+                            context.deleteGoal(goal.id);
+                        }
+                    }, 'text-red-600 hover:text-red-700')
+                ];
+            
+            case 'paused':
+                return [
+                    action('Resume', () => context.setGoalStatus(goal.id, 'active')),
+                    action('Archive', () => context.setGoalStatus(goal.id, 'archived'))
+                ];
+            
+            case 'completed':
+                return [action('Archive', () => context.setGoalStatus(goal.id, 'archived'))];
+            
+            default:
+                return [
+                    action('Pause', () => context.setGoalStatus(goal.id, 'paused')),
+                    action('Archive', () => context.setGoalStatus(goal.id, 'archived'))
+                ];
+        }
+    };
+    
+    const renderGoal = (goal) => {
+        const percentage = goal.targetAmount > 0 ? (goal.current / goal.targetAmount) * 100 : 0;
+        const daysLeft = goal.targetDate
+            ? Math.ceil((new Date(goal.targetDate) - new Date()) / (1000 * 60 * 60 * 24))
+            : null;
+        const status = savings.statuses[goal.status] || savings.statuses.active;
+        const canAdd = !savings.getEntryBlock(goal, 'contribution');
+        const canWithdraw = !savings.getEntryBlock(goal, 'withdrawal') && goal.current > 0;
+        
+        return (
+            <div
+                key={goal.id}
+                className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 ${
+                    ['paused', 'archived'].includes(goal.status) ? 'opacity-75' : ''
+                }`}
+            >
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                            {goal.name}
+                            {goal.status !== 'active' && (
+                                <span className="ml-2 text-xs font-normal px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                                    {status.icon} {status.label}
+                                </span>
+                            )}
+                        </h3>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {goal.status === 'completed' && goal.completedAt
+                                ? `Reached on ${new Date(goal.completedAt).toLocaleDateString()}`
+                                : daysLeft === null ? 'No target date' : daysLeft > 0 ? `${daysLeft} days left` : 'Past due'}
+                            {goal.accountId && ` · ${accounts.find(a => a.id === goal.accountId)?.name || 'Account'}`}
                         </p>
                     </div>
-                    
-                    <div className="space-y-4">
-                        <button
-                            onClick={() => setStep('setup')}
-                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200"
-                        >
-                            Create New Family
-                        </button>
-                        
+                    {goal.status !== 'archived' && (
                         <button
-                            onClick={() => setStep('join')}
-                            className="w-full bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-3 px-4 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition duration-200"
+                            onClick={() => startEditGoal(goal)}
+                            className="text-indigo-600 hover:text-indigo-700 text-sm"
                         >
-                            Join Existing Family
+                            Edit
                         </button>
+                    )}
+                </div>
+                
+                <div className="space-y-3">
+                    <div className="flex justify-between text-sm">
+                        <span className="text-gray-500 dark:text-gray-400">Progress</span>
+                        <span className="font-medium">
+                            {formatCurrency(goal.current)} / {formatCurrency(goal.targetAmount)}
+                        </span>
                     </div>
                     
-                    <div className="mt-8 text-center text-sm text-gray-500 dark:text-gray-400">
-                        <p>Version {APP_VERSION}</p>
-                        <p className="mt-2">Your data is encrypted and stored locally</p>
+                    <div className="budget-progress">
+                        <div
+                            className="budget-progress-bar"
+                            style={{ width: `${Math.min(percentage, 100)}%` }}
+                        />
                     </div>
+                    
+                    <p className="text-center text-sm text-gray-500 dark:text-gray-400">
+                        {percentage.toFixed(1)}% Complete
+                    </p>
+                    
+                    {goal.status === 'paused' ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Paused · projections resume when you do
+                        </p>
+                    ) : goal.status !== 'archived' && renderProjection(goal)}
                 </div>
+                
+                {entryForm?.goalId === goal.id ? renderEntryForm(goal) : (
+                    <div className="flex flex-wrap gap-x-4 gap-y-2 mt-4 text-sm">
+                        {canAdd && (
+                            <button
+                                onClick={() => openEntryForm(goal, 'contribution')}
+                                className="text-green-600 hover:text-green-700 font-medium"
+                            >
+                                + Add
+                            </button>
+                        )}
+                        {goal.status !== 'archived' && (
+                            <button
+                                onClick={() => openEntryForm(goal, 'withdrawal')}
+                                disabled={!canWithdraw}
+                                className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                            >
+                                − Withdraw
+                            </button>
+                        )}
+                        <button
+                            onClick={() => setHistoryGoalId(historyGoalId === goal.id ? null : goal.id)}
+                            className="text-indigo-600 hover:text-indigo-700"
+                        >
+                            {historyGoalId === goal.id ? 'Hide history' : 'History'}
+                        </button>
+                        <span className="flex-1" />
+                        {renderStatusActions(goal)}
+                    </div>
+                )}
+                
+                {historyGoalId === goal.id && renderHistory(goal)}
             </div>
         );
-    }
+    };
     
-    if (step === 'setup') {
-        return (
-            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
-                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full slide-in">
-                    <button
-                        onClick={() => setStep('welcome')}
-                        className="mb-6 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
-                    >
-                        ← Back
-                    </button>
-                    
-                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
-                        Create New Family
-                    </h2>
-                    
-                    {error && (
-                        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-200 rounded-lg">
-                            {error}
-                        </div>
-                    )}
-                    
-                    <form onSubmit={handleSetup} className="space-y-4">
+    return (
+        <div className="space-y-4 pb-20">
+            {/* Add Goal Button */}
+            <button
+                onClick={() => showAddGoal ? resetGoalForm() : setShowAddGoal(true)}
+                className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+                {showAddGoal ? 'Cancel' : 'Add Savings Goal'}
+            </button>
+            
+            {/* Add Goal Form */}
+            {showAddGoal && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleAddGoal} className="space-y-4">
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Family Name
+                                Goal Name
                             </label>
                             <input
                                 type="text"
-                                value={familyName}
-                                onChange={(e) => setFamilyName(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="The Smiths"
+                                value={goalName}
+                                onChange={(e) => setGoalName(e.target.value)}
+                                className={inputClass}
+                                placeholder="Vacation Fund"
                                 required
                             />
                         </div>
                         
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Your Name
+                                Target Amount
                             </label>
                             <input
-                                type="text"
-                                value={memberName}
-                                onChange={(e) => setMemberName(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="John"
+                                type="number"
+                                step="0.01"
+                                value={targetAmount}
+                                onChange={(e) => setTargetAmount(e.target.value)}
+                                className={inputClass}
+                                placeholder="5000"
                                 required
                             />
                         </div>
                         
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Family PIN (4-8 digits)
+                                Target Date
                             </label>
                             <input
-                                type="password"
-                                inputMode="numeric"
-                                pattern="[0-9]*"
-                                value={pin}
-                                onChange={(e) => setPin(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="••••"
-                                required
+                                type="date"
+                                value={targetDate}
+                                onChange={(e) => setTargetDate(e.target.value)}
+                                className={inputClass}
                             />
-                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                                This PIN will be shared with family members
-                            </p>
                         </div>
                         
+                        {openAccounts.length > 0 && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                    Held In
+                                </label>
+                                <select
+                                    value={goalAccountId}
+                                    onChange={(e) => setGoalAccountId(e.target.value)}
+                                    className={inputClass}
+                                >
+                                    <option value="">Not linked to an account</option>
+                                    {openAccounts.map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        
                         <button
                             type="submit"
-                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200"
+                            className="w-full bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
                         >
-                            Create Family
+                            {editingGoalId ? 'Save Goal' : 'Create Goal'}
                         </button>
                     </form>
                 </div>
-            </div>
-        );
-    }
+            )}
+            
+            {/* Savings Goals */}
+            {liveGoals.length === 0 ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        No savings goals yet
+                    </p>
+                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
+                        Start by creating your first savings goal
+                    </p>
+                </div>
+            ) : (
+                liveGoals.map(renderGoal)
+            )}
+            
+            {/* Archived Goals */}
+            {archivedGoals.length > 0 && (
+                <div className="space-y-4">
+                    <button
+                        onClick={() => setShowArchived(!showArchived)}
+                        className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700"
+                    >
+                        {showArchived ? '▾' : '▸'} Archived goals ({archivedGoals.length})
+                    </button>
+                    {showArchived && archivedGoals.map(renderGoal)}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// SHOPPING VIEW
+// =====================================================
+
+function ShoppingView() {
+    const context = useContext(AppContext);
+    const { shoppingLists, shoppingItems, accounts, categories, familyConfig } = context;
+    const shopping = window.shoppingManager;
+    const [selectedId, setSelectedId] = useState(null);
+    const [newListName, setNewListName] = useState('');
+    const [showNewList, setShowNewList] = useState(false);
+    const [itemName, setItemName] = useState('');
+    const [quantity, setQuantity] = useState('1');
+    const [estimatedPrice, setEstimatedPrice] = useState('');
+    const [checkout, setCheckout] = useState(null);
     
-    if (step === 'join') {
-        return (
-            <div className="min-h-screen gradient-bg flex items-center justify-center p-4">
-                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 max-w-md w-full slide-in">
+    const members = familyConfig.members || [];
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const getMemberName = (code) => members.find(m => m.code === code)?.name || 'Someone';
+    
+    // Poll for the family's changes more often while a list is open
+    useEffect(() => {
+        if (!familyConfig.syncEnabled) return;
+        
+        window.enhancedSyncManager.setLive(true);
+        return () => window.enhancedSyncManager.setLive(false);
+    }, [familyConfig.syncEnabled]);
+    
+    const list = shoppingLists.find(l => l.id === selectedId) || shoppingLists[0];
+    const items = list ? shopping.getItems(list.id, shoppingItems) : [];
+    const totals = list ? shopping.getTotals(list.id, shoppingItems) : null;
+    
+    const handleAddList = async (e) => {
+        e.preventDefault();
+        
+        const saved = await context.saveShoppingList({ name: newListName });
+        setSelectedId(saved.id);
+        setNewListName('');
+        setShowNewList(false);
+    };
+    
+    const handleAddItem = async (e) => {
+        e.preventDefault();
+        
+        const saved = await context.saveShoppingItem({
+            listId: list.id,
+            name: itemName,
+            quantity,
+            estimatedPrice
+        });
+        
+        if (saved) {
+            setItemName('');
+            setQuantity('1');
+            setEstimatedPrice('');
+        }
+    };
+    
+    const handleCheckout = async (e) => {
+        e.preventDefault();
+        
+        const transaction = await context.checkoutShoppingList(list.id, checkout);
+        if (transaction) setCheckout(null);
+    };
+    
+    const handleRenameList = async () => {
+        const name = prompt('List name', list.name);
+        if (name && name.trim()) {
+            await context.saveShoppingList({ id: list.id, name });
+        }
+    };
+    
+    const handleDeleteList = async () => {
+        if (confirm(`Delete "${list.name}" and everything on it?`)) {
+            await context.deleteShoppingList(list.id);
+            setSelectedId(null);
+        }
+    };
+    
+    return (
+        <div className="space-y-4 pb-20">
+            {/* List Picker */}
+            <div className="flex flex-wrap gap-2">
+                {shoppingLists.map(l => (
                     <button
-                        onClick={() => setStep('welcome')}
-                        className="mb-6 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                        key={l.id}
+                        onClick={() => {
+                            setSelectedId(l.id);
+                            setCheckout(null);
+                        }}
+                        className={`px-4 py-2 rounded-full text-sm ${
+                            list?.id === l.id
+                                ? 'bg-indigo-600 text-white'
+                                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 shadow-sm'
+                        }`}
                     >
-                        ← Back
+                        🛒 {l.name}
+                    </button>
+                ))}
+                <button
+                    onClick={() => setShowNewList(!showNewList)}
+                    className="px-4 py-2 rounded-full text-sm text-indigo-600 hover:text-indigo-700"
+                >
+                    {showNewList ? 'Cancel' : '+ New List'}
+                </button>
+            </div>
+            
+            {showNewList && (
+                <form onSubmit={handleAddList} className="flex space-x-2 slide-in">
+                    <input
+                        type="text"
+                        value={newListName}
+                        onChange={(e) => setNewListName(e.target.value)}
+                        className={inputClass}
+                        placeholder="Groceries"
+                        required
+                    />
+                    <button
+                        type="submit"
+                        className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Create
                     </button>
+                </form>
+            )}
+            
+            {!list ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        No shopping lists yet
+                    </p>
+                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
+                        Create a list and everyone in the family can add to it
+                    </p>
+                </div>
+            ) : (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                    <div className="flex justify-between items-start mb-4">
+                        <div>
+                            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                                {list.name}
+                            </h2>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                {totals.count - totals.checkedCount} to buy · about {formatCurrency(totals.estimated)}
+                            </p>
+                        </div>
+                        <div className="flex space-x-3 text-sm">
+                            <button onClick={handleRenameList} className="text-indigo-600 hover:text-indigo-700">
+                                Rename
+                            </button>
+                            <button onClick={handleDeleteList} className="text-red-600 hover:text-red-700">
+                                Delete
+                            </button>
+                        </div>
+                    </div>
                     
-                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
-                        Join Existing Family
-                    </h2>
+                    {/* Add Item */}
+                    <form onSubmit={handleAddItem} className="grid grid-cols-6 gap-2 mb-4">
+                        <input
+                            type="text"
+                            value={itemName}
+                            onChange={(e) => setItemName(e.target.value)}
+                            className={`${inputClass} col-span-3`}
+                            placeholder="Add an item"
+                            required
+                        />
+                        <input
+                            type="number"
+                            min="1"
+                            step="any"
+                            value={quantity}
+                            onChange={(e) => setQuantity(e.target.value)}
+                            className={inputClass}
+                            aria-label="Quantity"
+                        />
+                        <input
+                            type="number"
+                            step="0.01"
+                            value={estimatedPrice}
+                            onChange={(e) => setEstimatedPrice(e.target.value)}
+                            className={inputClass}
+                            placeholder="$ each"
+                        />
+                        <button
+                            type="submit"
+                            className="bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                        >
+                            Add
+                        </button>
+                    </form>
                     
-                    {error && (
-                        <div className="mb-4 p-3 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-200 rounded-lg">
-                            {error}
+                    {/* Items */}
+                    {items.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                            Nothing on this list yet
+                        </p>
+                    ) : (
+                        <div className="space-y-2">
+                            {items.map(item => (
+                                <div key={item.id} className="flex items-center justify-between py-2">
+                                    <label className="flex items-center space-x-3 flex-1 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={item.checked}
+                                            onChange={() => context.toggleShoppingItem(item.id)}
+                                            className="w-5 h-5"
+                                        />
+                                        <div>
+                                            <p className={item.checked
+                                                ? 'line-through text-gray-400'
+                                                : 'text-gray-900 dark:text-white'}>
+                                                {item.quantity > 1 && `${item.quantity} × `}{item.name}
+                                            </p>
+                                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                                Added by {getMemberName(item.addedBy)}
+                                                {item.checked && item.checkedBy && ` · ticked by ${getMemberName(item.checkedBy)}`}
+                                            </p>
+                                        </div>
+                                    </label>
+                                    <div className="flex items-center space-x-3">
+                                        {item.estimatedPrice > 0 && (
+                                            <span className="text-sm text-gray-500 dark:text-gray-400">
+                                                {formatCurrency(shopping.getLineTotal(item))}
+                                            </span>
+                                        )}
+                                        <button
+                                            onClick={() => context.deleteShoppingItem(item.id)}
+                                            className="text-gray-400 hover:text-red-600"
+                                            aria-label="Remove item"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
                         </div>
                     )}
                     
-                    <form onSubmit={handleJoin} className="space-y-4">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Family Code
-                            </label>
+                    {/* Checkout */}
+                    {totals.checkedCount > 0 && !checkout && (
+                        <button
+                            onClick={() => setCheckout({
+                                amount: totals.checked > 0 ? totals.checked.toFixed(2) : '',
+                                accountId: list.accountId || '',
+                                category: list.category
+                            })}
+                            className="w-full mt-4 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                            Checkout {totals.checkedCount} {totals.checkedCount === 1 ? 'item' : 'items'}
+                        </button>
+                    )}
+                    
+                    {checkout && (
+                        <form onSubmit={handleCheckout} className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3 slide-in">
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                The ticked items become one expense and come off the list.
+                            </p>
                             <input
-                                type="text"
-                                value={familyCode}
-                                onChange={(e) => setFamilyCode(e.target.value.toUpperCase())}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white font-mono"
-                                placeholder="ABC12345"
+                                type="number"
+                                step="0.01"
+                                value={checkout.amount}
+                                onChange={(e) => setCheckout({ ...checkout, amount: e.target.value })}
+                                className={inputClass}
+                                placeholder="Total paid"
                                 required
                             />
+                            <div className="grid grid-cols-2 gap-3">
+                                <select
+                                    value={checkout.category}
+                                    onChange={(e) => setCheckout({ ...checkout, category: e.target.value })}
+                                    className={inputClass}
+                                >
+                                    {categories.expense.filter(c => !c.archived).map(category => (
+                                        <option key={category.id} value={category.id}>
+                                            {category.icon} {category.name}
+                                        </option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={checkout.accountId}
+                                    onChange={(e) => setCheckout({ ...checkout, accountId: e.target.value })}
+                                    className={inputClass}
+                                >
+                                    <option value="">No account</option>
+                                    {accounts.filter(a => !a.archived).map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="flex space-x-2">
+                                <button
+                                    type="submit"
+                                    className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                                >
+                                    Add Expense
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setCheckout(null)}
+                                    className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// CHORES VIEW
+// =====================================================
+
+function ChoresView() {
+    const context = useContext(AppContext);
+    const { familyTasks, accounts, familyConfig } = context;
+    const chores = window.choreManager;
+    const members = familyConfig.members || [];
+    const openAccounts = accounts.filter(a => !a.archived);
+    const today = window.recurringManager.toDateKey(new Date());
+    const [memberFilter, setMemberFilter] = useState('');
+    const [editing, setEditing] = useState(null);
+    
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const getMemberName = (code) => members.find(m => m.code === code)?.name || 'Anyone';
+    const groups = chores.group(familyTasks, memberFilter || null);
+    
+    const startAdd = () => setEditing({
+        title: '',
+        assignedTo: memberFilter || members[0]?.code || '',
+        dueDate: today,
+        frequency: 'weekly',
+        reward: '',
+        payoutAccountId: '',
+        fundingAccountId: ''
+    });
+    
+    const handleSave = async (e) => {
+        e.preventDefault();
+        
+        await context.saveTask(editing);
+        setEditing(null);
+    };
+    
+    const renderTask = (task) => {
+        const status = chores.getStatus(task);
+        
+        return (
+            <div key={task.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4">
+                <div className="flex justify-between items-start">
+                    <div>
+                        <p className="font-medium text-gray-900 dark:text-white">{task.title}</p>
+                        <p className={`text-sm ${
+                            status === 'overdue' ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'
+                        }`}>
+                            {getMemberName(task.assignedTo)}
+                            {task.status === 'approved'
+                                ? ` · approved by ${getMemberName(task.approvedBy)}`
+                                : ` · due ${new Date(`${task.dueDate}T00:00`).toLocaleDateString()}`}
+                            {task.frequency !== 'once' && ` · ${chores.frequencies[task.frequency].label.toLowerCase()}`}
+                        </p>
+                        {task.status === 'done' && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                Done by {getMemberName(task.completedBy)}
+                            </p>
+                        )}
+                    </div>
+                    {task.reward > 0 && (
+                        <span className="text-sm font-semibold text-green-600 dark:text-green-400">
+                            {formatCurrency(task.reward)}
+                        </span>
+                    )}
+                </div>
+                
+                <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3 text-sm">
+                    {task.status === 'todo' && (
+                        <button
+                            onClick={() => context.completeTask(task.id)}
+                            className="text-green-600 hover:text-green-700 font-medium"
+                        >
+                            ✓ Mark done
+                        </button>
+                    )}
+                    {task.status === 'done' && (
+                        <>
+                            <button
+                                onClick={() => context.approveTask(task.id)}
+                                disabled={task.completedBy === familyConfig.memberCode}
+                                title={task.completedBy === familyConfig.memberCode
+                                    ? 'Someone else needs to approve this'
+                                    : undefined}
+                                className="text-green-600 hover:text-green-700 font-medium disabled:opacity-50"
+                            >
+                                {task.reward > 0 && task.payoutAccountId
+                                    ? `Approve & pay ${formatCurrency(task.reward)}`
+                                    : 'Approve'}
+                            </button>
+                            <button
+                                onClick={() => context.reopenTask(task.id)}
+                                className="text-gray-500 hover:text-gray-700 dark:text-gray-400"
+                            >
+                                Send back
+                            </button>
+                        </>
+                    )}
+                    <span className="flex-1" />
+                    {task.status !== 'approved' && (
+                        <button
+                            onClick={() => setEditing({ ...task })}
+                            className="text-indigo-600 hover:text-indigo-700"
+                        >
+                            Edit
+                        </button>
+                    )}
+                    <button
+                        onClick={() => {
+                            if (confirm(`Delete "${task.title}"?`)) {
+                                context.deleteTask(task.id);
+                            }
+                        }}
+                        className="text-red-600 hover:text-red-700"
+                    >
+                        Delete
+                    </button>
+                </div>
+            </div>
+        );
+    };
+    
+    const renderSection = (title, tasks, empty) => (
+        <div className="space-y-3">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                {title}{tasks.length > 0 && ` (${tasks.length})`}
+            </h2>
+            {tasks.length === 0
+                ? <p className="text-sm text-gray-500 dark:text-gray-400">{empty}</p>
+                : tasks.map(renderTask)}
+        </div>
+    );
+    
+    return (
+        <div className="space-y-6 pb-20">
+            {/* Member Filter */}
+            {members.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                    {[{ code: '', name: 'Everyone' }, ...members].map(member => (
+                        <button
+                            key={member.code || 'all'}
+                            onClick={() => setMemberFilter(member.code)}
+                            className={`px-4 py-2 rounded-full text-sm ${
+                                memberFilter === member.code
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 shadow-sm'
+                            }`}
+                        >
+                            {member.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+            
+            <button
+                onClick={() => editing ? setEditing(null) : startAdd()}
+                className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+                {editing ? 'Cancel' : 'Add Chore'}
+            </button>
+            
+            {/* Chore Form */}
+            {editing && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleSave} className="space-y-4">
+                        <input
+                            type="text"
+                            value={editing.title}
+                            onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                            className={inputClass}
+                            placeholder="Take out the recycling"
+                            required
+                        />
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <select
+                                value={editing.assignedTo || ''}
+                                onChange={(e) => setEditing({ ...editing, assignedTo: e.target.value })}
+                                className={inputClass}
+                            >
+                                <option value="">Anyone</option>
+                                {members.map(member => (
+                                    <option key={member.code} value={member.code}>{member.name}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={editing.frequency}
+                                onChange={(e) => setEditing({ ...editing, frequency: e.target.value })}
+                                className={inputClass}
+                            >
+                                {Object.entries(chores.frequencies).map(([id, frequency]) => (
+                                    <option key={id} value={id}>{frequency.label}</option>
+                                ))}
+                            </select>
                         </div>
                         
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Your Name
-                            </label>
+                        <div className="grid grid-cols-2 gap-3">
                             <input
-                                type="text"
-                                value={memberName}
-                                onChange={(e) => setMemberName(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="Jane"
+                                type="date"
+                                value={editing.dueDate}
+                                onChange={(e) => setEditing({ ...editing, dueDate: e.target.value })}
+                                className={inputClass}
                                 required
                             />
-                        </div>
-                        
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Family PIN
-                            </label>
                             <input
-                                type="password"
-                                inputMode="numeric"
-                                pattern="[0-9]*"
-                                value={pin}
-                                onChange={(e) => setPin(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="••••"
-                                required
+                                type="number"
+                                step="0.01"
+                                value={editing.reward}
+                                onChange={(e) => setEditing({ ...editing, reward: e.target.value })}
+                                className={inputClass}
+                                placeholder="Reward (optional)"
                             />
                         </div>
                         
+                        {parseFloat(editing.reward) > 0 && openAccounts.length > 0 && (
+                            <div className="grid grid-cols-2 gap-3">
+                                <select
+                                    value={editing.payoutAccountId || ''}
+                                    onChange={(e) => setEditing({ ...editing, payoutAccountId: e.target.value })}
+                                    className={inputClass}
+                                >
+                                    <option value="">Don't record payout</option>
+                                    {openAccounts.map(account => (
+                                        <option key={account.id} value={account.id}>Pay into {account.name}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={editing.fundingAccountId || ''}
+                                    onChange={(e) => setEditing({ ...editing, fundingAccountId: e.target.value })}
+                                    className={inputClass}
+                                    disabled={!editing.payoutAccountId}
+                                >
+                                    <option value="">As income</option>
+                                    {openAccounts
+                                        .filter(account => account.id !== editing.payoutAccountId)
+                                        .map(account => (
+                                            <option key={account.id} value={account.id}>From {account.name}</option>
+                                        ))}
+                                </select>
+                            </div>
+                        )}
+                        
                         <button
                             type="submit"
-                            className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition duration-200"
+                            className="w-full bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
                         >
-                            Join Family
+                            {editing.id ? 'Save Chore' : 'Add Chore'}
                         </button>
                     </form>
                 </div>
-            </div>
-        );
-    }
+            )}
+            
+            {renderSection('To Do', groups.todo, 'All caught up 🎉')}
+            {renderSection('Waiting for Approval', groups.awaiting, 'Nothing to approve')}
+            {groups.approved.length > 0 && renderSection('Approved', groups.approved.slice(0, 10), '')}
+        </div>
+    );
 }
 
 // =====================================================
-// MAIN APP COMPONENT
+// NOTES VIEW
 // =====================================================
 
-function MainApp() {
+function NotesView() {
     const context = useContext(AppContext);
-    const { activeTab, showAddTransaction } = context;
+    const { notes, lockedNotes, billReminders, transactions, familyConfig } = context;
+    const notesManager = window.notesManager;
+    const [search, setSearch] = useState('');
+    const [tagFilter, setTagFilter] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [linkChoice, setLinkChoice] = useState('');
+    
+    const members = familyConfig.members || [];
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const tags = notesManager.getTags(notes);
+    const visible = notesManager.sort(notesManager.filter(notes, { text: search, tag: tagFilter }));
+    const getMemberName = (code) => members.find(m => m.code === code)?.name || 'Someone';
+    
+    // Link targets: bills, and the transactions loaded so far
+    const linkOptions = [
+        ...billReminders.map(bill => ({ type: 'bill', id: bill.id, label: bill.name })),
+        ...transactions.slice(0, 50).map(t => ({
+            type: 'transaction',
+            id: t.id,
+            label: `${t.description} (${new Date(`${t.date}T00:00`).toLocaleDateString()})`
+        }))
+    ];
+    
+    const startEdit = (note) => {
+        setEditing(note
+            ? { ...note, tags: note.tags.join(', ') }
+            : { title: '', body: '', tags: tagFilter, pinned: false, links: [] });
+        setLinkChoice('');
+    };
+    
+    const handleSave = async (e) => {
+        e.preventDefault();
+        
+        const saved = await context.saveNote(editing);
+        if (saved) setEditing(null);
+    };
+    
+    const addLink = () => {
+        const option = linkOptions.find(o => `${o.type}:${o.id}` === linkChoice);
+        if (!option || editing.links.some(l => l.type === option.type && l.id === option.id)) return;
+        
+        setEditing({ ...editing, links: [...editing.links, option] });
+        setLinkChoice('');
+    };
+    
+    const openLink = async (link) => {
+        if (link.type === 'bill') {
+            context.setActiveTab('bills');
+            return;
+        }
+        
+        const transaction = await window.dbManager.get('transactions', link.id);
+        if (transaction && !transaction.deleted) {
+            context.editTransaction(transaction);
+        } else {
+            context.showNotification('That transaction has been deleted', 'warning');
+        }
+    };
     
     return (
-        <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
-            {/* Header */}
-            <header className="bg-white dark:bg-gray-800 shadow-sm safe-top">
-                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                    <div className="flex justify-between items-center h-16">
-                        <div className="flex items-center">
-                            <h1 className="text-xl font-semibold text-gray-900 dark:text-white">
-                                {context.familyConfig.familyName}
-                            </h1>
-                        </div>
-                        
-                        <div className="flex items-center space-x-4">
-                            <span className="text-sm text-gray-500 dark:text-gray-400">
-                                {context.currentUser?.name}
-                            </span>
-                            
-                            {context.syncStatus === 'syncing' && (
-                                <div className="spinner w-4 h-4"></div>
-                            )}
-                            
-                            <button
-                                onClick={() => {
-                                    localStorage.removeItem(`${STORAGE_PREFIX}auth`);
-                                    context.setIsLoggedIn(false);
-                                }}
-                                className="text-sm text-red-600 hover:text-red-700"
-                            >
-                                Logout
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            </header>
-            
-            {/* Main Content */}
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {activeTab === 'dashboard' && <DashboardView />}
-                {activeTab === 'transactions' && <TransactionsView />}
-                {activeTab === 'budget' && <BudgetView />}
-                {activeTab === 'savings' && <SavingsView />}
-                {activeTab === 'settings' && <SettingsView />}
-            </main>
+        <div className="space-y-4 pb-20">
+            <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className={inputClass}
+                placeholder="Search notes"
+            />
             
-            {/* Bottom Navigation */}
-            <nav className="fixed bottom-0 left-0 right-0 bg-white dark:bg-gray-800 shadow-lg safe-bottom">
-                <div className="flex justify-around">
-                    {[
-                        { id: 'dashboard', icon: '🏠', label: 'Home' },
-                        { id: 'transactions', icon: '💸', label: 'Transactions' },
-                        { id: 'budget', icon: '📊', label: 'Budget' },
-                        { id: 'savings', icon: '🎯', label: 'Savings' },
-                        { id: 'settings', icon: '⚙️', label: 'Settings' }
-                    ].map(tab => (
+            {tags.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {['', ...tags].map(tag => (
                         <button
-                            key={tab.id}
-                            onClick={() => context.setActiveTab(tab.id)}
-                            className={`flex-1 py-2 px-2 flex flex-col items-center ${
-                                activeTab === tab.id
-                                    ? 'text-indigo-600 dark:text-indigo-400'
-                                    : 'text-gray-500 dark:text-gray-400'
+                            key={tag || 'all'}
+                            onClick={() => setTagFilter(tag)}
+                            className={`px-3 py-1 rounded-full text-sm ${
+                                tagFilter === tag
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 shadow-sm'
                             }`}
                         >
-                            <span className="text-xl">{tab.icon}</span>
-                            <span className="text-xs mt-1">{tab.label}</span>
+                            {tag ? `#${tag}` : 'All'}
                         </button>
                     ))}
                 </div>
-            </nav>
+            )}
             
-            {/* Floating Action Button */}
             <button
-                onClick={() => context.setShowAddTransaction(true)}
-                className="fab"
+                onClick={() => editing ? setEditing(null) : startEdit(null)}
+                className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
             >
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
+                {editing ? 'Cancel' : 'New Note'}
             </button>
             
-            {/* Add Transaction Modal */}
-            {showAddTransaction && <AddTransactionModal />}
+            {/* Note Form */}
+            {editing && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleSave} className="space-y-4">
+                        <input
+                            type="text"
+                            value={editing.title}
+                            onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                            className={inputClass}
+                            placeholder="Home insurance"
+                        />
+                        <textarea
+                            value={editing.body}
+                            onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                            className={inputClass}
+                            rows={5}
+                            placeholder="Policy number, renewal date, who to call…"
+                        />
+                        <input
+                            type="text"
+                            value={editing.tags}
+                            onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                            className={inputClass}
+                            placeholder="Tags, comma separated"
+                        />
+                        
+                        {/* Links */}
+                        <div className="space-y-2">
+                            {editing.links.map(link => (
+                                <div key={`${link.type}:${link.id}`} className="flex justify-between text-sm">
+                                    <span className="text-gray-700 dark:text-gray-300">
+                                        {notesManager.linkTypes[link.type].icon} {link.label}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => setEditing({
+                                            ...editing,
+                                            links: editing.links.filter(l => l !== link)
+                                        })}
+                                        className="text-gray-400 hover:text-red-600"
+                                        aria-label="Remove link"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+                            {linkOptions.length > 0 && (
+                                <div className="flex space-x-2">
+                                    <select
+                                        value={linkChoice}
+                                        onChange={(e) => setLinkChoice(e.target.value)}
+                                        className={inputClass}
+                                    >
+                                        <option value="">Link a bill or transaction…</option>
+                                        {linkOptions.map(option => (
+                                            <option key={`${option.type}:${option.id}`} value={`${option.type}:${option.id}`}>
+                                                {notesManager.linkTypes[option.type].icon} {option.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        onClick={addLink}
+                                        disabled={!linkChoice}
+                                        className="px-4 text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+                                    >
+                                        Link
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={editing.pinned}
+                                onChange={(e) => setEditing({ ...editing, pinned: e.target.checked })}
+                            />
+                            <span>Pin to top</span>
+                        </label>
+                        
+                        <button
+                            type="submit"
+                            className="w-full bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                            {editing.id ? 'Save Note' : 'Add Note'}
+                        </button>
+                    </form>
+                </div>
+            )}
+            
+            {lockedNotes > 0 && (
+                <p className="text-sm text-yellow-600 dark:text-yellow-400">
+                    🔒 {lockedNotes} {lockedNotes === 1 ? 'note' : 'notes'} can't be opened with this device's family key
+                </p>
+            )}
+            
+            {/* Notes */}
+            {visible.length === 0 ? (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+                    <p className="text-gray-500 dark:text-gray-400">
+                        {notes.length === 0 ? 'No notes yet' : 'No notes match'}
+                    </p>
+                    {notes.length === 0 && (
+                        <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
+                            Keep policy numbers, renewal dates and where the paperwork lives in one place
+                        </p>
+                    )}
+                </div>
+            ) : (
+                visible.map(note => (
+                    <div key={note.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                        <div className="flex justify-between items-start">
+                            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                                {note.pinned && '📌 '}{note.title}
+                            </h3>
+                            <button
+                                onClick={() => context.toggleNotePin(note.id)}
+                                className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400"
+                            >
+                                {note.pinned ? 'Unpin' : 'Pin'}
+                            </button>
+                        </div>
+                        
+                        {note.body && (
+                            <p className="mt-2 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap">
+                                {note.body}
+                            </p>
+                        )}
+                        
+                        {note.links.length > 0 && (
+                            <div className="mt-3 space-y-1">
+                                {note.links.map(link => (
+                                    <button
+                                        key={`${link.type}:${link.id}`}
+                                        onClick={() => openLink(link)}
+                                        className="block text-sm text-indigo-600 hover:text-indigo-700"
+                                    >
+                                        {notesManager.linkTypes[link.type].icon} {link.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        
+                        <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                            {note.tags.map(tag => (
+                                <button
+                                    key={tag}
+                                    onClick={() => setTagFilter(tag)}
+                                    className="text-xs px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300"
+                                >
+                                    #{tag}
+                                </button>
+                            ))}
+                            <span className="flex-1 text-xs text-gray-400">
+                                {getMemberName(note.updatedBy || note.createdBy)} · {new Date(note.updatedAt).toLocaleDateString()}
+                            </span>
+                            <button onClick={() => startEdit(note)} className="text-indigo-600 hover:text-indigo-700">
+                                Edit
+                            </button>
+                            <button
+                                onClick={() => {
+                                    if (confirm(`Delete "${note.title}"?`)) {
+                                        context.deleteNote(note.id);
+                                    }
+                                }}
+                                className="text-red-600 hover:text-red-700"
+                            >
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                ))
+            )}
         </div>
     );
 }
 
 // =====================================================
-// DASHBOARD VIEW
+// INVESTMENTS VIEW
 // =====================================================
 
-function DashboardView() {
+function InvestmentsView() {
     const context = useContext(AppContext);
-    const { statistics, transactions } = context;
+    const { holdings, investmentTrades, investmentPrices, portfolio, accounts } = context;
+    const investments = window.investmentManager;
+    const openAccounts = accounts.filter(a => !a.archived);
+    const today = window.recurringManager.toDateKey(new Date());
+    const [editing, setEditing] = useState(null);
+    const [action, setAction] = useState(null); // { holdingId, kind: 'price'|'buy'|'sell'|'dividend', ... }
+    const [historyId, setHistoryId] = useState(null);
+    
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    const formatUnits = (units) => Number(units.toFixed(6)).toLocaleString();
+    const gainClass = (amount) => amount >= 0
+        ? 'text-green-600 dark:text-green-400'
+        : 'text-red-600 dark:text-red-400';
+    const signed = (amount) => `${amount >= 0 ? '+' : ''}${formatCurrency(amount)}`;
+    
+    const sortedHoldings = [...holdings].sort((a, b) =>
+        (portfolio.positions[b.id]?.marketValue || 0) - (portfolio.positions[a.id]?.marketValue || 0));
+    
+    const startAdd = () => setEditing({
+        symbol: '',
+        name: '',
+        assetClass: 'stock',
+        units: '',
+        costBasis: '',
+        accountId: ''
+    });
+    
+    const startAction = (holding, kind) => {
+        const position = portfolio.positions[holding.id];
+        setAction({
+            holdingId: holding.id,
+            kind,
+            date: today,
+            price: kind === 'price' ? '' : String(Number(position.price.toFixed(4))),
+            units: '',
+            amount: '',
+            fees: '',
+            postIncome: !!holding.accountId
+        });
+    };
+    
+    const handleSave = async (e) => {
+        e.preventDefault();
+        
+        const saved = await context.saveHolding(editing);
+        if (saved) setEditing(null);
+    };
+    
+    const handleAction = async (e) => {
+        e.preventDefault();
+        
+        const saved = action.kind === 'price'
+            ? await context.recordInvestmentPrice(action.holdingId, { price: action.price, date: action.date })
+            : await context.addInvestmentTrade(action.holdingId, {
+                type: action.kind,
+                units: action.units,
+                price: action.price,
+                amount: action.amount,
+                fees: action.fees,
+                date: action.date
+            }, { postIncome: action.postIncome });
+        if (saved) setAction(null);
+    };
     
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount || 0);
+    const renderActionForm = (holding) => {
+        const account = accounts.find(a => a.id === holding.accountId);
+        
+        return (
+            <form onSubmit={handleAction} className="mt-3 space-y-3 slide-in">
+                <div className="grid grid-cols-2 gap-3">
+                    {action.kind === 'price' && (
+                        <input
+                            type="number"
+                            step="any"
+                            min="0"
+                            value={action.price}
+                            onChange={(e) => setAction({ ...action, price: e.target.value })}
+                            className={inputClass}
+                            placeholder="Price per unit"
+                            required
+                        />
+                    )}
+                    {(action.kind === 'buy' || action.kind === 'sell') && (
+                        <>
+                            <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={action.units}
+                                onChange={(e) => setAction({ ...action, units: e.target.value })}
+                                className={inputClass}
+                                placeholder="Units"
+                                required
+                            />
+                            <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={action.price}
+                                onChange={(e) => setAction({ ...action, price: e.target.value })}
+                                className={inputClass}
+                                placeholder="Price per unit"
+                                required
+                            />
+                        </>
+                    )}
+                    {action.kind === 'dividend' && (
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={action.amount}
+                            onChange={(e) => setAction({ ...action, amount: e.target.value })}
+                            className={inputClass}
+                            placeholder="Amount paid"
+                            required
+                        />
+                    )}
+                    <input
+                        type="date"
+                        value={action.date}
+                        onChange={(e) => setAction({ ...action, date: e.target.value })}
+                        className={inputClass}
+                        required
+                    />
+                    {action.kind !== 'price' && (
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={action.fees}
+                            onChange={(e) => setAction({ ...action, fees: e.target.value })}
+                            className={inputClass}
+                            placeholder={action.kind === 'dividend' ? 'Tax withheld' : 'Fees'}
+                        />
+                    )}
+                </div>
+                
+                {action.kind === 'dividend' && account && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={action.postIncome}
+                            onChange={(e) => setAction({ ...action, postIncome: e.target.checked })}
+                        />
+                        Record as income in {account.name}
+                    </label>
+                )}
+                
+                <div className="flex gap-2">
+                    <button
+                        type="submit"
+                        className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                    >
+                        {action.kind === 'price' ? 'Save Price' : `Record ${investments.tradeTypes[action.kind].label}`}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setAction(null)}
+                        className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        );
     };
     
-    const recentTransactions = transactions.slice(0, 5);
-    
-    return (
-        <div className="space-y-6 pb-20">
-            {/* Stats Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
-                        Monthly Income
-                    </h3>
-                    <p className="text-2xl font-bold text-green-600 dark:text-green-400 mt-2">
-                        {formatCurrency(statistics.monthlyIncome)}
-                    </p>
+    const renderHistory = (holding) => {
+        const trades = investments.getTrades(holding.id, investmentTrades).reverse();
+        const prices = investments.getPrices(holding.id, investmentPrices);
+        
+        return (
+            <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 space-y-4 text-sm">
+                <div>
+                    <h4 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Trades</h4>
+                    {trades.length === 0 ? (
+                        <p className="text-gray-500 dark:text-gray-400">
+                            No trades yet; the holding started with {formatUnits(holding.units)} units
+                            costing {formatCurrency(holding.costBasis)}
+                        </p>
+                    ) : trades.map(trade => (
+                        <div key={trade.id} className="flex justify-between items-center py-1">
+                            <span className="text-gray-700 dark:text-gray-300">
+                                {new Date(`${trade.date}T00:00`).toLocaleDateString()} · {investments.tradeTypes[trade.type].label}
+                                {trade.type === 'dividend'
+                                    ? ` ${formatCurrency(trade.amount)}`
+                                    : ` ${formatUnits(trade.units)} @ ${formatCurrency(trade.price)}`}
+                                {trade.fees > 0 && ` (${formatCurrency(trade.fees)} ${trade.type === 'dividend' ? 'tax' : 'fees'})`}
+                            </span>
+                            <button
+                                onClick={() => {
+                                    const message = trade.transactionId
+                                        ? 'Remove this dividend and the income recorded for it?'
+                                        : 'Remove this trade?';
+                                    if (confirm(message)) {
+                                        context.deleteInvestmentTrade(trade.id);
+                                    }
+                                }}
+                                className="text-red-600 hover:text-red-700"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
                 </div>
                 
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
-                        Monthly Expenses
-                    </h3>
-                    <p className="text-2xl font-bold text-red-600 dark:text-red-400 mt-2">
-                        {formatCurrency(statistics.monthlyExpenses)}
-                    </p>
+                {prices.length > 0 && (
+                    <div>
+                        <h4 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Prices</h4>
+                        {prices.slice(0, 10).map(snapshot => (
+                            <div key={snapshot.id} className="flex justify-between py-1 text-gray-700 dark:text-gray-300">
+                                <span>{new Date(`${snapshot.date}T00:00`).toLocaleDateString()}</span>
+                                <span>{formatCurrency(snapshot.price)}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    };
+    
+    const renderHolding = (holding) => {
+        const position = portfolio.positions[holding.id];
+        const account = accounts.find(a => a.id === holding.accountId);
+        const assetClass = investments.assetClasses[holding.assetClass];
+        
+        return (
+            <div key={holding.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4">
+                <div className="flex justify-between items-start">
+                    <div>
+                        <p className="font-medium text-gray-900 dark:text-white">
+                            {assetClass.icon} {holding.symbol || holding.name}
+                            {holding.symbol && holding.name !== holding.symbol && (
+                                <span className="font-normal text-gray-500 dark:text-gray-400"> · {holding.name}</span>
+                            )}
+                        </p>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {formatUnits(position.units)} units @ {formatCurrency(position.price)}
+                            {position.priceDate && ` (${new Date(`${position.priceDate}T00:00`).toLocaleDateString()})`}
+                            {account && ` · ${account.name}`}
+                        </p>
+                    </div>
+                    <div className="text-right">
+                        <p className="font-semibold text-gray-900 dark:text-white">
+                            {formatCurrency(position.marketValue)}
+                        </p>
+                        <p className={`text-sm ${gainClass(position.unrealizedGain)}`}>
+                            {signed(position.unrealizedGain)} ({position.unrealizedPercent.toFixed(1)}%)
+                        </p>
+                    </div>
                 </div>
                 
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
-                        Net Worth
-                    </h3>
-                    <p className="text-2xl font-bold text-indigo-600 dark:text-indigo-400 mt-2">
-                        {formatCurrency(statistics.netWorth)}
-                    </p>
+                <div className="grid grid-cols-3 gap-2 mt-3 text-sm">
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Cost basis</p>
+                        <p className="text-gray-900 dark:text-white">{formatCurrency(position.costBasis)}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Realized</p>
+                        <p className={gainClass(position.realizedGain)}>{signed(position.realizedGain)}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Dividends</p>
+                        <p className="text-gray-900 dark:text-white">{formatCurrency(position.dividends)}</p>
+                    </div>
                 </div>
-            </div>
-            
-            {/* Recent Transactions */}
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                    Recent Transactions
-                </h2>
                 
-                {recentTransactions.length === 0 ? (
-                    <div className="text-center py-8 text-gray-500 dark:text-gray-400">
-                        <p>No transactions yet</p>
+                {action?.holdingId === holding.id ? renderActionForm(holding) : (
+                    <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3 text-sm">
                         <button
-                            onClick={() => context.setShowAddTransaction(true)}
-                            className="mt-4 text-indigo-600 hover:text-indigo-700"
+                            onClick={() => startAction(holding, 'price')}
+                            className="text-indigo-600 hover:text-indigo-700 font-medium"
                         >
-                            Add your first transaction
+                            Update price
+                        </button>
+                        <button
+                            onClick={() => startAction(holding, 'buy')}
+                            className="text-green-600 hover:text-green-700"
+                        >
+                            Buy
+                        </button>
+                        <button
+                            onClick={() => startAction(holding, 'sell')}
+                            disabled={position.units <= 0}
+                            className="text-green-600 hover:text-green-700 disabled:opacity-50"
+                        >
+                            Sell
+                        </button>
+                        <button
+                            onClick={() => startAction(holding, 'dividend')}
+                            className="text-green-600 hover:text-green-700"
+                        >
+                            Dividend
+                        </button>
+                        <span className="flex-1" />
+                        <button
+                            onClick={() => setHistoryId(historyId === holding.id ? null : holding.id)}
+                            className="text-gray-500 hover:text-gray-700 dark:text-gray-400"
+                        >
+                            {historyId === holding.id ? 'Hide history' : 'History'}
+                        </button>
+                        <button
+                            onClick={() => setEditing({ ...holding })}
+                            className="text-indigo-600 hover:text-indigo-700"
+                        >
+                            Edit
+                        </button>
+                        <button
+                            onClick={() => {
+                                if (confirm(`Delete ${holding.symbol || holding.name} and its trade history?`)) {
+                                    context.deleteHolding(holding.id);
+                                }
+                            }}
+                            className="text-red-600 hover:text-red-700"
+                        >
+                            Delete
                         </button>
-                    </div>
-                ) : (
-                    <div className="space-y-3">
-                        {recentTransactions.map(transaction => (
-                            <div
-                                key={transaction.id}
-                                className="flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors"
-                            >
-                                <div className="flex items-center space-x-3">
-                                    <span className="text-2xl">
-                                        {context.categories[transaction.type]
-                                            ?.find(c => c.id === transaction.category)?.icon || '💰'}
-                                    </span>
-                                    <div>
-                                        <p className="font-medium text-gray-900 dark:text-white">
-                                            {transaction.description}
-                                        </p>
-                                        <p className="text-sm text-gray-500 dark:text-gray-400">
-                                            {new Date(transaction.date).toLocaleDateString()}
-                                        </p>
-                                    </div>
-                                </div>
-                                <p className={`font-semibold ${
-                                    transaction.type === 'income' 
-                                        ? 'text-green-600 dark:text-green-400' 
-                                        : 'text-red-600 dark:text-red-400'
-                                }`}>
-                                    {transaction.type === 'income' ? '+' : '-'}
-                                    {formatCurrency(transaction.amount)}
-                                </p>
-                            </div>
-                        ))}
                     </div>
                 )}
                 
-                {transactions.length > 5 && (
-                    <button
-                        onClick={() => context.setActiveTab('transactions')}
-                        className="mt-4 text-indigo-600 hover:text-indigo-700 text-sm"
-                    >
-                        View all transactions →
-                    </button>
+                {historyId === holding.id && renderHistory(holding)}
+            </div>
+        );
+    };
+    
+    const { totals } = portfolio;
+    
+    return (
+        <div className="space-y-6 pb-20">
+            {/* Portfolio Summary */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                    Portfolio Value
+                </h3>
+                <p className="text-2xl font-bold text-indigo-600 dark:text-indigo-400 mt-2">
+                    {formatCurrency(totals.marketValue)}
+                </p>
+                <div className="grid grid-cols-3 gap-2 mt-4 text-sm">
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Unrealized</p>
+                        <p className={gainClass(totals.unrealizedGain)}>{signed(totals.unrealizedGain)}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Realized</p>
+                        <p className={gainClass(totals.realizedGain)}>{signed(totals.realizedGain)}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500 dark:text-gray-400">Dividends</p>
+                        <p className="text-gray-900 dark:text-white">{formatCurrency(totals.dividends)}</p>
+                    </div>
+                </div>
+                
+                {totals.marketValue > 0 && (
+                    <div className="mt-4 space-y-1 text-sm">
+                        {Object.entries(portfolio.byAssetClass)
+                            .filter(([, value]) => value > 0)
+                            .sort((a, b) => b[1] - a[1])
+                            .map(([id, value]) => (
+                                <div key={id} className="flex justify-between text-gray-700 dark:text-gray-300">
+                                    <span>{investments.assetClasses[id]?.icon} {investments.assetClasses[id]?.label}</span>
+                                    <span>{formatCurrency(value)} · {((value / totals.marketValue) * 100).toFixed(0)}%</span>
+                                </div>
+                            ))}
+                    </div>
                 )}
             </div>
+            
+            <button
+                onClick={() => editing ? setEditing(null) : startAdd()}
+                className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+                {editing ? 'Cancel' : 'Add Holding'}
+            </button>
+            
+            {/* Holding Form */}
+            {editing && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
+                    <form onSubmit={handleSave} className="space-y-4">
+                        <div className="grid grid-cols-2 gap-3">
+                            <input
+                                type="text"
+                                value={editing.symbol}
+                                onChange={(e) => setEditing({ ...editing, symbol: e.target.value })}
+                                className={inputClass}
+                                placeholder="Ticker (e.g. VTI)"
+                            />
+                            <input
+                                type="text"
+                                value={editing.name}
+                                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                className={inputClass}
+                                placeholder="Name"
+                            />
+                        </div>
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <select
+                                value={editing.assetClass}
+                                onChange={(e) => setEditing({ ...editing, assetClass: e.target.value })}
+                                className={inputClass}
+                            >
+                                {Object.entries(investments.assetClasses).map(([id, assetClass]) => (
+                                    <option key={id} value={id}>{assetClass.icon} {assetClass.label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={editing.accountId || ''}
+                                onChange={(e) => setEditing({ ...editing, accountId: e.target.value })}
+                                className={inputClass}
+                            >
+                                <option value="">No account</option>
+                                {openAccounts.map(account => (
+                                    <option key={account.id} value={account.id}>Held in {account.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        <div className="grid grid-cols-2 gap-3">
+                            <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={editing.units}
+                                onChange={(e) => setEditing({ ...editing, units: e.target.value })}
+                                className={inputClass}
+                                placeholder="Units held"
+                            />
+                            <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={editing.costBasis}
+                                onChange={(e) => setEditing({ ...editing, costBasis: e.target.value })}
+                                className={inputClass}
+                                placeholder="Total cost"
+                            />
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            What you held when you started tracking; record later buys and sells as trades
+                        </p>
+                        
+                        <button
+                            type="submit"
+                            className="w-full bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                            {editing.id ? 'Save Holding' : 'Add Holding'}
+                        </button>
+                    </form>
+                </div>
+            )}
+            
+            {sortedHoldings.length === 0 ? (
+                <p className="text-center text-gray-500 dark:text-gray-400">
+                    Add a holding to include investments in your net worth
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    {sortedHoldings.map(renderHolding)}
+                </div>
+            )}
         </div>
     );
 }
 
 // =====================================================
-// TRANSACTIONS VIEW
+// MEMBERS
 // =====================================================
 
-function TransactionsView() {
+function MembersSection() {
     const context = useContext(AppContext);
-    const { transactions, categories } = context;
-    const [filter, setFilter] = useState('all'); // all, income, expense
+    const { familyConfig, currentRole, invites } = context;
+    const permissions = window.permissionManager;
+    const members = familyConfig.members || [];
+    const canManage = context.can('manageMembers');
+    const [newInvite, setNewInvite] = useState(null);
+    const [creating, setCreating] = useState(false);
+    const [removing, setRemoving] = useState(null);
+    
+    const activeInvites = invites.filter(invite => window.inviteManager.getStatus(invite) === 'active');
+    
+    const handleCreateInvite = async () => {
+        setCreating(true);
+        try {
+            setNewInvite(await context.createInvite());
+        } finally {
+            setCreating(false);
+        }
+    };
     
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount || 0);
+    const handleShareInvite = async () => {
+        const text = `Join ${familyConfig.familyName} on Family Finance Hub. You'll also need the family PIN.`;
+        if (navigator.share) {
+            await navigator.share({ title: 'Family Finance Hub invite', text, url: newInvite.link }).catch(() => {});
+            return;
+        }
+        
+        await navigator.clipboard.writeText(newInvite.link);
+        context.showNotification('Invite link copied', 'success');
     };
     
-    const filteredTransactions = transactions.filter(t => {
-        if (filter === 'all') return true;
-        return t.type === filter;
-    });
+    const handleRoleChange = async (member, role) => {
+        if (role === member.role) return;
+        if (member.code === familyConfig.memberCode && !permissions.can(role, 'manageMembers') &&
+            !confirm("You won't be able to change roles after this. Continue?")) {
+            return;
+        }
+        
+        await context.setMemberRole(member.code, role);
+    };
     
-    const groupedTransactions = filteredTransactions.reduce((groups, transaction) => {
-        const date = new Date(transaction.date).toDateString();
-        if (!groups[date]) {
-            groups[date] = [];
+    const handleRemove = async (member) => {
+        if (!confirm(`Remove ${member.name}? The family key will be changed, so their device can't open anything synced from now on.`)) {
+            return;
+        }
+        
+        setRemoving(member.code);
+        try {
+            if (await context.removeMember(member.code)) setNewInvite(null);
+        } finally {
+            setRemoving(null);
         }
-        groups[date].push(transaction);
-        return groups;
-    }, {});
+    };
     
     return (
-        <div className="space-y-4 pb-20">
-            {/* Filter Tabs */}
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-2 flex">
-                {['all', 'income', 'expense'].map(type => (
-                    <button
-                        key={type}
-                        onClick={() => setFilter(type)}
-                        className={`flex-1 py-2 px-4 rounded-lg font-medium transition-colors ${
-                            filter === type
-                                ? 'bg-indigo-600 text-white'
-                                : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
-                        }`}
-                    >
-                        {type.charAt(0).toUpperCase() + type.slice(1)}
-                    </button>
-                ))}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Members
+            </h2>
+            
+            <div className="space-y-2">
+                {members.map(member => {
+                    const role = permissions.getRole(member.role);
+                    
+                    return (
+                        <div key={member.code} className="flex justify-between items-center">
+                            <span className="text-gray-900 dark:text-white">
+                                {role.icon} {member.name}
+                                {member.code === familyConfig.memberCode && (
+                                    <span className="text-sm text-gray-500 dark:text-gray-400"> (you)</span>
+                                )}
+                            </span>
+                            {canManage ? (
+                                <div className="flex items-center space-x-3">
+                                    <select
+                                        value={member.role}
+                                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                                        className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-700 dark:text-white"
+                                        aria-label={`Role for ${member.name}`}
+                                    >
+                                        {Object.entries(permissions.roles).map(([id, option]) => (
+                                            <option key={id} value={id}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                    {member.code !== familyConfig.memberCode && (
+                                        <button
+                                            onClick={() => handleRemove(member)}
+                                            disabled={removing !== null}
+                                            className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                                        >
+                                            {removing === member.code ? 'Removing...' : 'Remove'}
+                                        </button>
+                                    )}
+                                </div>
+                            ) : (
+                                <span className="text-sm text-gray-500 dark:text-gray-400">{role.label}</span>
+                            )}
+                        </div>
+                    );
+                })}
             </div>
             
-            {/* Transactions List */}
-            {Object.entries(groupedTransactions).length === 0 ? (
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
-                    <p className="text-gray-500 dark:text-gray-400">
-                        No transactions found
-                    </p>
-                </div>
-            ) : (
-                Object.entries(groupedTransactions).map(([date, dayTransactions]) => (
-                    <div key={date} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4">
-                        <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
-                            {date === new Date().toDateString() ? 'Today' : date}
+            {canManage && (
+                <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                    <div className="flex justify-between items-center mb-2">
+                        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                            Invites
                         </h3>
-                        
-                        <div className="space-y-3">
-                            {dayTransactions.map(transaction => (
-                                <div
-                                    key={transaction.id}
-                                    className="flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors transaction-item"
+                        <button
+                            onClick={handleCreateInvite}
+                            disabled={creating}
+                            className="text-sm text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+                        >
+                            {creating ? 'Creating...' : '+ Invite someone'}
+                        </button>
+                    </div>
+                    
+                    {newInvite && (
+                        <div className="mb-3 p-3 bg-indigo-50 dark:bg-indigo-900 rounded-lg space-y-2">
+                            <p className="text-xs text-gray-600 dark:text-gray-300">
+                                Send this link, and tell them the family PIN separately. It works until {new Date(newInvite.invite.expiresAt).toLocaleDateString()}.
+                            </p>
+                            <p className="font-mono text-xs break-all text-gray-900 dark:text-white">{newInvite.token}</p>
+                            <div className="flex space-x-4 text-sm">
+                                <button onClick={handleShareInvite} className="text-indigo-600 hover:text-indigo-700">
+                                    Share link
+                                </button>
+                                <button
+                                    onClick={async () => {
+                                        await navigator.clipboard.writeText(newInvite.token);
+                                        context.showNotification('Invite code copied', 'success');
+                                    }}
+                                    className="text-indigo-600 hover:text-indigo-700"
                                 >
-                                    <div className="flex items-center space-x-3">
-                                        <span className="text-2xl">
-                                            {categories[transaction.type]
-                                                ?.find(c => c.id === transaction.category)?.icon || '💰'}
-                                        </span>
-                                        <div>
-                                            <p className="font-medium text-gray-900 dark:text-white">
-                                                {transaction.description}
-                                            </p>
-                                            <p className="text-sm text-gray-500 dark:text-gray-400">
-                                                {categories[transaction.type]
-                                                    ?.find(c => c.id === transaction.category)?.name || 'Other'}
-                                            </p>
-                                        </div>
-                                    </div>
-                                    <p className={`font-semibold ${
-                                        transaction.type === 'income' 
-                                            ? 'text-green-600 dark:text-green-400' 
-                                            : 'text-red-600 dark:text-red-400'
-                                    }`}>
-                                        {transaction.type === 'income' ? '+' : '-'}
-                                        {formatCurrency(transaction.amount)}
-                                    </p>
+                                    Copy code
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                    
+                    {activeInvites.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            No open invites
+                        </p>
+                    ) : (
+                        <div className="space-y-1">
+                            {activeInvites.map(invite => (
+                                <div key={invite.id} className="flex justify-between items-center text-sm">
+                                    <span className="text-gray-700 dark:text-gray-300">
+                                        Created {new Date(invite.createdAt).toLocaleDateString()}
+                                        {' · '}expires {new Date(invite.expiresAt).toLocaleDateString()}
+                                    </span>
+                                    <button
+                                        onClick={() => {
+                                            if (confirm('Revoke this invite? Anyone who has it will no longer be able to join.')) {
+                                                context.revokeInvite(invite.inviteId);
+                                                if (newInvite?.invite.id === invite.id) setNewInvite(null);
+                                            }
+                                        }}
+                                        className="text-red-600 hover:text-red-700"
+                                    >
+                                        Revoke
+                                    </button>
                                 </div>
                             ))}
                         </div>
-                    </div>
-                ))
+                    )}
+                </div>
             )}
+            
+            <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Your role ({permissions.getRole(currentRole).label}) can
+                </h3>
+                {permissions.getRole(currentRole).permissions.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        View the family's finances; ask an admin to give you a role
+                    </p>
+                ) : (
+                    <ul className="text-sm text-gray-500 dark:text-gray-400 space-y-1">
+                        {permissions.getRole(currentRole).permissions.map(permission => (
+                            <li key={permission}>✓ {permissions.permissions[permission].label}</li>
+                        ))}
+                    </ul>
+                )}
+            </div>
         </div>
     );
 }
 
 // =====================================================
-// ADD TRANSACTION MODAL
+// CURRENCIES
 // =====================================================
 
-function AddTransactionModal() {
+function CurrencySection() {
     const context = useContext(AppContext);
-    const [type, setType] = useState('expense');
-    const [amount, setAmount] = useState('');
-    const [description, setDescription] = useState('');
-    const [category, setCategory] = useState('');
-    const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+    const { baseCurrency, fxRates } = context;
+    const currencies = window.currencyManager;
+    const today = window.recurringManager.toDateKey(new Date());
+    const emptyRate = { currency: '', rate: '', date: today };
+    const [rateForm, setRateForm] = useState(emptyRate);
     
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        
-        if (!amount || !description || !category) {
-            context.showNotification('Please fill in all fields', 'error');
-            return;
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
+    
+    // Rates entered against an earlier base still convert, but are listed apart
+    const currentRates = fxRates.filter(rate => rate.base === baseCurrency);
+    const olderRates = fxRates.length - currentRates.length;
+    const missing = currencies.getMissingRates();
+    
+    const handleBaseChange = async (code) => {
+        if (code === baseCurrency) return;
+        if (confirm(`Report in ${currencies.getName(code)}? Accounts and entries without their own currency will be read as ${code}.`)) {
+            await context.setBaseCurrency(code);
         }
+    };
+    
+    const handleAddRate = async (e) => {
+        e.preventDefault();
         
-        await context.addTransaction({
-            type,
-            amount: parseFloat(amount),
-            description,
-            category,
-            date
-        });
+        const saved = await context.saveFxRate(rateForm);
+        if (saved) setRateForm({ ...emptyRate, date: rateForm.date });
+    };
+    
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
         
-        context.setShowAddTransaction(false);
+        await context.importFxRates(await file.text());
+        e.target.value = '';
     };
     
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 max-w-md w-full slide-up">
-                <div className="flex justify-between items-center mb-6">
-                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-                        Add Transaction
-                    </h2>
-                    <button
-                        onClick={() => context.setShowAddTransaction(false)}
-                        className="text-gray-400 hover:text-gray-600"
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Currency
+            </h2>
+            
+            <div className="space-y-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Family currency
+                    </label>
+                    <select
+                        value={baseCurrency}
+                        onChange={(e) => handleBaseChange(e.target.value)}
+                        className={inputClass}
                     >
-                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                    </button>
+                        {[...new Set([baseCurrency, ...currencies.currencies])].map(code => (
+                            <option key={code} value={code}>{code} · {currencies.getName(code)}</option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        Reports, budgets, goals and net worth are shown in this currency
+                    </p>
                 </div>
                 
-                <form onSubmit={handleSubmit} className="space-y-4">
-                    {/* Type Toggle */}
-                    <div className="flex bg-gray-100 dark:bg-gray-700 rounded-lg p-1">
-                        <button
-                            type="button"
-                            onClick={() => setType('expense')}
-                            className={`flex-1 py-2 px-4 rounded-md font-medium transition-colors ${
-                                type === 'expense'
-                                    ? 'bg-white dark:bg-gray-600 text-red-600 dark:text-red-400 shadow-sm'
-                                    : 'text-gray-600 dark:text-gray-400'
-                            }`}
-                        >
-                            Expense
-                        </button>
-                        <button
-                            type="button"
-                            onClick={() => setType('income')}
-                            className={`flex-1 py-2 px-4 rounded-md font-medium transition-colors ${
-                                type === 'income'
-                                    ? 'bg-white dark:bg-gray-600 text-green-600 dark:text-green-400 shadow-sm'
-                                    : 'text-gray-600 dark:text-gray-400'
-                            }`}
-                        >
-                            Income
-                        </button>
-                    </div>
-                    
-                    {/* Amount */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                            Amount
-                        </label>
-                        <input
-                            type="number"
-                            step="0.01"
-                            value={amount}
-                            onChange={(e) => setAmount(e.target.value)}
-                            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                            placeholder="0.00"
-                            required
-                        />
-                    </div>
-                    
-                    {/* Description */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                            Description
-                        </label>
-                        <input
-                            type="text"
-                            value={description}
-                            onChange={(e) => setDescription(e.target.value)}
-                            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                            placeholder="Coffee at Starbucks"
-                            required
-                        />
-                    </div>
+                {missing.length > 0 && (
+                    <p className="text-sm text-amber-600 dark:text-amber-400">
+                        ⚠️ No rate for {missing.join(', ')}; those amounts are counted unconverted
+                    </p>
+                )}
+                
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Exchange rates (1 unit in {baseCurrency})
+                    </h3>
                     
-                    {/* Category */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                            Category
-                        </label>
-                        <div className="grid grid-cols-3 gap-2">
-                            {context.categories[type].map(cat => (
-                                <button
-                                    key={cat.id}
-                                    type="button"
-                                    onClick={() => setCategory(cat.id)}
-                                    className={`p-3 rounded-lg border-2 transition-colors ${
-                                        category === cat.id
-                                            ? 'border-indigo-600 bg-indigo-50 dark:bg-indigo-900'
-                                            : 'border-gray-200 dark:border-gray-600 hover:border-gray-300'
-                                    }`}
-                                >
-                                    <span className="text-2xl">{cat.icon}</span>
-                                    <p className="text-xs mt-1">{cat.name}</p>
-                                </button>
+                    {currentRates.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Add a rate for each other currency your accounts or entries use
+                        </p>
+                    ) : (
+                        <div className="space-y-1">
+                            {currentRates.map(rate => (
+                                <div key={rate.id} className="flex justify-between items-center text-sm">
+                                    <span className="text-gray-700 dark:text-gray-300">
+                                        {rate.currency} · {new Date(`${rate.date}T00:00`).toLocaleDateString()}
+                                    </span>
+                                    <span className="flex items-center space-x-3">
+                                        <span className="font-medium">{currencies.format(rate.rate, null, { maximumFractionDigits: 6 })}</span>
+                                        <button
+                                            onClick={() => context.deleteFxRate(rate.id)}
+                                            className="text-gray-400 hover:text-red-600"
+                                            aria-label={`Remove ${rate.currency} rate`}
+                                        >
+                                            ✕
+                                        </button>
+                                    </span>
+                                </div>
                             ))}
                         </div>
-                    </div>
-                    
-                    {/* Date */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                            Date
-                        </label>
-                        <input
-                            type="date"
-                            value={date}
-                            onChange={(e) => setDate(e.target.value)}
-                            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                            required
-                        />
-                    </div>
-                    
-                    {/* Actions */}
-                    <div className="flex space-x-3 pt-4">
-                        <button
-                            type="button"
-                            onClick={() => context.setShowAddTransaction(false)}
-                            className="flex-1 py-3 px-4 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
-                        >
-                            Cancel
-                        </button>
-                        <button
-                            type="submit"
-                            className="flex-1 py-3 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
-                        >
-                            Add Transaction
-                        </button>
-                    </div>
+                    )}
+                    {olderRates > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                            {olderRates} more {olderRates === 1 ? 'rate was' : 'rates were'} entered against an earlier family currency
+                        </p>
+                    )}
+                </div>
+                
+                <form onSubmit={handleAddRate} className="grid grid-cols-3 gap-2">
+                    <select
+                        value={rateForm.currency}
+                        onChange={(e) => setRateForm({ ...rateForm, currency: e.target.value })}
+                        className={inputClass}
+                        required
+                    >
+                        <option value="">Currency</option>
+                        {currencies.currencies.filter(code => code !== baseCurrency).map(code => (
+                            <option key={code} value={code}>{code}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={rateForm.rate}
+                        onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+                        className={inputClass}
+                        placeholder="Rate"
+                        required
+                    />
+                    <input
+                        type="date"
+                        value={rateForm.date}
+                        onChange={(e) => setRateForm({ ...rateForm, date: e.target.value })}
+                        className={inputClass}
+                        required
+                    />
+                    <button
+                        type="submit"
+                        className="col-span-3 bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Save Rate
+                    </button>
                 </form>
+                
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Import rates (CSV of currency,rate,date or JSON)
+                    </label>
+                    <input
+                        type="file"
+                        accept=".csv,.txt,.json"
+                        onChange={handleFile}
+                        className="w-full text-sm text-gray-700 dark:text-gray-300"
+                    />
+                </div>
             </div>
         </div>
     );
 }
 
 // =====================================================
-// BUDGET VIEW
+// CATEGORIES
 // =====================================================
 
-function BudgetView() {
+function CategoriesSection() {
     const context = useContext(AppContext);
-    const { budget, setBudget, statistics, categories } = context;
-    const [isEditing, setIsEditing] = useState(false);
-    const [editBudget, setEditBudget] = useState({});
+    const { categories } = context;
+    const [type, setType] = useState('expense');
+    const [editing, setEditing] = useState(null);
+    const [removing, setRemoving] = useState(null);
+    const [mergeTarget, setMergeTarget] = useState('');
     
-    useEffect(() => {
-        setEditBudget(budget);
-    }, [budget]);
+    const list = categories[type];
+    const hasChildren = (categoryId) => list.some(c => c.parentId === categoryId);
+    const parentOptions = list.filter(c => !c.depth && !c.archived && c.id !== editing?.id);
     
-    const handleSave = async () => {
-        setBudget(editBudget);
-        setIsEditing(false);
-        
-        // Save to IndexedDB
-        const budgetItems = Object.entries(editBudget).map(([category, amount]) => ({
-            id: category,
-            category,
-            amount
-        }));
-        
-        for (const item of budgetItems) {
-            await window.dbManager.save('budgets', item);
-        }
+    const startAdd = () => {
+        setRemoving(null);
+        setEditing({ type, name: '', icon: '🏷️', color: '#6b7280', parentId: '', archived: false });
+    };
+    
+    const startRemove = (category) => {
+        setEditing(null);
+        setRemoving(category);
+        setMergeTarget(window.categoryManager.fallbackIds[category.type]);
+    };
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
         
-        context.showNotification('Budget updated successfully!', 'success');
+        const saved = await context.saveCategory({ ...editing, parentId: editing.parentId || null });
+        if (saved) setEditing(null);
     };
     
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount || 0);
+    const handleMerge = async () => {
+        const merged = await context.mergeCategory(removing.id, mergeTarget);
+        if (merged) setRemoving(null);
     };
     
-    const totalBudget = Object.values(budget).reduce((sum, amount) => sum + (amount || 0), 0);
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
     
     return (
-        <div className="space-y-4 pb-20">
-            {/* Budget Overview */}
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                <div className="flex justify-between items-center mb-4">
-                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
-                        Monthly Budget
-                    </h2>
-                    <button
-                        onClick={() => setIsEditing(!isEditing)}
-                        className="text-indigo-600 hover:text-indigo-700"
-                    >
-                        {isEditing ? 'Cancel' : 'Edit'}
-                    </button>
-                </div>
-                
-                <div className="space-y-3">
-                    <div className="flex justify-between text-sm">
-                        <span className="text-gray-500 dark:text-gray-400">Total Budget</span>
-                        <span className="font-medium">{formatCurrency(totalBudget)}</span>
-                    </div>
-                    <div className="flex justify-between text-sm">
-                        <span className="text-gray-500 dark:text-gray-400">Spent</span>
-                        <span className="font-medium text-red-600 dark:text-red-400">
-                            {formatCurrency(statistics.monthlyExpenses)}
-                        </span>
-                    </div>
-                    <div className="flex justify-between text-sm">
-                        <span className="text-gray-500 dark:text-gray-400">Remaining</span>
-                        <span className={`font-medium ${
-                            totalBudget - statistics.monthlyExpenses >= 0
-                                ? 'text-green-600 dark:text-green-400'
-                                : 'text-red-600 dark:text-red-400'
-                        }`}>
-                            {formatCurrency(totalBudget - statistics.monthlyExpenses)}
-                        </span>
-                    </div>
-                </div>
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Categories
+                </h2>
+                <button
+                    onClick={() => editing ? setEditing(null) : startAdd()}
+                    className="text-indigo-600 hover:text-indigo-700"
+                >
+                    {editing ? 'Cancel' : '+ Add'}
+                </button>
             </div>
             
-            {/* Category Budgets */}
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                    Category Budgets
-                </h3>
-                
-                <div className="space-y-4">
-                    {categories.expense.map(category => {
-                        const budgetAmount = isEditing ? editBudget[category.id] || 0 : budget[category.id] || 0;
-                        const spentAmount = statistics.categoryBreakdown[category.id] || 0;
-                        const percentage = budgetAmount > 0 ? (spentAmount / budgetAmount) * 100 : 0;
-                        
-                        return (
-                            <div key={category.id} className="space-y-2">
-                                <div className="flex items-center justify-between">
-                                    <div className="flex items-center space-x-2">
-                                        <span className="text-xl">{category.icon}</span>
-                                        <span className="font-medium text-gray-900 dark:text-white">
-                                            {category.name}
-                                        </span>
-                                    </div>
-                                    {isEditing ? (
-                                        <input
-                                            type="number"
-                                            value={editBudget[category.id] || ''}
-                                            onChange={(e) => setEditBudget({
-                                                ...editBudget,
-                                                [category.id]: parseFloat(e.target.value) || 0
-                                            })}
-                                            className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white text-right"
-                                            placeholder="0"
-                                        />
-                                    ) : (
-                                        <div className="text-right">
-                                            <p className="text-sm text-gray-500 dark:text-gray-400">
-                                                {formatCurrency(spentAmount)} / {formatCurrency(budgetAmount)}
-                                            </p>
-                                        </div>
-                                    )}
-                                </div>
-                                
-                                {!isEditing && budgetAmount > 0 && (
-                                    <div className="budget-progress">
-                                        <div
-                                            className={`budget-progress-bar ${
-                                                percentage > 100 ? 'danger' : percentage > 80 ? 'warning' : ''
-                                            }`}
-                                            style={{ width: `${Math.min(percentage, 100)}%` }}
-                                        />
-                                    </div>
-                                )}
-                            </div>
-                        );
-                    })}
-                </div>
-                
-                {isEditing && (
+            <div className="grid grid-cols-2 gap-2 mb-4">
+                {['expense', 'income'].map(option => (
                     <button
-                        onClick={handleSave}
-                        className="mt-6 w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                        key={option}
+                        onClick={() => {
+                            setType(option);
+                            setEditing(null);
+                            setRemoving(null);
+                        }}
+                        className={`py-2 px-4 rounded-lg capitalize transition-colors ${
+                            type === option
+                                ? 'bg-indigo-600 text-white'
+                                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                        }`}
                     >
-                        Save Budget
+                        {option}
                     </button>
-                )}
+                ))}
+            </div>
+            
+            {editing && (
+                <form onSubmit={handleSubmit} className="space-y-3 mb-6 slide-in">
+                    <div className="grid grid-cols-4 gap-3">
+                        <input
+                            type="text"
+                            value={editing.icon}
+                            onChange={(e) => setEditing({ ...editing, icon: e.target.value })}
+                            className={`${inputClass} text-center`}
+                            maxLength={4}
+                            aria-label="Icon"
+                        />
+                        <input
+                            type="text"
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                            className={`${inputClass} col-span-3`}
+                            placeholder="Name (e.g. Childcare)"
+                            required
+                        />
+                    </div>
+                    
+                    <div className="grid grid-cols-4 gap-3">
+                        <input
+                            type="color"
+                            value={editing.color}
+                            onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                            className="w-full h-10 rounded-lg border border-gray-300 dark:border-gray-600"
+                            aria-label="Color"
+                        />
+                        <select
+                            value={editing.parentId || ''}
+                            onChange={(e) => setEditing({ ...editing, parentId: e.target.value })}
+                            className={`${inputClass} col-span-3`}
+                            disabled={editing.id && hasChildren(editing.id)}
+                        >
+                            <option value="">No parent (top level)</option>
+                            {parentOptions.map(cat => (
+                                <option key={cat.id} value={cat.id}>Under {cat.icon} {cat.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    {editing.id && (
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={editing.archived}
+                                onChange={(e) => setEditing({ ...editing, archived: e.target.checked })}
+                            />
+                            <span>Archived (kept on past transactions, hidden when adding new ones)</span>
+                        </label>
+                    )}
+                    
+                    <button
+                        type="submit"
+                        className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Save Category
+                    </button>
+                </form>
+            )}
+            
+            {removing && (
+                <div className="space-y-3 mb-6 p-4 rounded-lg bg-red-50 dark:bg-red-900/20 slide-in">
+                    <p className="text-sm text-gray-700 dark:text-gray-300">
+                        Delete {removing.icon} {removing.name}? Its transactions, budget and rules move to:
+                    </p>
+                    <select
+                        value={mergeTarget}
+                        onChange={(e) => setMergeTarget(e.target.value)}
+                        className={inputClass}
+                    >
+                        {list.filter(c => c.id !== removing.id && !c.archived).map(cat => (
+                            <option key={cat.id} value={cat.id}>
+                                {cat.depth ? '\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.name}
+                            </option>
+                        ))}
+                    </select>
+                    <div className="grid grid-cols-2 gap-3">
+                        <button
+                            onClick={() => setRemoving(null)}
+                            className="bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleMerge}
+                            className="bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 transition-colors"
+                        >
+                            Delete &amp; Move
+                        </button>
+                    </div>
+                </div>
+            )}
+            
+            <div className="space-y-2">
+                {list.map(category => (
+                    <div
+                        key={category.id}
+                        className={`flex items-center justify-between p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${
+                            category.depth ? 'ml-6' : ''
+                        } ${category.archived ? 'opacity-60' : ''}`}
+                    >
+                        <div className="flex items-center space-x-3">
+                            <span
+                                className="w-8 h-8 rounded-full flex items-center justify-center"
+                                style={{ backgroundColor: `${category.color}33` }}
+                            >
+                                {category.icon}
+                            </span>
+                            <span className="text-sm font-medium text-gray-900 dark:text-white">
+                                {category.name}
+                                {category.archived && (
+                                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">archived</span>
+                                )}
+                            </span>
+                        </div>
+                        <div className="flex space-x-3 text-sm">
+                            <button
+                                onClick={() => {
+                                    setRemoving(null);
+                                    setEditing({ ...category, parentId: category.parentId || '' });
+                                }}
+                                className="text-indigo-600 hover:text-indigo-700"
+                            >
+                                Edit
+                            </button>
+                            {window.categoryManager.canDelete(category) && (
+                                <button
+                                    onClick={() => startRemove(category)}
+                                    className="text-red-600 hover:text-red-700"
+                                >
+                                    Delete
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))}
             </div>
         </div>
     );
 }
 
 // =====================================================
-// SAVINGS VIEW
+// CATEGORY RULES
 // =====================================================
 
-function SavingsView() {
+function CategoryRulesSection() {
     const context = useContext(AppContext);
-    const { savingsGoals, setSavingsGoals } = context;
-    const [showAddGoal, setShowAddGoal] = useState(false);
-    const [goalName, setGoalName] = useState('');
-    const [targetAmount, setTargetAmount] = useState('');
-    const [targetDate, setTargetDate] = useState('');
+    const { categoryRules, categories, accounts, familyConfig } = context;
+    const emptyRule = {
+        descriptionContains: '',
+        type: 'expense',
+        amountMin: '',
+        amountMax: '',
+        accountId: '',
+        familyMember: '',
+        category: ''
+    };
+    const [editing, setEditing] = useState(null);
+    const [overwrite, setOverwrite] = useState(false);
     
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount || 0);
+    const findCategory = (rule) => (categories[rule.type] || [...categories.expense, ...categories.income])
+        .find(c => c.id === rule.category);
+    
+    const describeRule = (rule) => {
+        const parts = [];
+        if (rule.descriptionContains) parts.push(`contains "${rule.descriptionContains}"`);
+        if (rule.amountMin !== null) parts.push(`≥ ${rule.amountMin}`);
+        if (rule.amountMax !== null) parts.push(`≤ ${rule.amountMax}`);
+        if (rule.accountId) parts.push(`in ${accounts.find(a => a.id === rule.accountId)?.name || 'account'}`);
+        if (rule.familyMember) parts.push(`by ${familyConfig.members?.find(m => m.code === rule.familyMember)?.name || 'member'}`);
+        return parts.join(', ');
     };
     
-    const handleAddGoal = async (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
         
-        const newGoal = {
-            id: window.SecurityManager.generateUUID(),
-            name: goalName,
-            targetAmount: parseFloat(targetAmount),
-            current: 0,
-            targetDate,
-            createdAt: new Date().toISOString()
-        };
-        
-        setSavingsGoals([...savingsGoals, newGoal]);
-        
-        // Save to IndexedDB
-        await window.dbManager.save('savingsGoals', newGoal);
+        if (!editing.category) {
+            context.showNotification('Choose a category for this rule', 'error');
+            return;
+        }
         
-        // Reset form
-        setGoalName('');
-        setTargetAmount('');
-        setTargetDate('');
-        setShowAddGoal(false);
+        if (!editing.descriptionContains && editing.amountMin === '' && editing.amountMax === '' &&
+            !editing.accountId && !editing.familyMember) {
+            context.showNotification('Add at least one condition', 'error');
+            return;
+        }
         
-        context.showNotification('Savings goal added!', 'success');
+        await context.saveCategoryRule(editing);
+        setEditing(null);
     };
     
-    const updateGoalProgress = async (goalId, amount) => {
-        const updatedGoals = savingsGoals.map(goal => {
-            if (goal.id === goalId) {
-                return { ...goal, current: goal.current + amount };
-            }
-            return goal;
-        });
-        
-        setSavingsGoals(updatedGoals);
-        
-        // Update in IndexedDB
-        const goal = updatedGoals.find(g => g.id === goalId);
-        await window.dbManager.save('savingsGoals', goal);
-        
-        context.showNotification('Progress updated!', 'success');
-    };
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white';
     
     return (
-        <div className="space-y-4 pb-20">
-            {/* Add Goal Button */}
-            <button
-                onClick={() => setShowAddGoal(!showAddGoal)}
-                className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
-            >
-                {showAddGoal ? 'Cancel' : 'Add Savings Goal'}
-            </button>
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Categorization Rules
+                </h2>
+                <button
+                    onClick={() => setEditing(editing ? null : emptyRule)}
+                    className="text-indigo-600 hover:text-indigo-700"
+                >
+                    {editing ? 'Cancel' : '+ Add'}
+                </button>
+            </div>
             
-            {/* Add Goal Form */}
-            {showAddGoal && (
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 slide-in">
-                    <form onSubmit={handleAddGoal} className="space-y-4">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Goal Name
-                            </label>
-                            <input
-                                type="text"
-                                value={goalName}
-                                onChange={(e) => setGoalName(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="Vacation Fund"
-                                required
-                            />
-                        </div>
-                        
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Target Amount
-                            </label>
-                            <input
-                                type="number"
-                                step="0.01"
-                                value={targetAmount}
-                                onChange={(e) => setTargetAmount(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                placeholder="5000"
-                                required
-                            />
-                        </div>
-                        
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Target Date
-                            </label>
-                            <input
-                                type="date"
-                                value={targetDate}
-                                onChange={(e) => setTargetDate(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 dark:bg-gray-700 dark:text-white"
-                                required
-                            />
-                        </div>
-                        
-                        <button
-                            type="submit"
-                            className="w-full bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors"
+            {editing && (
+                <form onSubmit={handleSubmit} className="space-y-3 mb-6 slide-in">
+                    <div className="grid grid-cols-2 gap-3">
+                        <select
+                            value={editing.type || 'expense'}
+                            onChange={(e) => setEditing({ ...editing, type: e.target.value, category: '' })}
+                            className={inputClass}
                         >
-                            Create Goal
-                        </button>
-                    </form>
-                </div>
+                            <option value="expense">Expense</option>
+                            <option value="income">Income</option>
+                        </select>
+                        <select
+                            value={editing.category}
+                            onChange={(e) => setEditing({ ...editing, category: e.target.value })}
+                            className={inputClass}
+                            required
+                        >
+                            <option value="">Set category to…</option>
+                            {categories[editing.type || 'expense'].filter(cat => !cat.archived).map(cat => (
+                                <option key={cat.id} value={cat.id}>
+                                    {cat.depth ? '\u00a0\u00a0↳ ' : ''}{cat.icon} {cat.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <input
+                        type="text"
+                        value={editing.descriptionContains}
+                        onChange={(e) => setEditing({ ...editing, descriptionContains: e.target.value })}
+                        className={inputClass}
+                        placeholder="Description contains (e.g. TESCO)"
+                    />
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                        <input
+                            type="number"
+                            step="0.01"
+                            value={editing.amountMin ?? ''}
+                            onChange={(e) => setEditing({ ...editing, amountMin: e.target.value })}
+                            className={inputClass}
+                            placeholder="Min amount"
+                        />
+                        <input
+                            type="number"
+                            step="0.01"
+                            value={editing.amountMax ?? ''}
+                            onChange={(e) => setEditing({ ...editing, amountMax: e.target.value })}
+                            className={inputClass}
+                            placeholder="Max amount"
+                        />
+                    </div>
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                        <select
+                            value={editing.accountId || ''}
+                            onChange={(e) => setEditing({ ...editing, accountId: e.target.value })}
+                            className={inputClass}
+                        >
+                            <option value="">Any account</option>
+                            {accounts.filter(a => !a.archived).map(account => (
+                                <option key={account.id} value={account.id}>{account.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={editing.familyMember || ''}
+                            onChange={(e) => setEditing({ ...editing, familyMember: e.target.value })}
+                            className={inputClass}
+                        >
+                            <option value="">Any member</option>
+                            {(familyConfig.members || []).map(member => (
+                                <option key={member.code} value={member.code}>{member.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <button
+                        type="submit"
+                        className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Save Rule
+                    </button>
+                </form>
             )}
             
-            {/* Savings Goals */}
-            {savingsGoals.length === 0 ? (
-                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
-                    <p className="text-gray-500 dark:text-gray-400">
-                        No savings goals yet
-                    </p>
-                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
-                        Start by creating your first savings goal
-                    </p>
-                </div>
+            {categoryRules.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Rules pick a category automatically for new, voice and imported transactions.
+                </p>
             ) : (
-                savingsGoals.map(goal => {
-                    const percentage = (goal.current / goal.targetAmount) * 100;
-                    const daysLeft = Math.ceil((new Date(goal.targetDate) - new Date()) / (1000 * 60 * 60 * 24));
-                    
-                    return (
-                        <div key={goal.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                            <div className="flex justify-between items-start mb-4">
-                                <div>
-                                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-                                        {goal.name}
-                                    </h3>
-                                    <p className="text-sm text-gray-500 dark:text-gray-400">
-                                        {daysLeft > 0 ? `${daysLeft} days left` : 'Past due'}
+                <div className="space-y-2">
+                    {categoryRules.map(rule => {
+                        const category = findCategory(rule);
+                        
+                        return (
+                            <div
+                                key={rule.id}
+                                className={`flex items-center justify-between p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${
+                                    rule.enabled ? '' : 'opacity-60'
+                                }`}
+                            >
+                                <div className="text-sm">
+                                    <p className="font-medium text-gray-900 dark:text-white">
+                                        {category?.icon} {category?.name || rule.category}
                                     </p>
+                                    <p className="text-gray-500 dark:text-gray-400">{describeRule(rule)}</p>
                                 </div>
-                                <button
-                                    onClick={() => {
-                                        const amount = prompt('Add amount to savings:');
-                                        if (amount && !isNaN(amount)) {
-                                            updateGoalProgress(goal.id, parseFloat(amount));
-                                        }
-                                    }}
-                                    className="text-green-600 hover:text-green-700"
-                                >
-                                    + Add
-                                </button>
-                            </div>
-                            
-                            <div className="space-y-3">
-                                <div className="flex justify-between text-sm">
-                                    <span className="text-gray-500 dark:text-gray-400">Progress</span>
-                                    <span className="font-medium">
-                                        {formatCurrency(goal.current)} / {formatCurrency(goal.targetAmount)}
-                                    </span>
-                                </div>
-                                
-                                <div className="budget-progress">
-                                    <div
-                                        className="budget-progress-bar"
-                                        style={{ width: `${Math.min(percentage, 100)}%` }}
-                                    />
+                                <div className="flex space-x-3 text-sm">
+                                    <button
+                                        onClick={() => context.saveCategoryRule({ ...rule, enabled: !rule.enabled })}
+                                        className="text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                                    >
+                                        {rule.enabled ? 'Disable' : 'Enable'}
+                                    </button>
+                                    <button
+                                        onClick={() => setEditing({
+                                            ...rule,
+                                            amountMin: rule.amountMin ?? '',
+                                            amountMax: rule.amountMax ?? ''
+                                        })}
+                                        className="text-indigo-600 hover:text-indigo-700"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => context.deleteCategoryRule(rule.id)}
+                                        className="text-red-600 hover:text-red-700"
+                                    >
+                                        Delete
+                                    </button>
                                 </div>
-                                
-                                <p className="text-center text-sm text-gray-500 dark:text-gray-400">
-                                    {percentage.toFixed(1)}% Complete
-                                </p>
                             </div>
-                        </div>
-                    );
-                })
+                        );
+                    })}
+                    
+                    <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 pt-2">
+                        <input
+                            type="checkbox"
+                            checked={overwrite}
+                            onChange={(e) => setOverwrite(e.target.checked)}
+                        />
+                        <span>Also change transactions that already have a category</span>
+                    </label>
+                    <button
+                        onClick={() => context.rerunCategoryRules(overwrite)}
+                        className="w-full bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white py-2 px-4 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                    >
+                        Apply rules to past transactions
+                    </button>
+                </div>
             )}
         </div>
     );
@@ -1468,18 +8656,11 @@ function SettingsView() {
                         <p className="text-lg">{context.currentUser?.name}</p>
                     </div>
                 </div>
-                
-                <button
-                    onClick={() => {
-                        navigator.clipboard.writeText(familyConfig.familyCode);
-                        context.showNotification('Family code copied!', 'success');
-                    }}
-                    className="mt-4 text-indigo-600 hover:text-indigo-700 text-sm"
-                >
-                    Copy Family Code
-                </button>
             </div>
             
+            {/* Members */}
+            <MembersSection />
+            
             {/* Theme Settings */}
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
                 <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
@@ -1508,6 +8689,15 @@ function SettingsView() {
                 </div>
             </div>
             
+            {/* Currency */}
+            <CurrencySection />
+            
+            {/* Categories */}
+            <CategoriesSection />
+            
+            {/* Categorization Rules */}
+            <CategoryRulesSection />
+            
             {/* Data Management */}
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
                 <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
@@ -1556,7 +8746,7 @@ function NotificationContainer() {
     
     useEffect(() => {
         if (window.notificationManager) {
-            window.notificationManager.subscribe(setNotifications);
+            return window.notificationManager.subscribe(setNotifications);
         }
     }, []);
     
@@ -1570,6 +8760,19 @@ function NotificationContainer() {
                     className={`notification-toast notification-${notification.type}`}
                 >
                     <p>{notification.message}</p>
+                    {notification.actions?.length > 0 && (
+                        <div className="flex justify-end space-x-2 mt-2">
+                            {notification.actions.map(action => (
+                                <button
+                                    key={action.label}
+                                    onClick={action.onClick}
+                                    className="notification-action"
+                                >
+                                    {action.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
             ))}
         </div>
@@ -1604,44 +8807,6 @@ function AppContent() {
     return isLoggedIn ? <MainApp /> : <LoginScreen />;
 }
 
-// Initialize notification manager
-window.notificationManager = {
-    notifications: [],
-    observers: [],
-    nextId: 1,
-    
-    add(message, type = 'info', duration = 5000) {
-        const notification = {
-            id: this.nextId++,
-            message,
-            type,
-            timestamp: Date.now()
-        };
-        
-        this.notifications.push(notification);
-        this.notifyObservers();
-        
-        if (duration > 0) {
-            setTimeout(() => this.remove(notification.id), duration);
-        }
-        
-        return notification.id;
-    },
-    
-    remove(id) {
-        this.notifications = this.notifications.filter(n => n.id !== id);
-        this.notifyObservers();
-    },
-    
-    subscribe(callback) {
-        this.observers.push(callback);
-    },
-    
-    notifyObservers() {
-        this.observers.forEach(callback => callback([...this.notifications]));
-    }
-};
-
 // Render the app
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(<App />);
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Bill Manager
+ * Bill reminders with due dates, recurring schedules and payment into the ledger
+ * Reminder times are handed to the service worker so they can fire while the app is closed
+ */
+
+class BillManager {
+    constructor() {
+        this.storeName = 'billReminders';
+        this.frequencies = {
+            once: { label: 'One-off' },
+            weekly: { label: 'Weekly' },
+            biweekly: { label: 'Every 2 weeks' },
+            monthly: { label: 'Monthly' },
+            yearly: { label: 'Yearly' }
+        };
+        
+        // Reminders go out at 9am local time
+        this.reminderHour = 9;
+        this.dueSoonDays = 7;
+    }
+    
+    /**
+     * Build a bill with defaults filled in
+     * @param {Object} bill - Bill fields
+     * @returns {Object} Normalized bill
+     */
+    createBill(bill) {
+        const recurring = window.recurringManager;
+        const dueDate = recurring.toDateKey(recurring.parseDate(bill.dueDate || new Date()));
+        
+        return {
+            id: bill.id || window.SecurityManager.generateUUID(),
+            name: (bill.name || '').trim() || 'Bill',
+            amount: Math.abs(parseFloat(bill.amount) || 0),
+            category: bill.category || 'bills',
+            accountId: bill.accountId || null,
+            frequency: this.frequencies[bill.frequency] ? bill.frequency : 'monthly',
+            dueDate,
+            anchorDay: bill.anchorDay || recurring.parseDate(dueDate).getDate(),
+            remindDaysBefore: Math.max(0, parseInt(bill.remindDaysBefore ?? 3, 10) || 0),
+            status: bill.status || 'upcoming',
+            lastPaidAt: bill.lastPaidAt || null,
+            notes: bill.notes || '',
+            createdAt: bill.createdAt
+        };
+    }
+    
+    /**
+     * Get the days from today until a bill is due
+     * @param {Object} bill - Bill
+     * @param {Date} asOf - Today
+     * @returns {number} Days (negative when overdue)
+     */
+    getDaysUntilDue(bill, asOf = new Date()) {
+        const recurring = window.recurringManager;
+        const today = recurring.parseDate(asOf);
+        const due = recurring.parseDate(bill.dueDate);
+        return Math.round((due - today) / 86400000);
+    }
+    
+    /**
+     * Get a bill's status as of today
+     * @param {Object} bill - Bill
+     * @param {Date} asOf - Today
+     * @returns {string} 'paid', 'overdue', 'due-soon' or 'upcoming'
+     */
+    getStatus(bill, asOf = new Date()) {
+        if (bill.status === 'paid') return 'paid';
+        
+        const days = this.getDaysUntilDue(bill, asOf);
+        if (days < 0) return 'overdue';
+        if (days <= this.dueSoonDays) return 'due-soon';
+        return 'upcoming';
+    }
+    
+    /**
+     * Sort bills into overdue, upcoming and paid lists
+     * @param {Array} bills - Bills
+     * @param {Date} asOf - Today
+     * @returns {Object} { overdue, upcoming, paid }, each soonest first
+     */
+    group(bills, asOf = new Date()) {
+        const byDueDate = (a, b) => a.dueDate.localeCompare(b.dueDate);
+        const live = bills.filter(bill => !bill.deleted);
+        
+        return {
+            overdue: live.filter(bill => this.getStatus(bill, asOf) === 'overdue').sort(byDueDate),
+            upcoming: live
+                .filter(bill => ['due-soon', 'upcoming'].includes(this.getStatus(bill, asOf)))
+                .sort(byDueDate),
+            paid: live
+                .filter(bill => bill.status === 'paid')
+                .sort((a, b) => String(b.lastPaidAt).localeCompare(String(a.lastPaidAt)))
+        };
+    }
+    
+    /**
+     * Work out the expense and bill update for paying a bill
+     * The transaction ID is derived from the bill and due date, so paying twice on two devices merges
+     * @param {Object} bill - Bill being paid
+     * @param {Object} payment - { amount, date, accountId }
+     * @returns {Object} { transaction, bill }
+     */
+    planPayment(bill, payment = {}) {
+        const recurring = window.recurringManager;
+        const date = payment.date || recurring.toDateKey(new Date());
+        const amount = Math.abs(parseFloat(payment.amount ?? bill.amount) || 0);
+        if (amount === 0) {
+            throw new Error('Payment amount must be greater than zero');
+        }
+        
+        const transaction = {
+            id: `bill_${bill.id}_${bill.dueDate}`,
+            type: 'expense',
+            amount,
+            description: bill.name,
+            category: bill.category,
+            accountId: payment.accountId ?? bill.accountId,
+            date,
+            billId: bill.id,
+            tags: []
+        };
+        
+        const paidAt = new Date().toISOString();
+        const updated = bill.frequency === 'once'
+            ? { ...bill, status: 'paid', lastPaidAt: paidAt }
+            : {
+                ...bill,
+                status: 'upcoming',
+                lastPaidAt: paidAt,
+                dueDate: recurring.getNextOccurrence(bill.dueDate, bill.frequency, bill.anchorDay)
+            };
+        
+        return { transaction, bill: updated };
+    }
+    
+    /**
+     * Build the reminder schedule for unpaid bills
+     * @param {Array} bills - Bills
+     * @param {Function} formatAmount - Formats an amount for the message
+     * @returns {Array} [{ tag, title, body, remindAt }] with remindAt in milliseconds
+     */
+    getReminderSchedule(bills, formatAmount = (amount) => amount.toFixed(2)) {
+        const recurring = window.recurringManager;
+        
+        return bills
+            .filter(bill => !bill.deleted && bill.status !== 'paid')
+            .map(bill => {
+                const remindAt = recurring.parseDate(bill.dueDate);
+                remindAt.setDate(remindAt.getDate() - bill.remindDaysBefore);
+                remindAt.setHours(this.reminderHour);
+                
+                const days = this.getDaysUntilDue(bill, remindAt);
+                const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+                
+                return {
+                    // One reminder per bill and due date; rescheduling replaces it
+                    tag: `bill-${bill.id}-${bill.dueDate}`,
+                    title: `🧾 ${bill.name} is due ${when}`,
+                    body: `${formatAmount(bill.amount)} due on ${bill.dueDate}`,
+                    remindAt: remindAt.getTime()
+                };
+            });
+    }
+    
+    /**
+     * Hand the reminder schedule to the service worker
+     * @param {Array} bills - Bills
+     * @param {Function} formatAmount - Formats an amount for the message
+     */
+    async scheduleReminders(bills, formatAmount) {
+        if (!('serviceWorker' in navigator)) return;
+        
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({
+            type: 'SCHEDULE_REMINDERS',
+            reminders: this.getReminderSchedule(bills, formatAmount)
+        });
+        
+        // Lets the worker check the schedule while no page is open, where supported
+        if ('periodicSync' in registration) {
+            try {
+                await registration.periodicSync.register('bill-reminders', {
+                    minInterval: 12 * 60 * 60 * 1000
+                });
+            } catch (error) {
+                console.warn('Periodic sync unavailable for bill reminders:', error);
+            }
+        }
+    }
+}
+
+// Initialize global bill manager
+window.billManager = new BillManager();
+
+// Export for use in other modules
+window.BillManager = BillManager;
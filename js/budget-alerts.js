@@ -0,0 +1,160 @@
+/**
+ * Budget Alert Manager
+ * Warns when a category's spending crosses one of its budget thresholds
+ * Each threshold fires once per period on each device; the fired log lives in localStorage
+ */
+
+class BudgetAlertManager {
+    constructor() {
+        this.settingsId = 'budgetAlerts';
+        this.logKey = 'ffh_budgetAlerts';
+        this.defaultThresholds = [80, 100];
+    }
+    
+    /**
+     * Turn "80, 100%" into [80, 100]
+     * @param {string} text - Comma-separated percentages
+     * @returns {Array} Sorted thresholds above zero
+     */
+    parseThresholds(text) {
+        return [...new Set(
+            String(text || '')
+                .split(',')
+                .map(value => parseFloat(value.replace('%', '')))
+                .filter(value => value > 0)
+        )].sort((a, b) => a - b);
+    }
+    
+    /**
+     * Get the family's alert settings
+     * @returns {Object} { id, thresholds: { [category]: [percent] } }
+     */
+    async getSettings() {
+        const settings = await window.dbManager.get('settings', this.settingsId);
+        return settings && !settings.deleted
+            ? { thresholds: {}, ...settings }
+            : { id: this.settingsId, thresholds: {} };
+    }
+    
+    /**
+     * Get the thresholds that apply to a category
+     * @param {Object} settings - Alert settings
+     * @param {string} categoryId - Category ID
+     * @returns {Array} Percentages
+     */
+    getThresholds(settings, categoryId) {
+        return settings.thresholds[categoryId] || this.defaultThresholds;
+    }
+    
+    /**
+     * Set a category's thresholds; an empty list goes back to the defaults
+     * @param {string} categoryId - Category ID
+     * @param {Array} thresholds - Percentages
+     * @returns {Object} Saved settings
+     */
+    async saveThresholds(categoryId, thresholds) {
+        const settings = await this.getSettings();
+        const updated = { ...settings, thresholds: { ...settings.thresholds } };
+        
+        if (thresholds.length > 0) {
+            updated.thresholds[categoryId] = thresholds;
+        } else {
+            delete updated.thresholds[categoryId];
+        }
+        
+        await window.dbManager.save('settings', updated);
+        return updated;
+    }
+    
+    /**
+     * Get the thresholds already fired this period
+     * @param {string} period - YYYY-MM
+     * @returns {Array} Keys like "groceries:80"
+     */
+    getFired(period) {
+        try {
+            const log = JSON.parse(localStorage.getItem(this.logKey) || '{}');
+            return log.period === period ? log.fired || [] : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Record fired thresholds, dropping earlier periods
+     * @param {string} period - YYYY-MM
+     * @param {Array} fired - Keys like "groceries:80"
+     */
+    saveFired(period, fired) {
+        localStorage.setItem(this.logKey, JSON.stringify({ period, fired }));
+    }
+    
+    /**
+     * Check this month's budget lines and notify for newly crossed thresholds
+     * When several thresholds are crossed at once only the highest is shown
+     * @param {Object} categories - Grouped categories { income, expense }
+     * @returns {Array} Alerts shown
+     */
+    async check(categories) {
+        const budgets = window.budgetManager;
+        const period = budgets.getPeriodKey();
+        
+        const [records, settings] = await Promise.all([
+            window.dbManager.getAll(budgets.storeName),
+            this.getSettings()
+        ]);
+        const lines = records.filter(line => line.period && !line.deleted);
+        const { rows } = budgets.compare(lines, period, categories.expense);
+        
+        const fired = this.getFired(period);
+        const alerts = [];
+        
+        budgets.getLines(lines, period).forEach(line => {
+            const row = rows[line.category];
+            if (!row || row.available <= 0) return;
+            
+            const percent = (row.spent / row.available) * 100;
+            const crossed = this.getThresholds(settings, line.category)
+                .filter(threshold => percent >= threshold && !fired.includes(`${line.category}:${threshold}`));
+            if (crossed.length === 0) return;
+            
+            crossed.forEach(threshold => fired.push(`${line.category}:${threshold}`));
+            alerts.push({
+                category: categories.expense.find(c => c.id === line.category),
+                threshold: crossed[crossed.length - 1],
+                percent,
+                spent: row.spent,
+                available: row.available
+            });
+        });
+        
+        this.saveFired(period, fired);
+        alerts.forEach(alert => this.notify(alert));
+        
+        return alerts;
+    }
+    
+    /**
+     * Show an alert in-app (and as a browser notification when the page is hidden)
+     * @param {Object} alert - { category, threshold, percent, spent, available }
+     */
+    notify(alert) {
+        const format = (amount) => window.currencyManager.format(amount);
+        
+        const name = alert.category ? `${alert.category.icon} ${alert.category.name}` : 'A category';
+        const over = alert.spent > alert.available;
+        const message = over
+            ? `${name} is over budget: ${format(alert.spent)} of ${format(alert.available)}`
+            : `${name} has used ${Math.round(alert.percent)}% of its budget (${format(alert.spent)} of ${format(alert.available)})`;
+        
+        window.notificationManager.add(message, alert.threshold >= 100 ? 'error' : 'warning', 10000, {
+            tag: `budget-${alert.category?.id || 'category'}`
+        });
+    }
+}
+
+// Initialize global budget alert manager
+window.budgetAlerts = new BudgetAlertManager();
+
+// Export for use in other modules
+window.BudgetAlertManager = BudgetAlertManager;
@@ -0,0 +1,347 @@
+/**
+ * Budget Manager
+ * Monthly budget lines keyed by period and category, with copy-forward and rollover
+ * A line with rollover carries last month's unspent (or overspent) amount into this month
+ * In envelope mode the same lines hold money assigned from income, and every envelope carries its balance into the next month
+ */
+
+class BudgetManager {
+    constructor() {
+        this.storeName = 'budgets';
+        this.modeSettingId = 'budgetMode';
+        this.modes = {
+            caps: { label: 'Spending caps', icon: '📊' },
+            envelope: { label: 'Envelopes', icon: '✉️' }
+        };
+    }
+    
+    /**
+     * Get the family's budgeting mode
+     * @returns {string} 'caps' or 'envelope'
+     */
+    async getMode() {
+        const setting = await window.dbManager.get('settings', this.modeSettingId);
+        return setting && !setting.deleted && this.modes[setting.mode] ? setting.mode : 'caps';
+    }
+    
+    /**
+     * Choose the family's budgeting mode
+     * @param {string} mode - 'caps' or 'envelope'
+     * @returns {Object} Saved setting
+     */
+    async setMode(mode) {
+        if (!this.modes[mode]) {
+            throw new Error(`Unknown budget mode: ${mode}`);
+        }
+        
+        const setting = { id: this.modeSettingId, mode };
+        await window.dbManager.save('settings', setting);
+        return setting;
+    }
+    
+    /**
+     * Get the period key for a date
+     * @param {Date|string} date - Date (defaults to today)
+     * @returns {string} YYYY-MM
+     */
+    getPeriodKey(date = new Date()) {
+        if (typeof date === 'string') return date.slice(0, 7);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Move a period forward or back by whole months
+     * @param {string} period - YYYY-MM
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} YYYY-MM
+     */
+    shiftPeriod(period, months) {
+        const [year, month] = period.split('-').map(Number);
+        return this.getPeriodKey(new Date(year, month - 1 + months, 1));
+    }
+    
+    /**
+     * Format a period for display
+     * @param {string} period - YYYY-MM
+     * @returns {string} e.g. "March 2025"
+     */
+    formatPeriod(period) {
+        const [year, month] = period.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+    
+    /**
+     * Build a budget line with defaults filled in
+     * The ID is derived from period and category so devices editing the same line merge cleanly
+     * @param {Object} line - { period, category, amount, rollover, moved }
+     * @returns {Object} Normalized line
+     */
+    createLine(line) {
+        return {
+            id: `${line.period}:${line.category}`,
+            period: line.period,
+            category: line.category,
+            amount: Math.max(0, parseFloat(line.amount) || 0),
+            rollover: !!line.rollover,
+            // Envelope mode: net money moved in (+) or out (-) of the envelope this month
+            moved: parseFloat(line.moved) || 0,
+            createdAt: line.createdAt
+        };
+    }
+    
+    /**
+     * Load budget lines, moving old single-month lines into the current period
+     * Old lines used the category as their ID; they are kept as deleted markers so sync drops them too
+     * @returns {Array} Live budget lines
+     */
+    async loadBudgets() {
+        const records = await window.dbManager.getAll(this.storeName);
+        const legacy = records.filter(line => !line.period && !line.deleted);
+        
+        if (legacy.length > 0) {
+            const period = this.getPeriodKey();
+            const migrated = legacy
+                .filter(line => !records.some(r => r.period === period && r.category === line.category))
+                .map(line => this.createLine({ period, category: line.category, amount: line.amount }));
+            const retired = legacy.map(line => ({ ...line, amount: 0, deleted: true }));
+            
+            await window.dbManager.saveBatch(this.storeName, [...migrated, ...retired]);
+            return [...records.filter(line => line.period), ...migrated].filter(line => !line.deleted);
+        }
+        
+        return records.filter(line => line.period && !line.deleted);
+    }
+    
+    /**
+     * Get the lines for one period
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM
+     * @returns {Array} Lines in the period
+     */
+    getLines(lines, period) {
+        return lines.filter(line => line.period === period && !line.deleted);
+    }
+    
+    /**
+     * Get one period's budget as a { category: amount } map
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM
+     * @returns {Object} Budgeted amount per category
+     */
+    getBudgetMap(lines, period) {
+        return Object.fromEntries(this.getLines(lines, period).map(line => [line.category, line.amount]));
+    }
+    
+    /**
+     * Work out the lines to add when copying the most recent earlier budget into a period
+     * Lines the period already has are left alone
+     * @param {Array} lines - All budget lines
+     * @param {string} period - Period being filled
+     * @returns {Array} New lines (empty if there is nothing to copy)
+     */
+    planCopyForward(lines, period) {
+        const source = lines
+            .filter(line => !line.deleted && line.period < period)
+            .reduce((latest, line) => (line.period > latest ? line.period : latest), '');
+        if (!source) return [];
+        
+        const existing = new Set(this.getLines(lines, period).map(line => line.category));
+        
+        return this.getLines(lines, source)
+            .filter(line => !existing.has(line.category) && (line.amount > 0 || line.rollover))
+            .map(line => this.createLine({ ...line, period, moved: 0, createdAt: undefined }));
+    }
+    
+    /**
+     * Get spending against a category in a period, including its subcategories
+     * @param {string} period - YYYY-MM
+     * @param {string} categoryId - Category ID
+     * @param {Array} expenseCategories - Grouped expense categories
+     * @param {Array} excludeIds - Subcategories counted somewhere else
+     * @returns {number} Amount spent
+     */
+    getSpent(period, categoryId, expenseCategories, excludeIds = []) {
+        const breakdown = window.ledgerAggregates.getMonth(period).categoryBreakdown;
+        return window.categoryManager
+            .getFamilyIds(expenseCategories, categoryId)
+            .filter(id => !excludeIds.includes(id))
+            .reduce((sum, id) => sum + (breakdown[id] || 0), 0);
+    }
+    
+    /**
+     * Get the amount carried into a period from the month before
+     * Only lines with rollover carry, and only when last month had a line for the category
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM
+     * @param {string} categoryId - Category ID
+     * @param {Array} expenseCategories - Grouped expense categories
+     * @returns {number} Carried amount (negative when last month was overspent)
+     */
+    getCarryover(lines, period, categoryId, expenseCategories) {
+        const line = this.getLines(lines, period).find(l => l.category === categoryId);
+        if (!line || !line.rollover) return 0;
+        
+        const previous = this.shiftPeriod(period, -1);
+        if (!this.getLines(lines, previous).some(l => l.category === categoryId)) return 0;
+        
+        return this.getAvailable(lines, previous, categoryId, expenseCategories) -
+            this.getSpent(previous, categoryId, expenseCategories);
+    }
+    
+    /**
+     * Get the amount available to spend: the line plus anything carried over
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM
+     * @param {string} categoryId - Category ID
+     * @param {Array} expenseCategories - Grouped expense categories
+     * @returns {number} Available amount
+     */
+    getAvailable(lines, period, categoryId, expenseCategories) {
+        const line = this.getLines(lines, period).find(l => l.category === categoryId);
+        return (line?.amount || 0) + this.getCarryover(lines, period, categoryId, expenseCategories);
+    }
+    
+    /**
+     * Compare budget against actual spending for a period
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM
+     * @param {Array} expenseCategories - Grouped expense categories
+     * @returns {Object} { rows: { [category]: { budgeted, carryover, available, spent, remaining, rollover } }, totals }
+     */
+    compare(lines, period, expenseCategories) {
+        const periodLines = this.getLines(lines, period);
+        const rows = {};
+        
+        expenseCategories.forEach(category => {
+            const line = periodLines.find(l => l.category === category.id);
+            const carryover = this.getCarryover(lines, period, category.id, expenseCategories);
+            const budgeted = line?.amount || 0;
+            const spent = this.getSpent(period, category.id, expenseCategories);
+            
+            rows[category.id] = {
+                budgeted,
+                carryover,
+                available: budgeted + carryover,
+                spent,
+                remaining: budgeted + carryover - spent,
+                rollover: !!line?.rollover
+            };
+        });
+        
+        const budgeted = periodLines.reduce((sum, line) => sum + line.amount, 0);
+        const carryover = periodLines.reduce((sum, line) => sum + (rows[line.category]?.carryover || 0), 0);
+        const spent = window.ledgerAggregates.getMonth(period).expenses;
+        
+        return {
+            rows,
+            totals: {
+                budgeted,
+                carryover,
+                available: budgeted + carryover,
+                spent,
+                remaining: budgeted + carryover - spent
+            }
+        };
+    }
+    
+    /**
+     * Get envelope balances and the pool of income still to assign
+     * Envelopes start with the first month the family assigned money; earlier income and spending are ignored
+     * @param {Array} lines - All budget lines
+     * @param {string} period - YYYY-MM, balances are as at the end of this month
+     * @param {Array} expenseCategories - Grouped expense categories
+     * @returns {Object} { rows: { [category]: { assigned, moved, spentThisMonth, spent, balance } }, income, assigned, availableToAssign }
+     */
+    getEnvelopes(lines, period, expenseCategories) {
+        const live = lines.filter(line => !line.deleted && line.period <= period);
+        const start = live.reduce((earliest, line) => (!earliest || line.period < earliest ? line.period : earliest), '');
+        const months = start
+            ? Object.keys(window.ledgerAggregates.months).filter(month => month >= start && month <= period)
+            : [];
+        
+        const income = months.reduce((sum, month) => sum + window.ledgerAggregates.getMonth(month).income, 0);
+        const rows = {};
+        
+        const openedAt = {};
+        live.forEach(line => {
+            if (!openedAt[line.category] || line.period < openedAt[line.category]) {
+                openedAt[line.category] = line.period;
+            }
+        });
+        
+        // A subcategory with an envelope of its own spends from it, not from its parent's, once it's opened
+        const envelopeSpent = (month, categoryId) => this.getSpent(
+            month,
+            categoryId,
+            expenseCategories,
+            expenseCategories
+                .filter(c => c.parentId === categoryId && openedAt[c.id] && openedAt[c.id] <= month)
+                .map(c => c.id)
+        );
+        
+        expenseCategories.forEach(category => {
+            const own = live.filter(line => line.category === category.id);
+            const opened = openedAt[category.id] || '';
+            const current = own.find(line => line.period === period);
+            const funded = own.reduce((sum, line) => sum + line.amount + (line.moved || 0), 0);
+            const spent = opened
+                ? months
+                    .filter(month => month >= opened)
+                    .reduce((sum, month) => sum + envelopeSpent(month, category.id), 0)
+                : 0;
+            
+            rows[category.id] = {
+                assigned: current?.amount || 0,
+                moved: current?.moved || 0,
+                spentThisMonth: envelopeSpent(period, category.id),
+                spent,
+                balance: funded - spent
+            };
+        });
+        
+        const assigned = live.reduce((sum, line) => sum + line.amount, 0);
+        
+        return {
+            rows,
+            income,
+            assigned,
+            availableToAssign: income - assigned
+        };
+    }
+    
+    /**
+     * Work out the line changes for moving money between envelopes
+     * @param {Array} lines - All budget lines
+     * @param {string} period - Month the move is recorded in
+     * @param {string} fromId - Envelope giving money
+     * @param {string} toId - Envelope receiving money
+     * @param {number} amount - Amount to move
+     * @returns {Array} Updated lines [from, to]
+     */
+    planMove(lines, period, fromId, toId, amount) {
+        const value = Math.abs(parseFloat(amount) || 0);
+        if (value === 0) {
+            throw new Error('Enter an amount to move');
+        }
+        if (!fromId || !toId || fromId === toId) {
+            throw new Error('Choose two different envelopes');
+        }
+        
+        const periodLines = this.getLines(lines, period);
+        const adjust = (category, delta) => {
+            const existing = periodLines.find(line => line.category === category);
+            return this.createLine({
+                ...(existing || { period, category, amount: 0 }),
+                moved: (existing?.moved || 0) + delta
+            });
+        };
+        
+        return [adjust(fromId, -value), adjust(toId, value)];
+    }
+}
+
+// Initialize global budget manager
+window.budgetManager = new BudgetManager();
+
+// Export for use in other modules
+window.BudgetManager = BudgetManager;
@@ -0,0 +1,182 @@
+/**
+ * Category Manager
+ * Family-editable income and expense categories with one level of subcategories
+ * Deleting a category merges it into another so no transaction is left orphaned
+ */
+
+class CategoryManager {
+    constructor() {
+        this.storeName = 'categories';
+        this.fallbackIds = {
+            income: 'other_income',
+            expense: 'other_expense'
+        };
+    }
+    
+    /**
+     * Load categories, seeding the defaults on first run
+     * Default IDs are fixed, so devices seeding independently still merge cleanly
+     * Seeds are dated to the epoch, so on a device that has just joined they never win over the family's edits to them
+     * @param {Object} defaults - { income: [], expense: [] } default categories
+     * @returns {Array} Flat list of category records
+     */
+    async loadCategories(defaults) {
+        const records = await window.dbManager.getAll(this.storeName);
+        if (records.length > 0) return records;
+        
+        const seeded = [];
+        const epoch = new Date(0).toISOString();
+        ['income', 'expense'].forEach(type => {
+            defaults[type].forEach((category, index) => {
+                seeded.push({
+                    ...category,
+                    type,
+                    parentId: null,
+                    archived: false,
+                    order: index,
+                    createdAt: epoch,
+                    updatedAt: epoch
+                });
+            });
+        });
+        
+        await window.dbManager.saveBatch(this.storeName, seeded, null, true);
+        return seeded;
+    }
+    
+    /**
+     * Group flat records into { income, expense }, parents followed by their children
+     * @param {Array} records - Category records
+     * @returns {Object} Grouped categories
+     */
+    group(records) {
+        const live = records.filter(c => !c.deleted);
+        const byOrder = (a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name);
+        const grouped = { income: [], expense: [] };
+        
+        ['income', 'expense'].forEach(type => {
+            const ofType = live.filter(c => c.type === type);
+            const parents = ofType
+                .filter(c => !c.parentId || !ofType.some(p => p.id === c.parentId))
+                .sort(byOrder);
+            
+            parents.forEach(parent => {
+                grouped[type].push({ ...parent, parentId: null, depth: 0 });
+                ofType
+                    .filter(c => c.parentId === parent.id)
+                    .sort(byOrder)
+                    .forEach(child => grouped[type].push({ ...child, depth: 1 }));
+            });
+        });
+        
+        return grouped;
+    }
+    
+    /**
+     * Get a category and all of its subcategory IDs
+     * @param {Array} list - Categories of one type
+     * @param {string} categoryId - Parent category ID
+     * @returns {Array} IDs including the parent
+     */
+    getFamilyIds(list, categoryId) {
+        return [categoryId, ...list.filter(c => c.parentId === categoryId).map(c => c.id)];
+    }
+    
+    /**
+     * Build a category record with defaults filled in
+     * @param {Object} category - Category fields
+     * @param {Array} records - Existing records (for ordering and unique IDs)
+     * @returns {Object} Normalized category
+     */
+    createCategory(category, records = []) {
+        const type = category.type === 'income' ? 'income' : 'expense';
+        const slug = (category.name || 'category').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        
+        return {
+            id: category.id || `${slug}_${window.SecurityManager.generateRandomString(4).toLowerCase()}`,
+            name: (category.name || '').trim(),
+            icon: category.icon || '🏷️',
+            color: category.color || '#6b7280',
+            type,
+            parentId: category.parentId || null,
+            archived: !!category.archived,
+            order: category.order ?? records.filter(c => c.type === type).length,
+            createdAt: category.createdAt
+        };
+    }
+    
+    /**
+     * Check if a category can be deleted
+     * @param {Object} category - Category record
+     * @returns {boolean} False for the fallback "Other" categories
+     */
+    canDelete(category) {
+        return category.id !== this.fallbackIds[category.type];
+    }
+    
+    /**
+     * Work out every record that changes when one category is merged into another
+     * Pure function: callers persist the returned copies
+     * @param {string} fromId - Category being removed
+     * @param {string} toId - Category receiving its data
+     * @param {Object} data - { categories, transactions, budgets, categoryRules, recurringRules }
+     * @returns {Object} Changed records per collection
+     */
+    planMerge(fromId, toId, data) {
+        if (fromId === toId) {
+            throw new Error('Cannot merge a category into itself');
+        }
+        
+        const from = data.categories.find(c => c.id === fromId);
+        const to = data.categories.find(c => c.id === toId);
+        if (!from || !to) {
+            throw new Error('Category not found');
+        }
+        if (from.type !== to.type) {
+            throw new Error('Categories must both be income or both be expense');
+        }
+        
+        const retag = (items) => items
+            .filter(item => item.category === fromId)
+            .map(item => ({ ...item, category: toId }));
+        
+        // Split transactions can use the category on any line
+        const retagSplits = (transaction) => ({
+            ...transaction,
+            category: transaction.category === fromId ? toId : transaction.category,
+            splits: transaction.splits.map(split => split.category === fromId ? { ...split, category: toId } : split)
+        });
+        const transactions = (data.transactions || [])
+            .filter(t => t.category === fromId || (t.splits || []).some(split => split.category === fromId))
+            .map(t => t.splits?.length ? retagSplits(t) : { ...t, category: toId });
+        
+        // Subcategories move up to the removed category's parent
+        const children = data.categories
+            .filter(c => c.parentId === fromId)
+            .map(c => ({ ...c, parentId: from.parentId || null }));
+        
+        // Each month's budget line folds into the receiving category's line for that month
+        const budgets = [];
+        (data.budgets || []).filter(line => line.category === fromId).forEach(line => {
+            const target = data.budgets.find(b => b.period === line.period && b.category === toId);
+            budgets.push({ ...line, amount: 0, deleted: true });
+            budgets.push(target
+                ? { ...target, amount: target.amount + line.amount, moved: (target.moved || 0) + (line.moved || 0) }
+                : window.budgetManager.createLine({ ...line, category: toId, createdAt: undefined }));
+        });
+        
+        return {
+            categories: [...children, { ...from, deleted: true, archived: true }],
+            transactions,
+            categoryRules: retag(data.categoryRules || []),
+            recurringRules: retag(data.recurringRules || []),
+            budgets
+        };
+    }
+}
+
+// Initialize global category manager
+window.categoryManager = new CategoryManager();
+
+// Export for use in other modules
+window.CategoryManager = CategoryManager;
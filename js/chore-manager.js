@@ -0,0 +1,183 @@
+/**
+ * Chore Manager
+ * Family chores with due dates, repeats and optional money rewards
+ * A chore goes from to-do to done to approved; approving pays the reward into the member's account
+ */
+
+class ChoreManager {
+    constructor() {
+        this.storeName = 'familyTasks';
+        this.frequencies = {
+            once: { label: 'One-off' },
+            daily: { label: 'Daily' },
+            weekly: { label: 'Weekly' },
+            biweekly: { label: 'Every 2 weeks' },
+            monthly: { label: 'Monthly' }
+        };
+        this.payoutCategory = 'other_income';
+    }
+    
+    /**
+     * Build a chore with defaults filled in
+     * @param {Object} task - Chore fields
+     * @returns {Object} Normalized chore
+     */
+    createTask(task) {
+        const recurring = window.recurringManager;
+        const dueDate = recurring.toDateKey(recurring.parseDate(task.dueDate || new Date()));
+        
+        return {
+            id: task.id || window.SecurityManager.generateUUID(),
+            title: (task.title || '').trim() || 'Chore',
+            assignedTo: task.assignedTo || null,
+            dueDate,
+            frequency: this.frequencies[task.frequency] ? task.frequency : 'once',
+            anchorDay: task.anchorDay || recurring.parseDate(dueDate).getDate(),
+            reward: Math.max(0, parseFloat(task.reward) || 0),
+            // Reward goes into payoutAccountId, moved from fundingAccountId when one is set
+            payoutAccountId: task.payoutAccountId || null,
+            fundingAccountId: task.fundingAccountId || null,
+            status: ['todo', 'done', 'approved'].includes(task.status) ? task.status : 'todo',
+            completedBy: task.completedBy || null,
+            completedAt: task.completedAt || null,
+            approvedBy: task.approvedBy || null,
+            approvedAt: task.approvedAt || null,
+            createdBy: task.createdBy || null,
+            createdAt: task.createdAt
+        };
+    }
+    
+    /**
+     * Load chores
+     * @returns {Array} Live chores
+     */
+    async loadTasks() {
+        const tasks = await window.dbManager.getAll(this.storeName);
+        return tasks.filter(task => !task.deleted);
+    }
+    
+    /**
+     * Get a chore's status as of today
+     * @param {Object} task - Chore
+     * @param {Date} asOf - Today
+     * @returns {string} 'approved', 'done', 'overdue' or 'todo'
+     */
+    getStatus(task, asOf = new Date()) {
+        if (task.status !== 'todo') return task.status;
+        
+        const today = window.recurringManager.toDateKey(asOf);
+        return task.dueDate < today ? 'overdue' : 'todo';
+    }
+    
+    /**
+     * Sort chores into to-do, waiting for approval and approved lists
+     * @param {Array} tasks - Chores
+     * @param {string} memberCode - Only this member's chores (all when empty)
+     * @returns {Object} { todo, awaiting, approved }, todo soonest first
+     */
+    group(tasks, memberCode = null) {
+        const mine = tasks.filter(task => !task.deleted && (!memberCode || task.assignedTo === memberCode));
+        
+        return {
+            todo: mine
+                .filter(task => task.status === 'todo')
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate)),
+            awaiting: mine
+                .filter(task => task.status === 'done')
+                .sort((a, b) => String(a.completedAt).localeCompare(String(b.completedAt))),
+            approved: mine
+                .filter(task => task.status === 'approved')
+                .sort((a, b) => String(b.approvedAt).localeCompare(String(a.approvedAt)))
+        };
+    }
+    
+    /**
+     * Mark a chore done, ready for someone to approve
+     * @param {Object} task - Chore
+     * @param {string} memberCode - Member who did it
+     * @returns {Object} Updated chore
+     */
+    planCompletion(task, memberCode) {
+        if (task.status !== 'todo') {
+            throw new Error(`${task.title} is already done`);
+        }
+        
+        return { ...task, status: 'done', completedBy: memberCode, completedAt: new Date().toISOString() };
+    }
+    
+    /**
+     * Send a done chore back to the to-do list
+     * @param {Object} task - Chore
+     * @returns {Object} Updated chore
+     */
+    planReopen(task) {
+        return { ...task, status: 'todo', completedBy: null, completedAt: null };
+    }
+    
+    /**
+     * Work out the payout and chore update for approving a done chore
+     * Payout IDs come from the chore and due date, so approving on two devices merges into one payment
+     * @param {Object} task - Chore being approved
+     * @param {string} approverCode - Member approving
+     * @returns {Object} { task, payout } where payout is an array of ledger entries (empty when unpaid)
+     */
+    planApproval(task, approverCode) {
+        if (task.status !== 'done') {
+            throw new Error(`${task.title} hasn't been marked done yet`);
+        }
+        if (task.completedBy && task.completedBy === approverCode) {
+            throw new Error('Someone else in the family needs to approve this chore');
+        }
+        
+        const recurring = window.recurringManager;
+        const payoutId = `chore_${task.id}_${task.dueDate}`;
+        const date = recurring.toDateKey(new Date());
+        const description = `Allowance: ${task.title}`;
+        
+        let payout = [];
+        if (task.reward > 0 && task.payoutAccountId) {
+            if (task.fundingAccountId && task.fundingAccountId !== task.payoutAccountId) {
+                const [outgoing, incoming] = window.accountManager.createTransfer({
+                    fromAccountId: task.fundingAccountId,
+                    toAccountId: task.payoutAccountId,
+                    amount: task.reward,
+                    date,
+                    description
+                });
+                payout = [
+                    { ...outgoing, id: `${payoutId}_out`, transferId: payoutId, choreId: task.id },
+                    { ...incoming, id: `${payoutId}_in`, transferId: payoutId, choreId: task.id }
+                ];
+            } else {
+                payout = [{
+                    id: payoutId,
+                    type: 'income',
+                    amount: task.reward,
+                    description,
+                    category: this.payoutCategory,
+                    accountId: task.payoutAccountId,
+                    date,
+                    choreId: task.id,
+                    tags: ['allowance']
+                }];
+            }
+        }
+        
+        const approved = { approvedBy: approverCode, approvedAt: new Date().toISOString() };
+        const updated = task.frequency === 'once'
+            ? { ...task, ...approved, status: 'approved' }
+            : {
+                ...this.planReopen(task),
+                ...approved,
+                dueDate: recurring.getNextOccurrence(task.dueDate, task.frequency, task.anchorDay)
+            };
+        
+        return { task: updated, payout };
+    }
+}
+
+// Initialize global chore manager
+window.choreManager = new ChoreManager();
+
+// Export for use in other modules
+window.ChoreManager = ChoreManager;
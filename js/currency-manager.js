@@ -0,0 +1,360 @@
+/**
+ * Currency Manager
+ * The family's base currency, hand-entered or imported FX rates, and the one place amounts are formatted
+ * Entries on an account are in the account's currency; reports convert them to the base currency at the rate for their date
+ */
+
+class CurrencyManager {
+    constructor() {
+        this.settingsId = 'currency';
+        this.rateStore = 'fxRates';
+        this.defaultCurrency = 'USD';
+        this.baseCurrency = this.defaultCurrency;
+        this.locale = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+        this.currencies = [
+            'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR',
+            'SEK', 'NOK', 'DKK', 'PLN', 'MXN', 'BRL', 'ZAR', 'SGD', 'HKD'
+        ];
+        // Spoken words for amounts; "dollars" and "bucks" mean the base currency when it is a dollar
+        this.spokenCurrencies = {
+            euro: 'EUR', euros: 'EUR',
+            pound: 'GBP', pounds: 'GBP', quid: 'GBP',
+            yen: 'JPY',
+            rupee: 'INR', rupees: 'INR',
+            franc: 'CHF', francs: 'CHF',
+            peso: 'MXN', pesos: 'MXN',
+            krona: 'SEK', kronor: 'SEK',
+            krone: 'NOK', kroner: 'NOK',
+            yuan: 'CNY',
+            rand: 'ZAR'
+        };
+        this.currencySymbols = { '$': null, '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+        this.rates = [];
+        this.rateIndex = {};
+        this.accountCurrencies = {};
+        this.missingRates = new Set();
+        this.formatters = new Map();
+    }
+    
+    /**
+     * Load the base currency, rates and account currencies
+     * Call before the ledger aggregates are rebuilt, since they convert with these
+     * @returns {Object} { baseCurrency, rates }
+     */
+    async load() {
+        const [setting, rates, accounts] = await Promise.all([
+            window.dbManager.get('settings', this.settingsId),
+            window.dbManager.getAll(this.rateStore),
+            window.dbManager.getAll('accounts')
+        ]);
+        
+        this.baseCurrency = setting && !setting.deleted && this.isValidCode(setting.baseCurrency)
+            ? setting.baseCurrency
+            : this.defaultCurrency;
+        this.setRates(rates);
+        this.setAccountCurrencies(accounts);
+        
+        return { baseCurrency: this.baseCurrency, rates: this.rates };
+    }
+    
+    /**
+     * Check a currency code looks like ISO 4217
+     * @param {string} code - Currency code
+     * @returns {boolean} True for three capital letters
+     */
+    isValidCode(code) {
+        return /^[A-Z]{3}$/.test(code || '');
+    }
+    
+    /**
+     * Get a currency's display name in the user's locale
+     * @param {string} code - Currency code
+     * @returns {string} e.g. "Euro", or the code when the browser has no name for it
+     */
+    getName(code) {
+        try {
+            return new Intl.DisplayNames([this.locale], { type: 'currency' }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+    
+    /**
+     * Change the family's base currency
+     * Accounts and entries without their own currency are in the base currency, so they follow it
+     * @param {string} code - Currency code
+     * @returns {Object} Saved setting
+     */
+    async setBaseCurrency(code) {
+        if (!this.isValidCode(code)) {
+            throw new Error(`${code} isn't a currency code`);
+        }
+        
+        const setting = { id: this.settingsId, baseCurrency: code };
+        await window.dbManager.save('settings', setting);
+        
+        this.baseCurrency = code;
+        this.missingRates.clear();
+        return setting;
+    }
+    
+    /**
+     * Remember which currency each account is in
+     * @param {Array} accounts - Accounts
+     */
+    setAccountCurrencies(accounts) {
+        this.accountCurrencies = Object.fromEntries(accounts
+            .filter(account => !account.deleted && account.currency)
+            .map(account => [account.id, account.currency]));
+    }
+    
+    /**
+     * Get an account's currency
+     * @param {Object} account - Account
+     * @returns {string} Currency code
+     */
+    getAccountCurrency(account) {
+        return account?.currency || this.baseCurrency;
+    }
+    
+    /**
+     * Get the currency a transaction was recorded in
+     * @param {Object} transaction - Transaction
+     * @returns {string} Its own currency, else its account's, else the base currency
+     */
+    getTransactionCurrency(transaction) {
+        return transaction?.currency ||
+            this.accountCurrencies[transaction?.accountId] ||
+            this.baseCurrency;
+    }
+    
+    /**
+     * Format an amount in the user's locale
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code (base currency when omitted)
+     * @param {Object} options - Extra Intl.NumberFormat options, e.g. { notation: 'compact' }
+     * @returns {string} Formatted amount
+     */
+    format(amount, currency = null, options = {}) {
+        const code = this.isValidCode(currency) ? currency : this.baseCurrency;
+        const key = `${code}:${JSON.stringify(options)}`;
+        
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.NumberFormat(this.locale, {
+                style: 'currency',
+                currency: code,
+                ...options
+            }));
+        }
+        
+        return this.formatters.get(key).format(amount || 0);
+    }
+    
+    /**
+     * Build a rate: one unit of the currency is worth `rate` of the base currency on that date
+     * @param {Object} rate - { currency, rate, date }
+     * @returns {Object} Normalized rate, keyed by base, currency and date
+     */
+    createRate(rate) {
+        const currency = String(rate.currency || '').trim().toUpperCase();
+        const value = parseFloat(rate.rate);
+        
+        if (!this.isValidCode(currency)) {
+            throw new Error(`${rate.currency || 'Blank'} isn't a currency code`);
+        }
+        if (currency === this.baseCurrency) {
+            throw new Error(`${currency} is already the base currency`);
+        }
+        if (!(value > 0)) {
+            throw new Error(`Enter a rate for ${currency}`);
+        }
+        
+        const date = rate.date || window.recurringManager.toDateKey(new Date());
+        return {
+            id: `${this.baseCurrency}:${currency}:${date}`,
+            base: this.baseCurrency,
+            currency,
+            date,
+            rate: value
+        };
+    }
+    
+    /**
+     * Replace the cached rates
+     * @param {Array} rates - All rates
+     */
+    setRates(rates) {
+        this.rates = rates
+            .filter(rate => !rate.deleted)
+            .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+        this.rateIndex = {};
+        this.rates.forEach(rate => {
+            const key = `${rate.base}:${rate.currency}`;
+            (this.rateIndex[key] = this.rateIndex[key] || []).push(rate);
+        });
+        Object.values(this.rateIndex).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+        
+        this.missingRates.clear();
+    }
+    
+    /**
+     * Get a currency's value in a base on a date
+     * Uses the latest rate on or before the date, else the earliest one after it
+     * @param {string} currency - Currency code
+     * @param {string} base - Base the rates were entered against
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number|null} Value, or null with no rate
+     */
+    getValueIn(currency, base, date) {
+        if (currency === base) return 1;
+        
+        const list = this.rateIndex[`${base}:${currency}`];
+        if (!list) return null;
+        
+        const onOrBefore = list.filter(rate => rate.date <= date);
+        return (onOrBefore[onOrBefore.length - 1] || list[0]).rate;
+    }
+    
+    /**
+     * Get the rate to convert between two currencies
+     * Rates entered against an earlier base still work, as long as both currencies have one against it
+     * @param {string} from - Currency converted from
+     * @param {string} to - Currency converted to
+     * @param {string} date - YYYY-MM-DD (today when omitted)
+     * @returns {number|null} Multiplier, or null when no rates connect the two
+     */
+    getRate(from, to, date = null) {
+        if (from === to) return 1;
+        
+        const day = String(date || window.recurringManager.toDateKey(new Date())).slice(0, 10);
+        const bases = [this.baseCurrency, ...new Set(this.rates.map(rate => rate.base))];
+        
+        for (const base of bases) {
+            const fromValue = this.getValueIn(from, base, day);
+            const toValue = this.getValueIn(to, base, day);
+            if (fromValue !== null && toValue !== null) {
+                return fromValue / toValue;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Convert an amount between currencies
+     * Without a rate the amount is left as it is, and the currency is noted as missing a rate
+     * @param {number} amount - Amount
+     * @param {string} from - Currency converted from
+     * @param {string} to - Currency converted to (base currency when omitted)
+     * @param {string} date - YYYY-MM-DD (today when omitted)
+     * @returns {number} Converted amount
+     */
+    convert(amount, from, to = null, date = null) {
+        const target = to || this.baseCurrency;
+        const source = from || this.baseCurrency;
+        if (source === target) return amount;
+        
+        const rate = this.getRate(source, target, date);
+        if (rate === null) {
+            this.missingRates.add(source === this.baseCurrency ? target : source);
+            return amount;
+        }
+        
+        return amount * rate;
+    }
+    
+    /**
+     * Convert an amount into the base currency
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency it is in
+     * @param {string} date - YYYY-MM-DD (today when omitted)
+     * @returns {number} Amount in the base currency
+     */
+    toBase(amount, currency, date = null) {
+        return this.convert(amount, currency, this.baseCurrency, date);
+    }
+    
+    /**
+     * Get the currencies that were needed for a conversion but have no rate
+     * @returns {Array} Currency codes
+     */
+    getMissingRates() {
+        return [...this.missingRates].sort();
+    }
+    
+    /**
+     * Parse a rate file against the current base currency
+     * Accepts JSON ({ "EUR": 1.08 } or [{ currency, rate, date }]) or CSV lines of currency,rate[,date]
+     * @param {string} text - File contents
+     * @param {string} date - Date for rates that don't give one
+     * @returns {Object} { rates, errors }
+     */
+    parseRates(text, date = null) {
+        const rows = [];
+        const trimmed = String(text || '').trim();
+        
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            if (Array.isArray(data)) {
+                rows.push(...data);
+            } else {
+                Object.entries(data.rates || data).forEach(([currency, rate]) => {
+                    rows.push({ currency, rate, date: data.date });
+                });
+            }
+        } else {
+            trimmed.split(/\r?\n/).forEach(line => {
+                const [currency, rate, day] = line.split(/[,;\t]/).map(cell => cell.trim());
+                // Skip a header row
+                if (currency && !/^currency$/i.test(currency)) {
+                    rows.push({ currency, rate, date: day });
+                }
+            });
+        }
+        
+        const rates = [];
+        const errors = [];
+        rows.forEach((row, index) => {
+            try {
+                rates.push(this.createRate({ ...row, date: row.date || date }));
+            } catch (error) {
+                errors.push(`Row ${index + 1}: ${error.message}`);
+            }
+        });
+        
+        return { rates, errors };
+    }
+    
+    /**
+     * Read an amount and its currency from speech, e.g. "spent 20 euros on lunch" or "$15"
+     * @param {string} transcript - What was said
+     * @returns {Object|null} { amount, currency }, or null when no amount was said
+     */
+    parseSpokenAmount(transcript) {
+        const words = Object.keys(this.spokenCurrencies).join('|');
+        const match = String(transcript).match(
+            new RegExp(`([$€£¥₹])?\\s*(\\d+(?:\\.\\d+)?)\\s*(dollars?|bucks?|${words})?\\b`, 'i')
+        );
+        if (!match) return null;
+        
+        const [, symbol, amount, word] = match;
+        const dollarBase = this.getName(this.baseCurrency).toLowerCase().includes('dollar');
+        let currency = this.baseCurrency;
+        
+        if (word && /^(dollars?|bucks?)$/i.test(word)) {
+            currency = dollarBase ? this.baseCurrency : 'USD';
+        } else if (word) {
+            currency = this.spokenCurrencies[word.toLowerCase()];
+        } else if (symbol) {
+            currency = this.currencySymbols[symbol] || (dollarBase ? this.baseCurrency : 'USD');
+        }
+        
+        return { amount: parseFloat(amount), currency };
+    }
+}
+
+// Initialize global currency manager
+window.currencyManager = new CurrencyManager();
+
+// Export for use in other modules
+window.CurrencyManager = CurrencyManager;
@@ -7,7 +7,7 @@
 class IndexedDBManager {
     constructor() {
         this.dbName = 'FamilyFinanceHubDB';
-        this.version = 2;
+        this.version = 12;
         this.db = null;
         this.stores = {
             transactions: 'transactions',
@@ -21,8 +21,27 @@ class IndexedDBManager {
             sharedNotes: 'sharedNotes',
             settings: 'settings',
             syncQueue: 'syncQueue',
-            activityFeed: 'activityFeed'
+            activityFeed: 'activityFeed',
+            recurringRules: 'recurringRules',
+            categoryRules: 'categoryRules',
+            categories: 'categories',
+            goalContributions: 'goalContributions',
+            shoppingItems: 'shoppingItems',
+            investmentTrades: 'investmentTrades',
+            investmentPrices: 'investmentPrices',
+            netWorthSnapshots: 'netWorthSnapshots',
+            fxRates: 'fxRates'
         };
+        // Member whose device this is; saved records are stamped with it so sync can check their role
+        this.memberCode = null;
+    }
+    
+    /**
+     * Set the member saved records are stamped with
+     * @param {string} memberCode - Member code
+     */
+    setMember(memberCode) {
+        this.memberCode = memberCode || null;
     }
     
     /**
@@ -46,6 +65,7 @@ class IndexedDBManager {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const upgradeTransaction = event.target.transaction;
                 
                 // Create object stores if they don't exist
                 Object.entries(this.stores).forEach(([key, storeName]) => {
@@ -57,8 +77,13 @@ class IndexedDBManager {
                         
                         // Create indexes based on store type
                         this.createIndexes(store, storeName);
+                    } else {
+                        // Add indexes introduced since the store was created
+                        this.createIndexes(upgradeTransaction.objectStore(storeName), storeName);
                     }
                 });
+                
+                this.migrateData(upgradeTransaction, event.oldVersion);
             };
         });
     }
@@ -69,38 +94,101 @@ class IndexedDBManager {
      * @param {string} storeName - Store name
      */
     createIndexes(store, storeName) {
+        const addIndex = (name, keyPath, options) => {
+            if (!store.indexNames.contains(name)) {
+                store.createIndex(name, keyPath, options);
+            }
+        };
+        
         switch (storeName) {
             case 'transactions':
-                store.createIndex('date', 'date', { unique: false });
-                store.createIndex('category', 'category', { unique: false });
-                store.createIndex('type', 'type', { unique: false });
-                store.createIndex('accountId', 'accountId', { unique: false });
-                store.createIndex('familyMember', 'familyMember', { unique: false });
+                addIndex('date', 'date', { unique: false });
+                addIndex('category', 'category', { unique: false });
+                addIndex('type', 'type', { unique: false });
+                addIndex('accountId', 'accountId', { unique: false });
+                addIndex('familyMember', 'familyMember', { unique: false });
+                addIndex('tags', 'tags', { unique: false, multiEntry: true });
                 break;
                 
+            case 'budgets':
+                addIndex('period', 'period', { unique: false });
+                break;
+            
             case 'billReminders':
-                store.createIndex('dueDate', 'dueDate', { unique: false });
-                store.createIndex('status', 'status', { unique: false });
+                addIndex('dueDate', 'dueDate', { unique: false });
+                addIndex('status', 'status', { unique: false });
                 break;
                 
             case 'savingsGoals':
-                store.createIndex('targetDate', 'targetDate', { unique: false });
-                store.createIndex('status', 'status', { unique: false });
+                addIndex('targetDate', 'targetDate', { unique: false });
+                addIndex('status', 'status', { unique: false });
                 break;
                 
             case 'activityFeed':
-                store.createIndex('timestamp', 'timestamp', { unique: false });
-                store.createIndex('memberCode', 'memberCode', { unique: false });
-                store.createIndex('type', 'type', { unique: false });
+                addIndex('timestamp', 'timestamp', { unique: false });
+                addIndex('memberCode', 'memberCode', { unique: false });
+                addIndex('type', 'type', { unique: false });
                 break;
                 
+            case 'recurringRules':
+                addIndex('nextDate', 'nextDate', { unique: false });
+                break;
+            
+            case 'categories':
+                addIndex('type', 'type', { unique: false });
+                addIndex('parentId', 'parentId', { unique: false });
+                break;
+            
+            case 'goalContributions':
+                addIndex('goalId', 'goalId', { unique: false });
+                addIndex('date', 'date', { unique: false });
+                break;
+            
+            case 'shoppingItems':
+                addIndex('listId', 'listId', { unique: false });
+                break;
+            
+            case 'investmentTrades':
+                addIndex('holdingId', 'holdingId', { unique: false });
+                addIndex('date', 'date', { unique: false });
+                break;
+            
+            case 'investmentPrices':
+                addIndex('holdingId', 'holdingId', { unique: false });
+                break;
+            
+            case 'fxRates':
+                addIndex('currency', 'currency', { unique: false });
+                break;
+            
             case 'syncQueue':
-                store.createIndex('timestamp', 'timestamp', { unique: false });
-                store.createIndex('status', 'status', { unique: false });
+                addIndex('timestamp', 'timestamp', { unique: false });
+                addIndex('status', 'status', { unique: false });
                 break;
         }
     }
     
+    /**
+     * Backfill fields that newer indexes rely on
+     * @param {IDBTransaction} transaction - Version change transaction
+     * @param {number} oldVersion - Version being upgraded from (0 for a new database)
+     */
+    migrateData(transaction, oldVersion) {
+        if (oldVersion > 0 && oldVersion < 6) {
+            // Transactions were only tagged with the member who entered them
+            const request = transaction.objectStore('transactions').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                if (!cursor.value.familyMember && cursor.value.memberCode) {
+                    cursor.update({ ...cursor.value, familyMember: cursor.value.memberCode });
+                }
+                cursor.continue();
+            };
+        }
+    }
+    
     /**
      * Generic method to save data with encryption
      * @param {string} storeName - Object store name
@@ -124,14 +212,13 @@ class IndexedDBManager {
                 data.createdAt = new Date().toISOString();
             }
             data.updatedAt = new Date().toISOString();
+            if (this.memberCode) {
+                data.updatedBy = this.memberCode;
+            }
             
             // Encrypt sensitive data if key provided
             const dataToSave = encryptionKey && this.isSensitiveStore(storeName)
-                ? { 
-                    ...data, 
-                    encrypted: true,
-                    data: window.SecurityManager.encrypt(data, encryptionKey) 
-                }
+                ? this.encryptRecord(data, encryptionKey)
                 : data;
             
             const request = store.put(dataToSave);
@@ -146,13 +233,34 @@ class IndexedDBManager {
         }
     }
     
+    /**
+     * Wrap a record for encrypted storage
+     * Only the ID, timestamps and author stay readable, since sync merges on them; tombstones have nothing to hide
+     * @param {Object} item - Record to encrypt
+     * @param {string} encryptionKey - Encryption key
+     * @returns {Object} { id, createdAt, updatedAt, updatedBy, encrypted, data }
+     */
+    encryptRecord(item, encryptionKey) {
+        if (item.deleted) return item;
+        
+        return {
+            id: item.id,
+            createdAt: item.createdAt,
+            updatedAt: item.updatedAt,
+            updatedBy: item.updatedBy,
+            encrypted: true,
+            data: window.SecurityManager.encrypt(item, encryptionKey)
+        };
+    }
+    
     /**
      * Batch save operation for performance
      * @param {string} storeName - Object store name
      * @param {Array} items - Array of items to save
      * @param {string} encryptionKey - Optional encryption key
+     * @param {boolean} preserveTimestamps - Keep existing updatedAt (used when writing synced data)
      */
-    async saveBatch(storeName, items, encryptionKey = null) {
+    async saveBatch(storeName, items, encryptionKey = null, preserveTimestamps = false) {
         if (!this.db) await this.init();
         
         const transaction = this.db.transaction([storeName], 'readwrite');
@@ -168,14 +276,15 @@ class IndexedDBManager {
             if (!item.createdAt) {
                 item.createdAt = new Date().toISOString();
             }
-            item.updatedAt = new Date().toISOString();
+            if (!preserveTimestamps || !item.updatedAt) {
+                item.updatedAt = new Date().toISOString();
+                if (this.memberCode) {
+                    item.updatedBy = this.memberCode;
+                }
+            }
             
             const dataToSave = encryptionKey && this.isSensitiveStore(storeName)
-                ? { 
-                    ...item, 
-                    encrypted: true,
-                    data: window.SecurityManager.encrypt(item, encryptionKey) 
-                }
+                ? this.encryptRecord(item, encryptionKey)
                 : item;
                 
             return store.put(dataToSave);
@@ -292,6 +401,86 @@ class IndexedDBManager {
         });
     }
     
+    /**
+     * Read one page of a store through an index, resuming from a cursor
+     * Items with the same index key are ordered by ID so paging never skips or repeats one
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index to walk
+     * @param {Object} options - { limit, after: { key, id } from the previous page, direction: 'prev'|'next' }
+     * @returns {Object} { items, cursor } where cursor is null once the index is exhausted
+     */
+    async getPage(storeName, indexName, options = {}) {
+        if (!this.db) await this.init();
+        
+        const { limit = 50, after = null, direction = 'prev' } = options;
+        const descending = direction === 'prev';
+        
+        let range = null;
+        if (after) {
+            range = descending
+                ? IDBKeyRange.upperBound(after.key)
+                : IDBKeyRange.lowerBound(after.key);
+        }
+        
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const index = transaction.objectStore(storeName).index(indexName);
+        const request = index.openCursor(range, direction);
+        const items = [];
+        
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                
+                if (!cursor) {
+                    resolve({ items, cursor: null });
+                    return;
+                }
+                
+                // Skip what the previous page already returned for the boundary key
+                const seen = after && cursor.key === after.key &&
+                    (descending ? cursor.primaryKey >= after.id : cursor.primaryKey <= after.id);
+                
+                if (!seen) {
+                    items.push(cursor.value);
+                    
+                    if (items.length === limit) {
+                        resolve({ items, cursor: { key: cursor.key, id: cursor.primaryKey } });
+                        return;
+                    }
+                }
+                
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Visit every item in a store without loading them all at once
+     * @param {string} storeName - Object store name
+     * @param {Function} callback - Called with each item
+     */
+    async forEach(storeName, callback) {
+        if (!this.db) await this.init();
+        
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).openCursor();
+        
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                
+                callback(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
     /**
      * Update item
      * @param {string} storeName - Object store name
@@ -391,11 +580,50 @@ class IndexedDBManager {
             'transactions',
             'accounts',
             'investments',
-            'savingsGoals'
+            'savingsGoals',
+            'sharedNotes'
         ];
         return sensitiveStores.includes(storeName);
     }
     
+    /**
+     * Re-encrypt a store's encrypted records under a new key
+     * Records keep their timestamps and author, since what they say hasn't changed
+     * @param {string} storeName - Object store name
+     * @param {string} oldKey - Key the records are encrypted with
+     * @param {string} newKey - Key to encrypt them with
+     * @returns {number} Records re-encrypted; ones the old key can't open are left as they are
+     */
+    async reencrypt(storeName, oldKey, newKey) {
+        const records = await this.getAll(storeName);
+        const opened = records
+            .filter(item => item.encrypted && item.data)
+            .map(item => window.SecurityManager.decrypt(item.data, oldKey))
+            .filter(Boolean);
+        
+        if (opened.length > 0) {
+            await this.saveBatch(storeName, opened, newKey, true);
+        }
+        
+        return opened.length;
+    }
+    
+    /**
+     * Re-encrypt records that aren't in a store yet, such as synced data still under an old key
+     * @param {Array} items - Records, some wrapped by encryptRecord
+     * @param {string} oldKey - Key the wrapped ones are encrypted with
+     * @param {string} newKey - Key to encrypt them with
+     * @returns {Array} Records, with the ones the old key opens wrapped under the new key instead
+     */
+    reencryptRecords(items, oldKey, newKey) {
+        return items.map(item => {
+            if (!item.encrypted || !item.data) return item;
+            
+            const opened = window.SecurityManager.decrypt(item.data, oldKey);
+            return opened ? this.encryptRecord(opened, newKey) : item;
+        });
+    }
+    
     /**
      * Export all data
      * @param {string} encryptionKey - Optional decryption key
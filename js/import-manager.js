@@ -0,0 +1,421 @@
+/**
+ * Statement Import Manager
+ * Parses CSV, OFX/QFX and QIF bank statements into transactions
+ * Keeps per-bank CSV column mappings and flags rows already in the ledger
+ */
+
+class StatementImportManager {
+    constructor() {
+        this.profilePrefix = 'importProfile:';
+        this.dateFormats = {
+            'YYYY-MM-DD': 'YYYY-MM-DD',
+            'MM/DD/YYYY': 'MM/DD/YYYY',
+            'DD/MM/YYYY': 'DD/MM/YYYY'
+        };
+    }
+    
+    /**
+     * Detect statement format from file name and contents
+     * @param {string} fileName - Uploaded file name
+     * @param {string} text - File contents
+     * @returns {string} 'csv', 'ofx' or 'qif'
+     */
+    detectFormat(fileName, text) {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        
+        if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) {
+            return 'ofx';
+        }
+        
+        if (extension === 'qif' || /^!Type:/im.test(text)) {
+            return 'qif';
+        }
+        
+        return 'csv';
+    }
+    
+    /**
+     * Split CSV text into rows, honouring quoted fields
+     * @param {string} text - CSV contents
+     * @returns {Array} Array of string arrays
+     */
+    parseCSV(text) {
+        const delimiter = this.detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        row.push(field.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+        
+        return rows;
+    }
+    
+    /**
+     * Guess the CSV delimiter from the first line
+     * @param {string} text - CSV contents
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t'];
+        
+        return candidates.reduce((best, candidate) => {
+            return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+        }, ',');
+    }
+    
+    /**
+     * Suggest a column mapping from CSV header names
+     * @param {Array} header - Header row
+     * @returns {Object} Column mapping
+     */
+    guessMapping(header) {
+        const find = (pattern) => header.findIndex(name => pattern.test(name));
+        
+        const mapping = {
+            hasHeader: true,
+            dateFormat: 'YYYY-MM-DD',
+            date: find(/date/i),
+            description: find(/desc|payee|name|narrative|details|memo/i),
+            amount: find(/^amount$|amount|value/i),
+            debit: find(/debit|paid out|withdrawal/i),
+            credit: find(/credit|paid in|deposit/i),
+            invertAmounts: false
+        };
+        
+        // Separate debit/credit columns take priority over a single amount column
+        if (mapping.debit !== -1 && mapping.credit !== -1) {
+            mapping.amount = -1;
+        }
+        
+        return mapping;
+    }
+    
+    /**
+     * Parse a date string in a known format
+     * @param {string} value - Raw date
+     * @param {string} format - One of dateFormats
+     * @returns {string|null} YYYY-MM-DD or null if invalid
+     */
+    parseDate(value, format = 'YYYY-MM-DD') {
+        if (!value) return null;
+        
+        const parts = String(value).trim().split(/[\/\-.\s']/).filter(Boolean).map(Number);
+        if (parts.length < 3 || parts.some(isNaN)) return null;
+        
+        let year;
+        let month;
+        let day;
+        
+        switch (format) {
+            case 'MM/DD/YYYY':
+                [month, day, year] = parts;
+                break;
+            
+            case 'DD/MM/YYYY':
+                [day, month, year] = parts;
+                break;
+            
+            default:
+                [year, month, day] = parts;
+        }
+        
+        if (year < 100) year += 2000;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Parse an amount, tolerating currency symbols and thousands separators
+     * @param {string} value - Raw amount
+     * @returns {number} Parsed amount (NaN if empty)
+     */
+    parseAmount(value) {
+        if (value === undefined || value === null || value === '') return NaN;
+        
+        let text = String(value).trim();
+        const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text) || /\bDR\b/i.test(text);
+        
+        text = text.replace(/[^\d.,]/g, '');
+        
+        // Treat a trailing ",dd" as a decimal comma
+        if (/,\d{2}$/.test(text) && !/\.\d{2}$/.test(text)) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+        
+        const amount = parseFloat(text);
+        return negative ? -amount : amount;
+    }
+    
+    /**
+     * Turn a signed amount into a transaction row
+     * @param {Object} fields - { date, amount, description, notes, externalId }
+     * @returns {Object} Normalized import row
+     */
+    toRow(fields) {
+        return {
+            date: fields.date,
+            amount: Math.abs(fields.amount),
+            type: fields.amount < 0 ? 'expense' : 'income',
+            description: (fields.description || '').replace(/\s+/g, ' ').trim() || 'Imported transaction',
+            notes: fields.notes || '',
+            externalId: fields.externalId || null
+        };
+    }
+    
+    /**
+     * Apply a column mapping to parsed CSV rows
+     * @param {Array} rows - Parsed CSV rows
+     * @param {Object} mapping - Column mapping
+     * @returns {Object} { rows, errors }
+     */
+    applyMapping(rows, mapping) {
+        const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+        const result = [];
+        const errors = [];
+        
+        dataRows.forEach((row, index) => {
+            const line = index + (mapping.hasHeader ? 2 : 1);
+            const date = this.parseDate(row[mapping.date], mapping.dateFormat);
+            
+            let amount;
+            if (mapping.amount >= 0) {
+                amount = this.parseAmount(row[mapping.amount]);
+            } else {
+                const debit = this.parseAmount(row[mapping.debit]);
+                const credit = this.parseAmount(row[mapping.credit]);
+                amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+            }
+            
+            if (mapping.invertAmounts) {
+                amount = -amount;
+            }
+            
+            if (!date) {
+                errors.push(`Line ${line}: unreadable date "${row[mapping.date] || ''}"`);
+                return;
+            }
+            
+            if (isNaN(amount) || amount === 0) {
+                errors.push(`Line ${line}: missing amount`);
+                return;
+            }
+            
+            result.push(this.toRow({
+                date,
+                amount,
+                description: row[mapping.description]
+            }));
+        });
+        
+        return { rows: result, errors };
+    }
+    
+    /**
+     * Parse an OFX/QFX statement (SGML or XML flavour)
+     * @param {string} text - File contents
+     * @returns {Object} { rows, errors }
+     */
+    parseOFX(text) {
+        const rows = [];
+        const errors = [];
+        const blocks = text.split(/<STMTTRN>/i).slice(1);
+        
+        const readTag = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+        
+        blocks.forEach((block, index) => {
+            const body = block.split(/<\/STMTTRN>/i)[0];
+            const rawDate = readTag(body, 'DTPOSTED');
+            const date = rawDate.length >= 8
+                ? `${rawDate.slice(0, 4)}-${rawDate.slice(4, 6)}-${rawDate.slice(6, 8)}`
+                : null;
+            const amount = this.parseAmount(readTag(body, 'TRNAMT'));
+            
+            if (!date || isNaN(amount)) {
+                errors.push(`Transaction ${index + 1}: missing date or amount`);
+                return;
+            }
+            
+            rows.push(this.toRow({
+                date,
+                amount,
+                description: readTag(body, 'NAME') || readTag(body, 'MEMO'),
+                notes: readTag(body, 'NAME') ? readTag(body, 'MEMO') : '',
+                externalId: readTag(body, 'FITID') || null
+            }));
+        });
+        
+        return { rows, errors };
+    }
+    
+    /**
+     * Parse a QIF statement
+     * @param {string} text - File contents
+     * @param {string} dateFormat - Date format used by the bank
+     * @returns {Object} { rows, errors }
+     */
+    parseQIF(text, dateFormat = 'MM/DD/YYYY') {
+        const rows = [];
+        const errors = [];
+        let record = {};
+        
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('!')) return;
+            
+            const code = line[0];
+            const value = line.slice(1).trim();
+            
+            switch (code) {
+                case 'D':
+                    record.date = this.parseDate(value, dateFormat);
+                    break;
+                
+                case 'T':
+                case 'U':
+                    record.amount = this.parseAmount(value);
+                    break;
+                
+                case 'P':
+                    record.description = value;
+                    break;
+                
+                case 'M':
+                    record.notes = value;
+                    break;
+                
+                case 'N':
+                    record.externalId = value;
+                    break;
+                
+                case '^':
+                    if (record.date && !isNaN(record.amount)) {
+                        rows.push(this.toRow({
+                            ...record,
+                            description: record.description || record.notes,
+                            notes: record.description ? record.notes : ''
+                        }));
+                    } else if (Object.keys(record).length > 0) {
+                        errors.push(`Record ${rows.length + errors.length + 1}: missing date or amount`);
+                    }
+                    record = {};
+                    break;
+            }
+        });
+        
+        return { rows, errors };
+    }
+    
+    /**
+     * Key used to match an imported row against the ledger
+     * @param {Object} transaction - Transaction or import row
+     * @returns {string} Match key
+     */
+    getMatchKey(transaction) {
+        const description = String(transaction.description || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const date = String(transaction.date || '').split('T')[0];
+        return `${date}|${Number(transaction.amount || 0).toFixed(2)}|${transaction.type}|${description}`;
+    }
+    
+    /**
+     * Flag rows that already exist in the ledger
+     * Rows that repeat an earlier row in the same file are only marked as repeated, since two coffees
+     * on one day look the same; a repeated bank transaction ID is still a duplicate
+     * @param {Array} rows - Import rows
+     * @param {Array} existing - Existing transactions
+     * @param {string} accountId - Target account (external IDs are per account)
+     * @returns {Array} Rows with duplicate and repeated flags
+     */
+    markDuplicates(rows, existing, accountId = null) {
+        const ledgerKeys = new Set();
+        const seenExternal = new Set();
+        const fileKeys = new Set();
+        
+        existing.forEach(transaction => {
+            ledgerKeys.add(this.getMatchKey(transaction));
+            if (transaction.externalId) {
+                seenExternal.add(`${transaction.accountId || ''}|${transaction.externalId}`);
+            }
+        });
+        
+        return rows.map(row => {
+            const key = this.getMatchKey(row);
+            const externalKey = row.externalId ? `${accountId || ''}|${row.externalId}` : null;
+            const duplicate = ledgerKeys.has(key) || (externalKey && seenExternal.has(externalKey));
+            const repeated = !duplicate && fileKeys.has(key);
+            
+            fileKeys.add(key);
+            if (externalKey) seenExternal.add(externalKey);
+            
+            return { ...row, duplicate: !!duplicate, repeated };
+        });
+    }
+    
+    /**
+     * Get saved CSV mapping profiles
+     * @returns {Array} Profiles
+     */
+    async getProfiles() {
+        const settings = await window.dbManager.getAll('settings');
+        return settings.filter(item => item.id.startsWith(this.profilePrefix) && !item.deleted);
+    }
+    
+    /**
+     * Save a CSV mapping profile for a bank
+     * @param {string} name - Bank name
+     * @param {Object} mapping - Column mapping
+     * @returns {Object} Saved profile
+     */
+    async saveProfile(name, mapping) {
+        const profile = {
+            id: `${this.profilePrefix}${name.trim().toLowerCase()}`,
+            name: name.trim(),
+            mapping
+        };
+        
+        await window.dbManager.save('settings', profile);
+        return profile;
+    }
+}
+
+// Initialize global statement import manager
+window.importManager = new StatementImportManager();
+
+// Export for use in other modules
+window.StatementImportManager = StatementImportManager;
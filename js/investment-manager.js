@@ -0,0 +1,304 @@
+/**
+ * Investment Manager
+ * Holdings with their buy, sell and dividend history and manually entered prices
+ * Positions are replayed from the opening units and trades using average cost, like account balances from the ledger
+ */
+
+class InvestmentManager {
+    constructor() {
+        this.storeName = 'investments';
+        this.tradeStore = 'investmentTrades';
+        this.priceStore = 'investmentPrices';
+        this.assetClasses = {
+            stock: { label: 'Stocks', icon: '📈' },
+            etf: { label: 'ETFs', icon: '🧺' },
+            fund: { label: 'Mutual Funds', icon: '🏛️' },
+            bond: { label: 'Bonds', icon: '📜' },
+            crypto: { label: 'Crypto', icon: '🪙' },
+            property: { label: 'Property', icon: '🏘️' },
+            other: { label: 'Other', icon: '📦' }
+        };
+        this.tradeTypes = {
+            buy: { label: 'Buy' },
+            sell: { label: 'Sell' },
+            dividend: { label: 'Dividend' }
+        };
+        this.dividendCategory = 'investment';
+    }
+    
+    /**
+     * Build a holding with defaults filled in
+     * Units and cost basis are the position when tracking started; later trades adjust them
+     * @param {Object} holding - Holding fields
+     * @returns {Object} Normalized holding
+     */
+    createHolding(holding) {
+        const symbol = (holding.symbol || '').trim().toUpperCase();
+        const name = (holding.name || '').trim();
+        if (!symbol && !name) {
+            throw new Error('Give the holding a ticker or a name');
+        }
+        
+        return {
+            id: holding.id || window.SecurityManager.generateUUID(),
+            symbol,
+            name: name || symbol,
+            assetClass: this.assetClasses[holding.assetClass] ? holding.assetClass : 'stock',
+            units: Math.max(0, parseFloat(holding.units) || 0),
+            costBasis: Math.max(0, parseFloat(holding.costBasis) || 0),
+            accountId: holding.accountId || null,
+            createdAt: holding.createdAt
+        };
+    }
+    
+    /**
+     * Build a trade
+     * @param {Object} trade - { holdingId, type, units, price, amount, fees, date, note }
+     * @returns {Object} Normalized trade; amount is units × price for buys and sells
+     */
+    createTrade(trade) {
+        const type = this.tradeTypes[trade.type] ? trade.type : 'buy';
+        const units = Math.abs(parseFloat(trade.units) || 0);
+        const price = Math.abs(parseFloat(trade.price) || 0);
+        const amount = type === 'dividend' ? Math.abs(parseFloat(trade.amount) || 0) : units * price;
+        
+        if (type === 'dividend' ? amount === 0 : units === 0) {
+            throw new Error(type === 'dividend' ? 'Enter the dividend amount' : 'Enter how many units');
+        }
+        
+        return {
+            id: trade.id || window.SecurityManager.generateUUID(),
+            holdingId: trade.holdingId,
+            type,
+            units: type === 'dividend' ? 0 : units,
+            price: type === 'dividend' ? 0 : price,
+            amount,
+            fees: Math.abs(parseFloat(trade.fees) || 0),
+            date: trade.date || window.recurringManager.toDateKey(new Date()),
+            note: (trade.note || '').trim(),
+            transactionId: trade.transactionId || null
+        };
+    }
+    
+    /**
+     * Build a price snapshot
+     * The ID is derived from holding and date, so one price per day wins on every device
+     * @param {Object} snapshot - { holdingId, date, price }
+     * @returns {Object} Normalized snapshot
+     */
+    createPrice(snapshot) {
+        const price = Math.abs(parseFloat(snapshot.price) || 0);
+        if (price === 0) {
+            throw new Error('Enter a price');
+        }
+        
+        const date = snapshot.date || window.recurringManager.toDateKey(new Date());
+        return {
+            id: `${snapshot.holdingId}:${date}`,
+            holdingId: snapshot.holdingId,
+            date,
+            price
+        };
+    }
+    
+    /**
+     * Load holdings, trades and prices
+     * @returns {Object} { holdings, trades, prices }
+     */
+    async loadInvestments() {
+        const [holdings, trades, prices] = await Promise.all([
+            window.dbManager.getAll(this.storeName),
+            window.dbManager.getAll(this.tradeStore),
+            window.dbManager.getAll(this.priceStore)
+        ]);
+        const live = (records) => records.filter(record => !record.deleted);
+        
+        return { holdings: live(holdings), trades: live(trades), prices: live(prices) };
+    }
+    
+    /**
+     * Get a holding's trades, oldest first
+     * @param {string} holdingId - Holding ID
+     * @param {Array} trades - All trades
+     * @returns {Array} Trades for the holding
+     */
+    getTrades(holdingId, trades) {
+        return trades
+            .filter(trade => trade.holdingId === holdingId && !trade.deleted)
+            .sort((a, b) => {
+                const byDate = String(a.date).localeCompare(String(b.date));
+                return byDate !== 0 ? byDate : String(a.createdAt).localeCompare(String(b.createdAt));
+            });
+    }
+    
+    /**
+     * Get a holding's price snapshots, newest first
+     * @param {string} holdingId - Holding ID
+     * @param {Array} prices - All snapshots
+     * @returns {Array} Snapshots for the holding
+     */
+    getPrices(holdingId, prices) {
+        return prices
+            .filter(snapshot => snapshot.holdingId === holdingId && !snapshot.deleted)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+    
+    /**
+     * Work out a holding's current position
+     * Units are valued at the newest snapshot or trade price, falling back to average cost
+     * @param {Object} holding - Holding
+     * @param {Array} trades - All trades
+     * @param {Array} prices - All snapshots
+     * @returns {Object} { units, costBasis, averageCost, price, priceDate, marketValue, unrealizedGain, unrealizedPercent, realizedGain, dividends }
+     */
+    getPosition(holding, trades, prices) {
+        let units = holding.units || 0;
+        let costBasis = holding.costBasis || 0;
+        let realizedGain = 0;
+        let dividends = 0;
+        let lastTrade = null;
+        
+        this.getTrades(holding.id, trades).forEach(trade => {
+            switch (trade.type) {
+                case 'buy':
+                    units += trade.units;
+                    costBasis += trade.amount + trade.fees;
+                    lastTrade = trade;
+                    break;
+                
+                case 'sell': {
+                    const sold = Math.min(trade.units, units);
+                    const soldCost = units > 0 ? (costBasis / units) * sold : 0;
+                    realizedGain += sold * trade.price - trade.fees - soldCost;
+                    costBasis -= soldCost;
+                    units -= sold;
+                    lastTrade = trade;
+                    break;
+                }
+                
+                case 'dividend':
+                    dividends += trade.amount - trade.fees;
+                    break;
+            }
+        });
+        
+        const averageCost = units > 0 ? costBasis / units : 0;
+        // A buy or sell after the latest snapshot is the more recent price
+        const latest = this.getPrices(holding.id, prices)[0];
+        const snapshot = lastTrade && (!latest || lastTrade.date > latest.date) ? lastTrade : latest;
+        const price = snapshot?.price ?? averageCost;
+        const marketValue = units * price;
+        const unrealizedGain = marketValue - costBasis;
+        
+        return {
+            units,
+            costBasis,
+            averageCost,
+            price,
+            priceDate: snapshot?.date || null,
+            marketValue,
+            unrealizedGain,
+            unrealizedPercent: costBasis > 0 ? (unrealizedGain / costBasis) * 100 : 0,
+            realizedGain,
+            dividends
+        };
+    }
+    
+    /**
+     * Check a trade against the holding before it's saved
+     * Trades are replayed in date order with this one in place, so no sell (this one or a later one)
+     * sells more units than were held on its date
+     * @param {Object} holding - Holding
+     * @param {Array} trades - All trades
+     * @param {Object} trade - Normalized trade
+     */
+    validateTrade(holding, trades, trade) {
+        const name = holding.symbol || holding.name;
+        let units = holding.units || 0;
+        
+        this.getTrades(holding.id, [...trades.filter(t => t.id !== trade.id), trade]).forEach(t => {
+            if (t.type === 'buy') {
+                units += t.units;
+            } else if (t.type === 'sell') {
+                if (t.units > units + 1e-9) {
+                    const held = parseFloat(units.toFixed(8));
+                    throw new Error(t.id === trade.id
+                        ? `Only ${held} units of ${name} were held on ${t.date}`
+                        : `The sale of ${name} on ${t.date} would then sell more units than were held`);
+                }
+                units -= t.units;
+            }
+        });
+    }
+    
+    /**
+     * Sum positions across the portfolio
+     * @param {Array} holdings - Holdings
+     * @param {Array} trades - All trades
+     * @param {Array} prices - All snapshots
+     * @returns {Object} { positions: { [holdingId]: position }, totals, byAssetClass: { [class]: marketValue } }
+     */
+    getPortfolio(holdings, trades, prices) {
+        const positions = {};
+        const byAssetClass = {};
+        const totals = { marketValue: 0, costBasis: 0, unrealizedGain: 0, realizedGain: 0, dividends: 0 };
+        
+        holdings.filter(holding => !holding.deleted).forEach(holding => {
+            const position = this.getPosition(holding, trades, prices);
+            positions[holding.id] = position;
+            byAssetClass[holding.assetClass] = (byAssetClass[holding.assetClass] || 0) + position.marketValue;
+            
+            Object.keys(totals).forEach(key => {
+                totals[key] += position[key];
+            });
+        });
+        
+        return { positions, totals, byAssetClass };
+    }
+    
+    /**
+     * Build the ledger income for a dividend paid into the holding's account
+     * @param {Object} holding - Holding
+     * @param {Object} trade - Dividend trade
+     * @returns {Object|null} Transaction, or null when the holding has no account
+     */
+    planDividendIncome(holding, trade) {
+        if (trade.type !== 'dividend' || !holding.accountId) return null;
+        
+        return {
+            id: `dividend_${trade.id}`,
+            type: 'income',
+            amount: trade.amount - trade.fees,
+            description: `Dividend: ${holding.symbol || holding.name}`,
+            category: this.dividendCategory,
+            accountId: holding.accountId,
+            date: trade.date,
+            investmentId: holding.id,
+            tags: []
+        };
+    }
+    
+    /**
+     * Build the deletion markers for a holding, its trades and prices
+     * @param {Object} holding - Holding being deleted
+     * @param {Array} trades - All trades
+     * @param {Array} prices - All snapshots
+     * @returns {Object} { holding, trades, prices } tombstones
+     */
+    planDelete(holding, trades, prices) {
+        const deletedAt = new Date().toISOString();
+        const tombstone = (record) => ({ id: record.id, deleted: true, deletedAt });
+        
+        return {
+            holding: tombstone(holding),
+            trades: this.getTrades(holding.id, trades).map(tombstone),
+            prices: this.getPrices(holding.id, prices).map(tombstone)
+        };
+    }
+}
+
+// Initialize global investment manager
+window.investmentManager = new InvestmentManager();
+
+// Export for use in other modules
+window.InvestmentManager = InvestmentManager;
@@ -0,0 +1,295 @@
+/**
+ * Invite Manager
+ * Invite codes an admin shares so a new member can find the family's synced data and open the family key with their PIN
+ * Each invite is also a settings record (invite:<id>), so revoking it on one device reaches the rest through sync
+ * The family key is sealed per invite, under a secret only its code carries, and published beside the synced data
+ * while the invite is active; a revoked or expired invite is left out of the next upload, so its code opens nothing
+ */
+
+class InviteManager {
+    constructor() {
+        this.invitePrefix = 'invite:';
+        this.familySettingId = 'family';
+        this.tokenPrefix = 'FFH1';
+        this.expiryDays = 7;
+        this.linkParam = 'invite';
+    }
+    
+    /**
+     * Build the family record that joining devices check their key against
+     * @param {Object} family - { name, encryptionKey }
+     * @returns {Object} { id, name, keyCheck }
+     */
+    createFamilyRecord({ name, encryptionKey }) {
+        return {
+            id: this.familySettingId,
+            name: (name || '').trim() || 'Our Family',
+            keyCheck: window.SecurityManager.createKeyCheck(encryptionKey)
+        };
+    }
+    
+    /**
+     * Build an invite
+     * @param {Object} familyConfig - Family config of the admin creating it, with memberCode and keys
+     * @param {Date} asOf - When it's created
+     * @returns {Promise<Object>} { invite, secret } where secret goes in the invite code and never in the record
+     */
+    async createInvite(familyConfig, asOf = new Date()) {
+        const inviteId = window.SecurityManager.generateRandomString(12);
+        const secret = window.SecurityManager.generateRandomKey();
+        const expiresAt = new Date(asOf.getTime() + this.expiryDays * 24 * 60 * 60 * 1000);
+        
+        const invite = {
+            id: `${this.invitePrefix}${inviteId}`,
+            inviteId,
+            createdBy: familyConfig.memberCode,
+            createdAt: asOf.toISOString(),
+            expiresAt: expiresAt.toISOString(),
+            revokedAt: null,
+            revokedBy: null,
+            sealedKey: await this.sealFamilyKey(inviteId, secret, familyConfig)
+        };
+        
+        return { invite, secret };
+    }
+    
+    /**
+     * Get the key an invite's copy of the family key is sealed with
+     * Needs both the secret from the invite code and the key derived from the PIN
+     * @param {string} secret - Secret from the invite code
+     * @param {string} joinKey - Key derived from the family code and PIN
+     * @returns {string} 256-bit key as hex
+     */
+    getInviteKey(secret, joinKey) {
+        return CryptoJS.HmacSHA256(secret, joinKey).toString();
+    }
+    
+    /**
+     * Seal the family key for one invite
+     * @param {string} inviteId - Invite ID, which the seal is bound to
+     * @param {string} secret - Secret from the invite code
+     * @param {Object} familyConfig - Family config with the family and join keys
+     * @returns {Promise<Object>} { keyId, kdf, nonce, ciphertext, tag } where kdf says how to derive the join key
+     */
+    async sealFamilyKey(inviteId, secret, familyConfig) {
+        const keyId = window.keyManager.getKeyId(familyConfig);
+        const sealed = await window.SecurityManager.encryptAead(
+            { encryptionKey: familyConfig.encryptionKey, keyId },
+            this.getInviteKey(secret, window.keyManager.getJoinKey(familyConfig)),
+            inviteId
+        );
+        
+        return { keyId, kdf: window.keyManager.getJoinKdf(familyConfig), ...sealed };
+    }
+    
+    /**
+     * Collect the sealed family keys to publish beside the synced data
+     * @param {Array} settings - Settings records
+     * @param {string} keyId - Current family key ID; invites sealed before a rotation are left out
+     * @param {Date} asOf - Now
+     * @returns {Object} Sealed keys of active invites, by invite ID
+     */
+    getJoinKeys(settings, keyId, asOf = new Date()) {
+        return Object.fromEntries(this.getInvites(settings)
+            .filter(invite => invite.sealedKey?.keyId === keyId && this.getStatus(invite, asOf) === 'active')
+            .map(invite => [invite.inviteId, invite.sealedKey]));
+    }
+    
+    /**
+     * Pick the invites out of the settings records
+     * @param {Array} settings - Settings records
+     * @returns {Array} Invites, newest first
+     */
+    getInvites(settings) {
+        return settings
+            .filter(record => String(record.id).startsWith(this.invitePrefix) && !record.deleted)
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+    
+    /**
+     * Load the family record and invites
+     * @returns {Object} { family, invites } where family is null until an admin has published one
+     */
+    async loadInvites() {
+        const settings = await window.dbManager.getAll('settings');
+        const family = settings.find(record => record.id === this.familySettingId && !record.deleted) || null;
+        
+        return { family, invites: this.getInvites(settings) };
+    }
+    
+    /**
+     * Get an invite's status
+     * @param {Object} invite - Invite record
+     * @param {Date} asOf - Now
+     * @returns {string} 'active', 'expired' or 'revoked'
+     */
+    getStatus(invite, asOf = new Date()) {
+        if (invite.revokedAt) return 'revoked';
+        return new Date(invite.expiresAt) <= asOf ? 'expired' : 'active';
+    }
+    
+    /**
+     * Revoke an invite
+     * @param {Object} invite - Invite record
+     * @param {string} memberCode - Admin revoking it
+     * @returns {Object} Updated invite
+     */
+    planRevoke(invite, memberCode) {
+        if (invite.revokedAt) {
+            throw new Error('That invite is already revoked');
+        }
+        
+        return { ...invite, sealedKey: null, revokedAt: new Date().toISOString(), revokedBy: memberCode };
+    }
+    
+    /**
+     * Encode an invite as a code to share
+     * Carries where the family syncs and the invite's secret, never the PIN or anything that checks it
+     * @param {Object} invite - Invite record
+     * @param {string} secret - Secret from createInvite
+     * @param {Object} familyConfig - Family config with familyCode and gistId
+     * @param {Object} family - Family record
+     * @returns {string} Invite code
+     */
+    encodeToken(invite, secret, familyConfig, family) {
+        const payload = {
+            i: invite.inviteId,
+            f: familyConfig.familyCode,
+            n: family.name,
+            g: familyConfig.gistId,
+            s: secret,
+            e: invite.expiresAt
+        };
+        const encoded = CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(JSON.stringify(payload)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+        
+        return `${this.tokenPrefix}.${encoded}`;
+    }
+    
+    /**
+     * Build a link that opens the join screen with the code filled in
+     * @param {string} token - Invite code
+     * @returns {string} URL
+     */
+    getLink(token) {
+        return `${location.origin}${location.pathname}?${this.linkParam}=${encodeURIComponent(token)}`;
+    }
+    
+    /**
+     * Read an invite code, or a link containing one
+     * @param {string} text - Pasted code or link
+     * @returns {Object} { inviteId, familyCode, familyName, gistId, secret, expiresAt }
+     */
+    parseToken(text) {
+        const trimmed = String(text || '').trim();
+        const fromLink = trimmed.match(new RegExp(`[?&]${this.linkParam}=([^&#\\s]+)`));
+        const token = fromLink ? decodeURIComponent(fromLink[1]) : trimmed;
+        const [prefix, encoded] = token.split('.');
+        
+        let payload = null;
+        if (prefix === this.tokenPrefix && encoded) {
+            try {
+                const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+                payload = JSON.parse(CryptoJS.enc.Base64.parse(base64).toString(CryptoJS.enc.Utf8));
+            } catch (error) {
+                payload = null;
+            }
+        }
+        
+        if (!payload || !payload.i || !payload.f || !payload.g || !payload.s) {
+            throw new Error("That isn't a valid invite code");
+        }
+        if (new Date(payload.e) <= new Date()) {
+            throw new Error('That invite has expired; ask for a new one');
+        }
+        
+        return {
+            inviteId: payload.i,
+            familyCode: payload.f,
+            familyName: payload.n,
+            gistId: payload.g,
+            secret: payload.s,
+            expiresAt: payload.e
+        };
+    }
+    
+    /**
+     * Open the family key with a PIN and an invite, then check it against the family's synced data
+     * @param {Object} invite - Parsed invite code
+     * @param {string} pin - Family PIN
+     * @returns {Promise<Object>} { encryptionKey, joinKey, joinKdf, keyId, familyName, settings } where settings holds the family, roster and invites to store
+     */
+    async verifyJoin(invite, pin) {
+        let synced;
+        try {
+            synced = await window.enhancedSyncManager.fetchRemote(invite.gistId);
+        } catch (error) {
+            throw new Error("Couldn't reach the family's data; check your connection and try again");
+        }
+        
+        // Only active invites are published, so a revoked or expired code stops here before the PIN is tried
+        const sealedKey = synced?.joinKeys?.[invite.inviteId];
+        if (!sealedKey) {
+            throw new Error("This invite was revoked, has expired or hasn't synced yet; ask for a new one");
+        }
+        
+        let joinKey;
+        try {
+            joinKey = await window.SecurityManager.deriveKey(invite.familyCode, pin, sealedKey.kdf);
+        } catch (error) {
+            throw new Error('This invite needs a newer version of the app');
+        }
+        const opened = await window.SecurityManager.decryptAead(
+            sealedKey,
+            this.getInviteKey(invite.secret, joinKey),
+            invite.inviteId
+        );
+        if (!opened) {
+            throw new Error("That PIN doesn't match this family");
+        }
+        
+        const { encryptionKey, keyId } = opened;
+        const remote = await window.enhancedSyncManager.readRemote(synced, {
+            familyCode: invite.familyCode,
+            encryptionKey,
+            keyId
+        });
+        if (!remote) {
+            throw new Error("Couldn't open the family's data; ask for a new invite");
+        }
+        
+        const settings = (remote.settings || []).filter(record => !record.deleted);
+        const family = settings.find(record => record.id === this.familySettingId);
+        if (!family || family.keyCheck !== window.SecurityManager.createKeyCheck(encryptionKey)) {
+            throw new Error('This invite is out of date; ask for a new one');
+        }
+        
+        const record = settings.find(item => item.id === `${this.invitePrefix}${invite.inviteId}`);
+        if (!record) {
+            throw new Error("This invite hasn't synced yet; ask whoever sent it to tap Sync Now");
+        }
+        if (this.getStatus(record) !== 'active') {
+            throw new Error(`${record.revokedAt ? 'This invite was revoked' : 'This invite has expired'}; ask for a new one`);
+        }
+        
+        return {
+            encryptionKey,
+            joinKey,
+            joinKdf: sealedKey.kdf,
+            keyId,
+            familyName: family.name,
+            settings: settings.filter(item =>
+                item.id === this.familySettingId ||
+                String(item.id).startsWith(this.invitePrefix) ||
+                String(item.id).startsWith(window.permissionManager.memberPrefix))
+        };
+    }
+}
+
+// Initialize global invite manager
+window.inviteManager = new InviteManager();
+
+// Export for use in other modules
+window.InviteManager = InviteManager;
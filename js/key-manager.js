@@ -0,0 +1,160 @@
+/**
+ * Key Manager
+ * The family key that synced data and notes are encrypted with, and handing out a new one when a member is removed
+ * New families get a random family key from the start; the PIN only derives the join key that invites are sealed under
+ * Each device has its own key pair; a new family key is sealed to every remaining member's public key and
+ * published as a keyring beside the synced data, so a removed device has nothing it can open
+ */
+
+class KeyManager {
+    constructor() {
+        // Families set up before random family keys, that have never rotated, use the key derived from the PIN
+        this.pinKeyId = 'pin';
+    }
+    
+    /**
+     * Get the ID of the family key a config holds
+     * @param {Object} familyConfig - Family config
+     * @returns {string} Key ID
+     */
+    getKeyId(familyConfig) {
+        return familyConfig.keyId || this.pinKeyId;
+    }
+    
+    /**
+     * Describe how a family key is derived, for the header of encrypted sync data
+     * @param {string} keyId - Key ID
+     * @returns {Object} KDF parameters; other keys are random and handed out in invites and keyrings instead
+     */
+    getKdf(keyId) {
+        return keyId === this.pinKeyId
+            ? window.SecurityManager.getFamilyKeyKdf()
+            : { name: 'random', keyBits: 256, distributedIn: 'invite-or-keyring' };
+    }
+    
+    /**
+     * Get the key derived from the family code and PIN
+     * Invites seal the family key under it, so it outlives rotations of the family key
+     * Families set up before it was saved on its own only have it as their family key, until that is first rotated
+     * @param {Object} familyConfig - Family config
+     * @returns {string|null} PIN-derived key, or null when this device doesn't have it
+     */
+    getJoinKey(familyConfig) {
+        if (familyConfig.joinKey) return familyConfig.joinKey;
+        
+        return this.getKeyId(familyConfig) === this.pinKeyId ? familyConfig.encryptionKey || null : null;
+    }
+    
+    /**
+     * Describe how a config's join key was derived, for joining devices to derive it again
+     * @param {Object} familyConfig - Family config
+     * @returns {Object} KDF parameters; families from before joinKdf was stored used the original PIN derivation
+     */
+    getJoinKdf(familyConfig) {
+        return familyConfig.joinKdf || window.SecurityManager.getFamilyKeyKdf();
+    }
+    
+    /**
+     * Set up the keys for a new family
+     * @param {string} familyCode - Family code
+     * @param {string} pin - Family PIN
+     * @returns {Promise<Object>} { encryptionKey, keyId, joinKey, joinKdf }
+     */
+    async createFamilyKeys(familyCode, pin) {
+        const joinKdf = window.SecurityManager.getJoinKeyKdf();
+        
+        return {
+            ...this.createFamilyKey(),
+            joinKey: await window.SecurityManager.deriveKey(familyCode, pin, joinKdf),
+            joinKdf
+        };
+    }
+    
+    /**
+     * Create this device's key pair
+     * @returns {Promise<Object|null>} { publicKey, privateKey } as JWKs, or null where Web Crypto isn't available (pages not served over HTTPS)
+     */
+    async createKeyPair() {
+        try {
+            return await window.SecurityManager.generateKeyPair();
+        } catch (error) {
+            console.error('Failed to create device key pair:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Create a new family key
+     * @returns {Object} { encryptionKey, keyId }
+     */
+    createFamilyKey() {
+        return {
+            encryptionKey: window.SecurityManager.generateRandomKey(),
+            keyId: window.SecurityManager.generateRandomString(8)
+        };
+    }
+    
+    /**
+     * Seal a family key to each member
+     * @param {Object} familyKey - { encryptionKey, keyId }
+     * @param {Array} members - Members who should get it
+     * @param {string} memberCode - Admin rotating the key
+     * @returns {Promise<Object>} { keyring, missing } where missing are members with no public key yet
+     */
+    async createKeyring({ encryptionKey, keyId }, members, memberCode) {
+        const sealed = {};
+        const missing = [];
+        
+        for (const member of members) {
+            if (member.publicKey) {
+                sealed[member.code] = await window.SecurityManager.sealKey(encryptionKey, member.publicKey);
+            } else {
+                missing.push(member);
+            }
+        }
+        
+        return {
+            keyring: {
+                keyId,
+                keyCheck: window.SecurityManager.createKeyCheck(encryptionKey),
+                createdBy: memberCode,
+                createdAt: new Date().toISOString(),
+                sealed
+            },
+            missing
+        };
+    }
+    
+    /**
+     * Open this device's copy of the family key from a keyring
+     * @param {Object} keyring - Keyring
+     * @param {string} memberCode - This device's member
+     * @param {Object} privateKey - This device's private key
+     * @returns {Promise<string|null>} Family key, or null when none was sealed for this member
+     */
+    async openKeyring(keyring, memberCode, privateKey) {
+        const sealed = keyring?.sealed?.[memberCode];
+        if (!sealed || !privateKey) return null;
+        
+        const encryptionKey = await window.SecurityManager.openKey(sealed, privateKey);
+        return encryptionKey && window.SecurityManager.createKeyCheck(encryptionKey) === keyring.keyCheck
+            ? encryptionKey
+            : null;
+    }
+    
+    /**
+     * Check whether a keyring is newer than the one a device has
+     * @param {Object} keyring - Keyring seen in synced data
+     * @param {Object|null} current - Keyring this device has
+     * @returns {boolean} True when it should be taken
+     */
+    isNewer(keyring, current) {
+        return !!keyring && (!current || String(keyring.createdAt) > String(current.createdAt));
+    }
+}
+
+// Initialize global key manager
+window.keyManager = new KeyManager();
+
+// Export for use in other modules
+window.KeyManager = KeyManager;
@@ -0,0 +1,184 @@
+/**
+ * Ledger Aggregates
+ * Running monthly totals and account balances kept up to date as transactions change
+ * Built with one streaming pass on load, then adjusted per change instead of rescanning
+ * Monthly totals are in the base currency and balances in each account's, so both are rebuilt when rates change
+ * Each account's share of the monthly totals is kept as well, so totals can leave out accounts a member can't see
+ */
+
+class LedgerAggregates {
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * Clear all totals
+     */
+    reset() {
+        this.months = {};
+        this.accountMonths = {};
+        this.accountTotals = {};
+        this.accountCounts = {};
+        this.count = 0;
+    }
+    
+    /**
+     * Get the month key for a transaction date
+     * @param {string} date - YYYY-MM-DD (or ISO timestamp)
+     * @returns {string} YYYY-MM
+     */
+    getMonthKey(date) {
+        return String(date || '').slice(0, 7);
+    }
+    
+    /**
+     * Get (creating if needed) the totals for a month
+     * @param {string} monthKey - YYYY-MM
+     * @param {string|null} accountId - Account to get the share of, or null for the whole family
+     * @returns {Object} Month totals
+     */
+    getMonthBucket(monthKey, accountId = null) {
+        if (accountId && !this.accountMonths[accountId]) {
+            this.accountMonths[accountId] = {};
+        }
+        
+        const months = accountId ? this.accountMonths[accountId] : this.months;
+        if (!months[monthKey]) {
+            months[monthKey] = { income: 0, expenses: 0, categories: {}, members: {} };
+        }
+        return months[monthKey];
+    }
+    
+    /**
+     * Add or remove one transaction from the totals
+     * @param {Object} transaction - Transaction
+     * @param {number} sign - 1 to add, -1 to remove
+     */
+    apply(transaction, sign = 1) {
+        if (!transaction || transaction.deleted || !transaction.date) return;
+        
+        this.count += sign;
+        
+        const currencies = window.currencyManager;
+        const currency = currencies.getTransactionCurrency(transaction);
+        
+        if (transaction.accountId) {
+            const accountId = transaction.accountId;
+            const signed = currencies.convert(
+                window.accountManager.getSignedAmount(transaction),
+                currency,
+                currencies.accountCurrencies[accountId] || currencies.baseCurrency,
+                transaction.date
+            );
+            this.accountTotals[accountId] = (this.accountTotals[accountId] || 0) + sign * signed;
+            this.accountCounts[accountId] = (this.accountCounts[accountId] || 0) + sign;
+        }
+        
+        if (transaction.type !== 'income' && transaction.type !== 'expense') return;
+        
+        const monthKey = this.getMonthKey(transaction.date);
+        const buckets = [this.getMonthBucket(monthKey)];
+        if (transaction.accountId) {
+            buckets.push(this.getMonthBucket(monthKey, transaction.accountId));
+        }
+        const toBase = (amount) => sign * currencies.toBase(amount || 0, currency, transaction.date);
+        
+        if (transaction.type === 'income') {
+            buckets.forEach(month => {
+                month.income += toBase(transaction.amount);
+            });
+            return;
+        }
+        
+        // Split transactions count each line towards its own category and member
+        const allocations = window.splitManager.getAllocations(transaction);
+        buckets.forEach(month => {
+            month.expenses += toBase(transaction.amount);
+            
+            allocations.forEach(allocation => {
+                if (allocation.category) {
+                    month.categories[allocation.category] = (month.categories[allocation.category] || 0) + toBase(allocation.amount);
+                }
+                if (allocation.familyMember) {
+                    month.members[allocation.familyMember] = (month.members[allocation.familyMember] || 0) + toBase(allocation.amount);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Swap old versions of transactions for new ones
+     * @param {Array} removed - Transactions as they were (or [] for new ones)
+     * @param {Array} added - Transactions as they are now (or [] for deletions)
+     */
+    replace(removed, added) {
+        removed.forEach(transaction => this.apply(transaction, -1));
+        added.forEach(transaction => this.apply(transaction, 1));
+    }
+    
+    /**
+     * Rebuild every total from the transactions store
+     */
+    async rebuild() {
+        this.reset();
+        await window.dbManager.forEach('transactions', transaction => this.apply(transaction, 1));
+    }
+    
+    /**
+     * Get totals for a month, dropping categories and members that net to zero
+     * @param {string} monthKey - YYYY-MM
+     * @param {Array} hiddenAccountIds - Accounts whose entries are left out
+     * @returns {Object} { income, expenses, categoryBreakdown, memberBreakdown }
+     */
+    getMonth(monthKey, hiddenAccountIds = []) {
+        const month = this.months[monthKey] || { income: 0, expenses: 0, categories: {}, members: {} };
+        const hidden = hiddenAccountIds.map(id => this.accountMonths[id]?.[monthKey]).filter(Boolean);
+        const without = (key) => {
+            const totals = { ...month[key] };
+            hidden.forEach(bucket => Object.entries(bucket[key]).forEach(([id, amount]) => {
+                totals[id] = (totals[id] || 0) - amount;
+            }));
+            return totals;
+        };
+        const nonZero = (totals) => Object.fromEntries(
+            Object.entries(totals).filter(([, amount]) => Math.abs(amount) > 0.005)
+        );
+        
+        return {
+            income: hidden.reduce((sum, bucket) => sum - bucket.income, month.income),
+            expenses: hidden.reduce((sum, bucket) => sum - bucket.expenses, month.expenses),
+            categoryBreakdown: nonZero(without('categories')),
+            memberBreakdown: nonZero(without('members'))
+        };
+    }
+    
+    /**
+     * Get current balances for accounts
+     * @param {Array} accounts - Accounts
+     * @returns {Object} Map of account ID to balance, in the account's currency
+     */
+    getAccountBalances(accounts) {
+        const balances = {};
+        
+        accounts.forEach(account => {
+            balances[account.id] = (account.openingBalance || 0) + (this.accountTotals[account.id] || 0);
+        });
+        
+        return balances;
+    }
+    
+    /**
+     * Check whether an account has any ledger entries
+     * @param {string} accountId - Account ID
+     * @returns {boolean} True if transactions reference the account
+     */
+    hasEntries(accountId) {
+        return (this.accountCounts[accountId] || 0) > 0;
+    }
+}
+
+// Initialize global ledger aggregates
+window.ledgerAggregates = new LedgerAggregates();
+
+// Export for use in other modules
+window.LedgerAggregates = LedgerAggregates;
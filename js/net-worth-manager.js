@@ -0,0 +1,144 @@
+/**
+ * Net Worth Manager
+ * Splits what the family owns and owes into assets and liabilities, and keeps one snapshot per month
+ * Snapshot IDs are the month, so every device writes to the same record and history merges cleanly
+ */
+
+class NetWorthManager {
+    constructor() {
+        this.storeName = 'netWorthSnapshots';
+        this.trendMonths = 12;
+    }
+    
+    /**
+     * Work out assets and liabilities as of now
+     * Savings goals only count when they aren't held in an account, since the account balance already includes them
+     * Account balances are converted from the account's currency into the base currency at today's rate
+     * @param {Object} sources - { accounts, accountBalances, savingsGoals, holdings, portfolio }
+     * @returns {Object} { assets, liabilities, totalAssets, totalLiabilities, netWorth } where liabilities are positive amounts owed
+     */
+    getBreakdown({ accounts, accountBalances, savingsGoals = [], holdings = [], portfolio = null }) {
+        const assets = [];
+        const liabilities = [];
+        
+        accounts.filter(account => !account.archived && !account.deleted).forEach(account => {
+            const balance = window.currencyManager.toBase(
+                accountBalances[account.id] || 0,
+                window.currencyManager.getAccountCurrency(account)
+            );
+            const item = {
+                id: account.id,
+                kind: 'account',
+                name: account.name,
+                icon: window.accountManager.accountTypes[account.type]?.icon
+            };
+            
+            if (window.accountManager.isLiability(account)) {
+                liabilities.push({ ...item, amount: -balance });
+            } else {
+                assets.push({ ...item, amount: balance });
+            }
+        });
+        
+        savingsGoals.filter(goal => !goal.accountId && goal.current > 0).forEach(goal => {
+            assets.push({ id: goal.id, kind: 'savings', name: goal.name, icon: '🎯', amount: goal.current });
+        });
+        
+        holdings.forEach(holding => {
+            const position = portfolio?.positions[holding.id];
+            if (!position || position.marketValue === 0) return;
+            
+            assets.push({
+                id: holding.id,
+                kind: 'investment',
+                name: holding.symbol || holding.name,
+                icon: window.investmentManager.assetClasses[holding.assetClass]?.icon,
+                amount: position.marketValue
+            });
+        });
+        
+        const byAmount = (a, b) => b.amount - a.amount;
+        const totalAssets = assets.reduce((sum, item) => sum + item.amount, 0);
+        const totalLiabilities = liabilities.reduce((sum, item) => sum + item.amount, 0);
+        
+        return {
+            assets: assets.sort(byAmount),
+            liabilities: liabilities.sort(byAmount),
+            totalAssets,
+            totalLiabilities,
+            netWorth: totalAssets - totalLiabilities
+        };
+    }
+    
+    /**
+     * Build this month's snapshot from a breakdown
+     * @param {Object} breakdown - From getBreakdown
+     * @param {Date} asOf - When the snapshot is taken
+     * @returns {Object} { id, month, date, totalAssets, totalLiabilities, netWorth }
+     */
+    createSnapshot(breakdown, asOf = new Date()) {
+        const month = window.budgetManager.getPeriodKey(asOf);
+        const round = (amount) => Math.round(amount * 100) / 100;
+        
+        return {
+            id: month,
+            month,
+            date: window.recurringManager.toDateKey(asOf),
+            totalAssets: round(breakdown.totalAssets),
+            totalLiabilities: round(breakdown.totalLiabilities),
+            netWorth: round(breakdown.netWorth)
+        };
+    }
+    
+    /**
+     * Check whether a snapshot differs from the one already stored
+     * @param {Object|undefined} previous - Stored snapshot for the month
+     * @param {Object} snapshot - New snapshot
+     * @returns {boolean} True when the totals moved
+     */
+    hasChanged(previous, snapshot) {
+        return !previous ||
+            previous.totalAssets !== snapshot.totalAssets ||
+            previous.totalLiabilities !== snapshot.totalLiabilities;
+    }
+    
+    /**
+     * Load snapshots
+     * @returns {Array} Snapshots, oldest month first
+     */
+    async loadSnapshots() {
+        const snapshots = await window.dbManager.getAll(this.storeName);
+        return this.sort(snapshots.filter(snapshot => !snapshot.deleted));
+    }
+    
+    /**
+     * Sort snapshots by month
+     * @param {Array} snapshots - Snapshots
+     * @returns {Array} Sorted copy, oldest first
+     */
+    sort(snapshots) {
+        return [...snapshots].sort((a, b) => a.month.localeCompare(b.month));
+    }
+    
+    /**
+     * Get the snapshots to chart
+     * @param {Array} snapshots - Snapshots
+     * @param {number} months - Most recent months to include
+     * @returns {Array} { month, label, assets, liabilities, netWorth }, oldest first
+     */
+    getTrend(snapshots, months = this.trendMonths) {
+        return this.sort(snapshots).slice(-months).map(snapshot => ({
+            month: snapshot.month,
+            label: new Date(`${snapshot.month}-01T00:00`).toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+            assets: snapshot.totalAssets,
+            liabilities: snapshot.totalLiabilities,
+            netWorth: snapshot.netWorth
+        }));
+    }
+}
+
+// Initialize global net worth manager
+window.netWorthManager = new NetWorthManager();
+
+// Export for use in other modules
+window.NetWorthManager = NetWorthManager;
@@ -0,0 +1,132 @@
+/**
+ * Notes Manager
+ * Shared family notes for financial paperwork, with pinning, tags and links to transactions or bills
+ * Notes are encrypted with the family key before they are stored, so they also sync encrypted
+ */
+
+class NotesManager {
+    constructor() {
+        this.storeName = 'sharedNotes';
+        this.linkTypes = {
+            transaction: { label: 'Transaction', icon: '💸' },
+            bill: { label: 'Bill', icon: '🧾' }
+        };
+    }
+    
+    /**
+     * Turn "Insurance, car ,insurance" into ['insurance', 'car']
+     * @param {string|Array} tags - Comma-separated tags or a list
+     * @returns {Array} Unique lowercase tags
+     */
+    parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+    
+    /**
+     * Build a note with defaults filled in
+     * @param {Object} note - Note fields
+     * @returns {Object} Normalized note
+     */
+    createNote(note) {
+        const title = (note.title || '').trim();
+        const body = (note.body || '').trim();
+        if (!title && !body) {
+            throw new Error('Write something in the note first');
+        }
+        
+        return {
+            id: note.id || window.SecurityManager.generateUUID(),
+            title: title || body.split('\n')[0].slice(0, 60),
+            body,
+            tags: this.parseTags(note.tags),
+            pinned: !!note.pinned,
+            // Each link keeps its label so it reads without loading what it points to
+            links: (note.links || [])
+                .filter(link => this.linkTypes[link.type] && link.id)
+                .map(({ type, id, label }) => ({ type, id, label: label || this.linkTypes[type].label })),
+            createdBy: note.createdBy || null,
+            updatedBy: note.updatedBy || null,
+            createdAt: note.createdAt
+        };
+    }
+    
+    /**
+     * Load and decrypt notes
+     * @param {string} encryptionKey - Family key
+     * @returns {Object} { notes, locked } where locked counts notes this key can't open
+     */
+    async loadNotes(encryptionKey) {
+        const records = await window.dbManager.getAll(this.storeName, encryptionKey);
+        const live = records.filter(record => !record.deleted);
+        
+        return {
+            notes: live.filter(record => !record.encrypted),
+            locked: live.filter(record => record.encrypted).length
+        };
+    }
+    
+    /**
+     * Encrypt and save a note
+     * @param {Object} note - Normalized note
+     * @param {string} encryptionKey - Family key
+     * @returns {Object} { note, sealed } where sealed is the encrypted record to sync
+     */
+    async saveNote(note, encryptionKey) {
+        if (!encryptionKey) {
+            throw new Error('Notes need the family key; sign in again to unlock them');
+        }
+        
+        await window.dbManager.save(this.storeName, note, encryptionKey);
+        
+        return {
+            note,
+            sealed: window.dbManager.encryptRecord(note, encryptionKey)
+        };
+    }
+    
+    /**
+     * Sort notes: pinned first, then most recently edited
+     * @param {Array} notes - Notes
+     * @returns {Array} Sorted copy
+     */
+    sort(notes) {
+        return [...notes].sort((a, b) =>
+            (b.pinned - a.pinned) || String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+    
+    /**
+     * Filter notes by text and tag
+     * @param {Array} notes - Notes
+     * @param {Object} filters - { text, tag }
+     * @returns {Array} Matching notes
+     */
+    filter(notes, { text = '', tag = '' } = {}) {
+        const needle = text.trim().toLowerCase();
+        
+        return notes.filter(note =>
+            (!tag || note.tags.includes(tag)) &&
+            (!needle || [note.title, note.body, ...note.tags, ...note.links.map(link => link.label)]
+                .some(value => String(value).toLowerCase().includes(needle))));
+    }
+    
+    /**
+     * Get every tag in use, most used first
+     * @param {Array} notes - Notes
+     * @returns {Array} Tags
+     */
+    getTags(notes) {
+        const counts = {};
+        notes.forEach(note => note.tags.forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        }));
+        
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+    }
+}
+
+// Initialize global notes manager
+window.notesManager = new NotesManager();
+
+// Export for use in other modules
+window.NotesManager = NotesManager;
@@ -80,7 +80,8 @@ class NotificationManager {
         }
         
         // Show browser notification if permitted and app is in background
-        if (this.permission === 'granted' && document.hidden) {
+        // (toast actions only work in-app, so those stay in-app)
+        if (this.permission === 'granted' && document.hidden && !options.actions) {
             this.showBrowserNotification(message, type, options);
         }
         
@@ -257,7 +258,9 @@ class NotificationManager {
      * @param {Object} options - Additional options
      */
     confirm(message, onConfirm, onCancel, options = {}) {
-        return this.add(message, 'confirm', 0, {
+        let notificationId;
+        
+        notificationId = this.add(message, 'confirm', 0, {
             ...options,
             actions: [
                 {
@@ -278,6 +281,33 @@ class NotificationManager {
                 }
             ]
         });
+        
+        return notificationId;
+    }
+    
+    /**
+     * Show a notification with a timed Undo action
+     * @param {string} message - Notification message
+     * @param {Function} onUndo - Called if Undo is pressed before the toast expires
+     * @param {number} duration - How long Undo stays available in milliseconds
+     */
+    undo(message, onUndo, duration = 8000) {
+        let notificationId;
+        
+        notificationId = this.add(message, 'success', duration, {
+            actions: [
+                {
+                    label: 'Undo',
+                    type: 'primary',
+                    onClick: () => {
+                        this.remove(notificationId);
+                        if (onUndo) onUndo();
+                    }
+                }
+            ]
+        });
+        
+        return notificationId;
     }
 }
 
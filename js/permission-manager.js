@@ -0,0 +1,312 @@
+/**
+ * Permission Manager
+ * Family member roles and what each role may change
+ * The roster is one settings record per member (member:<code>), so it syncs and a new member can add themselves
+ * Saved records carry the member who last wrote them, and sync merge checks that member's role before taking a remote change
+ */
+
+class PermissionManager {
+    constructor() {
+        this.memberPrefix = 'member:';
+        // New members start read-only until an admin gives them a role
+        this.joinRole = 'viewer';
+        this.permissions = {
+            addTransactions: { label: 'Add and edit own transactions' },
+            editAllTransactions: { label: "Edit other members' transactions" },
+            deleteTransactions: { label: 'Delete transactions' },
+            editBudgets: { label: 'Edit budgets' },
+            manageAccounts: { label: 'Manage accounts, bills, goals and investments' },
+            viewRestrictedAccounts: { label: 'See restricted accounts' },
+            changeSettings: { label: 'Change categories, rules and currencies' },
+            approveChores: { label: 'Set up and approve chores' },
+            contribute: { label: 'Use shopping lists, chores and notes' },
+            manageMembers: { label: 'Invite, remove and change the roles of members' }
+        };
+        this.roles = {
+            admin: {
+                label: 'Admin',
+                icon: '👑',
+                permissions: Object.keys(this.permissions)
+            },
+            adult: {
+                label: 'Adult',
+                icon: '🧑',
+                permissions: Object.keys(this.permissions).filter(permission => permission !== 'manageMembers')
+            },
+            teen: {
+                label: 'Teen',
+                icon: '🧑‍🎓',
+                permissions: ['addTransactions', 'contribute']
+            },
+            child: {
+                label: 'Child',
+                icon: '🧒',
+                permissions: ['contribute']
+            },
+            viewer: {
+                label: 'Viewer',
+                icon: '👀',
+                permissions: []
+            }
+        };
+        // What a remote change to each store needs; transactions, chores and settings have their own rules below
+        this.storePermissions = {
+            budgets: 'editBudgets',
+            accounts: 'manageAccounts',
+            billReminders: 'manageAccounts',
+            savingsGoals: 'manageAccounts',
+            goalContributions: 'manageAccounts',
+            recurringRules: 'manageAccounts',
+            investments: 'manageAccounts',
+            investmentTrades: 'manageAccounts',
+            investmentPrices: 'manageAccounts',
+            netWorthSnapshots: 'manageAccounts',
+            categories: 'changeSettings',
+            categoryRules: 'changeSettings',
+            fxRates: 'changeSettings',
+            shoppingLists: 'contribute',
+            shoppingItems: 'contribute',
+            sharedNotes: 'contribute'
+        };
+        // Family-wide settings records; anything else in settings (presets, import profiles) is personal
+        this.settingPermissions = {
+            budgetMode: 'editBudgets',
+            budgetAlerts: 'editBudgets',
+            currency: 'changeSettings',
+            family: 'manageMembers'
+        };
+        this.settingPrefixPermissions = {
+            'invite:': 'manageMembers'
+        };
+        // Marking a chore done or undone only touches these
+        this.completionFields = ['status', 'completedBy', 'completedAt'];
+    }
+    
+    /**
+     * Get a role, falling back to the join role for unknown ones
+     * @param {string} role - Role key
+     * @returns {Object} { label, icon, permissions }
+     */
+    getRole(role) {
+        return this.roles[role] || this.roles[this.joinRole];
+    }
+    
+    /**
+     * Check whether a role has a permission
+     * @param {string} role - Role key
+     * @param {string} permission - Permission key
+     * @returns {boolean} True when allowed
+     */
+    can(role, permission) {
+        return this.getRole(role).permissions.includes(permission);
+    }
+    
+    /**
+     * Explain why an action was refused
+     * @param {string} role - Role key
+     * @param {string} permission - Permission that was missing
+     * @returns {string} Message for the user
+     */
+    getDenial(role, permission) {
+        const label = this.permissions[permission]?.label || permission;
+        return `Your role (${this.getRole(role).label}) can't ${label.charAt(0).toLowerCase()}${label.slice(1)}; ask an admin`;
+    }
+    
+    /**
+     * Build a roster entry
+     * @param {Object} member - { code, name, role, joinedAt, publicKey }
+     * @returns {Object} Normalized member, keyed by member code
+     */
+    createMember(member) {
+        if (!member.code) {
+            throw new Error('Member code is required');
+        }
+        
+        return {
+            id: `${this.memberPrefix}${member.code}`,
+            code: member.code,
+            name: (member.name || '').trim() || 'Member',
+            role: this.roles[member.role] ? member.role : this.joinRole,
+            joinedAt: member.joinedAt || new Date().toISOString(),
+            publicKey: member.publicKey || null
+        };
+    }
+    
+    /**
+     * Pick the roster out of the settings records
+     * @param {Array} settings - Settings records
+     * @returns {Array} Live members, earliest to join first
+     */
+    getMembers(settings) {
+        return settings
+            .filter(record => String(record.id).startsWith(this.memberPrefix) && !record.deleted)
+            .sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+    }
+    
+    /**
+     * Load the roster
+     * @returns {Array} Members
+     */
+    async loadMembers() {
+        return this.getMembers(await window.dbManager.getAll('settings'));
+    }
+    
+    /**
+     * Save a roster entry
+     * @param {Object} member - Normalized member
+     * @returns {Object} Saved member
+     */
+    async saveMember(member) {
+        await window.dbManager.save('settings', member);
+        return member;
+    }
+    
+    /**
+     * Get a member's role
+     * @param {Array} members - Roster
+     * @param {string} memberCode - Member code
+     * @returns {string} Role key; members not on the roster yet have the join role
+     */
+    getMemberRole(members, memberCode) {
+        return members.find(member => member.code === memberCode)?.role || this.joinRole;
+    }
+    
+    /**
+     * Work out a member's new roster entry for a role change
+     * @param {Array} members - Roster
+     * @param {string} memberCode - Member being changed
+     * @param {string} role - New role
+     * @returns {Object} Updated member
+     */
+    planRoleChange(members, memberCode, role) {
+        const member = members.find(m => m.code === memberCode);
+        if (!member) {
+            throw new Error('That member has not synced yet');
+        }
+        if (!this.roles[role]) {
+            throw new Error(`${role} isn't a role`);
+        }
+        
+        const admins = members.filter(m => m.role === 'admin');
+        if (member.role === 'admin' && role !== 'admin' && admins.length === 1) {
+            throw new Error('The family needs at least one admin');
+        }
+        
+        return { ...member, role };
+    }
+    
+    /**
+     * Work out the tombstone for removing a member
+     * @param {Array} members - Roster
+     * @param {string} memberCode - Member being removed
+     * @param {string} removedBy - Admin removing them
+     * @returns {Object} Tombstone for the member's roster entry
+     */
+    planRemoval(members, memberCode, removedBy) {
+        const member = members.find(m => m.code === memberCode);
+        if (!member) {
+            throw new Error('That member has not synced yet');
+        }
+        if (memberCode === removedBy) {
+            throw new Error("You can't remove yourself; ask another admin");
+        }
+        
+        return { id: member.id, deleted: true, deletedAt: new Date().toISOString() };
+    }
+    
+    /**
+     * Check whether a role can see an account
+     * @param {string} role - Role key
+     * @param {Object} account - Account
+     * @returns {boolean} True unless the account is restricted and the role can't see those
+     */
+    canSeeAccount(role, account) {
+        return !account.restricted || this.can(role, 'viewRestrictedAccounts');
+    }
+    
+    /**
+     * Get the permission a transaction change needs
+     * @param {Object} transaction - Changed transaction or tombstone
+     * @param {Object|undefined} existing - Transaction before the change
+     * @param {string} memberCode - Member making the change
+     * @returns {string} Permission key
+     */
+    getTransactionPermission(transaction, existing, memberCode) {
+        if (transaction.deleted) return 'deleteTransactions';
+        
+        const owner = existing?.memberCode || transaction.memberCode;
+        return owner && owner !== memberCode ? 'editAllTransactions' : 'addTransactions';
+    }
+    
+    /**
+     * Get the permission a chore change needs
+     * Marking a chore done or undone is open to anyone who helps out; everything else is setting chores up
+     * @param {Object} task - Changed chore or tombstone
+     * @param {Object|undefined} existing - Chore before the change
+     * @returns {string} Permission key
+     */
+    getChorePermission(task, existing) {
+        if (task.deleted || !existing || existing.deleted || task.status === 'approved') return 'approveChores';
+        
+        const ignored = new Set([...this.completionFields, 'updatedAt', 'updatedBy']);
+        const keys = new Set([...Object.keys(task), ...Object.keys(existing)]);
+        const setUp = [...keys].some(key =>
+            !ignored.has(key) && JSON.stringify(task[key]) !== JSON.stringify(existing[key]));
+        
+        return setUp ? 'approveChores' : 'contribute';
+    }
+    
+    /**
+     * Check whether a family uses roles
+     * Families set up before roles existed have neither a family record nor an admin, and sync takes their data as it is
+     * @param {Array} settings - Settings records, tombstones included
+     * @returns {boolean} True once the family has been published or has had an admin
+     */
+    hasRoles(settings) {
+        return settings.some(record =>
+            record.id === window.inviteManager.familySettingId ||
+            (String(record.id).startsWith(this.memberPrefix) && !record.deleted && record.role === 'admin'));
+    }
+    
+    /**
+     * Check whether sync should take a remote change
+     * A change with no author is treated as coming from someone at the join role
+     * @param {Array} members - Roster this device trusts
+     * @param {string} type - Store name
+     * @param {Object} incoming - Remote record that would replace the local one
+     * @param {Object|undefined} existing - Local record
+     * @returns {boolean} True when the author's role allows the change
+     */
+    canAccept(members, type, incoming, existing) {
+        const author = incoming.updatedBy || null;
+        const role = this.getMemberRole(members, author);
+        
+        if (type === 'settings' && String(incoming.id).startsWith(this.memberPrefix)) {
+            if (this.can(role, 'manageMembers')) return true;
+            
+            // Members can add themselves at the join role and rename themselves, but not change a role
+            const currentRole = existing && !existing.deleted ? existing.role : this.joinRole;
+            return !incoming.deleted && incoming.code === author && incoming.role === currentRole;
+        }
+        
+        let permission;
+        if (type === 'transactions') {
+            permission = this.getTransactionPermission(incoming, existing, author);
+        } else if (type === 'familyTasks') {
+            permission = this.getChorePermission(incoming, existing);
+        } else if (type === 'settings') {
+            const prefix = Object.keys(this.settingPrefixPermissions).find(p => String(incoming.id).startsWith(p));
+            permission = prefix ? this.settingPrefixPermissions[prefix] : this.settingPermissions[incoming.id];
+        } else {
+            permission = this.storePermissions[type];
+        }
+        
+        return !permission || this.can(role, permission);
+    }
+}
+
+// Initialize global permission manager
+window.permissionManager = new PermissionManager();
+
+// Export for use in other modules
+window.PermissionManager = PermissionManager;
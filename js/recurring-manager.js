@@ -0,0 +1,413 @@
+/**
+ * Recurring Transaction Manager
+ * Stores recurring rules and posts their due occurrences as transactions
+ * Occurrence IDs are deterministic so devices posting the same occurrence merge cleanly
+ */
+
+class RecurringTransactionManager {
+    constructor() {
+        this.storeName = 'recurringRules';
+        this.frequencies = {
+            daily: { label: 'Daily' },
+            weekly: { label: 'Weekly' },
+            biweekly: { label: 'Every 2 weeks' },
+            monthly: { label: 'Monthly' },
+            yearly: { label: 'Yearly' }
+        };
+        
+        // Safety limit when catching up on a long offline period
+        this.maxCatchUp = 400;
+    }
+    
+    /**
+     * Parse a YYYY-MM-DD (or ISO) string into a local date
+     * @param {string|Date} value - Date value
+     * @returns {Date} Local date at midnight
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        
+        const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Get the occurrence following a given date
+     * Monthly and yearly rules keep their anchor day, clamped to short months
+     * @param {string} dateKey - Current occurrence (YYYY-MM-DD)
+     * @param {string} frequency - Rule frequency
+     * @param {number} anchorDay - Day of month the rule started on
+     * @returns {string} Next occurrence (YYYY-MM-DD)
+     */
+    getNextOccurrence(dateKey, frequency, anchorDay = null) {
+        const date = this.parseDate(dateKey);
+        const day = anchorDay || date.getDate();
+        
+        switch (frequency) {
+            case 'daily':
+                date.setDate(date.getDate() + 1);
+                break;
+            
+            case 'weekly':
+                date.setDate(date.getDate() + 7);
+                break;
+            
+            case 'biweekly':
+                date.setDate(date.getDate() + 14);
+                break;
+            
+            case 'monthly': {
+                const next = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+                const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+                next.setDate(Math.min(day, lastDay));
+                return this.toDateKey(next);
+            }
+            
+            case 'yearly': {
+                const next = new Date(date.getFullYear() + 1, date.getMonth(), 1);
+                const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+                next.setDate(Math.min(day, lastDay));
+                return this.toDateKey(next);
+            }
+            
+            default:
+                throw new Error(`Unknown frequency: ${frequency}`);
+        }
+        
+        return this.toDateKey(date);
+    }
+    
+    /**
+     * Build a new rule with defaults filled in
+     * @param {Object} rule - Rule fields
+     * @returns {Object} Normalized rule
+     */
+    createRule(rule) {
+        const startDate = this.toDateKey(this.parseDate(rule.startDate || new Date()));
+        
+        return {
+            id: rule.id || window.SecurityManager.generateUUID(),
+            type: rule.type || 'expense',
+            amount: parseFloat(rule.amount) || 0,
+            description: rule.description || '',
+            category: rule.category,
+            accountId: rule.accountId || null,
+            currency: rule.currency || null,
+            familyMember: rule.familyMember || null,
+            frequency: rule.frequency || 'monthly',
+            startDate,
+            anchorDay: this.parseDate(startDate).getDate(),
+            endDate: rule.endDate || null,
+            maxOccurrences: rule.maxOccurrences ? parseInt(rule.maxOccurrences, 10) : null,
+            occurrenceCount: rule.occurrenceCount || 0,
+            nextDate: rule.nextDate || startDate,
+            skippedDates: rule.skippedDates || [],
+            active: rule.active !== false,
+            memberCode: rule.memberCode || null
+        };
+    }
+    
+    /**
+     * Check whether a rule has run out of occurrences
+     * @param {Object} rule - Recurring rule
+     * @param {string} dateKey - Candidate occurrence
+     * @returns {boolean} True if the rule is finished
+     */
+    isFinished(rule, dateKey = rule.nextDate) {
+        if (rule.maxOccurrences && rule.occurrenceCount >= rule.maxOccurrences) {
+            return true;
+        }
+        
+        if (rule.endDate && dateKey > rule.endDate) {
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Deterministic transaction ID for an occurrence
+     * @param {string} ruleId - Rule ID
+     * @param {string} dateKey - Occurrence date
+     * @returns {string} Transaction ID
+     */
+    getOccurrenceId(ruleId, dateKey) {
+        return `recurring_${ruleId}_${dateKey}`;
+    }
+    
+    /**
+     * Generate transactions for every occurrence due up to a date
+     * Pure function: returns updated copies without touching storage
+     * @param {Array} rules - Recurring rules
+     * @param {Set} existingIds - IDs of transactions already stored
+     * @param {Date} asOf - Post occurrences on or before this date
+     * @returns {Object} { transactions, rules } with changed rules only
+     */
+    generateDue(rules, existingIds = new Set(), asOf = new Date()) {
+        const today = this.toDateKey(asOf);
+        const transactions = [];
+        const changedRules = [];
+        
+        rules.forEach(original => {
+            if (!original.active || original.deleted || !this.frequencies[original.frequency]) return;
+            
+            const rule = { ...original, skippedDates: [...(original.skippedDates || [])] };
+            let changed = false;
+            let guard = 0;
+            
+            while (rule.nextDate <= today && !this.isFinished(rule) && guard++ < this.maxCatchUp) {
+                const dateKey = rule.nextDate;
+                
+                if (!rule.skippedDates.includes(dateKey)) {
+                    const id = this.getOccurrenceId(rule.id, dateKey);
+                    
+                    if (!existingIds.has(id)) {
+                        transactions.push({
+                            id,
+                            type: rule.type,
+                            amount: rule.amount,
+                            description: rule.description,
+                            category: rule.category,
+                            accountId: rule.accountId,
+                            currency: rule.currency || null,
+                            familyMember: rule.familyMember || rule.memberCode,
+                            date: dateKey,
+                            recurringRuleId: rule.id,
+                            memberCode: rule.memberCode
+                        });
+                        existingIds.add(id);
+                    }
+                    
+                    rule.occurrenceCount = (rule.occurrenceCount || 0) + 1;
+                }
+                
+                rule.nextDate = this.getNextOccurrence(dateKey, rule.frequency, rule.anchorDay);
+                changed = true;
+            }
+            
+            if (this.isFinished(rule) && rule.active) {
+                rule.active = false;
+                changed = true;
+            }
+            
+            if (changed) {
+                changedRules.push(rule);
+            }
+        });
+        
+        return { transactions, rules: changedRules };
+    }
+    
+    /**
+     * Post due occurrences straight into IndexedDB
+     * Used on app start, before data is loaded into state
+     * @returns {Array} Transactions that were posted
+     */
+    async postDueOccurrences() {
+        const [rules, transactions] = await Promise.all([
+            window.dbManager.getAll(this.storeName),
+            window.dbManager.getAll('transactions')
+        ]);
+        
+        if (rules.length === 0) return [];
+        
+        const existingIds = new Set(transactions.map(t => t.id));
+        const due = this.generateDue(rules, existingIds);
+        
+        if (due.transactions.length > 0) {
+            await window.dbManager.saveBatch('transactions', due.transactions);
+        }
+        
+        if (due.rules.length > 0) {
+            await window.dbManager.saveBatch(this.storeName, due.rules);
+        }
+        
+        if (window.enhancedSyncManager && window.enhancedSyncManager.memberCode) {
+            for (const transaction of due.transactions) {
+                await window.enhancedSyncManager.queueOperation({
+                    type: 'CREATE',
+                    entity: 'transactions',
+                    data: transaction
+                });
+            }
+        }
+        
+        return due.transactions;
+    }
+    
+    /**
+     * Post due occurrences into a merged sync payload
+     * Runs after the remote copy is merged, so every device sees the same rule state
+     * @param {Object} data - Merged sync data (mutated in place)
+     * @returns {Array} Transactions that were posted
+     */
+    applyToSyncData(data) {
+        const rules = data[this.storeName] || [];
+        if (rules.length === 0) return [];
+        
+        const transactions = data.transactions || [];
+        const existingIds = new Set(transactions.map(t => t.id));
+        const due = this.generateDue(rules, existingIds);
+        const now = new Date().toISOString();
+        // Stamped the way dbManager.saveBatch would, or other devices won't accept them from this member
+        const updatedBy = window.dbManager.memberCode ? { updatedBy: window.dbManager.memberCode } : {};
+        
+        due.transactions.forEach(t => {
+            Object.assign(t, { createdAt: now, updatedAt: now }, updatedBy);
+        });
+        
+        const changed = new Map(due.rules.map(rule => [rule.id, { ...rule, updatedAt: now, ...updatedBy }]));
+        
+        data.transactions = [...due.transactions, ...transactions];
+        data[this.storeName] = rules.map(rule => changed.get(rule.id) || rule);
+        
+        return due.transactions;
+    }
+    
+    /**
+     * Get all recurring rules
+     */
+    async getRules() {
+        const rules = await window.dbManager.getAll(this.storeName);
+        return rules.filter(rule => !rule.deleted);
+    }
+    
+    /**
+     * Get a rule's first occurrence on or after a date
+     * @param {Object} rule - Normalized rule
+     * @param {string|null} notBefore - Earliest date (YYYY-MM-DD); occurrences before it were already posted
+     * @returns {string} Date key
+     */
+    getFirstOccurrence(rule, notBefore = null) {
+        let dateKey = rule.startDate;
+        while (notBefore && dateKey < notBefore) {
+            dateKey = this.getNextOccurrence(dateKey, rule.frequency, rule.anchorDay);
+        }
+        return dateKey;
+    }
+    
+    /**
+     * Create or update a rule
+     * @param {Object} rule - Rule fields
+     * @returns {Object} Saved rule
+     */
+    async saveRule(rule) {
+        const normalized = this.createRule(rule);
+        if (rule.createdAt) normalized.createdAt = rule.createdAt;
+        
+        // A new start date or frequency restarts the schedule; any other edit keeps where it had got to
+        const existing = rule.id ? await window.dbManager.get(this.storeName, rule.id) : null;
+        if (existing && !existing.deleted) {
+            if (existing.startDate !== normalized.startDate || existing.frequency !== normalized.frequency) {
+                normalized.nextDate = this.getFirstOccurrence(
+                    normalized,
+                    existing.occurrenceCount > 0 ? existing.nextDate : null
+                );
+            } else {
+                normalized.anchorDay = existing.anchorDay || normalized.anchorDay;
+            }
+        }
+        
+        await window.dbManager.save(this.storeName, normalized);
+        return normalized;
+    }
+    
+    /**
+     * Delete a rule (already posted transactions are kept)
+     * The rule is kept as a deleted marker so a remote copy can't bring it back
+     * @param {string} ruleId - Rule ID
+     */
+    async deleteRule(ruleId) {
+        await window.dbManager.update(this.storeName, ruleId, { deleted: true, active: false });
+    }
+    
+    /**
+     * Skip the upcoming occurrence of a rule
+     * @param {string} ruleId - Rule ID
+     * @returns {Object} Updated rule
+     */
+    async skipNextOccurrence(ruleId) {
+        const rule = await window.dbManager.get(this.storeName, ruleId);
+        if (!rule) {
+            throw new Error(`Recurring rule ${ruleId} not found`);
+        }
+        
+        const skippedDates = [...(rule.skippedDates || []), rule.nextDate];
+        const nextDate = this.getNextOccurrence(rule.nextDate, rule.frequency, rule.anchorDay);
+        
+        await window.dbManager.update(this.storeName, ruleId, { skippedDates, nextDate });
+        return { ...rule, skippedDates, nextDate };
+    }
+    
+    /**
+     * Move the upcoming occurrence to a different date
+     * Later occurrences follow on from the new date, and monthly and yearly ones keep to its day of the month
+     * @param {string} ruleId - Rule ID
+     * @param {string} dateKey - New next occurrence (YYYY-MM-DD)
+     * @returns {Object} Updated rule
+     */
+    async setNextOccurrence(ruleId, dateKey) {
+        const rule = await window.dbManager.get(this.storeName, ruleId);
+        if (!rule) {
+            throw new Error(`Recurring rule ${ruleId} not found`);
+        }
+        
+        const nextDate = this.toDateKey(this.parseDate(dateKey));
+        const updates = {
+            nextDate,
+            anchorDay: this.parseDate(nextDate).getDate(),
+            skippedDates: (rule.skippedDates || []).filter(d => d !== nextDate),
+            active: true
+        };
+        
+        await window.dbManager.update(this.storeName, ruleId, updates);
+        return { ...rule, ...updates };
+    }
+    
+    /**
+     * Pause or resume a rule
+     * @param {string} ruleId - Rule ID
+     * @param {boolean} active - New active state
+     */
+    async setActive(ruleId, active) {
+        await window.dbManager.update(this.storeName, ruleId, { active });
+    }
+    
+    /**
+     * Describe a rule's schedule for display
+     * @param {Object} rule - Recurring rule
+     * @returns {string} Human readable schedule
+     */
+    describe(rule) {
+        const label = this.frequencies[rule.frequency]?.label || rule.frequency;
+        
+        if (rule.maxOccurrences) {
+            return `${label}, ${rule.occurrenceCount || 0} of ${rule.maxOccurrences}`;
+        }
+        
+        if (rule.endDate) {
+            return `${label} until ${this.parseDate(rule.endDate).toLocaleDateString()}`;
+        }
+        
+        return label;
+    }
+}
+
+// Initialize global recurring transaction manager
+window.recurringManager = new RecurringTransactionManager();
+
+// Export for use in other modules
+window.RecurringTransactionManager = RecurringTransactionManager;
@@ -0,0 +1,156 @@
+/**
+ * Category Rule Manager
+ * User-defined rules that pick a category for new and imported transactions
+ * Rules are checked in priority order and the first match wins
+ */
+
+class CategoryRuleManager {
+    constructor() {
+        this.storeName = 'categoryRules';
+        this.fallbackCategories = ['other_expense', 'other_income'];
+    }
+    
+    /**
+     * Build a rule with defaults filled in
+     * @param {Object} rule - Rule fields
+     * @returns {Object} Normalized rule
+     */
+    createRule(rule) {
+        const toNumber = (value) => value === '' || value === null || value === undefined
+            ? null
+            : parseFloat(value);
+        
+        return {
+            id: rule.id || window.SecurityManager.generateUUID(),
+            name: rule.name || '',
+            descriptionContains: (rule.descriptionContains || '').trim(),
+            type: rule.type || null,
+            amountMin: toNumber(rule.amountMin),
+            amountMax: toNumber(rule.amountMax),
+            accountId: rule.accountId || null,
+            familyMember: rule.familyMember || null,
+            category: rule.category,
+            priority: rule.priority || 0,
+            enabled: rule.enabled !== false,
+            createdAt: rule.createdAt
+        };
+    }
+    
+    /**
+     * Check whether a rule matches a transaction
+     * Every condition that is set must hold
+     * @param {Object} rule - Category rule
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True on match
+     */
+    matches(rule, transaction) {
+        if (!rule.enabled || rule.deleted || !rule.category) return false;
+        
+        // A rule without conditions would swallow everything
+        const hasCondition = rule.descriptionContains || rule.amountMin !== null ||
+            rule.amountMax !== null || rule.accountId || rule.familyMember;
+        if (!hasCondition) return false;
+        
+        if (rule.type && transaction.type !== rule.type) return false;
+        
+        if (rule.descriptionContains) {
+            const haystack = `${transaction.description || ''} ${transaction.notes || ''}`.toLowerCase();
+            if (!haystack.includes(rule.descriptionContains.toLowerCase())) return false;
+        }
+        
+        const amount = Math.abs(transaction.amount || 0);
+        if (rule.amountMin !== null && amount < rule.amountMin) return false;
+        if (rule.amountMax !== null && amount > rule.amountMax) return false;
+        
+        if (rule.accountId && transaction.accountId !== rule.accountId) return false;
+        
+        if (rule.familyMember) {
+            const member = transaction.familyMember || transaction.memberCode;
+            if (member !== rule.familyMember) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Sort rules by priority (lower runs first)
+     * @param {Array} rules - Category rules
+     * @returns {Array} Sorted copy
+     */
+    sortRules(rules) {
+        return [...rules].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    }
+    
+    /**
+     * Find the category for a transaction
+     * @param {Object} transaction - Transaction
+     * @param {Array} rules - Category rules
+     * @returns {string|null} Category ID, or null if no rule matches
+     */
+    categorize(transaction, rules) {
+        if (transaction.type === 'transfer') return null;
+        
+        const rule = this.sortRules(rules).find(r => this.matches(r, transaction));
+        return rule ? rule.category : null;
+    }
+    
+    /**
+     * Re-run rules over existing transactions
+     * @param {Array} transactions - Transactions
+     * @param {Array} rules - Category rules
+     * @param {boolean} overwrite - Also recategorize transactions that already have a specific category
+     * @returns {Array} Transactions whose category changed
+     */
+    recategorize(transactions, rules, overwrite = false) {
+        const changed = [];
+        
+        transactions.forEach(transaction => {
+            // Split lines were categorized by hand
+            if (transaction.splits?.length) return;
+            
+            if (!overwrite && transaction.category && !this.fallbackCategories.includes(transaction.category)) {
+                return;
+            }
+            
+            const category = this.categorize(transaction, rules);
+            if (category && category !== transaction.category) {
+                changed.push({ ...transaction, category });
+            }
+        });
+        
+        return changed;
+    }
+    
+    /**
+     * Get all active (not deleted) rules
+     */
+    async getRules() {
+        const rules = await window.dbManager.getAll(this.storeName);
+        return this.sortRules(rules.filter(rule => !rule.deleted));
+    }
+    
+    /**
+     * Create or update a rule
+     * @param {Object} rule - Rule fields
+     * @returns {Object} Saved rule
+     */
+    async saveRule(rule) {
+        const normalized = this.createRule(rule);
+        await window.dbManager.save(this.storeName, normalized);
+        return normalized;
+    }
+    
+    /**
+     * Delete a rule, keeping a marker so the remote copy can't restore it
+     * @param {string} ruleId - Rule ID
+     */
+    async deleteRule(ruleId) {
+        await window.dbManager.update(this.storeName, ruleId, { deleted: true, enabled: false });
+    }
+}
+
+// Initialize global category rule manager
+window.categoryRuleManager = new CategoryRuleManager();
+
+// Export for use in other modules
+window.CategoryRuleManager = CategoryRuleManager;
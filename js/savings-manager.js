@@ -0,0 +1,274 @@
+/**
+ * Savings Manager
+ * Savings goals backed by a ledger of contributions and withdrawals
+ * A goal's balance is its opening amount plus the ledger, so entries from different devices add up
+ * Goals move through active, paused, completed and archived; reaching the target completes an active goal
+ */
+
+class SavingsManager {
+    constructor() {
+        this.storeName = 'savingsGoals';
+        this.entryStore = 'goalContributions';
+        this.statuses = {
+            active: { label: 'Active', icon: '🎯' },
+            paused: { label: 'Paused', icon: '⏸️' },
+            completed: { label: 'Completed', icon: '🎉' },
+            archived: { label: 'Archived', icon: '📦' }
+        };
+        
+        // Contribution rate is measured over this many recent days
+        this.rateWindowDays = 90;
+    }
+    
+    /**
+     * Build a goal with defaults filled in
+     * @param {Object} goal - Goal fields
+     * @returns {Object} Normalized goal
+     */
+    createGoal(goal) {
+        return {
+            id: goal.id || window.SecurityManager.generateUUID(),
+            name: (goal.name || '').trim() || 'Savings Goal',
+            targetAmount: Math.abs(parseFloat(goal.targetAmount) || 0),
+            targetDate: goal.targetDate || null,
+            accountId: goal.accountId || null,
+            openingAmount: parseFloat(goal.openingAmount) || 0,
+            status: this.statuses[goal.status] ? goal.status : 'active',
+            completedAt: goal.completedAt || null,
+            createdAt: goal.createdAt
+        };
+    }
+    
+    /**
+     * Build a ledger entry
+     * @param {Object} entry - { goalId, type, amount, familyMember, date, note, accountId, transferId }
+     * @returns {Object} Normalized entry
+     */
+    createEntry(entry) {
+        const amount = Math.abs(parseFloat(entry.amount) || 0);
+        if (amount === 0) {
+            throw new Error('Amount must be greater than zero');
+        }
+        
+        return {
+            id: entry.id || window.SecurityManager.generateUUID(),
+            goalId: entry.goalId,
+            type: entry.type === 'withdrawal' ? 'withdrawal' : 'contribution',
+            amount,
+            familyMember: entry.familyMember || null,
+            date: entry.date || window.recurringManager.toDateKey(new Date()),
+            note: (entry.note || '').trim(),
+            accountId: entry.accountId || null,
+            transferId: entry.transferId || null
+        };
+    }
+    
+    /**
+     * Get an entry's effect on its goal
+     * @param {Object} entry - Ledger entry
+     * @returns {number} Signed amount
+     */
+    getSignedAmount(entry) {
+        return entry.type === 'withdrawal' ? -entry.amount : entry.amount;
+    }
+    
+    /**
+     * Load goals and their ledgers
+     * Goals saved before the ledger existed keep their old total as an opening amount and start out active
+     * @returns {Object} { goals, entries }
+     */
+    async loadGoals() {
+        const [goals, entries] = await Promise.all([
+            window.dbManager.getAll(this.storeName),
+            window.dbManager.getAll(this.entryStore)
+        ]);
+        
+        const legacy = goals.filter(goal => !goal.deleted && (goal.openingAmount === undefined || !goal.status));
+        if (legacy.length > 0) {
+            await window.dbManager.saveBatch(this.storeName, legacy.map(goal => {
+                goal.openingAmount = goal.openingAmount ?? (goal.current || 0);
+                goal.status = goal.status || 'active';
+                return goal;
+            }));
+        }
+        
+        return {
+            goals: goals.filter(goal => !goal.deleted),
+            entries: entries.filter(entry => !entry.deleted)
+        };
+    }
+    
+    /**
+     * Move a goal to a new lifecycle state
+     * @param {Object} goal - Goal
+     * @param {string} status - 'active', 'paused', 'completed' or 'archived'
+     * @returns {Object} Updated goal
+     */
+    planStatusChange(goal, status) {
+        if (!this.statuses[status]) {
+            throw new Error(`Unknown goal status: ${status}`);
+        }
+        
+        return {
+            ...goal,
+            status,
+            completedAt: status === 'completed' ? goal.completedAt || new Date().toISOString() : goal.completedAt
+        };
+    }
+    
+    /**
+     * Complete an active goal that has reached its target, or reopen a completed one that no longer has
+     * Paused and archived goals are left as they are
+     * @param {Object} goal - Goal record
+     * @param {Array} entries - All ledger entries
+     * @returns {Object|null} { goal, completed } when the status changes, otherwise null
+     */
+    reconcileStatus(goal, entries) {
+        const reached = goal.targetAmount > 0 && this.getBalance(goal, entries) >= goal.targetAmount;
+        
+        if (goal.status === 'active' && reached) {
+            return { goal: this.planStatusChange(goal, 'completed'), completed: true };
+        }
+        if (goal.status === 'completed' && !reached) {
+            return { goal: { ...goal, status: 'active', completedAt: null }, completed: false };
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether a goal can take a ledger entry
+     * @param {Object} goal - Goal
+     * @param {string} type - 'contribution' or 'withdrawal'
+     * @returns {string|null} Reason the entry is refused, or null when allowed
+     */
+    getEntryBlock(goal, type) {
+        if (goal.status === 'archived') {
+            return `${goal.name} is archived; restore it first`;
+        }
+        if (goal.status === 'paused' && type !== 'withdrawal') {
+            return `${goal.name} is paused; resume it before adding money`;
+        }
+        return null;
+    }
+    
+    /**
+     * Build the deletion markers for a goal and its ledger
+     * @param {Object} goal - Goal being deleted
+     * @param {Array} entries - All ledger entries
+     * @returns {Object} { goal, entries } tombstones
+     */
+    planDelete(goal, entries) {
+        const deletedAt = new Date().toISOString();
+        
+        return {
+            goal: { id: goal.id, deleted: true, deletedAt },
+            entries: this.getHistory(goal.id, entries).map(entry => ({ id: entry.id, deleted: true, deletedAt }))
+        };
+    }
+    
+    /**
+     * Get a goal's ledger, newest first
+     * @param {string} goalId - Goal ID
+     * @param {Array} entries - All ledger entries
+     * @returns {Array} Entries for the goal
+     */
+    getHistory(goalId, entries) {
+        return entries
+            .filter(entry => entry.goalId === goalId && !entry.deleted)
+            .sort((a, b) => {
+                const byDate = String(b.date).localeCompare(String(a.date));
+                return byDate !== 0 ? byDate : String(b.createdAt).localeCompare(String(a.createdAt));
+            });
+    }
+    
+    /**
+     * Get a goal's balance
+     * @param {Object} goal - Goal
+     * @param {Array} entries - All ledger entries
+     * @returns {number} Amount saved
+     */
+    getBalance(goal, entries) {
+        return this.getHistory(goal.id, entries)
+            .reduce((sum, entry) => sum + this.getSignedAmount(entry), goal.openingAmount || 0);
+    }
+    
+    /**
+     * Fill in each goal's current balance from the ledger
+     * @param {Array} goals - Goals
+     * @param {Array} entries - All ledger entries
+     * @returns {Array} Goals with current set
+     */
+    withBalances(goals, entries) {
+        return goals.map(goal => ({ ...goal, current: this.getBalance(goal, entries) }));
+    }
+    
+    /**
+     * Get totals contributed per family member
+     * @param {string} goalId - Goal ID
+     * @param {Array} entries - All ledger entries
+     * @returns {Object} Map of member code to net amount
+     */
+    getMemberTotals(goalId, entries) {
+        return this.getHistory(goalId, entries).reduce((totals, entry) => {
+            const member = entry.familyMember || 'unknown';
+            totals[member] = (totals[member] || 0) + this.getSignedAmount(entry);
+            return totals;
+        }, {});
+    }
+    
+    /**
+     * Project when a goal will be reached at the recent saving rate
+     * @param {Object} goal - Goal (with current)
+     * @param {Array} entries - All ledger entries
+     * @param {Date} asOf - Today
+     * @returns {Object} { remaining, monthlyRate, projectedDate, neededPerMonth, onTrack }
+     */
+    getProjection(goal, entries, asOf = new Date()) {
+        const recurring = window.recurringManager;
+        const today = recurring.parseDate(asOf);
+        const remaining = Math.max(0, goal.targetAmount - (goal.current || 0));
+        const daysPerMonth = 365.25 / 12;
+        
+        // Measure from the first entry if the goal is younger than the window
+        const history = this.getHistory(goal.id, entries);
+        const windowStart = new Date(today);
+        windowStart.setDate(windowStart.getDate() - this.rateWindowDays);
+        const firstDate = history.length > 0 ? recurring.parseDate(history[history.length - 1].date) : today;
+        const start = firstDate > windowStart ? firstDate : windowStart;
+        const days = Math.max(30, Math.round((today - start) / 86400000));
+        
+        const saved = history
+            .filter(entry => recurring.parseDate(entry.date) >= start)
+            .reduce((sum, entry) => sum + this.getSignedAmount(entry), 0);
+        const monthlyRate = (saved / days) * daysPerMonth;
+        
+        let projectedDate = null;
+        if (remaining === 0) {
+            projectedDate = recurring.toDateKey(today);
+        } else if (monthlyRate > 0) {
+            const projected = new Date(today);
+            projected.setDate(projected.getDate() + Math.ceil(remaining / (monthlyRate / daysPerMonth)));
+            projectedDate = recurring.toDateKey(projected);
+        }
+        
+        let neededPerMonth = null;
+        if (goal.targetDate) {
+            const daysLeft = Math.round((recurring.parseDate(goal.targetDate) - today) / 86400000);
+            neededPerMonth = daysLeft > 0 ? remaining / Math.max(1, daysLeft / daysPerMonth) : remaining;
+        }
+        
+        return {
+            remaining,
+            monthlyRate,
+            projectedDate,
+            neededPerMonth,
+            onTrack: remaining === 0 || (!!projectedDate && (!goal.targetDate || projectedDate <= goal.targetDate))
+        };
+    }
+}
+
+// Initialize global savings manager
+window.savingsManager = new SavingsManager();
+
+// Export for use in other modules
+window.SavingsManager = SavingsManager;
@@ -0,0 +1,210 @@
+/**
+ * Transaction Search Manager
+ * Text search and advanced filters over the transactions store
+ * The most selective filter is answered by an IndexedDB index; the rest are checked in memory
+ */
+
+class TransactionSearchManager {
+    constructor() {
+        this.storeName = 'transactions';
+        this.presetPrefix = 'filterPreset:';
+    }
+    
+    /**
+     * Get a blank filter set
+     * @returns {Object} Filters
+     */
+    getEmptyFilters() {
+        return {
+            text: '',
+            type: 'all',
+            dateFrom: '',
+            dateTo: '',
+            category: '',
+            accountId: '',
+            familyMember: '',
+            amountMin: '',
+            amountMax: '',
+            tag: ''
+        };
+    }
+    
+    /**
+     * Count filters beyond the income/expense tabs
+     * @param {Object} filters - Filters
+     * @returns {number} Number of active filters
+     */
+    countActive(filters) {
+        return ['text', 'dateFrom', 'dateTo', 'category', 'accountId', 'familyMember', 'amountMin', 'amountMax', 'tag']
+            .filter(key => String(filters[key] ?? '').trim() !== '')
+            .length;
+    }
+    
+    /**
+     * Turn "groceries, #kids" into ['groceries', 'kids']
+     * @param {string} text - Comma-separated tags
+     * @returns {Array} Normalized tags
+     */
+    parseTags(text) {
+        return [...new Set(
+            String(text || '')
+                .split(',')
+                .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+                .filter(Boolean)
+        )];
+    }
+    
+    /**
+     * Get a category and its subcategories
+     * @param {string} categoryId - Selected category
+     * @param {Object} categories - Grouped categories { income, expense }
+     * @returns {Array} Category IDs to match
+     */
+    getCategoryIds(categoryId, categories) {
+        if (!categoryId) return [];
+        
+        const list = [...(categories.income || []), ...(categories.expense || [])];
+        return window.categoryManager.getFamilyIds(list, categoryId);
+    }
+    
+    /**
+     * Load candidate rows through the most selective index available
+     * The category index only holds the category a split is listed under, not its lines, so it isn't used to narrow
+     * @param {Object} filters - Filters
+     * @returns {Array} Candidate transactions
+     */
+    async queryCandidates(filters) {
+        const db = window.dbManager;
+        
+        if (filters.dateFrom || filters.dateTo) {
+            // Dates are YYYY-MM-DD, voice entries carry a time, so the upper bound covers the whole day
+            const lower = filters.dateFrom || '';
+            const upper = `${filters.dateTo || '9999-12-31'}\uffff`;
+            return db.queryByIndex(this.storeName, 'date', IDBKeyRange.bound(lower, upper));
+        }
+        
+        if (filters.accountId) {
+            return db.queryByIndex(this.storeName, 'accountId', IDBKeyRange.only(filters.accountId));
+        }
+        
+        if (filters.familyMember) {
+            return db.queryByIndex(this.storeName, 'familyMember', IDBKeyRange.only(filters.familyMember));
+        }
+        
+        if (filters.tag) {
+            const [tag] = this.parseTags(filters.tag);
+            return db.queryByIndex(this.storeName, 'tags', IDBKeyRange.only(tag));
+        }
+        
+        if (filters.type && filters.type !== 'all') {
+            return db.queryByIndex(this.storeName, 'type', IDBKeyRange.only(filters.type));
+        }
+        
+        return db.getAll(this.storeName);
+    }
+    
+    /**
+     * Check a transaction against every filter
+     * @param {Object} transaction - Transaction
+     * @param {Object} filters - Filters
+     * @param {Array} categoryIds - Category IDs to match
+     * @returns {boolean} True if it matches
+     */
+    matches(transaction, filters, categoryIds = []) {
+        if (transaction.deleted) return false;
+        
+        if (filters.type && filters.type !== 'all' && transaction.type !== filters.type) return false;
+        
+        const date = String(transaction.date || '').slice(0, 10);
+        if (filters.dateFrom && date < filters.dateFrom) return false;
+        if (filters.dateTo && date > filters.dateTo) return false;
+        
+        if (categoryIds.length > 0 && !categoryIds.includes(transaction.category) &&
+            !transaction.splits?.some(split => categoryIds.includes(split.category))) return false;
+        if (filters.accountId && transaction.accountId !== filters.accountId) return false;
+        if (filters.familyMember && transaction.familyMember !== filters.familyMember) return false;
+        
+        const amount = Math.abs(transaction.amount || 0);
+        if (filters.amountMin !== '' && amount < parseFloat(filters.amountMin)) return false;
+        if (filters.amountMax !== '' && amount > parseFloat(filters.amountMax)) return false;
+        
+        if (filters.tag) {
+            const tags = transaction.tags || [];
+            if (!this.parseTags(filters.tag).every(tag => tags.includes(tag))) return false;
+        }
+        
+        if (filters.text && filters.text.trim()) {
+            const haystack = [
+                transaction.description,
+                transaction.notes,
+                ...(transaction.splits || []).map(split => split.memo),
+                ...(transaction.tags || [])
+            ].join(' ').toLowerCase();
+            
+            const words = filters.text.toLowerCase().split(/\s+/).filter(Boolean);
+            if (!words.every(word => haystack.includes(word))) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Run a search
+     * @param {Object} filters - Filters
+     * @param {Object} categories - Grouped categories (for subcategory matching)
+     * @returns {Array} Matching transactions, newest first
+     */
+    async search(filters, categories) {
+        const categoryIds = this.getCategoryIds(filters.category, categories);
+        const candidates = await this.queryCandidates(filters);
+        
+        return candidates
+            .filter(transaction => this.matches(transaction, filters, categoryIds))
+            .sort((a, b) => {
+                const byDate = String(b.date).localeCompare(String(a.date));
+                return byDate !== 0 ? byDate : String(b.createdAt).localeCompare(String(a.createdAt));
+            });
+    }
+    
+    /**
+     * Get saved filter presets
+     * @returns {Array} Presets
+     */
+    async getPresets() {
+        const settings = await window.dbManager.getAll('settings');
+        return settings
+            .filter(item => item.id.startsWith(this.presetPrefix) && !item.deleted)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Save the current filters as a named preset
+     * @param {string} name - Preset name
+     * @param {Object} filters - Filters
+     * @returns {Object} Saved preset
+     */
+    async savePreset(name, filters) {
+        const preset = {
+            id: `${this.presetPrefix}${name.trim().toLowerCase()}`,
+            name: name.trim(),
+            filters: { ...this.getEmptyFilters(), ...filters }
+        };
+        
+        await window.dbManager.save('settings', preset);
+        return preset;
+    }
+    
+    /**
+     * Delete a preset, keeping a marker so sync doesn't restore it
+     * @param {string} presetId - Preset ID
+     */
+    async deletePreset(presetId) {
+        await window.dbManager.update('settings', presetId, { deleted: true });
+    }
+}
+
+// Initialize global transaction search manager
+window.transactionSearch = new TransactionSearchManager();
+
+// Export for use in other modules
+window.TransactionSearchManager = TransactionSearchManager;
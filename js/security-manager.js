@@ -12,12 +12,57 @@ class SecurityManager {
      * @returns {string} Generated key
      */
     static generateKey(password, salt) {
+        const kdf = this.getFamilyKeyKdf();
+        
         return CryptoJS.PBKDF2(password, salt, {
-            keySize: 256 / 32,
-            iterations: 1000
+            keySize: kdf.keyBits / 32,
+            iterations: kdf.iterations
         }).toString();
     }
     
+    /**
+     * Describe how a key is derived from the PIN, so encrypted data can say how to derive it again
+     * CryptoJS 4.1 hashes PBKDF2 with SHA-1 unless told otherwise; families set up since keep this only for their old data
+     * @returns {Object} { name, hash, iterations, keyBits, salt } where salt names the value used, not the value
+     */
+    static getFamilyKeyKdf() {
+        return { name: 'PBKDF2', hash: 'SHA-1', iterations: 1000, keyBits: 256, salt: 'familyCode' };
+    }
+    
+    /**
+     * Describe how the join key is derived from the PIN for new families
+     * A PIN has few possible values, so each guess has to cost enough to make trying them all offline slow
+     * @returns {Object} { name, hash, iterations, keyBits, salt } as for getFamilyKeyKdf
+     */
+    static getJoinKeyKdf() {
+        return { name: 'PBKDF2', hash: 'SHA-256', iterations: 310000, keyBits: 256, salt: 'familyCode' };
+    }
+    
+    /**
+     * Derive a key from the family code and PIN with Web Crypto
+     * Gives the same key as generateFamilyKey for its parameters
+     * @param {string} familyCode - Family code
+     * @param {string} pin - Family PIN
+     * @param {Object} kdf - Parameters from getFamilyKeyKdf or getJoinKeyKdf
+     * @returns {Promise<string>} Key as hex
+     */
+    static async deriveKey(familyCode, pin, kdf) {
+        if (kdf?.name !== 'PBKDF2' || !['SHA-1', 'SHA-256'].includes(kdf.hash) ||
+            !(kdf.iterations > 0 && kdf.iterations <= 10000000) || kdf.keyBits !== 256) {
+            throw new Error('Unsupported key derivation');
+        }
+        
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: kdf.hash, salt: encoder.encode(familyCode), iterations: kdf.iterations },
+            material,
+            kdf.keyBits
+        );
+        
+        return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
     /**
      * Encrypt data using AES
      * @param {*} data - Data to encrypt
@@ -44,6 +89,59 @@ class SecurityManager {
         }
     }
     
+    /**
+     * Encrypt data with AES-256-GCM
+     * The tag fails to check if the ciphertext or the associated data is changed
+     * @param {*} data - Data to encrypt
+     * @param {string} key - 256-bit key as hex
+     * @param {string} associatedData - Readable data the tag also covers
+     * @returns {Promise<Object>} { nonce, ciphertext, tag } as base64
+     */
+    static async encryptAead(data, key, associatedData = '') {
+        const cryptoKey = await crypto.subtle.importKey('raw', this.fromHex(key), 'AES-GCM', false, ['encrypt']);
+        const nonce = crypto.getRandomValues(new Uint8Array(12));
+        const sealed = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: nonce, additionalData: new TextEncoder().encode(associatedData) },
+            cryptoKey,
+            new TextEncoder().encode(JSON.stringify(data))
+        ));
+        
+        // Web Crypto appends the 16-byte tag to the ciphertext
+        return {
+            nonce: this.toBase64(nonce),
+            ciphertext: this.toBase64(sealed.slice(0, -16)),
+            tag: this.toBase64(sealed.slice(-16))
+        };
+    }
+    
+    /**
+     * Decrypt data encrypted with encryptAead
+     * @param {Object} sealed - { nonce, ciphertext, tag }
+     * @param {string} key - 256-bit key as hex
+     * @param {string} associatedData - Readable data the tag covers
+     * @returns {Promise<*>} Decrypted data, or null when the key is wrong or anything was changed
+     */
+    static async decryptAead(sealed, key, associatedData = '') {
+        try {
+            const cryptoKey = await crypto.subtle.importKey('raw', this.fromHex(key), 'AES-GCM', false, ['decrypt']);
+            const ciphertext = this.fromBase64(sealed.ciphertext);
+            const tag = this.fromBase64(sealed.tag);
+            const combined = new Uint8Array(ciphertext.length + tag.length);
+            combined.set(ciphertext);
+            combined.set(tag, ciphertext.length);
+            
+            const opened = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(sealed.nonce), additionalData: new TextEncoder().encode(associatedData) },
+                cryptoKey,
+                combined
+            );
+            return JSON.parse(new TextDecoder().decode(opened));
+        } catch (error) {
+            console.error('Authenticated decryption failed:', error);
+            return null;
+        }
+    }
+    
     /**
      * Hash PIN using SHA256
      * @param {string} pin - PIN to hash
@@ -63,6 +161,133 @@ class SecurityManager {
         return this.generateKey(pin, familyCode);
     }
     
+    /**
+     * Derive a value that identifies a family key without revealing it
+     * A joining device compares the key it opened with the family record's, so an invite from before a key change is caught
+     * @param {string} key - Family encryption key
+     * @returns {string} Key check value
+     */
+    static createKeyCheck(key) {
+        return CryptoJS.HmacSHA256('family-finance-hub:key-check', key).toString();
+    }
+    
+    /**
+     * Generate a random family key, for when the family's key is rotated
+     * @returns {string} 256-bit key as hex
+     */
+    static generateRandomKey() {
+        const bytes = new Uint8Array(32);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Generate a device key pair for receiving sealed family keys
+     * Uses Web Crypto ECDH (P-256); the public half goes on the roster, the private half never leaves the device
+     * @returns {Promise<Object>} { publicKey, privateKey } as JWKs
+     */
+    static async generateKeyPair() {
+        const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+        
+        return {
+            publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey)
+        };
+    }
+    
+    /**
+     * Derive the AES-GCM key shared by one side's private key and the other's public key
+     * @param {Object} privateJwk - Private key
+     * @param {Object} publicJwk - Public key
+     * @param {string} usage - 'encrypt' or 'decrypt'
+     * @returns {Promise<CryptoKey>} Shared key
+     */
+    static async deriveSharedKey(privateJwk, publicJwk, usage) {
+        const algorithm = { name: 'ECDH', namedCurve: 'P-256' };
+        const privateKey = await crypto.subtle.importKey('jwk', privateJwk, algorithm, false, ['deriveKey']);
+        const publicKey = await crypto.subtle.importKey('jwk', publicJwk, algorithm, false, []);
+        
+        return crypto.subtle.deriveKey(
+            { name: 'ECDH', public: publicKey },
+            privateKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+    }
+    
+    /**
+     * Seal a key so only the holder of a private key can open it
+     * A fresh ephemeral key pair is used each time, so sealing needs nothing secret from the sender
+     * @param {string} key - Key to seal
+     * @param {Object} publicJwk - Recipient's public key
+     * @returns {Promise<Object>} { epk, iv, data }
+     */
+    static async sealKey(key, publicJwk) {
+        const ephemeral = await this.generateKeyPair();
+        const sharedKey = await this.deriveSharedKey(ephemeral.privateKey, publicJwk, 'encrypt');
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sharedKey, new TextEncoder().encode(key));
+        
+        return {
+            epk: ephemeral.publicKey,
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(sealed))
+        };
+    }
+    
+    /**
+     * Open a key sealed with sealKey
+     * @param {Object} sealed - { epk, iv, data }
+     * @param {Object} privateJwk - Recipient's private key
+     * @returns {Promise<string|null>} Key, or null when it wasn't sealed for this private key
+     */
+    static async openKey(sealed, privateJwk) {
+        try {
+            const sharedKey = await this.deriveSharedKey(privateJwk, sealed.epk, 'decrypt');
+            const opened = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) },
+                sharedKey,
+                this.fromBase64(sealed.data)
+            );
+            return new TextDecoder().decode(opened);
+        } catch (error) {
+            console.error('Opening sealed key failed:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64
+     */
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+    
+    /**
+     * Decode hex to bytes
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Bytes
+     */
+    static fromHex(hex) {
+        if (!/^([0-9a-f]{2})+$/i.test(hex || '')) {
+            throw new Error('Key must be hex');
+        }
+        
+        return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+    }
+    
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64 - Base64
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBase64(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+    
     /**
      * Generate UUID v4
      * @returns {string} UUID
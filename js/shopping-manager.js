@@ -0,0 +1,169 @@
+/**
+ * Shopping Manager
+ * Shared shopping lists whose items are stored one record each
+ * Separate item records let two people add to the same list at once without one edit overwriting the other
+ */
+
+class ShoppingManager {
+    constructor() {
+        this.listStore = 'shoppingLists';
+        this.itemStore = 'shoppingItems';
+        this.defaultCategory = 'shopping';
+    }
+    
+    /**
+     * Build a list with defaults filled in
+     * @param {Object} list - List fields
+     * @returns {Object} Normalized list
+     */
+    createList(list) {
+        return {
+            id: list.id || window.SecurityManager.generateUUID(),
+            name: (list.name || '').trim() || 'Shopping',
+            category: list.category || this.defaultCategory,
+            accountId: list.accountId || null,
+            createdBy: list.createdBy || null,
+            createdAt: list.createdAt
+        };
+    }
+    
+    /**
+     * Build an item with defaults filled in
+     * @param {Object} item - { listId, name, quantity, estimatedPrice, checked, addedBy }
+     * @returns {Object} Normalized item
+     */
+    createItem(item) {
+        const name = (item.name || '').trim();
+        if (!name) {
+            throw new Error('Item needs a name');
+        }
+        
+        return {
+            id: item.id || window.SecurityManager.generateUUID(),
+            listId: item.listId,
+            name,
+            quantity: Math.max(1, parseFloat(item.quantity) || 1),
+            // Price of one; the line total is quantity × price
+            estimatedPrice: Math.max(0, parseFloat(item.estimatedPrice) || 0),
+            checked: !!item.checked,
+            addedBy: item.addedBy || null,
+            checkedBy: item.checked ? item.checkedBy || null : null,
+            createdAt: item.createdAt
+        };
+    }
+    
+    /**
+     * Load lists and their items
+     * @returns {Object} { lists, items }
+     */
+    async loadLists() {
+        const [lists, items] = await Promise.all([
+            window.dbManager.getAll(this.listStore),
+            window.dbManager.getAll(this.itemStore)
+        ]);
+        
+        return {
+            lists: lists.filter(list => !list.deleted),
+            items: items.filter(item => !item.deleted)
+        };
+    }
+    
+    /**
+     * Get a list's items: still to buy first, then ticked, each in the order added
+     * @param {string} listId - List ID
+     * @param {Array} items - All items
+     * @returns {Array} Items on the list
+     */
+    getItems(listId, items) {
+        return items
+            .filter(item => item.listId === listId && !item.deleted)
+            .sort((a, b) => (a.checked - b.checked) || String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+    
+    /**
+     * Get an item's estimated line total
+     * @param {Object} item - Item
+     * @returns {number} Quantity × estimated price
+     */
+    getLineTotal(item) {
+        return item.quantity * item.estimatedPrice;
+    }
+    
+    /**
+     * Get a list's estimated totals
+     * @param {string} listId - List ID
+     * @param {Array} items - All items
+     * @returns {Object} { count, checkedCount, estimated, checked }
+     */
+    getTotals(listId, items) {
+        const listItems = this.getItems(listId, items);
+        const ticked = listItems.filter(item => item.checked);
+        
+        return {
+            count: listItems.length,
+            checkedCount: ticked.length,
+            estimated: listItems.reduce((sum, item) => sum + this.getLineTotal(item), 0),
+            checked: ticked.reduce((sum, item) => sum + this.getLineTotal(item), 0)
+        };
+    }
+    
+    /**
+     * Work out the expense and item removals for checking out a list's ticked items
+     * @param {Object} list - List being checked out
+     * @param {Array} items - All items
+     * @param {Object} checkout - { amount, date, accountId, category }; amount defaults to the estimate
+     * @returns {Object} { transaction, removed } where removed are item tombstones
+     */
+    planCheckout(list, items, checkout = {}) {
+        const ticked = this.getItems(list.id, items).filter(item => item.checked);
+        if (ticked.length === 0) {
+            throw new Error('Tick the items you bought first');
+        }
+        
+        const estimate = ticked.reduce((sum, item) => sum + this.getLineTotal(item), 0);
+        const amount = Math.abs(parseFloat(checkout.amount ?? estimate) || 0);
+        if (amount === 0) {
+            throw new Error('Enter what the shop came to');
+        }
+        
+        const deletedAt = new Date().toISOString();
+        
+        return {
+            transaction: {
+                type: 'expense',
+                amount,
+                description: list.name,
+                notes: ticked
+                    .map(item => (item.quantity > 1 ? `${item.quantity} × ${item.name}` : item.name))
+                    .join(', '),
+                category: checkout.category || list.category || this.defaultCategory,
+                accountId: (checkout.accountId ?? list.accountId) || null,
+                date: checkout.date || window.recurringManager.toDateKey(new Date()),
+                shoppingListId: list.id,
+                tags: []
+            },
+            removed: ticked.map(item => ({ id: item.id, deleted: true, deletedAt }))
+        };
+    }
+    
+    /**
+     * Build the deletion markers for a list and its items
+     * @param {Object} list - List being deleted
+     * @param {Array} items - All items
+     * @returns {Object} { list, items } tombstones
+     */
+    planDelete(list, items) {
+        const deletedAt = new Date().toISOString();
+        
+        return {
+            list: { id: list.id, deleted: true, deletedAt },
+            items: this.getItems(list.id, items).map(item => ({ id: item.id, deleted: true, deletedAt }))
+        };
+    }
+}
+
+// Initialize global shopping manager
+window.shoppingManager = new ShoppingManager();
+
+// Export for use in other modules
+window.ShoppingManager = ShoppingManager;
@@ -0,0 +1,127 @@
+/**
+ * Split Manager
+ * Divides one transaction across several categories and family members
+ * Reports read allocations instead of the single transaction category
+ */
+
+class SplitManager {
+    constructor() {
+        // Splits must add up to the total within half a cent
+        this.tolerance = 0.005;
+    }
+    
+    /**
+     * Round an amount to cents
+     * @param {number} amount - Amount
+     * @returns {number} Rounded amount
+     */
+    round(amount) {
+        return Math.round((amount || 0) * 100) / 100;
+    }
+    
+    /**
+     * Check if a transaction is split
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True if it has split lines
+     */
+    isSplit(transaction) {
+        return Array.isArray(transaction.splits) && transaction.splits.length > 0;
+    }
+    
+    /**
+     * Get how a transaction's amount is allocated
+     * An unsplit transaction is a single allocation to its own category
+     * @param {Object} transaction - Transaction
+     * @returns {Array} [{ category, amount, memo, familyMember }]
+     */
+    getAllocations(transaction) {
+        const member = transaction.familyMember || transaction.memberCode || null;
+        
+        if (!this.isSplit(transaction)) {
+            return [{
+                category: transaction.category,
+                amount: transaction.amount || 0,
+                memo: '',
+                familyMember: member
+            }];
+        }
+        
+        return transaction.splits.map(split => ({
+            category: split.category,
+            amount: split.amount || 0,
+            memo: split.memo || '',
+            familyMember: split.familyMember || member
+        }));
+    }
+    
+    /**
+     * Clean up split lines entered in a form
+     * @param {Array} splits - Raw split lines
+     * @returns {Array} Lines with numeric amounts, blank lines removed
+     */
+    normalizeSplits(splits) {
+        return (splits || [])
+            .filter(split => split.category || split.amount)
+            .map(split => ({
+                category: split.category,
+                amount: this.round(parseFloat(split.amount) || 0),
+                memo: (split.memo || '').trim(),
+                familyMember: split.familyMember || null
+            }));
+    }
+    
+    /**
+     * Get the part of the total not yet allocated
+     * @param {number} total - Transaction amount
+     * @param {Array} splits - Split lines
+     * @returns {number} Remaining amount (negative if over-allocated)
+     */
+    getRemaining(total, splits) {
+        const allocated = (splits || []).reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+        return this.round((parseFloat(total) || 0) - allocated);
+    }
+    
+    /**
+     * Validate split lines against the transaction total
+     * @param {number} total - Transaction amount
+     * @param {Array} splits - Normalized split lines
+     * @returns {string|null} Error message, or null if valid
+     */
+    validate(total, splits) {
+        if (splits.length < 2) {
+            return 'A split needs at least two lines';
+        }
+        
+        if (splits.some(split => !split.category)) {
+            return 'Every split line needs a category';
+        }
+        
+        if (splits.some(split => !(split.amount > 0))) {
+            return 'Every split line needs an amount above zero';
+        }
+        
+        const remaining = this.getRemaining(total, splits);
+        if (Math.abs(remaining) > this.tolerance) {
+            return remaining > 0
+                ? `Splits are ${remaining.toFixed(2)} short of the total`
+                : `Splits are ${Math.abs(remaining).toFixed(2)} over the total`;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Pick the category a split transaction is listed under (its largest line)
+     * @param {Array} splits - Split lines
+     * @returns {string} Category ID
+     */
+    getPrimaryCategory(splits) {
+        return splits.reduce((largest, split) => split.amount > largest.amount ? split : largest).category;
+    }
+}
+
+// Initialize global split manager
+window.splitManager = new SplitManager();
+
+// Export for use in other modules
+window.SplitManager = SplitManager;
@@ -8,11 +8,35 @@ class EnhancedSyncManager {
     constructor() {
         this.syncEndpoint = 'https://api.github.com/gists';
         this.syncInterval = null;
+        this.syncIntervalMs = 30000;
+        
+        // Shorter interval while a shared view such as a shopping list is open; local changes sync straight away
+        // through requestSync, so this only sets how soon others' changes show, and each poll is an API request
+        this.liveIntervalMs = 15000;
+        this.liveViews = 0;
+        this.syncRequest = null;
         this.syncInProgress = false;
         this.conflictResolutionStrategy = 'last-write-wins';
         this.vectorClock = {};
         this.syncQueue = [];
         this.lastSyncTime = null;
+        this.rejectedChanges = 0;
+        
+        // Family key the synced data is encrypted with, and the keyring it was handed out in after a rotation
+        this.encryptionKey = null;
+        this.keyId = null;
+        this.keyring = null;
+        this.previousKey = null;
+        this.accessRevoked = false;
+        this.remoteUnreadable = false;
+        // Whether the gist is already an envelope under the current key, so an unchanged sync needn't upload
+        this.remoteCurrent = false;
+        
+        // Synced data is uploaded as a versioned envelope holding only ciphertext
+        this.envelopeFormat = 'family-finance-hub/sync';
+        this.envelopeVersion = 1;
+        // Gist this device has seen an envelope in; older formats aren't read from it after that
+        this.envelopeSeenKey = 'ffh_syncEnvelope';
         this.gistToken = null; // In production, use OAuth
     }
     
@@ -53,6 +77,40 @@ class EnhancedSyncManager {
         window.addEventListener('storage', (e) => this.handleStorageChange(e));
     }
     
+    /**
+     * Set the family key to encrypt and decrypt synced data with
+     * @param {string} encryptionKey - Family key
+     * @param {string} keyId - Its ID
+     * @param {Object} keyring - Keyring it came in, carried forward in every upload so members who haven't synced since a rotation can still open it
+     */
+    setFamilyKey(encryptionKey, keyId, keyring = null) {
+        // The gist stays under the old key until the next upload, so keep it to read that one last time
+        if (this.keyId && this.keyId !== keyId) {
+            this.previousKey = { encryptionKey: this.encryptionKey, keyId: this.keyId };
+        }
+        
+        this.encryptionKey = encryptionKey;
+        this.keyId = keyId;
+        this.keyring = keyring;
+    }
+    
+    /**
+     * Stop syncing once this device can't open the family's data
+     * Uploading what it has would overwrite everyone else's changes with data under a key they've moved on from
+     */
+    handleAccessRevoked() {
+        clearInterval(this.syncInterval);
+        this.syncInterval = null;
+        
+        if (window.appContext) {
+            window.appContext.setSyncStatus?.('error');
+            window.appContext.showNotification?.(
+                "This device can't open the family's data any more; an admin may have removed it. Ask for a new invite to rejoin.",
+                'error'
+            );
+        }
+    }
+    
     /**
      * Load sync queue from storage
      */
@@ -76,19 +134,49 @@ class EnhancedSyncManager {
             clearInterval(this.syncInterval);
         }
         
-        // Sync every 30 seconds when online
+        const live = this.liveViews > 0;
+        
+        // Sync every 30 seconds when online, or every 15 in live mode
         this.syncInterval = setInterval(() => {
             if (navigator.onLine && !this.syncInProgress) {
-                this.syncNow();
+                this.syncNow({ quiet: live });
             }
-        }, 30000);
+        }, live ? this.liveIntervalMs : this.syncIntervalMs);
         
         // Initial sync if online
         if (navigator.onLine) {
-            setTimeout(() => this.syncNow(), 1000);
+            setTimeout(() => this.syncNow({ quiet: live }), 1000);
+        }
+    }
+    
+    /**
+     * Switch live mode on while a shared view is open, and off again when it closes
+     * Counted, so two open views keep live mode on until both have closed
+     * @param {boolean} enabled - Whether a view is opening or closing
+     */
+    setLive(enabled) {
+        this.liveViews = Math.max(0, this.liveViews + (enabled ? 1 : -1));
+        
+        if (this.familyCode) {
+            this.startPeriodicSync();
         }
     }
     
+    /**
+     * Sync soon after a local change, batching changes made in quick succession
+     * @param {number} delay - Milliseconds to wait for further changes
+     */
+    requestSync(delay = 1500) {
+        if (!this.familyCode) return;
+        
+        clearTimeout(this.syncRequest);
+        this.syncRequest = setTimeout(() => {
+            if (navigator.onLine) {
+                this.syncNow({ quiet: true });
+            }
+        }, delay);
+    }
+    
     /**
      * Handle coming online
      */
@@ -224,9 +312,10 @@ class EnhancedSyncManager {
     
     /**
      * Perform full sync
+     * @param {Object} options - { quiet } skips the success message for background syncs
      */
-    async syncNow() {
-        if (this.syncInProgress || !navigator.onLine) return;
+    async syncNow(options = {}) {
+        if (this.syncInProgress || !navigator.onLine || this.accessRevoked) return;
         
         this.syncInProgress = true;
         console.log('Starting sync...');
@@ -240,20 +329,35 @@ class EnhancedSyncManager {
             // Process any pending operations first
             await this.processSyncQueue();
             
-            // Get local data
-            const localData = await this.getLocalData();
-            
             // Get remote data (if gist exists)
             const remoteData = this.gistId ? await this.getRemoteData() : null;
+            if (this.accessRevoked) {
+                this.handleAccessRevoked();
+                return;
+            }
+            // Uploading over data this device couldn't read would throw away everyone else's changes
+            if (this.remoteUnreadable) {
+                throw new Error("The family's synced data couldn't be read");
+            }
+            
+            // Get local data; read after the remote, since taking a new family key re-encrypts local notes
+            const localData = await this.getLocalData();
             
             // Merge data with conflict resolution
             const mergedData = await this.mergeData(localData, remoteData);
             
+            // Post recurring occurrences that fell due while offline
+            if (window.recurringManager) {
+                window.recurringManager.applyToSyncData(mergedData);
+            }
+            
             // Save merged data locally
+            const changes = this.getChanges(localData, mergedData);
             await this.saveLocalData(mergedData);
             
-            // Upload merged data (if we have a gist)
-            if (this.gistId) {
+            // Upload merged data (if we have a gist), unless the gist already holds exactly what this device has
+            if (this.gistId && (!remoteData || !this.remoteCurrent ||
+                this.getContentHash(mergedData) !== this.getContentHash(remoteData))) {
                 await this.uploadData(mergedData);
             }
             
@@ -262,8 +366,12 @@ class EnhancedSyncManager {
             
             // Update UI
             if (window.appContext) {
+                await window.appContext.applySyncChanges?.(changes);
+                await window.appContext.checkBudgetAlerts?.();
                 window.appContext.setSyncStatus?.('success');
-                window.appContext.showNotification?.('Data synced successfully!', 'success');
+                if (!options.quiet) {
+                    window.appContext.showNotification?.('Data synced successfully!', 'success');
+                }
             }
             
             console.log('Sync completed successfully');
@@ -299,6 +407,15 @@ class EnhancedSyncManager {
             sharedNotes: await window.dbManager.getAll('sharedNotes'),
             settings: await window.dbManager.getAll('settings'),
             activityFeed: await window.dbManager.getAll('activityFeed'),
+            recurringRules: await window.dbManager.getAll('recurringRules'),
+            categoryRules: await window.dbManager.getAll('categoryRules'),
+            categories: await window.dbManager.getAll('categories'),
+            goalContributions: await window.dbManager.getAll('goalContributions'),
+            shoppingItems: await window.dbManager.getAll('shoppingItems'),
+            investmentTrades: await window.dbManager.getAll('investmentTrades'),
+            investmentPrices: await window.dbManager.getAll('investmentPrices'),
+            netWorthSnapshots: await window.dbManager.getAll('netWorthSnapshots'),
+            fxRates: await window.dbManager.getAll('fxRates'),
             vectorClock: this.vectorClock,
             lastModified: new Date().toISOString(),
             memberCode: this.memberCode
@@ -309,51 +426,170 @@ class EnhancedSyncManager {
     
     /**
      * Get remote data from GitHub Gist
+     * Any failure to fetch or read it marks it unreadable, so sync doesn't upload over data it never saw
+     * @returns {Promise<Object|null>} Sync data, or null when nothing has been synced yet or it couldn't be read
      */
     async getRemoteData() {
         if (!this.gistId) return null;
+        this.remoteUnreadable = false;
+        this.remoteCurrent = false;
         
         try {
-            const headers = {
-                'Accept': 'application/vnd.github.v3+json'
-            };
+            const synced = await this.fetchRemote(this.gistId);
+            if (!synced) return null;
             
-            // Add auth token if available
-            if (this.gistToken) {
-                headers['Authorization'] = `token ${this.gistToken}`;
+            const data = await this.readRemote(synced);
+            if (!data && !this.accessRevoked) {
+                this.remoteUnreadable = true;
             }
-            
-            const response = await fetch(`${this.syncEndpoint}/${this.gistId}`, {
-                headers
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            return data;
+        } catch (error) {
+            console.error('Failed to read remote data:', error);
+            this.remoteUnreadable = true;
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch the synced file from a gist
+     * @param {string} gistId - Gist to read (a joining device passes the invite's)
+     * @returns {Promise<Object|null>} Its parsed content, still encrypted, or null when nothing has been synced to it yet
+     */
+    async fetchRemote(gistId) {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        
+        // Add auth token if available
+        if (this.gistToken) {
+            headers['Authorization'] = `token ${this.gistToken}`;
+        }
+        
+        const response = await fetch(`${this.syncEndpoint}/${gistId}`, {
+            headers
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const gist = await response.json();
+        const content = gist.files?.['family-finance-data.json']?.content;
+        
+        const synced = content ? JSON.parse(content) : null;
+        
+        // A new gist only holds its creation date until the first upload
+        return synced && Object.keys(synced).join() !== 'created' ? synced : null;
+    }
+    
+    /**
+     * Decrypt the synced file
+     * A newer keyring is looked at first, so this device switches to a rotated family key before it reads the data
+     * @param {Object} synced - Content from fetchRemote
+     * @param {Object} keys - { familyCode, encryptionKey, keyId } to read with (this device's when omitted)
+     * @returns {Promise<Object|null>} Sync data, or null when it can't be read
+     */
+    async readRemote(synced, keys = null) {
+        if (!keys && window.keyManager.isNewer(synced.keyring, this.keyring)) {
+            if (synced.keyring.keyId !== this.keyId) {
+                return this.readRotated(synced);
             }
-            
-            const gist = await response.json();
-            const content = gist.files?.['family-finance-data.json']?.content;
-            
-            if (!content) {
+            // The keyring for the key this device already has, carried forward by another member
+            if (synced.keyring.keyCheck === window.SecurityManager.createKeyCheck(this.encryptionKey)) {
+                await window.appContext?.adoptFamilyKey?.({
+                    encryptionKey: this.encryptionKey,
+                    keyId: this.keyId,
+                    keyring: synced.keyring
+                });
+            }
+        }
+        
+        const { familyCode, encryptionKey, keyId } = keys || this;
+        
+        // Anyone who can write the gist could swap the envelope for an older format to skip its integrity check
+        if (synced.format !== this.envelopeFormat && (keys || this.expectsEnvelope(keyId))) {
+            throw new Error('Remote data is not in the envelope format this family syncs in');
+        }
+        if (synced.keyId) {
+            const previous = !keys && synced.keyId === this.previousKey?.keyId ? this.previousKey : null;
+            if (synced.keyId !== keyId && !previous) {
+                console.warn('Remote data is encrypted with a family key this device does not have');
+                if (!keys) this.accessRevoked = true;
                 return null;
             }
             
-            // Parse and decrypt data
-            try {
-                const parsed = JSON.parse(content);
-                if (parsed.encrypted && this.familyCode) {
-                    const decrypted = window.SecurityManager.decrypt(parsed.data, this.familyCode);
-                    return decrypted;
+            const key = previous ? previous.encryptionKey : encryptionKey;
+            if (synced.format === this.envelopeFormat) {
+                const data = await this.openEnvelope(synced, key);
+                if (data && !keys) {
+                    this.markEnvelopeSeen();
+                    this.remoteCurrent = !previous && synced.version === this.envelopeVersion;
                 }
-                return parsed;
-            } catch (error) {
-                console.error('Failed to parse remote data:', error);
-                return null;
+                
+                // Records in data from before this device changed the key are still under the old one
+                if (data && previous) {
+                    Object.keys(data)
+                        .filter(type => Array.isArray(data[type]) && window.dbManager.isSensitiveStore(type))
+                        .forEach(type => {
+                            data[type] = window.dbManager.reencryptRecords(data[type], key, this.encryptionKey);
+                        });
+                }
+                return data;
             }
-        } catch (error) {
-            console.error('Failed to fetch remote data:', error);
+            // Uploads from before the envelope format carried the whole payload under the family key
+            return window.SecurityManager.decrypt(synced.data, key);
+        }
+        // Uploads from before family keys had IDs were encrypted with the family code
+        if (synced.encrypted && familyCode) {
+            return window.SecurityManager.decrypt(synced.data, familyCode);
+        }
+        return synced;
+    }
+    
+    /**
+     * Check whether this family's synced data has to be an envelope
+     * Random family keys only ever went up in envelopes; a PIN-derived one did until this device saw an envelope
+     * @param {string} keyId - Family key ID
+     * @returns {boolean} True when older formats should be refused
+     */
+    expectsEnvelope(keyId) {
+        return keyId !== window.keyManager.pinKeyId || localStorage.getItem(this.envelopeSeenKey) === this.gistId;
+    }
+    
+    /**
+     * Remember that this family's gist holds an envelope
+     */
+    markEnvelopeSeen() {
+        localStorage.setItem(this.envelopeSeenKey, this.gistId);
+    }
+    
+    /**
+     * Read data under a family key this device hasn't taken yet, from the keyring beside it
+     * The key is only taken when this device's own roster shows an admin handed it out
+     * @param {Object} synced - Content from fetchRemote
+     * @returns {Promise<Object|null>} Sync data, or null when this device was left out of the keyring or it doesn't check out
+     */
+    async readRotated(synced) {
+        const { keyring } = synced;
+        const encryptionKey = await window.appContext?.openKeyring?.(keyring);
+        if (!encryptionKey) {
+            this.accessRevoked = true;
             return null;
         }
+        
+        const data = synced.format === this.envelopeFormat && synced.keyId === keyring.keyId
+            ? await this.openEnvelope(synced, encryptionKey)
+            : null;
+        // The roster inside the data came with the new key, so only the one this device already has can vouch for it
+        const members = await window.permissionManager.loadMembers();
+        const author = window.permissionManager.getMemberRole(members, keyring.createdBy);
+        if (!data || !window.permissionManager.can(author, 'manageMembers')) {
+            console.warn('Remote data carries a family key that no admin this device knows handed out');
+            return null;
+        }
+        
+        await window.appContext.adoptFamilyKey({ encryptionKey, keyId: keyring.keyId, keyring });
+        return data;
     }
     
     /**
@@ -373,20 +609,38 @@ class EnhancedSyncManager {
             }
         });
         
-        // Merge each data type
+        // Merge each data type; settings go first, since the roster in them decides what else is taken
         const dataTypes = [
-            'transactions', 'budgets', 'savingsGoals', 
+            'settings', 'transactions', 'budgets', 'savingsGoals',
             'billReminders', 'accounts', 'investments',
             'shoppingLists', 'familyTasks', 'sharedNotes',
-            'settings', 'activityFeed'
+            'activityFeed', 'recurringRules',
+            'categoryRules', 'categories', 'goalContributions',
+            'shoppingItems', 'investmentTrades', 'investmentPrices',
+            'netWorthSnapshots', 'fxRates'
         ];
         
+        let members = window.permissionManager.getMembers(localData.settings || []);
+        // Once this device has seen the family use roles, remote changes are checked even if the roster goes missing
+        let rolesActive = window.permissionManager.hasRoles(localData.settings || []);
+        this.rejectedChanges = 0;
+        
         for (const type of dataTypes) {
             merged[type] = await this.mergeCollection(
                 localData[type] || [],
                 remoteData[type] || [],
-                type
+                type,
+                rolesActive ? members : null
             );
+            
+            if (type === 'settings') {
+                members = window.permissionManager.getMembers(merged.settings);
+                rolesActive = rolesActive || window.permissionManager.hasRoles(merged.settings);
+            }
+        }
+        
+        if (this.rejectedChanges > 0) {
+            console.warn(`Sync skipped ${this.rejectedChanges} changes from members whose role doesn't allow them`);
         }
         
         merged.vectorClock = this.vectorClock;
@@ -397,8 +651,11 @@ class EnhancedSyncManager {
     
     /**
      * Merge two collections with conflict resolution
+     * Deleted items are kept as tombstones ({ id, deleted: true, deletedAt }) so the
+     * deletion reaches other devices instead of the remote copy bringing them back
+     * A remote change is only taken when its author's role on the roster allows it; members is null for families without roles
      */
-    async mergeCollection(local, remote, type) {
+    async mergeCollection(local, remote, type, members = null) {
         const merged = new Map();
         
         // Add all local items
@@ -410,14 +667,19 @@ class EnhancedSyncManager {
         remote.forEach(remoteItem => {
             const localItem = merged.get(remoteItem.id);
             
-            if (!localItem) {
-                // Item only exists remotely
-                merged.set(remoteItem.id, remoteItem);
-            } else {
-                // Conflict - resolve based on strategy
-                const resolvedItem = this.resolveConflict(localItem, remoteItem, type);
-                merged.set(remoteItem.id, resolvedItem);
+            // Item only exists remotely, or it's a conflict resolved by strategy
+            const resolvedItem = localItem
+                ? this.resolveConflict(localItem, remoteItem, type)
+                : remoteItem;
+            
+            // Keep the local copy when the remote change isn't one its author may make
+            if (members && resolvedItem !== localItem &&
+                !window.permissionManager.canAccept(members, type, resolvedItem, localItem)) {
+                this.rejectedChanges++;
+                return;
             }
+            
+            merged.set(remoteItem.id, resolvedItem);
         });
         
         return Array.from(merged.values());
@@ -427,12 +689,21 @@ class EnhancedSyncManager {
      * Resolve conflict between local and remote items
      */
     resolveConflict(local, remote, type) {
+        // A deletion wins over any edit made before it, whatever the strategy
+        if (local.deleted || remote.deleted) {
+            return this.resolveTombstone(local, remote);
+        }
+        
         switch (this.conflictResolutionStrategy) {
             case 'last-write-wins':
                 // Compare timestamps
                 const localTime = new Date(local.updatedAt || local.createdAt || 0).getTime();
                 const remoteTime = new Date(remote.updatedAt || remote.createdAt || 0).getTime();
-                return localTime > remoteTime ? local : remote;
+                if (localTime !== remoteTime) {
+                    return localTime > remoteTime ? local : remote;
+                }
+                // Usually the same record synced back; keeping the local copy means it doesn't count as a change
+                return JSON.stringify(local) === JSON.stringify(remote) ? local : remote;
                 
             case 'remote-wins':
                 return remote;
@@ -450,6 +721,62 @@ class EnhancedSyncManager {
         }
     }
     
+    /**
+     * Resolve a conflict where at least one side is a tombstone
+     * Only an edit made after the deletion (e.g. an undo) brings the item back
+     */
+    resolveTombstone(local, remote) {
+        const timeOf = (item) => new Date(
+            (item.deleted && item.deletedAt) || item.updatedAt || item.createdAt || 0
+        ).getTime();
+        
+        if (local.deleted && remote.deleted) {
+            return timeOf(local) <= timeOf(remote) ? local : remote;
+        }
+        
+        const tombstone = local.deleted ? local : remote;
+        const live = local.deleted ? remote : local;
+        return timeOf(live) > timeOf(tombstone) ? live : tombstone;
+    }
+    
+    /**
+     * Fingerprint the records in sync data, whatever order they're in and whenever it was put together
+     * @param {Object} data - Sync data
+     * @returns {string} Hash
+     */
+    getContentHash(data) {
+        const byId = (a, b) => String(a.id).localeCompare(String(b.id));
+        const content = Object.keys(data)
+            .filter(type => Array.isArray(data[type]) && data[type].length > 0)
+            .sort()
+            .map(type => [type, [...data[type]].sort(byId)]);
+        
+        return window.SecurityManager.createHash(JSON.stringify(content));
+    }
+    
+    /**
+     * Work out which records a sync changed on this device
+     * Merging keeps the local object for anything it didn't change, so a different object means a change
+     * @param {Object} localData - Data before the merge
+     * @param {Object} mergedData - Data after the merge and recurring postings
+     * @returns {Object} { [store]: { removed, added } } for stores with changes, removed holding the local versions replaced
+     */
+    getChanges(localData, mergedData) {
+        const changes = {};
+        
+        Object.entries(mergedData).forEach(([type, items]) => {
+            if (!Array.isArray(items) || !Array.isArray(localData[type])) return;
+            
+            const before = new Map(localData[type].map(item => [item.id, item]));
+            const added = items.filter(item => before.get(item.id) !== item);
+            if (added.length > 0) {
+                changes[type] = { removed: added.map(item => before.get(item.id)).filter(Boolean), added };
+            }
+        });
+        
+        return changes;
+    }
+    
     /**
      * Save merged data locally
      */
@@ -463,12 +790,73 @@ class EnhancedSyncManager {
             if (Array.isArray(items) && window.dbManager.stores[type]) {
                 await window.dbManager.clear(window.dbManager.stores[type]);
                 if (items.length > 0) {
-                    await window.dbManager.saveBatch(window.dbManager.stores[type], items);
+                    // Keep each item's own timestamp so last-write-wins still works next sync
+                    await window.dbManager.saveBatch(window.dbManager.stores[type], items, null, true);
                 }
             }
         }
     }
     
+    /**
+     * Get the readable part of an envelope that its integrity tag also covers
+     * @param {Object} envelope - Envelope
+     * @returns {Object} { format, version, keyId, kdf, cipher }
+     */
+    getEnvelopeHeader(envelope) {
+        return {
+            format: envelope.format,
+            version: envelope.version,
+            keyId: envelope.keyId,
+            kdf: envelope.kdf,
+            cipher: envelope.cipher
+        };
+    }
+    
+    /**
+     * Encrypt sync data into an envelope with the family key
+     * The keyring and the active invites' join keys travel beside it, since members and joining devices need them to get
+     * the key; they only hold copies of it sealed to each device or invite
+     * @param {Object} data - Sync data
+     * @returns {Object} { format, version, keyId, kdf, cipher, nonce, ciphertext, tag, keyring, joinKeys }
+     */
+    async createEnvelope(data) {
+        const header = this.getEnvelopeHeader({
+            format: this.envelopeFormat,
+            version: this.envelopeVersion,
+            keyId: this.keyId,
+            kdf: window.keyManager.getKdf(this.keyId),
+            cipher: 'AES-256-GCM'
+        });
+        const sealed = await window.SecurityManager.encryptAead(data, this.encryptionKey, JSON.stringify(header));
+        
+        return {
+            ...header,
+            ...sealed,
+            keyring: this.keyring,
+            joinKeys: window.inviteManager.getJoinKeys(data.settings || [], this.keyId)
+        };
+    }
+    
+    /**
+     * Decrypt an envelope
+     * @param {Object} envelope - Envelope from createEnvelope
+     * @param {string} encryptionKey - Family key it was encrypted with
+     * @returns {Object|null} Sync data, or null when it's from a newer app version or fails its integrity check
+     */
+    async openEnvelope(envelope, encryptionKey) {
+        if (envelope.version > this.envelopeVersion) {
+            console.warn(`Remote data is envelope version ${envelope.version}; update the app to read it`);
+            return null;
+        }
+        
+        const header = JSON.stringify(this.getEnvelopeHeader(envelope));
+        const data = await window.SecurityManager.decryptAead(envelope, encryptionKey, header);
+        if (!data) {
+            console.error('Remote data failed its integrity check');
+        }
+        return data;
+    }
+    
     /**
      * Upload data to GitHub Gist
      */
@@ -478,14 +866,12 @@ class EnhancedSyncManager {
             return;
         }
         
-        // Prepare data for upload
-        const uploadData = {
-            ...data,
-            encrypted: true,
-            data: window.SecurityManager.encrypt(data, this.familyCode)
-        };
+        // Only the envelope goes up; nothing in the gist is readable without the family key
+        const uploadData = await this.createEnvelope(data);
         
         const content = {
+            // Gists created before the description stopped naming the family lose the family code here
+            description: 'Family Finance Hub',
             files: {
                 'family-finance-data.json': {
                     content: JSON.stringify(uploadData, null, 2)
@@ -513,21 +899,22 @@ class EnhancedSyncManager {
             throw new Error(`Upload failed: ${response.status}`);
         }
         
+        this.markEnvelopeSeen();
         return response.json();
     }
     
     /**
      * Create new gist for family
+     * Nothing in it names the family; the family code salts the PIN derivation, so it stays out of anything published
      */
     async createGist() {
         const content = {
-            description: `Family Finance Hub - ${this.familyCode}`,
+            description: 'Family Finance Hub',
             public: false,
             files: {
                 'family-finance-data.json': {
                     content: JSON.stringify({ 
-                        created: new Date().toISOString(),
-                        familyCode: this.familyCode 
+                        created: new Date().toISOString()
                     })
                 }
             }
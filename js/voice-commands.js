@@ -325,21 +325,21 @@ class VoiceCommandManager {
      * @param {string} transcript - Voice transcript
      */
     processNaturalLanguage(transcript) {
-        // Amount detection
-        const amountMatch = transcript.match(/(\d+(?:\.\d+)?)\s*(?:dollars?|bucks?)?/);
+        // Amount detection, e.g. "20 euros" or "15 bucks"
+        const spoken = window.currencyManager.parseSpokenAmount(transcript);
         
-        if (amountMatch) {
-            const amount = parseFloat(amountMatch[1]);
+        if (spoken) {
+            const { amount, currency } = spoken;
             
             // Expense patterns
             if (/spent|bought|paid|expense/.test(transcript)) {
-                this.addQuickExpense(amount, transcript);
+                this.addQuickExpense(amount, transcript, currency);
                 return true;
             }
             
             // Income patterns
             if (/earned|received|got|income/.test(transcript)) {
-                this.addQuickIncome(amount, transcript);
+                this.addQuickIncome(amount, transcript, currency);
                 return true;
             }
         }
@@ -430,29 +430,37 @@ class VoiceCommandManager {
      * Add quick expense
      * @param {number} amount - Expense amount
      * @param {string} transcript - Original transcript
+     * @param {string} currency - Currency that was said (base currency when omitted)
      */
-    addQuickExpense(amount, transcript) {
-        // Extract category hints
-        let category = 'other_expense';
-        
-        if (/food|lunch|dinner|coffee/.test(transcript)) {
-            category = 'food';
-        } else if (/gas|uber|lyft|taxi/.test(transcript)) {
-            category = 'transport';
-        } else if (/shopping|bought/.test(transcript)) {
-            category = 'shopping';
+    addQuickExpense(amount, transcript, currency = null) {
+        const transaction = {
+            type: 'expense',
+            amount,
+            currency: currency || window.currencyManager.baseCurrency,
+            description: `Voice: ${transcript}`,
+            date: new Date().toISOString()
+        };
+        
+        // The family's own rules win over the built-in keyword hints
+        let category = window.appContext?.categorizeTransaction?.(transaction) || 'other_expense';
+        
+        if (category === 'other_expense') {
+            if (/food|lunch|dinner|coffee/.test(transcript)) {
+                category = 'food';
+            } else if (/gas|uber|lyft|taxi/.test(transcript)) {
+                category = 'transport';
+            } else if (/shopping|bought/.test(transcript)) {
+                category = 'shopping';
+            }
         }
         
         if (window.appContext?.addTransaction) {
             window.appContext.addTransaction({
-                type: 'expense',
-                amount,
-                description: `Voice: ${transcript}`,
-                category,
-                date: new Date().toISOString()
+                ...transaction,
+                category
             });
             
-            this.speak(`Added expense of ${amount} dollars`);
+            this.speak(`Added expense of ${this.formatCurrency(amount, transaction.currency)}`);
         }
     }
     
@@ -460,26 +468,34 @@ class VoiceCommandManager {
      * Add quick income
      * @param {number} amount - Income amount
      * @param {string} transcript - Original transcript
+     * @param {string} currency - Currency that was said (base currency when omitted)
      */
-    addQuickIncome(amount, transcript) {
-        let category = 'other_income';
-        
-        if (/salary|paycheck/.test(transcript)) {
-            category = 'salary';
-        } else if (/freelance|client/.test(transcript)) {
-            category = 'freelance';
+    addQuickIncome(amount, transcript, currency = null) {
+        const transaction = {
+            type: 'income',
+            amount,
+            currency: currency || window.currencyManager.baseCurrency,
+            description: `Voice: ${transcript}`,
+            date: new Date().toISOString()
+        };
+        
+        let category = window.appContext?.categorizeTransaction?.(transaction) || 'other_income';
+        
+        if (category === 'other_income') {
+            if (/salary|paycheck/.test(transcript)) {
+                category = 'salary';
+            } else if (/freelance|client/.test(transcript)) {
+                category = 'freelance';
+            }
         }
         
         if (window.appContext?.addTransaction) {
             window.appContext.addTransaction({
-                type: 'income',
-                amount,
-                description: `Voice: ${transcript}`,
-                category,
-                date: new Date().toISOString()
+                ...transaction,
+                category
             });
             
-            this.speak(`Added income of ${amount} dollars`);
+            this.speak(`Added income of ${this.formatCurrency(amount, transaction.currency)}`);
         }
     }
     
@@ -536,7 +552,7 @@ class VoiceCommandManager {
             Say "add expense" or "add income" to add a new transaction.
             Say "what's my balance" to hear your current balance.
             Say "how much did I spend" to hear your monthly spending.
-            Say numbers with "dollars spent" to quickly add expenses.
+            Say an amount with "spent", like "spent 20 on lunch", to quickly add expenses.
             Say "stop" to stop listening.
         `;
         
@@ -545,20 +561,12 @@ class VoiceCommandManager {
     
     /**
      * Format currency for speech
+     * Spells out the currency name ("12.50 euros") so it reads naturally in any currency
      * @param {number} amount - Amount to format
+     * @param {string} currency - Currency code (base currency when omitted)
      */
-    formatCurrency(amount) {
-        const formatted = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
-        
-        // Make it more natural for speech
-        return formatted
-            .replace('$', '')
-            .replace('.00', ' dollars')
-            .replace('.', ' dollars and ')
-            .replace(/(\d+)¢/, '$1 cents');
+    formatCurrency(amount, currency = null) {
+        return window.currencyManager.format(amount, currency, { currencyDisplay: 'name' });
     }
     
     /**
@@ -3,9 +3,11 @@
  * Handles offline functionality, caching, and background sync
  */
 
-const CACHE_NAME = 'family-finance-hub-v2';
+const CACHE_NAME = 'family-finance-hub-v3';
 const DATA_CACHE_NAME = 'family-finance-data-v2';
 const SYNC_TAG = 'sync-data';
+const REMINDERS_TAG = 'bill-reminders';
+const REMINDERS_KEY = '/__bill-reminders';
 
 // Files to cache for offline use
 const urlsToCache = [
@@ -15,8 +17,30 @@ const urlsToCache = [
     '/styles.css',
     '/js/security-manager.js',
     '/js/db-manager.js',
+    '/js/currency-manager.js',
+    '/js/permission-manager.js',
+    '/js/key-manager.js',
+    '/js/invite-manager.js',
+    '/js/account-manager.js',
+    '/js/import-manager.js',
+    '/js/rules-manager.js',
+    '/js/category-manager.js',
+    '/js/split-manager.js',
+    '/js/search-manager.js',
+    '/js/ledger-aggregates.js',
+    '/js/budget-manager.js',
+    '/js/budget-alerts.js',
+    '/js/bill-manager.js',
+    '/js/savings-manager.js',
+    '/js/activity-feed.js',
+    '/js/shopping-manager.js',
+    '/js/chore-manager.js',
+    '/js/notes-manager.js',
+    '/js/investment-manager.js',
+    '/js/net-worth-manager.js',
     '/js/sync-manager.js',
     '/js/notification-manager.js',
+    '/js/recurring-manager.js',
     '/js/analytics.js',
     '/js/voice-commands.js',
     '/js/biometric-auth.js',
@@ -192,9 +216,10 @@ self.addEventListener('notificationclick', event => {
     
     event.notification.close();
     
-    if (event.action === 'view') {
+    // Bill reminders carry the page to open; tapping them anywhere opens the app
+    if (event.action === 'view' || event.notification.data?.url) {
         event.waitUntil(
-            clients.openWindow('/')
+            clients.openWindow(event.notification.data?.url || '/')
         );
     }
 });
@@ -210,6 +235,10 @@ self.addEventListener('message', event => {
     if (event.data && event.data.type === 'SYNC_NOW') {
         event.waitUntil(syncOfflineData());
     }
+    
+    if (event.data && event.data.type === 'SCHEDULE_REMINDERS') {
+        event.waitUntil(scheduleReminders(event.data.reminders || []));
+    }
 });
 
 // Sync offline data function
@@ -264,9 +293,102 @@ async function syncOfflineData() {
     }
 }
 
+// Load the bill reminder schedule saved by the app
+async function loadReminders() {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const response = await cache.match(REMINDERS_KEY);
+    return response ? response.json() : [];
+}
+
+// Save the bill reminder schedule
+async function saveReminders(reminders) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    await cache.put(REMINDERS_KEY, new Response(JSON.stringify(reminders), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// Show a bill reminder notification, optionally at a later time
+function showReminder(reminder, showTrigger = null) {
+    const options = {
+        body: reminder.body,
+        icon: '/icon-192.png',
+        badge: '/icon-72.png',
+        tag: reminder.tag,
+        vibrate: [100, 50, 100],
+        data: { url: '/' }
+    };
+    
+    if (showTrigger) {
+        options.showTrigger = showTrigger;
+    }
+    
+    return self.registration.showNotification(reminder.title, options);
+}
+
+// Replace the bill reminder schedule
+async function scheduleReminders(reminders) {
+    const previous = await loadReminders();
+    
+    // A reminder already shown for the same bill and due date isn't shown again
+    const schedule = reminders.map(reminder => ({
+        ...reminder,
+        shown: previous.some(p => p.tag === reminder.tag && p.shown)
+    }));
+    
+    // Where notification triggers exist, the browser shows future reminders without waking us
+    if ('showTrigger' in Notification.prototype) {
+        try {
+            const pending = await self.registration.getNotifications({ includeTriggered: true });
+            pending
+                .filter(n => n.tag.startsWith('bill-') && !schedule.some(r => r.tag === n.tag))
+                .forEach(n => n.close());
+            
+            for (const reminder of schedule.filter(r => !r.shown && r.remindAt > Date.now())) {
+                await showReminder(reminder, new TimestampTrigger(reminder.remindAt));
+                reminder.triggered = true;
+            }
+        } catch (error) {
+            console.error('[ServiceWorker] Could not schedule reminders:', error);
+        }
+    }
+    
+    await saveReminders(schedule);
+    await showDueReminders();
+}
+
+// Show reminders whose time has come
+async function showDueReminders() {
+    const reminders = await loadReminders();
+    const now = Date.now();
+    let changed = false;
+    
+    for (const reminder of reminders) {
+        if (reminder.shown || reminder.remindAt > now) continue;
+        
+        try {
+            if (!reminder.triggered) {
+                await showReminder(reminder);
+            }
+            reminder.shown = true;
+            changed = true;
+        } catch (error) {
+            console.error('[ServiceWorker] Could not show reminder:', error);
+        }
+    }
+    
+    if (changed) {
+        await saveReminders(reminders);
+    }
+}
+
 // Periodic background sync (if supported)
 self.addEventListener('periodicsync', event => {
     if (event.tag === 'update-data') {
         event.waitUntil(syncOfflineData());
     }
+    
+    if (event.tag === REMINDERS_TAG) {
+        event.waitUntil(showDueReminders());
+    }
 });
\ No newline at end of file